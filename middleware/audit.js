@@ -0,0 +1,112 @@
+const auditService = require('../services/auditService');
+
+// POST endpoints that only validate input and change nothing
+const READ_ONLY_ACTIONS = ['domains.validate', 'nginx.validate-domain', 'nginx.templates.preview', 'nginx.config.preview'];
+
+// Names for collection routes without a path segment (POST /api/users -> users.create)
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+// Longest target (e.g. the URL of a refused request) kept in an entry
+const MAX_TARGET_LENGTH = 200;
+
+/**
+ * Derive a dotted action name from the matched route, e.g.
+ * POST /api/ssl/install -> ssl.install, DELETE /api/users/:username -> users.delete
+ */
+function getActionName(method, baseUrl, routePath) {
+  const area = baseUrl.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+  const segments = routePath.replace(/^\/api\//, '').split('/').filter(segment => segment && !segment.startsWith(':'));
+
+  if (segments.length === 0) {
+    segments.push(METHOD_ACTIONS[method] || method.toLowerCase());
+  }
+
+  return [...area, ...segments].join('.');
+}
+
+/**
+ * Who made the request: the authenticated user (session or token), or the
+ * session that a login just established
+ */
+function getActor(req) {
+  if (req.user) {
+    return {
+      id: req.user.id,
+      username: req.user.username,
+      role: req.user.role,
+      via: req.apiToken ? 'token' : 'session',
+      tokenId: req.apiToken?.id
+    };
+  }
+
+  if (req.session?.authenticated && req.session.userId) {
+    return { id: req.session.userId, username: req.session.user, via: 'session' };
+  }
+
+  return null;
+}
+
+/**
+ * Record every mutating API request in the audit log once its response is sent
+ */
+function auditTrail(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  // Logout destroys the session before the response, so remember who was logged in
+  const sessionActor = getActor(req);
+
+  // Capture the error text of failed JSON responses
+  let responseError = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body) {
+      responseError = body.message || body.error || null;
+    }
+    return json(body);
+  };
+
+  // Routers reset req.baseUrl and req.params on the way out, so snapshot them when the response starts
+  let routeContext = null;
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    routeContext = { baseUrl: req.baseUrl, params: { ...req.params }, route: req.route };
+    return writeHead.apply(this, args);
+  };
+
+  res.on('finish', () => {
+    const denied = res.statusCode === 401 || res.statusCode === 403;
+    const route = routeContext?.route;
+
+    // Unmatched routes are only worth keeping when access was refused
+    if (!route && !denied) {
+      return;
+    }
+
+    const action = route ? getActionName(req.method, routeContext.baseUrl, route.path) : 'request.denied';
+    if (READ_ONLY_ACTIONS.includes(action)) {
+      return;
+    }
+
+    const actor = getActor(req) || sessionActor;
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const params = routeContext?.params || {};
+    const target = params.domain || body.domain || params.username || body.username || params.id || (route ? null : req.originalUrl);
+
+    auditService.record({
+      actor,
+      ip: req.ip,
+      action,
+      target: target ? String(target).slice(0, MAX_TARGET_LENGTH) : null,
+      // Anyone can send unauthenticated requests, so their bodies aren't kept
+      params: actor ? { ...body, ...params } : params,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      statusCode: res.statusCode,
+      error: responseError
+    }).catch(() => {}); // Already logged by the service
+  });
+
+  next();
+}
+
+module.exports = { auditTrail };
@@ -0,0 +1,204 @@
+const userService = require('../services/userService');
+const domainAccessService = require('../services/domainAccessService');
+const apiTokenService = require('../services/apiTokenService');
+const sessionService = require('../services/sessionService');
+
+const { ROLES } = userService;
+
+/**
+ * Check whether a user's role is at least the required role
+ */
+function hasRole(user, requiredRole) {
+  if (!user) {
+    return false;
+  }
+
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Resolve the logged-in user from the session, dropping sessions that were
+ * revoked or whose user was disabled, deleted or had their password reset after login
+ */
+async function getSessionUser(req) {
+  if (!req.session || !req.session.authenticated || !req.session.userId) {
+    return null;
+  }
+
+  if (sessionService.isRevoked(req.sessionID)) {
+    req.session.authenticated = false;
+    return null;
+  }
+
+  const user = await userService.getUserById(req.session.userId);
+  const loginAt = req.session.loginAt || 0;
+  const passwordChangedAt = user?.passwordChangedAt ? Date.parse(user.passwordChangedAt) : 0;
+
+  if (!user || user.disabled || passwordChangedAt > loginAt) {
+    req.session.authenticated = false;
+    return null;
+  }
+
+  sessionService.touch(req);
+  return userService.toPublicUser(user);
+}
+
+/**
+ * Resolve the user behind an `Authorization: Bearer` API token, or null
+ */
+async function getTokenUser(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    return null;
+  }
+
+  const token = await apiTokenService.verifyToken(match[1], req.ip);
+  if (!token) {
+    return null;
+  }
+
+  const user = await userService.getUserById(token.userId);
+  if (!user || user.disabled) {
+    return null;
+  }
+
+  return { user: userService.toPublicUser(user), token };
+}
+
+/**
+ * Authentication middleware - sets req.user for protected routes.
+ * Accepts a session cookie or a bearer token scoped to the route's API area.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    if (req.get('authorization')) {
+      const tokenAuth = await getTokenUser(req);
+      if (!tokenAuth) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
+
+      const area = req.baseUrl.replace(/^\/api\//, '');
+      if (!apiTokenService.hasScope(tokenAuth.token, area, req.method)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient token scope',
+          message: `This token does not grant ${area} access for ${req.method} requests`
+        });
+      }
+
+      req.user = tokenAuth.user;
+      req.apiToken = apiTokenService.toPublicToken(tokenAuth.token);
+      return next();
+    }
+
+    const user = await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Roles listed in REQUIRE_2FA_ROLES may only reach the enrollment routes until they enroll
+    if (user.twoFactorRequired && !user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor enrollment required',
+        message: 'Your role requires two-factor authentication. Set it up under Account before continuing.',
+        twoFactorEnrollmentRequired: true
+      });
+    }
+
+    req.user = user;
+    return next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Authentication middleware for account security routes - session only, and
+ * reachable before a required two-factor enrollment is complete
+ */
+async function requireSession(req, res, next) {
+  try {
+    const user = await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    return next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Authorization middleware - requires at least the given role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      message: `This action requires the ${role} role`,
+      requiredRole: role
+    });
+  };
+}
+
+/**
+ * Authorization middleware - requires access to the domain named in the request
+ * (route param or body field `domain`)
+ */
+function requireDomainAccess(req, res, next) {
+  const domain = req.params.domain || req.body?.domain;
+
+  if (!domain) {
+    return next();
+  }
+
+  domainAccessService.canAccessDomain(req.user, domain)
+    .then((allowed) => {
+      if (allowed) {
+        return next();
+      }
+
+      // Same response as an unknown domain so clients can't probe for other tenants' sites
+      return res.status(404).json({
+        success: false,
+        error: 'Domain not found',
+        domain
+      });
+    })
+    .catch(next);
+}
+
+/**
+ * Authorization middleware - requires visibility of every domain, for bulk actions
+ */
+function requireAllDomainAccess(req, res, next) {
+  if (domainAccessService.hasAllDomainAccess(req.user)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Insufficient permissions',
+    message: 'This action affects all domains and is not available to accounts restricted to assigned domains'
+  });
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  getSessionUser,
+  requireAuth,
+  requireSession,
+  requireRole,
+  requireDomainAccess,
+  requireAllDomainAccess
+};
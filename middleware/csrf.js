@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Header the client echoes the session's CSRF token in
+const CSRF_HEADER = 'x-csrf-token';
+// Login steps run before a session exists; they are protected by the Origin check only
+// (paths are relative to the /api mount)
+const CSRF_EXEMPT_PATHS = ['/auth/login', '/auth/login/2fa'];
+
+/**
+ * Whether a browser Origin may call the API: configured allowlist or the panel's own host
+ */
+function isAllowedOrigin(origin, allowedOrigins, host) {
+  if (!origin) {
+    return true; // Non-browser clients (curl, scripts) send no Origin
+  }
+
+  if (allowedOrigins.includes(origin)) {
+    return true;
+  }
+
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the session's CSRF token, creating one if the session has none yet
+ */
+function issueCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+
+  return req.session.csrfToken;
+}
+
+/**
+ * CSRF middleware factory - rejects state-changing requests from other origins,
+ * and session-authenticated ones that don't echo the session's token in X-CSRF-Token
+ */
+function csrfProtection({ allowedOrigins }) {
+  return (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return next();
+    }
+
+    if (!isAllowedOrigin(req.get('origin'), allowedOrigins, req.get('host'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cross-origin request blocked',
+        message: `Origin ${req.get('origin')} is not allowed`
+      });
+    }
+
+    // Bearer tokens are not sent automatically by browsers, so they can't be forged cross-site
+    if (req.get('authorization') || CSRF_EXEMPT_PATHS.includes(req.path)) {
+      return next();
+    }
+
+    const expected = Buffer.from(req.session?.csrfToken || '');
+    const actual = Buffer.from(req.get(CSRF_HEADER) || '');
+
+    if (expected.length === 0 || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token',
+        message: 'Missing or invalid CSRF token. Reload the page and try again.',
+        csrfError: true
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  CSRF_HEADER,
+  isAllowedOrigin,
+  issueCsrfToken,
+  csrfProtection
+};
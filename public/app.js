@@ -9,11 +9,40 @@ class SSLManager {
     this.notifications = [];
     this.loading = false;
     this.connectionStatus = 'connecting';
-    this.activeTab = 'domains'; // 'domains', 'autorenewal', or 'settings'
+    this.activeTab = 'domains'; // 'domains', 'autorenewal', 'upstreams', 'ratelimits', 'tokens', 'account', 'users', 'audit' or 'settings'
     this.autorenewalData = null;
+    this.users = null;
+    this.securityEvents = null;
+    this.securityEventFilter = '';
+    this.auditEntries = null;
+    this.auditFilters = { actor: '', action: '', outcome: '' };
+    this.auditVerification = null;
+    this.sessions = null;
+    this.showAllSessions = false;
+    this.domainAccess = {};
+    this.apiTokens = null;
+    this.upstreams = null;
+    this.rateLimitZones = null;
+    this.availableScopes = [];
+    this.newTokenValue = null;
+    this.twoFactorSetup = null;
+    this.recoveryCodes = null;
     this.cloudnsStatus = null;
     this.isAuthenticated = false;
     this.currentUser = null;
+    this.csrfToken = null;
+    this.siteTemplates = [];
+    this.configEditor = null;
+    this.bulkSelection = new Set();
+    this.detailTab = 'details';
+    this.redirects = null;
+    this.headerPolicy = null;
+    this.accessRules = null;
+    this.rateLimits = null;
+    this.performance = null;
+    this.logs = null;
+    this.domainUpstreams = null;
+    this.traffic = null;
     
     // API Base URL configuration
     this.apiBaseUrl = this.getApiBaseUrl();
@@ -63,6 +92,16 @@ class SSLManager {
     
     this.isAuthenticated = true;
     this.currentUser = authStatus.user;
+    this.csrfToken = authStatus.csrfToken;
+    
+    // Roles that require 2FA can only use the Account tab until they enroll
+    if (this.needsTwoFactorEnrollment()) {
+      this.activeTab = 'account';
+      this.renderApp();
+      this.renderDashboard();
+      this.addNotification('warning', 'Your role requires two-factor authentication. Set it up below to continue.', true);
+      return;
+    }
     
     // Initialize UI components in order
     this.renderApp();
@@ -103,11 +142,27 @@ class SSLManager {
     }
   }
 
+  // Role checks mirror middleware/auth.js: viewer < operator < admin
+  hasRole(role) {
+    const roles = ['viewer', 'operator', 'admin'];
+    return roles.indexOf(this.currentUser?.role) >= roles.indexOf(role);
+  }
+
+  // Mirrors domainAccessService.hasAllDomainAccess: admins and users not restricted to assigned domains
+  hasAllDomainAccess() {
+    return this.currentUser?.role === 'admin' || (!!this.currentUser && this.currentUser.domainScope !== 'assigned');
+  }
+
+  needsTwoFactorEnrollment() {
+    return !!this.currentUser?.twoFactorRequired && !this.currentUser?.twoFactorEnabled;
+  }
+
   async logout() {
     try {
       await fetch(`${this.apiBaseUrl}/api/auth/logout`, {
         method: 'POST',
-        credentials: 'include'
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': this.csrfToken }
       });
       window.location.href = '/login.html';
     } catch (error) {
@@ -148,11 +203,26 @@ class SSLManager {
 
     this.socket.on('disconnect', (reason) => {
       console.log('Socket.IO disconnected:', reason);
+      // Tails end with the connection
+      if (this.logs?.live) {
+        this.logs.live = false;
+        if (this.detailTab === 'logs') this.renderSSLPanel();
+      }
       this.connectionStatus = 'disconnected';
       this.updateConnectionStatus();
       this.addNotification('warning', 'Disconnected from server - retrying connection...', false);
     });
 
+    this.socket.on('log_lines', (data) => this.appendLogLines(data));
+
+    // The server ends tails when access to the domain is removed
+    this.socket.on('log_tail_stopped', (data) => {
+      if (this.logs?.domain === data.domain && this.logs.type === data.type) {
+        this.logs.live = false;
+        if (this.detailTab === 'logs') this.renderSSLPanel();
+      }
+    });
+
     this.socket.on('reconnect', (attemptNumber) => {
       console.log('Socket.IO reconnected after', attemptNumber, 'attempts');
       this.connectionStatus = 'connected';
@@ -177,6 +247,13 @@ class SSLManager {
       this.connectionStatus = 'error';
       this.updateConnectionStatus();
       
+      // The handshake uses the login session; if it was rejected the session has ended
+      if (error.message === 'Authentication required') {
+        this.socket.disconnect();
+        window.location.href = '/login.html';
+        return;
+      }
+      
       // Add user-friendly error notification with specific guidance
       let errorMsg = 'Connection failed: ';
       if (error.message.includes('xhr poll error')) {
@@ -231,6 +308,110 @@ class SSLManager {
       this.addNotification('error', `Failed to add domain ${data.domain}: ${data.error}`, true);
     });
 
+    this.socket.on('domain_state_changed', (data) => {
+      this.addNotification('info', `Site ${data.domain} ${data.enabled ? 'enabled' : 'disabled'} by ${data.user}`, false);
+      this.loadDomains();
+    });
+
+    this.socket.on('domain_maintenance_changed', (data) => {
+      this.addNotification('info', `${data.domain} ${data.active ? 'is in maintenance mode' : 'is out of maintenance mode'} (${data.user})`, false);
+      this.loadDomains();
+    });
+
+    this.socket.on('upstreams_updated', (data) => {
+      if (data.user !== this.currentUser?.username) {
+        this.addNotification('info', `Upstream pool ${data.pool} changed by ${data.user}`, false);
+      }
+      if (this.activeTab === 'upstreams') {
+        this.loadUpstreams();
+      }
+      this.domainUpstreams = null;
+      if (this.activeTab === 'domains' && this.detailTab === 'upstreams') this.renderSSLPanel();
+    });
+
+    this.socket.on('rate_limit_zones_updated', (data) => {
+      if (data.user !== this.currentUser?.username) {
+        this.addNotification('info', `Rate limit zone ${data.zone} changed by ${data.user}`, false);
+      }
+      if (this.activeTab === 'ratelimits') {
+        this.loadRateLimitZones();
+      }
+      this.rateLimits = null;
+      if (this.activeTab === 'domains' && this.detailTab === 'limits') this.renderSSLPanel();
+    });
+
+    this.socket.on('domain_rate_limits_updated', (data) => {
+      // Our own saves already show the result
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `Rate limits for ${data.domain} updated by ${data.user}`, false);
+      if (this.rateLimits?.domain === data.domain) {
+        this.rateLimits = null;
+        if (this.detailTab === 'limits') this.renderSSLPanel();
+      }
+    });
+
+    this.socket.on('domain_performance_updated', (data) => {
+      // Our own saves already show the result
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `Performance settings for ${data.domain} updated by ${data.user}`, false);
+      if (this.performance?.domain === data.domain) {
+        this.performance = null;
+        if (this.detailTab === 'performance') this.renderSSLPanel();
+      }
+    });
+
+    this.socket.on('domain_cache_purged', (data) => {
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `Cache for ${data.domain} purged by ${data.user}`, false);
+    });
+
+    this.socket.on('domain_upstreams_updated', (data) => {
+      // Our own changes already show the result
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `${data.domain} ${data.location} ${data.pool ? `now proxies to ${data.pool}` : 'no longer uses a pool'} (${data.user})`, false);
+      if (this.domainUpstreams?.domain === data.domain) {
+        this.domainUpstreams = null;
+        if (this.detailTab === 'upstreams') this.renderSSLPanel();
+      }
+    });
+
+    this.socket.on('domain_headers_updated', (data) => {
+      // Our own saves already show the result
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `Security headers for ${data.domain} updated by ${data.user}`, false);
+      if (this.headerPolicy?.domain === data.domain) {
+        this.headerPolicy = null;
+        if (this.detailTab === 'headers') this.renderSSLPanel();
+      }
+    });
+
+    this.socket.on('domain_access_rules_updated', (data) => {
+      // Our own saves already show the result
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `Access rules for ${data.domain} updated by ${data.user}`, false);
+      if (this.accessRules?.domain === data.domain) {
+        this.accessRules = null;
+        if (this.detailTab === 'access') this.renderSSLPanel();
+      }
+    });
+
+    this.socket.on('domain_redirects_updated', (data) => {
+      // Our own saves already show the result
+      if (data.user === this.currentUser?.username) return;
+
+      this.addNotification('info', `Redirects for ${data.domain} updated by ${data.user}`, false);
+      if (this.redirects?.domain === data.domain) {
+        this.redirects = null;
+        if (this.detailTab === 'redirects') this.renderSSLPanel();
+      }
+    });
+
     // Domain deletion listeners
     this.socket.on('domain_deleted', (data) => {
       this.addNotification('success', `Domain ${data.domain} deleted successfully`, true);
@@ -275,7 +456,8 @@ class SSLManager {
         method,
         url: finalUrl,
         timeout: options.timeout || 60000,
-        headers: { 'Content-Type': 'application/json' },
+        // The server rejects state-changing requests without the session's CSRF token
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': this.csrfToken },
         withCredentials: true
       };
       
@@ -294,6 +476,15 @@ class SSLManager {
         return;
       }
       
+      // The CSRF token changes when the session does (e.g. re-login in another tab); fetch it and retry once
+      if (error.response?.data?.csrfError && !options.csrfRetried) {
+        const authStatus = await this.checkAuthentication();
+        if (authStatus.authenticated) {
+          this.csrfToken = authStatus.csrfToken;
+          return this.api(method, url, data, { ...options, csrfRetried: true });
+        }
+      }
+      
       console.error('API Error details:', {
         url: error.config?.url,
         method: error.config?.method,
@@ -319,6 +510,11 @@ class SSLManager {
       const response = await this.api('GET', '/domains');
       this.domains = response.domains || [];
       
+      if (this.hasRole('admin')) {
+        const accessResponse = await this.api('GET', '/domains/access');
+        this.domainAccess = accessResponse.assignments || {};
+      }
+      
     } catch (error) {
       console.error('Error loading domains:', error);
       
@@ -604,6 +800,7 @@ class SSLManager {
   }
 
   selectDomain(domain) {
+    this.stopLogTail();
     this.selectedDomain = domain;
     this.renderDomainList();
     this.renderSSLPanel();
@@ -673,7 +870,8 @@ class SSLManager {
               </span>
               <span class="navbar-text me-3">
                 <i class="fas fa-user me-1"></i>
-                Welcome, ${this.currentUser || 'adminssl'}
+                Welcome, ${this.currentUser?.username || 'user'}
+                <span class="badge bg-light text-primary ms-1">${this.currentUser?.role || ''}</span>
               </span>
               <button class="btn btn-outline-light btn-sm" onclick="sslManager.logout()">
                 <i class="fas fa-sign-out-alt me-1"></i>
@@ -716,6 +914,46 @@ class SSLManager {
                     <span class="badge bg-success ms-1" id="autorenewal-badge">-</span>
                   </button>
                 </li>
+                ${this.hasRole('operator') && this.hasAllDomainAccess() ? `
+                  <li class="nav-item" role="presentation">
+                    <button class="nav-link ${this.activeTab === 'upstreams' ? 'active' : ''}" 
+                            type="button" onclick="sslManager.switchTab('upstreams')">
+                      <i class="fas fa-network-wired me-1"></i> Upstreams
+                    </button>
+                  </li>
+                  <li class="nav-item" role="presentation">
+                    <button class="nav-link ${this.activeTab === 'ratelimits' ? 'active' : ''}" 
+                            type="button" onclick="sslManager.switchTab('ratelimits')">
+                      <i class="fas fa-tachometer-alt me-1"></i> Rate Limits
+                    </button>
+                  </li>
+                ` : ''}
+                <li class="nav-item" role="presentation">
+                  <button class="nav-link ${this.activeTab === 'tokens' ? 'active' : ''}" 
+                          type="button" onclick="sslManager.switchTab('tokens')">
+                    <i class="fas fa-key me-1"></i> API Tokens
+                  </button>
+                </li>
+                <li class="nav-item" role="presentation">
+                  <button class="nav-link ${this.activeTab === 'account' ? 'active' : ''}" 
+                          type="button" onclick="sslManager.switchTab('account')">
+                    <i class="fas fa-user-shield me-1"></i> Account
+                  </button>
+                </li>
+                ${this.hasRole('admin') ? `
+                  <li class="nav-item" role="presentation">
+                    <button class="nav-link ${this.activeTab === 'users' ? 'active' : ''}" 
+                            type="button" onclick="sslManager.switchTab('users')">
+                      <i class="fas fa-users me-1"></i> Users
+                    </button>
+                  </li>
+                  <li class="nav-item" role="presentation">
+                    <button class="nav-link ${this.activeTab === 'audit' ? 'active' : ''}" 
+                            type="button" onclick="sslManager.switchTab('audit')">
+                      <i class="fas fa-clipboard-list me-1"></i> Audit Log
+                    </button>
+                  </li>
+                ` : ''}
               </ul>
             </div>
           </div>
@@ -733,10 +971,28 @@ class SSLManager {
       this.renderDomainsTab();
     } else if (this.activeTab === 'autorenewal') {
       this.renderAutorenewalTab();
+    } else if (this.activeTab === 'upstreams') {
+      this.renderUpstreamsTab();
+    } else if (this.activeTab === 'ratelimits') {
+      this.renderRateLimitZonesTab();
+    } else if (this.activeTab === 'tokens') {
+      this.renderTokensTab();
+    } else if (this.activeTab === 'account') {
+      this.renderAccountTab();
+    } else if (this.activeTab === 'users') {
+      this.renderUsersTab();
+    } else if (this.activeTab === 'audit') {
+      this.renderAuditTab();
     }
   }
 
   switchTab(tab) {
+    if (this.needsTwoFactorEnrollment() && tab !== 'account') {
+      this.addNotification('warning', 'Set up two-factor authentication first', true);
+      return;
+    }
+
+    this.stopLogTail();
     this.activeTab = tab;
     this.renderDashboard();
     
@@ -744,6 +1000,19 @@ class SSLManager {
       this.loadDomains();
     } else if (tab === 'autorenewal') {
       this.loadAutorenewalData();
+    } else if (tab === 'upstreams') {
+      this.loadUpstreams();
+    } else if (tab === 'ratelimits') {
+      this.loadRateLimitZones();
+    } else if (tab === 'tokens') {
+      this.loadApiTokens();
+    } else if (tab === 'account') {
+      this.loadSessions();
+    } else if (tab === 'users') {
+      this.loadUsers();
+      this.loadSecurityLog();
+    } else if (tab === 'audit') {
+      this.loadAuditLog();
     }
   }
 
@@ -828,9 +1097,11 @@ class SSLManager {
                 <button class="btn btn-outline-primary btn-sm" onclick="sslManager.refreshDomains()">
                   <i class="fas fa-sync-alt me-1"></i> Refresh
                 </button>
-                <button class="btn btn-primary btn-sm" onclick="sslManager.toggleAddDomainForm()">
-                  <i class="fas fa-plus me-1"></i> Add Domain
-                </button>
+                ${this.hasRole('admin') ? `
+                  <button class="btn btn-primary btn-sm" onclick="sslManager.toggleAddDomainForm()">
+                    <i class="fas fa-plus me-1"></i> Add Domain
+                  </button>
+                ` : ''}
               </div>
             </div>
             <div class="card-body">
@@ -877,6 +1148,16 @@ class SSLManager {
                     <button class="btn btn-secondary" onclick="sslManager.toggleAddDomainForm()">Cancel</button>
                   </div>
                 </div>
+                <div class="row mt-2">
+                  <div class="col-md-8">
+                    <label class="form-label small mb-1" for="new-domain-template">Site template</label>
+                    <select id="new-domain-template" class="form-select form-select-sm" onchange="sslManager.renderTemplateVariables()">
+                      <option value="">Loading templates...</option>
+                    </select>
+                    <div id="new-domain-template-description" class="form-text"></div>
+                  </div>
+                </div>
+                <div id="template-variables" class="row mt-1"></div>
               </div>
 
               <!-- Domain List Container -->
@@ -930,6 +1211,16 @@ class SSLManager {
     }
   }
 
+  // Escape a value for use in HTML text and quoted attributes
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   renderDomainList() {
     const container = document.getElementById('domain-list-container');
     if (!container) return;
@@ -953,12 +1244,37 @@ class SSLManager {
       return;
     }
 
+    const canManage = this.hasRole('operator');
+    const allSelected = currentPageDomains.every(domain => this.bulkSelection.has(domain.domain));
+
     const tableHTML = `
+      ${canManage && this.bulkSelection.size > 0 ? `
+        <div class="alert alert-secondary d-flex justify-content-between align-items-center py-2">
+          <span>${this.bulkSelection.size} selected</span>
+          <div class="d-flex gap-2">
+            <button class="btn btn-success btn-sm" onclick="sslManager.bulkSetSitesEnabled(true)">
+              <i class="fas fa-play me-1"></i> Enable
+            </button>
+            <button class="btn btn-warning btn-sm" onclick="sslManager.bulkSetSitesEnabled(false)">
+              <i class="fas fa-pause me-1"></i> Disable
+            </button>
+            <button class="btn btn-outline-secondary btn-sm" onclick="sslManager.clearBulkSelection()">Clear</button>
+          </div>
+        </div>
+      ` : ''}
       <div class="table-responsive">
         <table class="table table-hover">
           <thead class="table-light">
             <tr>
+              ${canManage ? `
+                <th style="width: 2rem;">
+                  <input class="form-check-input" type="checkbox" title="Select all on this page"
+                         ${allSelected ? 'checked' : ''}
+                         onchange="sslManager.toggleBulkSelectPage(this.checked)">
+                </th>
+              ` : ''}
               <th>Domain</th>
+              <th>Site</th>
               <th>SSL Status</th>
               <th>Expiry</th>
               <th>Actions</th>
@@ -968,6 +1284,12 @@ class SSLManager {
             ${currentPageDomains.map(domain => `
               <tr class="${this.selectedDomain?.domain === domain.domain ? 'table-active' : ''}" 
                   onclick="sslManager.selectDomain(${JSON.stringify(domain).replace(/"/g, '&quot;')})">
+                ${canManage ? `
+                  <td onclick="event.stopPropagation()">
+                    <input class="form-check-input" type="checkbox" ${this.bulkSelection.has(domain.domain) ? 'checked' : ''}
+                           onchange="sslManager.toggleBulkSelection('${domain.domain}', this.checked)">
+                  </td>
+                ` : ''}
                 <td>
                   <div>
                     <strong>${domain.domain}</strong>
@@ -975,6 +1297,7 @@ class SSLManager {
                       `<br><small class="text-muted">+${domain.serverNames.length - 1} aliases</small>` : ''}
                   </div>
                 </td>
+                <td onclick="event.stopPropagation()">${this.renderSiteToggle(domain, canManage)}</td>
                 <td>${this.renderSSLStatus(domain)}</td>
                 <td>${this.formatExpiryDate(domain.ssl)}</td>
                 <td>
@@ -982,7 +1305,7 @@ class SSLManager {
                 </td>
               </tr>
               <tr id="ssl-install-form-row-${domain.domain}" style="display: none;">
-                <td colspan="4">
+                <td colspan="${canManage ? 6 : 5}">
                   <div class="alert alert-light border m-2">
                     <h6 class="alert-heading">Install SSL Certificate for ${domain.domain}</h6>
                     <div class="row">
@@ -1031,6 +1354,93 @@ class SSLManager {
     this.renderPagination();
   }
 
+  renderSiteToggle(domain, canManage) {
+    const maintenanceBadge = domain.maintenance ? `
+      <span class="badge bg-warning text-dark" title="In maintenance since ${new Date(domain.maintenance.enabledAt).toLocaleString()}${domain.maintenance.enabledBy ? ` (${domain.maintenance.enabledBy})` : ''}">
+        <i class="fas fa-hard-hat me-1"></i>Maintenance
+      </span>
+    ` : '';
+
+    if (!canManage) {
+      return `<span class="badge ${domain.enabled ? 'bg-success' : 'bg-secondary'}">${domain.enabled ? 'Enabled' : 'Disabled'}</span>${maintenanceBadge}`;
+    }
+
+    return `
+      <div class="form-check form-switch mb-0" title="${domain.enabled ? 'Disable' : 'Enable'} this site in nginx">
+        <input class="form-check-input" type="checkbox" role="switch" ${domain.enabled ? 'checked' : ''}
+               onchange="sslManager.setSiteEnabled('${domain.domain}', this.checked, this)">
+      </div>
+      ${maintenanceBadge}
+    `;
+  }
+
+  async setSiteEnabled(domain, enabled, toggle = null) {
+    if (!enabled && !confirm(`Disable ${domain}? nginx will stop serving it until it is enabled again. Its configuration and certificate are kept.`)) {
+      if (toggle) toggle.checked = true;
+      return;
+    }
+
+    if (toggle) toggle.disabled = true;
+
+    try {
+      const response = await this.api('POST', `/domains/${enabled ? 'enable' : 'disable'}/${domain}`);
+      this.addNotification('success', response.message, true);
+      await this.loadDomains();
+    } catch (error) {
+      console.error('Error changing site state:', error);
+      this.addNotification('error', `Failed to ${enabled ? 'enable' : 'disable'} ${domain}: ${error.response?.data?.message || error.message}`, true);
+      if (toggle) {
+        toggle.checked = !enabled;
+        toggle.disabled = false;
+      }
+    }
+  }
+
+  toggleBulkSelection(domain, selected) {
+    if (selected) {
+      this.bulkSelection.add(domain);
+    } else {
+      this.bulkSelection.delete(domain);
+    }
+    this.renderDomainList();
+  }
+
+  toggleBulkSelectPage(selected) {
+    this.getCurrentPageDomains().forEach(domain => {
+      if (selected) {
+        this.bulkSelection.add(domain.domain);
+      } else {
+        this.bulkSelection.delete(domain.domain);
+      }
+    });
+    this.renderDomainList();
+  }
+
+  clearBulkSelection() {
+    this.bulkSelection.clear();
+    this.renderDomainList();
+  }
+
+  async bulkSetSitesEnabled(enabled) {
+    const domains = [...this.bulkSelection];
+    if (domains.length === 0) return;
+
+    if (!enabled && !confirm(`Disable ${domains.length} site(s)? nginx will stop serving them until they are enabled again.`)) {
+      return;
+    }
+
+    try {
+      this.addNotification('info', `${enabled ? 'Enabling' : 'Disabling'} ${domains.length} site(s)...`, false);
+      const response = await this.api('POST', `/domains/bulk/${enabled ? 'enable' : 'disable'}`, { domains });
+      this.addNotification(response.notFound.length ? 'warning' : 'success', response.message, true);
+      this.bulkSelection.clear();
+      await this.loadDomains();
+    } catch (error) {
+      console.error('Error changing site states:', error);
+      this.addNotification('error', `Failed to ${enabled ? 'enable' : 'disable'} sites: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
   renderPagination() {
     const container = document.getElementById('pagination-container');
     if (!container) return;
@@ -1129,11 +1539,29 @@ class SSLManager {
     container.innerHTML = `
       <div class="card">
         <div class="card-header">
-          <h6 class="mb-0"><i class="fas fa-shield-alt me-2"></i>SSL Certificate Details</h6>
+          <ul class="nav nav-tabs card-header-tabs">
+            ${[
+              ['details', 'fa-shield-alt', 'SSL Details'],
+              ['redirects', 'fa-directions', 'Redirects'],
+              ['headers', 'fa-heading', 'Headers'],
+              ['access', 'fa-user-lock', 'Access'],
+              ['limits', 'fa-tachometer-alt', 'Limits'],
+              ['performance', 'fa-bolt', 'Performance'],
+              ['upstreams', 'fa-network-wired', 'Upstreams'],
+              ['logs', 'fa-file-alt', 'Logs'],
+              ['traffic', 'fa-chart-bar', 'Traffic']
+            ].map(([tab, icon, label]) => `
+              <li class="nav-item">
+                <button class="nav-link ${this.detailTab === tab ? 'active' : ''}" onclick="sslManager.setDetailTab('${tab}')">
+                  <i class="fas ${icon} me-1"></i>${label}
+                </button>
+              </li>
+            `).join('')}
+          </ul>
         </div>
         <div class="card-body">
           <h6 class="border-bottom pb-2 mb-3">${domain.domain}</h6>
-          
+          ${this.detailTab !== 'details' ? this.renderDetailTab(domain) : `
           <div class="mb-3">
             <label class="form-label fw-bold">Status</label>
             <div>${this.renderSSLStatus(domain)}</div>
@@ -1176,14 +1604,24 @@ class SSLManager {
           <div class="mb-3">
             <label class="form-label fw-bold">Actions</label>
             <div class="d-grid gap-2">
-              ${ssl?.hasSSL ? `
+              ${ssl?.hasSSL && this.hasRole('operator') ? `
                 <button class="btn btn-warning" onclick="sslManager.renewSSL('${domain.domain}')">
                   <i class="fas fa-sync-alt me-1"></i> Renew Certificate
                 </button>
               ` : ''}
-              <button class="btn btn-danger" onclick="sslManager.deleteDomain('${domain.domain}')">
-                <i class="fas fa-trash me-1"></i> Delete Domain
-              </button>
+              ${this.hasRole('operator') ? `
+                <button class="btn btn-outline-primary" onclick="sslManager.openConfigEditor('${domain.domain}')">
+                  <i class="fas fa-code me-1"></i> ${this.hasRole('admin') ? 'Edit' : 'View'} Nginx Config
+                </button>
+                <button class="btn btn-outline-warning" onclick="sslManager.openMaintenanceModal('${domain.domain}')">
+                  <i class="fas fa-hard-hat me-1"></i> ${domain.maintenance ? 'Maintenance Settings' : 'Maintenance Mode'}
+                </button>
+              ` : ''}
+              ${this.hasRole('admin') ? `
+                <button class="btn btn-danger" onclick="sslManager.deleteDomain('${domain.domain}')">
+                  <i class="fas fa-trash me-1"></i> Delete Domain
+                </button>
+              ` : ''}
             </div>
           </div>
 
@@ -1214,563 +1652,3745 @@ class SSLManager {
               </div>
             </div>
           </div>
+
+          ${this.renderServerBlocks(domain)}
+
+          ${this.hasRole('admin') ? this.renderDomainAccess(domain) : ''}
+          `}
         </div>
       </div>
     `;
   }
 
-  renderSSLStatus(domain) {
-    const ssl = domain.ssl;
-    if (!ssl) {
-      return '<span class="badge bg-secondary">Unknown</span>';
-    }
+  setDetailTab(tab) {
+    this.stopLogTail();
+    this.detailTab = tab;
+    this.renderSSLPanel();
+  }
 
-    return this.getSSLStatusBadge(ssl);
+  renderDetailTab(domain) {
+    switch (this.detailTab) {
+      case 'redirects':
+        return this.renderRedirectsTab(domain);
+      case 'headers':
+        return this.renderHeadersTab(domain);
+      case 'access':
+        return this.renderAccessTab(domain);
+      case 'limits':
+        return this.renderLimitsTab(domain);
+      case 'performance':
+        return this.renderPerformanceTab(domain);
+      case 'upstreams':
+        return this.renderDomainUpstreamsTab(domain);
+      case 'logs':
+        return this.renderLogsTab(domain);
+      case 'traffic':
+        return this.renderTrafficTab(domain);
+      default:
+        return '';
+    }
   }
 
-  renderCertificateActions(domain) {
-    const ssl = domain.ssl;
-    
+  renderRedirectsTab(domain) {
+    const state = this.redirects;
+    if (!state || state.domain !== domain.domain) {
+      this.loadRedirects(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading redirect settings...</div>';
+    }
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading redirect settings...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to load redirect settings: ${this.escapeHtml(state.error)}</div>`;
+    }
+
+    const { data, draft } = state;
+    const canEdit = this.hasRole('operator');
+    const disabled = canEdit ? '' : 'disabled';
+    const hasPair = data.serverNames.includes(data.apex) && data.serverNames.includes(data.www);
+    const httpsStatus = {
+      panel: ['alert-success', 'Plain HTTP requests are redirected to HTTPS.'],
+      config: ['alert-success', 'The site file already redirects plain HTTP to HTTPS.'],
+      none: ['alert-warning', 'This site has a certificate but still serves plain HTTP without redirecting to HTTPS.'],
+      'no-tls': ['alert-secondary', 'No HTTPS server block yet. Install an SSL certificate to force HTTPS.']
+    }[data.httpsRedirect];
+
     return `
-      <div class="btn-group" role="group">
-        ${!ssl?.hasSSL ? `
-          <button class="btn btn-success btn-sm" onclick="event.stopPropagation(); sslManager.toggleInstallForm('${domain.domain}')" title="Install SSL Certificate">
-            <i class="fas fa-plus me-1"></i> Install SSL
+      <div class="alert ${httpsStatus[0]} small py-2">${httpsStatus[1]}</div>
+
+      <div class="form-check form-switch mb-3">
+        <input class="form-check-input" type="checkbox" id="redirect-force-https" ${draft.forceHttps ? 'checked' : ''}
+               ${canEdit && data.hasTls ? '' : 'disabled'} onchange="sslManager.updateRedirectDraft('forceHttps', this.checked)">
+        <label class="form-check-label" for="redirect-force-https">Force HTTPS (301 from port 80, ACME challenges excepted)</label>
+      </div>
+
+      <div class="mb-3">
+        <label class="form-label fw-bold" for="redirect-canonical">Canonical host</label>
+        <select id="redirect-canonical" class="form-select form-select-sm" ${canEdit && hasPair ? '' : 'disabled'}
+                onchange="sslManager.updateRedirectDraft('canonicalHost', this.value)">
+          <option value="none" ${draft.canonicalHost === 'none' ? 'selected' : ''}>Serve both names</option>
+          <option value="apex" ${draft.canonicalHost === 'apex' ? 'selected' : ''}>Redirect to ${data.apex}</option>
+          <option value="www" ${draft.canonicalHost === 'www' ? 'selected' : ''}>Redirect to ${data.www}</option>
+        </select>
+        ${hasPair ? '' : `<div class="form-text">Needs both ${data.apex} and ${data.www} in server_name.</div>`}
+      </div>
+
+      <label class="form-label fw-bold">Redirect rules</label>
+      ${draft.rules.length === 0 ? '<p class="small text-muted">No redirect rules.</p>' : `
+        <div class="table-responsive">
+          <table class="table table-sm align-middle small">
+            <thead>
+              <tr><th>Type</th><th>Source</th><th>Target</th><th>Code</th><th title="Source is a regular expression">Regex</th>${canEdit ? '<th></th>' : ''}</tr>
+            </thead>
+            <tbody>
+              ${draft.rules.map((rule, index) => `
+                <tr>
+                  <td>
+                    <select class="form-select form-select-sm" ${disabled} onchange="sslManager.updateRedirectRule(${index}, 'type', this.value)">
+                      <option value="path" ${rule.type === 'path' ? 'selected' : ''}>Path</option>
+                      <option value="host" ${rule.type === 'host' ? 'selected' : ''}>Host</option>
+                    </select>
+                  </td>
+                  <td>
+                    <input type="text" class="form-control form-control-sm font-monospace" value="${this.escapeHtml(rule.source)}" ${disabled}
+                           placeholder="${rule.type === 'host' ? 'old.example.com' : rule.regex ? '^/blog/(.*)$' : '/old-page'}"
+                           onchange="sslManager.updateRedirectRule(${index}, 'source', this.value)">
+                  </td>
+                  <td>
+                    <input type="text" class="form-control form-control-sm font-monospace" value="${this.escapeHtml(rule.target)}" ${disabled}
+                           placeholder="${rule.type === 'host' ? 'https://example.com' : rule.regex ? '/news/$1' : '/new-page'}"
+                           onchange="sslManager.updateRedirectRule(${index}, 'target', this.value)">
+                  </td>
+                  <td>
+                    <select class="form-select form-select-sm" ${disabled} onchange="sslManager.updateRedirectRule(${index}, 'code', this.value)">
+                      ${[301, 302, 307, 308].map(code => `<option value="${code}" ${Number(rule.code) === code ? 'selected' : ''}>${code}</option>`).join('')}
+                    </select>
+                  </td>
+                  <td class="text-center">
+                    <input type="checkbox" class="form-check-input" ${rule.regex ? 'checked' : ''} ${canEdit && rule.type === 'path' ? '' : 'disabled'}
+                           onchange="sslManager.updateRedirectRule(${index}, 'regex', this.checked)">
+                  </td>
+                  ${canEdit ? `
+                    <td>
+                      <button class="btn btn-sm btn-outline-danger" title="Remove rule" onclick="sslManager.removeRedirectRule(${index})">
+                        <i class="fas fa-times"></i>
+                      </button>
+                    </td>
+                  ` : ''}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+
+      ${canEdit ? `
+        <div class="d-flex gap-2 mt-2">
+          <button class="btn btn-sm btn-outline-secondary" onclick="sslManager.addRedirectRule()">
+            <i class="fas fa-plus me-1"></i>Add Rule
           </button>
-        ` : `
-          <button class="btn btn-warning btn-sm" onclick="event.stopPropagation(); sslManager.renewSSL('${domain.domain}')" title="Renew SSL Certificate">
-            <i class="fas fa-sync-alt me-1"></i> Renew
+          <button class="btn btn-sm btn-primary ms-auto" onclick="sslManager.saveRedirects()">
+            <i class="fas fa-save me-1"></i>Save Redirects
           </button>
-        `}
-        <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); sslManager.deleteDomain('${domain.domain}')" title="Delete Domain">
-          <i class="fas fa-trash me-1"></i> Delete
-        </button>
-      </div>
+        </div>
+      ` : ''}
+      ${data.updatedAt ? `
+        <div class="small text-muted mt-2">Last changed ${new Date(data.updatedAt).toLocaleString()}${data.updatedBy ? ` by ${data.updatedBy}` : ''}</div>
+      ` : ''}
     `;
   }
 
-  toggleInstallForm(domain) {
-    const formRow = document.getElementById(`ssl-install-form-row-${domain}`);
-    if (formRow) {
-      const isVisible = formRow.style.display !== 'none';
-      formRow.style.display = isVisible ? 'none' : 'table-row';
-      
-      if (!isVisible) {
-        const emailInput = document.getElementById(`ssl-email-${domain}`);
-        if (emailInput) {
-          setTimeout(() => emailInput.focus(), 100);
-        }
-      }
+  async loadRedirects(domain) {
+    this.redirects = { domain, loading: true };
+
+    try {
+      const data = await this.api('GET', `/domains/redirects/${domain}`);
+      if (this.redirects?.domain !== domain) return;
+      this.redirects = { domain, data, draft: JSON.parse(JSON.stringify(data.settings)) };
+    } catch (error) {
+      if (this.redirects?.domain !== domain) return;
+      this.redirects = { domain, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'redirects') {
+      this.renderSSLPanel();
     }
   }
 
-  async installSSLFromForm(domain) {
-    const emailInput = document.getElementById(`ssl-email-${domain}`);
-    const methodSelect = document.getElementById(`ssl-method-${domain}`);
-    
-    if (!emailInput || !methodSelect) return;
+  updateRedirectDraft(field, value) {
+    this.redirects.draft[field] = value;
+  }
 
-    const email = emailInput.value.trim();
-    const method = methodSelect.value;
-    
-    if (!email) {
-      this.addNotification('error', 'Email address is required', true);
-      emailInput.focus();
-      return;
-    }
+  updateRedirectRule(index, field, value) {
+    const rule = this.redirects.draft.rules[index];
+    rule[field] = value;
 
-    if (!email.includes('@') || !email.includes('.')) {
-      this.addNotification('error', 'Please enter a valid email address', true);
-      emailInput.focus();
-      return;
+    // Host redirects keep the request path and never use a regex
+    if (field === 'type' || field === 'regex') {
+      if (rule.type === 'host') rule.regex = false;
+      this.renderSSLPanel();
     }
+  }
 
-    this.toggleInstallForm(domain);
-    await this.installSSL(domain, email, method);
+  addRedirectRule() {
+    this.redirects.draft.rules.push({ type: 'path', source: '', target: '', code: 301, regex: false });
+    this.renderSSLPanel();
   }
 
-  toggleAddDomainForm() {
-    const form = document.getElementById('add-domain-form');
-    if (form) {
-      const isVisible = form.style.display !== 'none';
-      form.style.display = isVisible ? 'none' : 'block';
-      
-      if (!isVisible) {
-        const domainInput = document.getElementById('new-domain-input');
-        if (domainInput) {
-          domainInput.focus();
-        }
-      } else {
-        // Clear form when hiding
-        const domainInput = document.getElementById('new-domain-input');
-        const validationMessage = document.getElementById('domain-validation-message');
-        if (domainInput) domainInput.value = '';
-        if (validationMessage) validationMessage.textContent = '';
-      }
+  removeRedirectRule(index) {
+    this.redirects.draft.rules.splice(index, 1);
+    this.renderSSLPanel();
+  }
+
+  async saveRedirects() {
+    const { domain, draft } = this.redirects;
+
+    try {
+      const response = await this.api('PUT', `/domains/redirects/${domain}`, draft);
+
+      this.redirects = { domain, data: response, draft: JSON.parse(JSON.stringify(response.settings)) };
+      this.addNotification('success', response.message, true);
+      this.renderSSLPanel();
+    } catch (error) {
+      console.error('Error saving redirects:', error);
+      this.addNotification('error', `Failed to save redirects: ${error.response?.data?.message || error.message}`, true);
     }
   }
 
-  validateDomain(domain) {
-    if (!domain || typeof domain !== 'string') {
-      return { valid: false, error: 'Domain must be a valid string' };
+  renderHeadersTab(domain) {
+    const state = this.headerPolicy;
+    if (!state || state.domain !== domain.domain) {
+      this.loadHeaderPolicy(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading header policy...</div>';
+    }
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading header policy...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to load header policy: ${this.escapeHtml(state.error)}</div>`;
     }
 
-    // Remove protocol if present
-    domain = domain.replace(/^https?:\/\//, '');
-    
-    // Remove trailing slash
-    domain = domain.replace(/\/$/, '');
-    
-    // Check for valid domain format
+    const { data, draft, check } = state;
+    const canEdit = this.hasRole('operator');
+    const preset = data.presets.find(item => item.name === draft.preset);
+    const checkBadges = {
+      ok: 'bg-success', missing: 'bg-danger', mismatch: 'bg-warning text-dark', duplicate: 'bg-warning text-dark', unmanaged: 'bg-secondary'
+    };
+
+    return `
+      ${data.applied ? '' : '<div class="alert alert-secondary small py-2">The panel sets no security headers for this site yet.</div>'}
+      ${data.warnings.map(warning => `<div class="alert alert-warning small py-2">${this.escapeHtml(warning)}</div>`).join('')}
+
+      <div class="mb-3">
+        <label class="form-label fw-bold" for="headers-preset">Preset</label>
+        <select id="headers-preset" class="form-select form-select-sm" ${canEdit ? '' : 'disabled'}
+                onchange="sslManager.updateHeaderDraft('preset', this.value)">
+          ${data.presets.map(item => `<option value="${item.name}" ${item.name === draft.preset ? 'selected' : ''}>${item.label}</option>`).join('')}
+        </select>
+        <div class="form-text">${preset ? this.escapeHtml(preset.description) : ''}</div>
+      </div>
+
+      <label class="form-label fw-bold">Headers</label>
+      <div class="small text-muted mb-2">Leave a value empty to use the preset's; untick a header to leave it out.</div>
+      ${data.managedHeaders.map((name) => {
+        const presetValue = preset?.headers[name] || '';
+        const override = draft.overrides[name];
+        const sent = override === undefined ? Boolean(presetValue) : override !== null;
+        return `
+          <div class="mb-2">
+            <div class="form-check">
+              <input class="form-check-input" type="checkbox" id="header-${name}" ${sent ? 'checked' : ''} ${canEdit ? '' : 'disabled'}
+                     onchange="sslManager.toggleHeader('${name}', this.checked)">
+              <label class="form-check-label font-monospace small" for="header-${name}">${name}</label>
+            </div>
+            ${sent ? `
+              <input type="text" class="form-control form-control-sm font-monospace" value="${this.escapeHtml(override || '')}"
+                     placeholder="${this.escapeHtml(presetValue)}" ${canEdit ? '' : 'disabled'}
+                     onchange="sslManager.updateHeaderOverride('${name}', this.value)">
+            ` : ''}
+          </div>
+        `;
+      }).join('')}
+
+      <div class="d-flex gap-2 mt-3">
+        <button class="btn btn-sm btn-outline-secondary" onclick="sslManager.checkLiveHeaders()">
+          <i class="fas fa-stethoscope me-1"></i>Check Live Headers
+        </button>
+        ${canEdit ? `
+          <button class="btn btn-sm btn-primary ms-auto" onclick="sslManager.saveHeaderPolicy()">
+            <i class="fas fa-save me-1"></i>Save Headers
+          </button>
+        ` : ''}
+      </div>
+      ${data.updatedAt ? `
+        <div class="small text-muted mt-2">Last changed ${new Date(data.updatedAt).toLocaleString()}${data.updatedBy ? ` by ${data.updatedBy}` : ''}</div>
+      ` : ''}
+
+      ${check ? `
+        <div class="mt-3">
+          <label class="form-label fw-bold">Live check</label>
+          ${check.error ? `<div class="alert alert-danger small py-2">${this.escapeHtml(check.error)}</div>` : `
+            <div class="small mb-2">
+              <span class="badge ${check.passed ? 'bg-success' : 'bg-danger'}">${check.passed ? 'Matches policy' : 'Differs from policy'}</span>
+              <span class="font-monospace ms-1">${this.escapeHtml(check.url)}</span> answered ${check.statusCode}
+            </div>
+            <table class="table table-sm small">
+              <thead><tr><th>Header</th><th>Received</th><th></th></tr></thead>
+              <tbody>
+                ${check.results.map(result => `
+                  <tr>
+                    <td class="font-monospace">${result.name}</td>
+                    <td class="font-monospace text-break">
+                      ${result.actual ? this.escapeHtml(result.actual) : '<span class="text-muted">(none)</span>'}
+                      ${result.status === 'mismatch' ? `<div class="text-muted">expected ${this.escapeHtml(result.expected)}</div>` : ''}
+                    </td>
+                    <td><span class="badge ${checkBadges[result.status]}">${result.status}</span></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  async loadHeaderPolicy(domain) {
+    this.headerPolicy = { domain, loading: true };
+
+    try {
+      const data = await this.api('GET', `/domains/security-headers/${domain}`);
+      if (this.headerPolicy?.domain !== domain) return;
+      this.headerPolicy = { domain, data, draft: { preset: data.preset, overrides: { ...data.overrides } } };
+    } catch (error) {
+      if (this.headerPolicy?.domain !== domain) return;
+      this.headerPolicy = { domain, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'headers') {
+      this.renderSSLPanel();
+    }
+  }
+
+  updateHeaderDraft(field, value) {
+    this.headerPolicy.draft[field] = value;
+    this.renderSSLPanel();
+  }
+
+  updateHeaderOverride(name, value) {
+    const { draft, data } = this.headerPolicy;
+    const presetValue = data.presets.find(item => item.name === draft.preset)?.headers[name];
+
+    // An empty value falls back to the preset's, when it has one
+    if ((value.trim() === '' && presetValue) || value.trim() === presetValue) {
+      delete draft.overrides[name];
+    } else {
+      draft.overrides[name] = value.trim();
+    }
+  }
+
+  toggleHeader(name, sent) {
+    const { draft, data } = this.headerPolicy;
+    const presetValue = data.presets.find(item => item.name === draft.preset)?.headers[name];
+
+    if (sent) {
+      // A header the preset doesn't send needs a value, so start from an empty override
+      if (presetValue) delete draft.overrides[name];
+      else draft.overrides[name] = '';
+    } else {
+      if (presetValue) draft.overrides[name] = null;
+      else delete draft.overrides[name];
+    }
+    this.renderSSLPanel();
+  }
+
+  async saveHeaderPolicy() {
+    const { domain, draft } = this.headerPolicy;
+
+    try {
+      const response = await this.api('PUT', `/domains/security-headers/${domain}`, draft);
+
+      this.headerPolicy = { domain, data: response, draft: { preset: response.preset, overrides: { ...response.overrides } } };
+      this.addNotification('success', response.message, true);
+      this.renderSSLPanel();
+    } catch (error) {
+      console.error('Error saving security headers:', error);
+      this.addNotification('error', `Failed to save security headers: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async checkLiveHeaders() {
+    const state = this.headerPolicy;
+
+    try {
+      state.check = await this.api('GET', `/domains/security-headers/${state.domain}/check`);
+    } catch (error) {
+      state.check = { error: error.response?.data?.message || error.message };
+    }
+
+    if (this.headerPolicy === state) {
+      this.renderSSLPanel();
+    }
+  }
+
+  renderAccessTab(domain) {
+    const state = this.accessRules;
+    if (!state || state.domain !== domain.domain) {
+      this.loadAccessRules(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading access rules...</div>';
+    }
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading access rules...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to load access rules: ${this.escapeHtml(state.error)}</div>`;
+    }
+
+    const { data, draft } = state;
+    const canEdit = this.hasRole('operator');
+    const disabled = canEdit ? '' : 'disabled';
+
+    return `
+      ${data.warnings.map(warning => `<div class="alert alert-warning small py-2">${this.escapeHtml(warning)}</div>`).join('')}
+      <datalist id="access-locations">
+        ${data.locations.map(location => `<option value="${this.escapeHtml(location)}"></option>`).join('')}
+      </datalist>
+
+      ${draft.length === 0 ? '<p class="small text-muted">No access rules. The site is open to everyone.</p>' : ''}
+      ${draft.map((rule, index) => `
+        <div class="border rounded p-2 mb-3 small">
+          <div class="d-flex gap-2 align-items-center mb-2">
+            <input type="text" class="form-control form-control-sm font-monospace" list="access-locations" value="${this.escapeHtml(rule.location)}" ${disabled}
+                   placeholder="Whole site" title="An existing location, or a path such as /admin/ (leave empty for the whole site)"
+                   onchange="sslManager.updateAccessRule(${index}, 'location', this.value)">
+            ${canEdit ? `
+              <button class="btn btn-sm btn-outline-danger" title="Remove rule" onclick="sslManager.removeAccessRule(${index})">
+                <i class="fas fa-times"></i>
+              </button>
+            ` : ''}
+          </div>
+          <div class="row g-2 mb-2">
+            <div class="col-md-6">
+              <label class="form-label mb-1">Allow only</label>
+              <textarea class="form-control form-control-sm font-monospace" rows="2" ${disabled} placeholder="203.0.113.0/24"
+                        onchange="sslManager.updateAccessRule(${index}, 'allow', this.value)">${this.escapeHtml(rule.allow)}</textarea>
+            </div>
+            <div class="col-md-6">
+              <label class="form-label mb-1">Deny</label>
+              <textarea class="form-control form-control-sm font-monospace" rows="2" ${disabled} placeholder="198.51.100.7"
+                        onchange="sslManager.updateAccessRule(${index}, 'deny', this.value)">${this.escapeHtml(rule.deny)}</textarea>
+            </div>
+          </div>
+          <label class="form-label mb-1">Basic auth users</label>
+          ${rule.users.map((user, userIndex) => `
+            <div class="input-group input-group-sm mb-1">
+              <span class="input-group-text font-monospace" style="min-width: 8rem">${this.escapeHtml(user.username)}</span>
+              <input type="password" class="form-control" autocomplete="new-password" value="${this.escapeHtml(user.password)}" ${disabled}
+                     placeholder="${user.isNew ? 'Password (at least 8 characters)' : 'Unchanged - type to set a new password'}"
+                     onchange="sslManager.updateAccessUser(${index}, ${userIndex}, this.value)">
+              ${canEdit ? `
+                <button class="btn btn-outline-danger" title="Remove user" onclick="sslManager.removeAccessUser(${index}, ${userIndex})">
+                  <i class="fas fa-user-minus"></i>
+                </button>
+              ` : ''}
+            </div>
+          `).join('')}
+          ${canEdit ? `
+            <div class="input-group input-group-sm mb-2">
+              <input type="text" class="form-control" id="access-new-user-${index}" placeholder="Username" autocomplete="off">
+              <button class="btn btn-outline-secondary" onclick="sslManager.addAccessUser(${index})">
+                <i class="fas fa-user-plus me-1"></i>Add User
+              </button>
+            </div>
+          ` : ''}
+          ${rule.users.length ? `
+            <div class="row g-2">
+              <div class="col-md-6">
+                <input type="text" class="form-control form-control-sm" value="${this.escapeHtml(rule.realm)}" ${disabled} placeholder="Realm shown in the login prompt"
+                       onchange="sslManager.updateAccessRule(${index}, 'realm', this.value)">
+              </div>
+              <div class="col-md-6">
+                <div class="form-check">
+                  <input class="form-check-input" type="checkbox" id="access-satisfy-${index}" ${rule.satisfy === 'any' ? 'checked' : ''}
+                         ${canEdit && rule.allow.trim() ? '' : 'disabled'} onchange="sslManager.updateAccessRule(${index}, 'satisfy', this.checked ? 'any' : 'all')">
+                  <label class="form-check-label" for="access-satisfy-${index}">Allowed addresses skip the password</label>
+                </div>
+              </div>
+            </div>
+          ` : ''}
+        </div>
+      `).join('')}
+
+      ${canEdit ? `
+        <div class="d-flex gap-2 mt-2">
+          <button class="btn btn-sm btn-outline-secondary" onclick="sslManager.addAccessRule()">
+            <i class="fas fa-plus me-1"></i>Add Rule
+          </button>
+          <button class="btn btn-sm btn-primary ms-auto" onclick="sslManager.saveAccessRules()">
+            <i class="fas fa-save me-1"></i>Save Access Rules
+          </button>
+        </div>
+      ` : ''}
+      ${data.updatedAt ? `
+        <div class="small text-muted mt-2">Last changed ${new Date(data.updatedAt).toLocaleString()}${data.updatedBy ? ` by ${data.updatedBy}` : ''}</div>
+      ` : ''}
+    `;
+  }
+
+  // Editable copy of the rules; address lists are edited as text and passwords start empty
+  toAccessDraft(rules) {
+    return rules.map(rule => ({
+      location: rule.location || '',
+      allow: rule.allow.join(', '),
+      deny: rule.deny.join(', '),
+      satisfy: rule.satisfy,
+      realm: rule.realm,
+      users: rule.users.map(user => ({ username: user.username, password: '', isNew: false }))
+    }));
+  }
+
+  async loadAccessRules(domain) {
+    this.accessRules = { domain, loading: true };
+
+    try {
+      const data = await this.api('GET', `/domains/access-rules/${domain}`);
+      if (this.accessRules?.domain !== domain) return;
+      this.accessRules = { domain, data, draft: this.toAccessDraft(data.rules) };
+    } catch (error) {
+      if (this.accessRules?.domain !== domain) return;
+      this.accessRules = { domain, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'access') {
+      this.renderSSLPanel();
+    }
+  }
+
+  updateAccessRule(index, field, value) {
+    this.accessRules.draft[index][field] = value;
+
+    // The "skip the password" option only applies with an allow list
+    if (field === 'allow') {
+      this.renderSSLPanel();
+    }
+  }
+
+  addAccessRule() {
+    this.accessRules.draft.push({ location: '', allow: '', deny: '', satisfy: 'all', realm: 'Restricted', users: [] });
+    this.renderSSLPanel();
+  }
+
+  removeAccessRule(index) {
+    this.accessRules.draft.splice(index, 1);
+    this.renderSSLPanel();
+  }
+
+  addAccessUser(index) {
+    const username = document.getElementById(`access-new-user-${index}`).value.trim();
+    const rule = this.accessRules.draft[index];
+
+    if (!username) return;
+    if (rule.users.some(user => user.username === username)) {
+      this.addNotification('warning', `${username} is already a user of this rule`, false);
+      return;
+    }
+
+    rule.users.push({ username, password: '', isNew: true });
+    this.renderSSLPanel();
+  }
+
+  updateAccessUser(index, userIndex, password) {
+    this.accessRules.draft[index].users[userIndex].password = password;
+  }
+
+  removeAccessUser(index, userIndex) {
+    this.accessRules.draft[index].users.splice(userIndex, 1);
+    this.renderSSLPanel();
+  }
+
+  async saveAccessRules() {
+    const { domain, draft } = this.accessRules;
+    const rules = draft.map(rule => ({
+      location: rule.location.trim() || null,
+      allow: rule.allow,
+      deny: rule.deny,
+      satisfy: rule.satisfy,
+      realm: rule.realm,
+      // Users without a new password keep the one they have
+      users: rule.users.map(user => (user.password ? { username: user.username, password: user.password } : { username: user.username }))
+    }));
+
+    try {
+      const response = await this.api('PUT', `/domains/access-rules/${domain}`, { rules });
+
+      this.accessRules = { domain, data: response, draft: this.toAccessDraft(response.rules) };
+      this.addNotification('success', response.message, true);
+      this.renderSSLPanel();
+    } catch (error) {
+      console.error('Error saving access rules:', error);
+      this.addNotification('error', `Failed to save access rules: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  renderLimitsTab(domain) {
+    const state = this.rateLimits;
+    if (!state || state.domain !== domain.domain) {
+      this.loadRateLimits(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading rate limits...</div>';
+    }
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading rate limits...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to load rate limits: ${this.escapeHtml(state.error)}</div>`;
+    }
+
+    const { data, draft } = state;
+    const canEdit = this.hasRole('operator');
+    const disabled = canEdit ? '' : 'disabled';
+    const zoneType = name => data.zones.find(zone => zone.name === name)?.type;
+    const describeZone = zone => (zone.type === 'req' ? `${zone.rate} req/${zone.per} per ${zone.key}` : `connections per ${zone.key}`);
+
+    if (data.zones.length === 0 && draft.rules.length === 0) {
+      return `<p class="small text-muted">No rate limit zones yet.${this.hasRole('admin') ? ' Create one on the Rate Limits page.' : ' Ask an admin to create one.'}</p>`;
+    }
+
+    return `
+      ${data.warnings.map(warning => `<div class="alert alert-warning small py-2">${this.escapeHtml(warning)}</div>`).join('')}
+      <datalist id="limit-locations">
+        ${data.locations.map(location => `<option value="${this.escapeHtml(location)}"></option>`).join('')}
+      </datalist>
+
+      <div class="mb-3">
+        <label class="form-label fw-bold" for="limit-status">Status code for limited requests</label>
+        <input type="number" id="limit-status" class="form-control form-control-sm" style="max-width: 8rem" min="400" max="599"
+               value="${draft.status}" ${disabled} onchange="sslManager.updateRateLimitDraft('status', this.value)">
+      </div>
+
+      <label class="form-label fw-bold">Limits</label>
+      ${draft.rules.length === 0 ? '<p class="small text-muted">No limits.</p>' : `
+        <div class="table-responsive">
+          <table class="table table-sm align-middle small">
+            <thead>
+              <tr><th>Location</th><th>Zone</th><th>Burst / connections</th><th title="Serve burst requests right away">Nodelay</th>${canEdit ? '<th></th>' : ''}</tr>
+            </thead>
+            <tbody>
+              ${draft.rules.map((rule, index) => `
+                <tr>
+                  <td>
+                    <input type="text" class="form-control form-control-sm font-monospace" list="limit-locations" value="${this.escapeHtml(rule.location)}" ${disabled}
+                           placeholder="Whole site" onchange="sslManager.updateRateLimitRule(${index}, 'location', this.value)">
+                  </td>
+                  <td>
+                    <select class="form-select form-select-sm" ${disabled} onchange="sslManager.updateRateLimitRule(${index}, 'zone', this.value)">
+                      ${data.zones.map(zone => `<option value="${zone.name}" ${zone.name === rule.zone ? 'selected' : ''}>${zone.name} (${describeZone(zone)})</option>`).join('')}
+                    </select>
+                  </td>
+                  <td>
+                    ${zoneType(rule.zone) === 'conn' ? `
+                      <input type="number" class="form-control form-control-sm" min="1" value="${rule.connections}" ${disabled} title="Connections"
+                             onchange="sslManager.updateRateLimitRule(${index}, 'connections', this.value)">
+                    ` : `
+                      <input type="number" class="form-control form-control-sm" min="0" value="${rule.burst}" ${disabled} title="Burst"
+                             onchange="sslManager.updateRateLimitRule(${index}, 'burst', this.value)">
+                    `}
+                  </td>
+                  <td class="text-center">
+                    <input type="checkbox" class="form-check-input" ${rule.nodelay ? 'checked' : ''} ${canEdit && zoneType(rule.zone) === 'req' ? '' : 'disabled'}
+                           onchange="sslManager.updateRateLimitRule(${index}, 'nodelay', this.checked)">
+                  </td>
+                  ${canEdit ? `
+                    <td>
+                      <button class="btn btn-sm btn-outline-danger" title="Remove limit" onclick="sslManager.removeRateLimitRule(${index})">
+                        <i class="fas fa-times"></i>
+                      </button>
+                    </td>
+                  ` : ''}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+
+      ${canEdit ? `
+        <div class="d-flex gap-2 mt-2">
+          <button class="btn btn-sm btn-outline-secondary" onclick="sslManager.addRateLimitRule()" ${data.zones.length ? '' : 'disabled'}>
+            <i class="fas fa-plus me-1"></i>Add Limit
+          </button>
+          <button class="btn btn-sm btn-primary ms-auto" onclick="sslManager.saveRateLimits()">
+            <i class="fas fa-save me-1"></i>Save Limits
+          </button>
+        </div>
+      ` : ''}
+      ${data.updatedAt ? `
+        <div class="small text-muted mt-2">Last changed ${new Date(data.updatedAt).toLocaleString()}${data.updatedBy ? ` by ${data.updatedBy}` : ''}</div>
+      ` : ''}
+    `;
+  }
+
+  // Editable copy of the limits; every rule carries both burst and connections so the zone can be switched
+  toRateLimitDraft(data) {
+    return {
+      status: data.status,
+      rules: data.rules.map(rule => ({
+        location: rule.location || '',
+        zone: rule.zone,
+        burst: rule.burst ?? 0,
+        nodelay: Boolean(rule.nodelay),
+        connections: rule.connections ?? 10
+      }))
+    };
+  }
+
+  async loadRateLimits(domain) {
+    this.rateLimits = { domain, loading: true };
+
+    try {
+      const data = await this.api('GET', `/domains/rate-limits/${domain}`);
+      if (this.rateLimits?.domain !== domain) return;
+      this.rateLimits = { domain, data, draft: this.toRateLimitDraft(data) };
+    } catch (error) {
+      if (this.rateLimits?.domain !== domain) return;
+      this.rateLimits = { domain, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'limits') {
+      this.renderSSLPanel();
+    }
+  }
+
+  updateRateLimitDraft(field, value) {
+    this.rateLimits.draft[field] = value;
+  }
+
+  updateRateLimitRule(index, field, value) {
+    this.rateLimits.draft.rules[index][field] = value;
+
+    // Request and connection zones take different settings
+    if (field === 'zone') {
+      this.renderSSLPanel();
+    }
+  }
+
+  addRateLimitRule() {
+    this.rateLimits.draft.rules.push({ location: '', zone: this.rateLimits.data.zones[0].name, burst: 0, nodelay: false, connections: 10 });
+    this.renderSSLPanel();
+  }
+
+  removeRateLimitRule(index) {
+    this.rateLimits.draft.rules.splice(index, 1);
+    this.renderSSLPanel();
+  }
+
+  async saveRateLimits() {
+    const { domain, data, draft } = this.rateLimits;
+    const rules = draft.rules.map((rule) => {
+      const zone = data.zones.find(item => item.name === rule.zone);
+      return zone?.type === 'conn' ?
+        { location: rule.location.trim() || null, zone: rule.zone, connections: rule.connections } :
+        { location: rule.location.trim() || null, zone: rule.zone, burst: rule.burst, nodelay: rule.nodelay };
+    });
+
+    try {
+      const response = await this.api('PUT', `/domains/rate-limits/${domain}`, { status: draft.status, rules });
+
+      this.rateLimits = { domain, data: response, draft: this.toRateLimitDraft(response) };
+      this.addNotification('success', response.message, true);
+      this.renderSSLPanel();
+    } catch (error) {
+      console.error('Error saving rate limits:', error);
+      this.addNotification('error', `Failed to save rate limits: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  renderPerformanceTab(domain) {
+    const state = this.performance;
+    if (!state || state.domain !== domain.domain) {
+      this.loadPerformance(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading performance settings...</div>';
+    }
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading performance settings...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to load performance settings: ${this.escapeHtml(state.error)}</div>`;
+    }
+
+    const { data, draft } = state;
+    const canEdit = this.hasRole('operator');
+    const disabled = canEdit ? '' : 'disabled';
+    const preset = data.presets.find(item => item.name === draft.preset);
+    const field = (section, name, label, hint, type = 'text') => `
+      <div class="col-md-4">
+        <label class="form-label small mb-1">${label}</label>
+        <input type="${type}" class="form-control form-control-sm ${type === 'text' ? 'font-monospace' : ''}" value="${this.escapeHtml(draft[section][name])}"
+               ${canEdit && draft[section].enabled ? '' : 'disabled'} onchange="sslManager.updatePerformanceDraft('${section}', '${name}', this.value)">
+        ${hint ? `<div class="form-text">${hint}</div>` : ''}
+      </div>
+    `;
+    const list = (section, name, label, hint) => `
+      <div class="mt-2">
+        <label class="form-label small mb-1">${label}</label>
+        <textarea class="form-control form-control-sm font-monospace" rows="2" ${canEdit && draft[section].enabled ? '' : 'disabled'}
+                  onchange="sslManager.updatePerformanceDraft('${section}', '${name}', this.value)">${this.escapeHtml(draft[section][name])}</textarea>
+        ${hint ? `<div class="form-text">${hint}</div>` : ''}
+      </div>
+    `;
+    const toggle = (section, label) => `
+      <div class="form-check form-switch">
+        <input class="form-check-input" type="checkbox" id="performance-${section}" ${draft[section].enabled ? 'checked' : ''} ${disabled}
+               onchange="sslManager.updatePerformanceDraft('${section}', 'enabled', this.checked)">
+        <label class="form-check-label fw-bold" for="performance-${section}">${label}</label>
+      </div>
+    `;
+
+    return `
+      ${data.warnings.map(warning => `<div class="alert alert-warning small py-2">${this.escapeHtml(warning)}</div>`).join('')}
+
+      <div class="mb-3">
+        <label class="form-label fw-bold" for="performance-preset">Preset</label>
+        <select id="performance-preset" class="form-select form-select-sm" ${disabled}
+                onchange="sslManager.applyPerformancePreset(this.value)">
+          ${data.presets.map(item => `<option value="${item.name}" ${item.name === draft.preset ? 'selected' : ''}>${item.label}</option>`).join('')}
+          <option value="custom" ${draft.preset === 'custom' ? 'selected' : ''}>Custom</option>
+        </select>
+        <div class="form-text">${preset ? this.escapeHtml(preset.description) : 'Settings changed from a preset'}${data.proxied ? '' : ' &middot; this site has no proxied location'}</div>
+      </div>
+
+      <div class="border rounded p-2 mb-2">
+        ${toggle('gzip', 'gzip compression')}
+        <div class="row g-2 mt-1">
+          ${field('gzip', 'level', 'Level', '1 (fastest) to 9 (smallest)', 'number')}
+          ${field('gzip', 'minLength', 'Minimum size (bytes)', '', 'number')}
+        </div>
+        ${list('gzip', 'types', 'MIME types', 'text/html is always compressed')}
+      </div>
+
+      <div class="border rounded p-2 mb-2">
+        ${toggle('expires', 'Static asset expiry')}
+        <div class="row g-2 mt-1">
+          ${field('expires', 'duration', 'Expires after', 'e.g. 30d, 12h, 1y')}
+        </div>
+        ${list('expires', 'extensions', 'File extensions', '')}
+      </div>
+
+      <div class="border rounded p-2 mb-2">
+        ${toggle('cache', 'Proxy cache')}
+        <div class="row g-2 mt-1">
+          ${field('cache', 'validity', 'Keep responses for', 'For 200, 301 and 302 responses')}
+          ${field('cache', 'inactive', 'Drop unused after', '')}
+          ${field('cache', 'maxSize', 'Maximum size', 'e.g. 500m, 1g')}
+        </div>
+        ${list('cache', 'bypassPaths', 'Never cache paths starting with', 'e.g. /admin /api/ &middot; requests with an Authorization header or ?nocache are never cached')}
+        ${list('cache', 'bypassCookies', 'Never cache requests with cookies', 'Cookie name prefixes, e.g. wordpress_logged_in')}
+        <div class="form-check mt-2">
+          <input class="form-check-input" type="checkbox" id="performance-status-header" ${draft.cache.statusHeader ? 'checked' : ''}
+                 ${canEdit && draft.cache.enabled ? '' : 'disabled'} onchange="sslManager.updatePerformanceDraft('cache', 'statusHeader', this.checked)">
+          <label class="form-check-label small" for="performance-status-header">Send an X-Cache-Status header (HIT, MISS, BYPASS...)</label>
+        </div>
+        ${data.cachePath ? `<div class="small text-muted mt-2">Cache directory: <code>${this.escapeHtml(data.cachePath)}</code></div>` : ''}
+      </div>
+
+      ${canEdit ? `
+        <div class="d-flex gap-2 mt-2">
+          <button class="btn btn-sm btn-outline-danger" onclick="sslManager.purgeCache()" ${data.cache.enabled ? '' : 'disabled'}
+                  title="${data.cache.enabled ? 'Remove every cached response for this site' : 'The proxy cache is off'}">
+            <i class="fas fa-broom me-1"></i>Purge Cache
+          </button>
+          <button class="btn btn-sm btn-primary ms-auto" onclick="sslManager.savePerformance()">
+            <i class="fas fa-save me-1"></i>Save Settings
+          </button>
+        </div>
+      ` : ''}
+      ${data.updatedAt ? `
+        <div class="small text-muted mt-2">Last changed ${new Date(data.updatedAt).toLocaleString()}${data.updatedBy ? ` by ${data.updatedBy}` : ''}</div>
+      ` : ''}
+    `;
+  }
+
+  // Editable copy of the settings; lists are edited as text
+  toPerformanceDraft(data, preset = data.preset) {
+    return {
+      preset,
+      gzip: { ...data.gzip, types: data.gzip.types.join(' ') },
+      expires: { ...data.expires, extensions: data.expires.extensions.join(' ') },
+      cache: { ...data.cache, bypassPaths: data.cache.bypassPaths.join(' '), bypassCookies: data.cache.bypassCookies.join(' ') }
+    };
+  }
+
+  async loadPerformance(domain) {
+    this.performance = { domain, loading: true };
+
+    try {
+      const data = await this.api('GET', `/domains/performance/${domain}`);
+      if (this.performance?.domain !== domain) return;
+      this.performance = { domain, data, draft: this.toPerformanceDraft(data) };
+    } catch (error) {
+      if (this.performance?.domain !== domain) return;
+      this.performance = { domain, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'performance') {
+      this.renderSSLPanel();
+    }
+  }
+
+  applyPerformancePreset(name) {
+    const preset = this.performance.data.presets.find(item => item.name === name);
+
+    // Custom keeps the current settings to edit from
+    if (preset) {
+      this.performance.draft = this.toPerformanceDraft(preset.settings, name);
+    } else {
+      this.performance.draft.preset = name;
+    }
+    this.renderSSLPanel();
+  }
+
+  updatePerformanceDraft(section, field, value) {
+    this.performance.draft[section][field] = value;
+    this.performance.draft.preset = 'custom';
+
+    // Turning a feature on or off enables its fields; the preset select shows Custom either way
+    this.renderSSLPanel();
+  }
+
+  async savePerformance() {
+    const { domain, draft } = this.performance;
+    const { preset, ...settings } = draft;
+
+    try {
+      const response = await this.api('PUT', `/domains/performance/${domain}`, settings);
+
+      this.performance = { domain, data: response, draft: this.toPerformanceDraft(response) };
+      this.addNotification('success', response.message, true);
+      this.renderSSLPanel();
+    } catch (error) {
+      console.error('Error saving performance settings:', error);
+      this.addNotification('error', `Failed to save performance settings: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async purgeCache() {
+    const { domain } = this.performance;
+    if (!confirm(`Remove every cached response for ${domain}? The next requests go to the backend.`)) return;
+
+    try {
+      const response = await this.api('POST', `/domains/performance/${domain}/purge`);
+      this.addNotification('success', response.message, true);
+    } catch (error) {
+      console.error('Error purging cache:', error);
+      this.addNotification('error', `Failed to purge cache: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  renderLogsTab(domain) {
+    const state = this.logs;
+    if (!state || state.domain !== domain.domain) {
+      this.loadLogs(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading logs...</div>';
+    }
+
+    const { type, filters } = state;
+    const file = state.files?.logs[type];
+    const input = (name, label, placeholder, inputType = 'text') => `
+      <div class="col-md-4">
+        <label class="form-label small mb-1" for="log-filter-${name}">${label}</label>
+        <input type="${inputType}" id="log-filter-${name}" class="form-control form-control-sm" value="${this.escapeHtml(filters[name])}"
+               placeholder="${placeholder}" onchange="sslManager.updateLogFilter('${name}', this.value)">
+      </div>
+    `;
+
+    return `
+      <div class="d-flex align-items-center gap-2 mb-2">
+        <div class="btn-group btn-group-sm">
+          ${[['access', 'Access log'], ['error', 'Error log']].map(([name, label]) => `
+            <button class="btn ${type === name ? 'btn-secondary' : 'btn-outline-secondary'}" onclick="sslManager.setLogType('${name}')">${label}</button>
+          `).join('')}
+        </div>
+        <span class="small text-muted font-monospace text-truncate">${file?.path ? this.escapeHtml(file.path) : ''}</span>
+        <button class="btn btn-sm ${state.live ? 'btn-danger' : 'btn-outline-success'} ms-auto" onclick="sslManager.toggleLogTail()"
+                ${file?.readable ? '' : 'disabled'}>
+          <i class="fas ${state.live ? 'fa-stop' : 'fa-play'} me-1"></i>${state.live ? 'Stop Live Tail' : 'Live Tail'}
+        </button>
+      </div>
+
+      ${file && !file.path ? `<div class="alert alert-info small py-2">This site has no ${type} log of its own. Add an <code>${type}_log</code> directive in the config editor to view it here.</div>` : ''}
+      ${file?.path && !file.readable ? `<div class="alert alert-warning small py-2">${this.escapeHtml(file.path)} is outside ${this.escapeHtml(state.files.logDir)} and can't be read through the panel.</div>` : ''}
+
+      <div class="row g-2 mb-2">
+        ${input('search', 'Contains', 'Any text')}
+        ${type === 'access' ? input('status', 'Status', '404, 5xx') : `
+          <div class="col-md-4">
+            <label class="form-label small mb-1" for="log-filter-level">Level</label>
+            <select id="log-filter-level" class="form-select form-select-sm" onchange="sslManager.updateLogFilter('level', this.value)">
+              <option value="">Any</option>
+              ${['warn', 'error', 'crit', 'alert', 'emerg'].map(level => `<option value="${level}" ${filters.level === level ? 'selected' : ''}>${level} or worse</option>`).join('')}
+            </select>
+          </div>
+        `}
+        ${input('path', 'Path starts with', '/api/')}
+        ${input('from', 'From', '', 'datetime-local')}
+        ${input('to', 'To', '', 'datetime-local')}
+        <div class="col-md-4">
+          <label class="form-label small mb-1" for="log-filter-lines">Entries</label>
+          <div class="input-group input-group-sm">
+            <input type="number" id="log-filter-lines" class="form-control" min="1" max="1000" value="${filters.lines}"
+                   onchange="sslManager.updateLogFilter('lines', this.value)">
+            <button class="btn btn-primary" onclick="sslManager.searchLogs()" ${file?.readable ? '' : 'disabled'}>
+              <i class="fas fa-search me-1"></i>Search
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div id="log-entries">${this.renderLogEntries()}</div>
+    `;
+  }
+
+  renderLogEntries() {
+    const state = this.logs;
+
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Reading log...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to read log: ${this.escapeHtml(state.error)}</div>`;
+    }
+    if (!state.entries) {
+      return '';
+    }
+    if (state.entries.length === 0) {
+      return `<p class="small text-muted">${state.live ? 'Waiting for new entries...' : 'No matching entries.'}</p>`;
+    }
+
+    const statusClass = status => (status >= 500 ? 'text-danger' : status >= 400 ? 'text-warning' : 'text-muted');
+    const levelClass = level => (['error', 'crit', 'alert', 'emerg'].includes(level) ? 'text-danger' : level === 'warn' ? 'text-warning' : 'text-muted');
+    const time = entry => (entry.time ? new Date(entry.time).toLocaleString() : '');
+
+    return `
+      ${state.truncated && !state.live ? `<div class="small text-muted mb-1">Showing the newest ${state.entries.length} matching entries.</div>` : ''}
+      <div class="table-responsive" style="max-height: 28rem; overflow-y: auto">
+        <table class="table table-sm small font-monospace mb-0">
+          <tbody>
+            ${state.entries.map(entry => (!entry.time ? `
+              <tr><td colspan="4" class="text-muted">${this.escapeHtml(entry.raw)}</td></tr>
+            ` : state.type === 'access' ? `
+              <tr title="${this.escapeHtml(entry.raw)}">
+                <td class="text-nowrap text-muted">${time(entry)}</td>
+                <td class="${statusClass(entry.status)}">${entry.status}</td>
+                <td class="text-break">${this.escapeHtml(entry.method || '')} ${this.escapeHtml(entry.path || '')}</td>
+                <td class="text-nowrap text-muted">${this.escapeHtml(entry.remoteAddr)}</td>
+              </tr>
+            ` : `
+              <tr title="${this.escapeHtml(entry.raw)}">
+                <td class="text-nowrap text-muted">${time(entry)}</td>
+                <td class="${levelClass(entry.level)}">${this.escapeHtml(entry.level)}</td>
+                <td class="text-break" colspan="2">${this.escapeHtml(entry.message)}${entry.client ? ` <span class="text-muted">(${this.escapeHtml(entry.client)})</span>` : ''}</td>
+              </tr>
+            `)).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  async loadLogs(domain) {
+    this.logs = {
+      domain,
+      type: 'access',
+      filters: { search: '', status: '', path: '', from: '', to: '', level: '', lines: 200 },
+      loading: true
+    };
+
+    try {
+      const files = await this.api('GET', `/domains/logs/${domain}`);
+      if (this.logs?.domain !== domain) return;
+      this.logs.files = files;
+    } catch (error) {
+      if (this.logs?.domain !== domain) return;
+      this.logs.loading = false;
+      this.logs.error = error.response?.data?.message || error.message;
+    }
+
+    if (this.logs.files) {
+      await this.searchLogs();
+    } else if (this.selectedDomain?.domain === domain && this.detailTab === 'logs') {
+      this.renderSSLPanel();
+    }
+  }
+
+  setLogType(type) {
+    this.stopLogTail();
+    Object.assign(this.logs, { type, entries: null, error: null, filters: { ...this.logs.filters, status: '', level: '' } });
+    this.searchLogs();
+  }
+
+  updateLogFilter(name, value) {
+    this.logs.filters[name] = value;
+  }
+
+  async searchLogs() {
+    const { domain, type, filters } = this.logs;
+    this.stopLogTail();
+
+    if (!this.logs.files?.logs[type].readable) {
+      this.logs.loading = false;
+      this.renderSSLPanel();
+      return;
+    }
+
+    // datetime-local values are in the browser's time zone
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+      if (value === '' || value === null) continue;
+      params.set(name, name === 'from' || name === 'to' ? new Date(value).toISOString() : value);
+    }
+
+    this.logs.loading = true;
+    this.renderSSLPanel();
+
+    try {
+      const response = await this.api('GET', `/domains/logs/${domain}/${type}?${params}`);
+      if (this.logs?.domain !== domain || this.logs.type !== type) return;
+      Object.assign(this.logs, { loading: false, error: null, entries: response.entries, truncated: response.truncated });
+    } catch (error) {
+      if (this.logs?.domain !== domain) return;
+      Object.assign(this.logs, { loading: false, error: error.response?.data?.message || error.message });
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'logs') {
+      this.renderSSLPanel();
+    }
+  }
+
+  // Live tails stream new lines over the existing socket; filters only apply to searches
+  toggleLogTail() {
+    if (this.logs.live) {
+      this.stopLogTail();
+      this.renderSSLPanel();
+      return;
+    }
+
+    const { domain, type } = this.logs;
+    this.socket.emit('log_tail_start', { domain, type }, (response) => {
+      if (this.logs?.domain !== domain || this.logs.type !== type) return;
+      if (!response.success) {
+        this.addNotification('error', `Failed to follow the ${type} log: ${response.error}`, true);
+        return;
+      }
+
+      Object.assign(this.logs, { live: true, error: null, entries: this.logs.entries || [] });
+      this.renderSSLPanel();
+    });
+  }
+
+  stopLogTail() {
+    if (!this.logs?.live) return;
+
+    this.socket.emit('log_tail_stop', { domain: this.logs.domain, type: this.logs.type });
+    this.logs.live = false;
+  }
+
+  // Append streamed lines and redraw only the entries, so the filter inputs keep their state
+  appendLogLines(data) {
+    const state = this.logs;
+    if (!state?.live || state.domain !== data.domain || state.type !== data.type) return;
+
+    state.entries = [...state.entries, ...data.entries].slice(-1000);
+    const container = document.getElementById('log-entries');
+    if (container && this.detailTab === 'logs') {
+      container.innerHTML = this.renderLogEntries();
+      const scroller = container.querySelector('.table-responsive');
+      if (scroller) scroller.scrollTop = scroller.scrollHeight;
+    }
+  }
+
+  renderDomainUpstreamsTab(domain) {
+    const state = this.domainUpstreams;
+    if (!state || state.domain !== domain.domain) {
+      this.loadDomainUpstreams(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading proxied locations...</div>';
+    }
+    if (state.loading) {
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading proxied locations...</div>';
+    }
+    if (state.error) {
+      return `<div class="alert alert-danger small py-2">Failed to load proxied locations: ${this.escapeHtml(state.error)}</div>`;
+    }
+
+    const { data } = state;
+    const canEdit = this.hasRole('operator');
+    const stateBadges = { active: 'bg-success', draining: 'bg-warning text-dark', disabled: 'bg-secondary' };
+
+    if (data.locations.length === 0) {
+      return '<p class="small text-muted">This site has no location with proxy_pass, so there is nothing to point at an upstream pool.</p>';
+    }
+
+    return `
+      ${data.pools.length === 0 ? `
+        <div class="alert alert-secondary small py-2">No upstream pools yet.${this.hasRole('admin') ? ' Create one on the Upstreams page.' : ''}</div>
+      ` : ''}
+      ${data.locations.map((item, index) => {
+        const pool = data.pools.find(entry => entry.name === item.pool);
+        return `
+          <div class="border rounded p-2 mb-2 small">
+            <div class="d-flex justify-content-between">
+              <span class="font-monospace fw-bold">location ${this.escapeHtml(item.location)}</span>
+              ${pool ? `<span class="badge bg-primary">${pool.name}</span>` : ''}
+            </div>
+            <div class="font-monospace text-muted mb-2">proxy_pass ${this.escapeHtml(item.proxyPass)}</div>
+            ${canEdit && (data.pools.length || item.previous) ? `
+              <div class="input-group input-group-sm">
+                <select class="form-select" id="upstream-location-${index}">
+                  ${item.previous ? `<option value="">Original target (${this.escapeHtml(item.previous)})</option>` : ''}
+                  ${item.pool || item.previous ? '' : '<option value="" selected disabled>Choose a pool...</option>'}
+                  ${data.pools.map(entry => `<option value="${entry.name}" ${entry.name === item.pool ? 'selected' : ''}>${entry.name} (${entry.method})</option>`).join('')}
+                </select>
+                <button class="btn btn-outline-primary" onclick="sslManager.assignUpstreamPool(${index})">Apply</button>
+              </div>
+            ` : ''}
+            ${pool ? `
+              <div class="mt-2">
+                ${pool.backends.map(backend => `
+                  <span class="badge ${stateBadges[backend.state]} me-1" title="weight ${backend.weight}${backend.backup ? ', backup' : ''}">
+                    ${this.escapeHtml(backend.address)}${backend.state === 'active' ? '' : ` (${backend.state})`}
+                  </span>
+                `).join('')}
+              </div>
+            ` : ''}
+          </div>
+        `;
+      }).join('')}
+    `;
+  }
+
+  async loadDomainUpstreams(domain) {
+    this.domainUpstreams = { domain, loading: true };
+
+    try {
+      const data = await this.api('GET', `/nginx/upstreams/domain/${domain}`);
+      if (this.domainUpstreams?.domain !== domain) return;
+      this.domainUpstreams = { domain, data };
+    } catch (error) {
+      if (this.domainUpstreams?.domain !== domain) return;
+      this.domainUpstreams = { domain, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'upstreams') {
+      this.renderSSLPanel();
+    }
+  }
+
+  async assignUpstreamPool(index) {
+    const { domain, data } = this.domainUpstreams;
+    const location = data.locations[index].location;
+    const pool = document.getElementById(`upstream-location-${index}`).value || null;
+
+    try {
+      const response = await this.api('PUT', `/nginx/upstreams/domain/${domain}`, { location, pool });
+
+      this.domainUpstreams = { domain, data: response };
+      this.addNotification('success', response.message, true);
+      this.renderSSLPanel();
+    } catch (error) {
+      console.error('Error assigning upstream pool:', error);
+      this.addNotification('error', `Failed to assign upstream pool: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  renderTrafficTab(domain) {
+    const state = this.traffic;
+    if (!state || state.domain !== domain.domain) {
+      this.loadTraffic(domain.domain);
+      return '<div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading traffic...</div>';
+    }
+
+    const { range, data } = state;
+    const formatNumber = (value) => new Intl.NumberFormat().format(value);
+
+    return `
+      <div class="d-flex justify-content-end mb-3">
+        <div class="btn-group btn-group-sm">
+          ${['24h', '7d', '30d'].map(item => `
+            <button class="btn ${range === item ? 'btn-secondary' : 'btn-outline-secondary'}" onclick="sslManager.setTrafficRange('${item}')" ${state.loading ? 'disabled' : ''}>${item}</button>
+          `).join('')}
+          <button class="btn btn-outline-secondary" onclick="sslManager.loadTraffic('${domain.domain}', '${range}')" ${state.loading ? 'disabled' : ''} title="Refresh">
+            <i class="fas fa-sync-alt ${state.loading ? 'fa-spin' : ''}"></i>
+          </button>
+        </div>
+      </div>
+      ${state.error ? `
+        <div class="alert alert-secondary small py-2"><i class="fas fa-info-circle me-2"></i>${this.escapeHtml(state.error)}</div>
+      ` : !data ? `
+        <div class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin me-2"></i>Loading traffic...</div>
+      ` : `
+        <div class="row g-2 mb-3 text-center">
+          <div class="col-3">
+            <div class="small text-muted">Requests</div>
+            <div class="fw-bold">${formatNumber(data.totals.requests)}</div>
+          </div>
+          <div class="col-3">
+            <div class="small text-muted">Per minute</div>
+            <div class="fw-bold">${formatNumber(data.totals.requestsPerMinute)}</div>
+          </div>
+          <div class="col-3">
+            <div class="small text-muted">Served</div>
+            <div class="fw-bold">${this.formatTrafficBytes(data.totals.bytes)}</div>
+          </div>
+          <div class="col-3">
+            <div class="small text-muted">5xx</div>
+            <div class="fw-bold ${data.totals.errorRate > 1 ? 'text-danger' : ''}">${formatNumber(data.totals.errorRate)}%</div>
+          </div>
+        </div>
+
+        ${this.renderTrafficChart(data)}
+        <div class="d-flex justify-content-between small text-muted mb-3">
+          <span>${new Date(data.from).toLocaleString()}</span>
+          <span>${data.interval === 'minute' ? 'per minute' : 'per hour'}</span>
+        </div>
+
+        ${this.renderTrafficStatus(data)}
+
+        <div class="row g-2 mb-3">
+          <div class="col-6">
+            <div class="small text-muted">Upstream p50</div>
+            <div class="fw-bold">${this.formatTrafficSeconds(data.upstreamTime.p50)}</div>
+          </div>
+          <div class="col-6">
+            <div class="small text-muted">Upstream p95</div>
+            <div class="fw-bold">${this.formatTrafficSeconds(data.upstreamTime.p95)}</div>
+          </div>
+        </div>
+
+        <div class="row g-3">
+          ${this.renderTrafficTopList('Top paths', data.topPaths, 'path')}
+          ${this.renderTrafficTopList('Top clients', data.topClients, 'address')}
+        </div>
+
+        ${data.updatedAt ? `<div class="small text-muted mt-2">Updated ${new Date(data.updatedAt).toLocaleString()}</div>` : ''}
+      `}
+    `;
+  }
+
+  // Requests per minute as an SVG column chart; 5xx responses are drawn on top in red
+  renderTrafficChart(data) {
+    const points = data.series;
+    if (points.length === 0) {
+      return '<p class="text-muted small mb-0">No requests in this range.</p>';
+    }
+
+    const width = 300;
+    const height = 80;
+    const start = new Date(data.from).getTime();
+    const span = new Date(data.to).getTime() - start;
+    const step = (data.interval === 'minute' ? 60 : 3600) * 1000;
+    const barWidth = Math.max((step / span) * width, 1);
+    const max = Math.max(...points.map(point => point.requestsPerMinute), 1);
+    const scale = (point, value) => (value / point.requests) * (point.requestsPerMinute / max) * height;
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="w-100" style="height: 80px" preserveAspectRatio="none">
+        ${points.map(point => {
+          const x = ((new Date(point.time).getTime() - start) / span) * width;
+          const total = scale(point, point.requests);
+          const errors = scale(point, point.status['5xx'] || 0);
+          return `
+            <g>
+              <title>${new Date(point.time).toLocaleString()}: ${this.escapeHtml(point.requestsPerMinute)} req/min</title>
+              <rect x="${x}" y="${height - total}" width="${barWidth}" height="${total}" fill="#0d6efd"></rect>
+              ${errors > 0 ? `<rect x="${x}" y="${height - total}" width="${barWidth}" height="${errors}" fill="#dc3545"></rect>` : ''}
+            </g>
+          `;
+        }).join('')}
+      </svg>
+    `;
+  }
+
+  renderTrafficStatus(data) {
+    const colors = { '2xx': 'bg-success', '3xx': 'bg-info', '4xx': 'bg-warning', '5xx': 'bg-danger' };
+    const formatNumber = (value) => new Intl.NumberFormat().format(value);
+    const total = Object.values(data.statusClasses).reduce((sum, count) => sum + count, 0);
+
+    return `
+      ${total > 0 ? `
+        <div class="progress mb-1" style="height: 8px">
+          ${Object.entries(data.statusClasses).sort().map(([statusClass, count]) => `
+            <div class="progress-bar ${colors[statusClass] || 'bg-secondary'}" style="width: ${(count / total) * 100}%"
+                 title="${this.escapeHtml(statusClass)}: ${formatNumber(count)}"></div>
+          `).join('')}
+        </div>
+      ` : ''}
+      <div class="small text-muted mb-3">
+        ${Object.entries(data.statusCodes).sort((a, b) => b[1] - a[1]).slice(0, 6).map(([code, count]) => `
+          <span class="me-2">${this.escapeHtml(code)}: ${formatNumber(count)}</span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderTrafficTopList(title, items, key) {
+    const formatNumber = (value) => new Intl.NumberFormat().format(value);
+
+    return `
+      <div class="col-sm-6">
+        <h6 class="small fw-bold mb-1">${title}</h6>
+        ${items.length === 0 ? '<p class="text-muted small mb-0">None</p>' : `
+          <table class="table table-sm small mb-0">
+            <tbody>
+              ${items.map(item => `
+                <tr>
+                  <td class="font-monospace text-truncate" style="max-width: 140px" title="${this.escapeHtml(item[key])}">${this.escapeHtml(item[key])}</td>
+                  <td class="text-end">${formatNumber(item.requests)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+  }
+
+  formatTrafficBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit += 1;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+
+  formatTrafficSeconds(seconds) {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    return seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds.toFixed(2)} s`;
+  }
+
+  async loadTraffic(domain, range = '24h') {
+    // Keep the last report on screen while a refresh or another range loads
+    const previous = this.traffic?.domain === domain ? this.traffic.data : null;
+    this.traffic = { domain, range, loading: true, data: previous };
+    if (previous) this.renderSSLPanel();
+
+    try {
+      const data = await this.api('GET', `/domains/analytics/${domain}?range=${range}`);
+      if (this.traffic?.domain !== domain || this.traffic.range !== range) return;
+      this.traffic = { domain, range, data };
+    } catch (error) {
+      if (this.traffic?.domain !== domain || this.traffic.range !== range) return;
+      this.traffic = { domain, range, error: error.response?.data?.message || error.message };
+    }
+
+    if (this.selectedDomain?.domain === domain && this.detailTab === 'traffic') {
+      this.renderSSLPanel();
+    }
+  }
+
+  setTrafficRange(range) {
+    this.loadTraffic(this.traffic.domain, range);
+  }
+
+  renderServerBlocks(domain) {
+    if (!domain.serverBlocks || domain.serverBlocks.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="mt-3">
+        <label class="form-label fw-bold">Server Blocks</label>
+        ${domain.serverBlocks.map(block => `
+          <div class="border rounded p-2 mb-2 small">
+            <div class="d-flex justify-content-between">
+              <span class="font-monospace">${block.serverNames.length ? this.escapeHtml(block.serverNames.join(' ')) : '<span class="text-muted">(no server_name)</span>'}</span>
+              <span class="text-muted">line ${this.escapeHtml(block.line)}</span>
+            </div>
+            <div class="mt-1">
+              ${block.listen.map(listen => `<span class="badge ${listen.ssl ? 'bg-success' : 'bg-secondary'} me-1">${this.escapeHtml(listen.raw)}</span>`).join('')}
+              ${block.defaultServer ? '<span class="badge bg-info me-1">default</span>' : ''}
+            </div>
+            ${block.redirect ? `
+              <div class="mt-1 text-muted"><i class="fas fa-share me-1"></i>${this.escapeHtml(block.redirect.code)} &rarr; <span class="font-monospace">${this.escapeHtml(block.redirect.url)}</span></div>
+            ` : ''}
+            ${block.root ? `<div class="mt-1 text-muted">Root: <span class="font-monospace">${this.escapeHtml(block.root)}</span></div>` : ''}
+            ${block.ssl.enabled ? `
+              <div class="mt-1 text-muted">TLS: ${block.ssl.protocols.length ? this.escapeHtml(block.ssl.protocols.join(', ')) : 'nginx defaults'}${block.ssl.hsts ? ', HSTS' : ''}</div>
+            ` : ''}
+            ${block.locations.length ? `
+              <div class="mt-1 text-muted">Locations: ${block.locations.map(location =>
+                `<span class="font-monospace">${location.modifier ? this.escapeHtml(location.modifier) + ' ' : ''}${this.escapeHtml(location.path)}</span>`).join(', ')}</div>
+            ` : ''}
+          </div>
+        `).join('')}
+        ${domain.warnings && domain.warnings.length ? `
+          <div class="alert alert-warning small py-2 mb-0">
+            ${domain.warnings.map(warning => `<div>${this.escapeHtml(warning)}</div>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderDomainAccess(domain) {
+    const key = domain.domain.toLowerCase().replace(/^www\./, '');
+    const access = this.domainAccess[key] || { owners: [], groups: [] };
+
+    return `
+      <div class="mt-3">
+        <label class="form-label fw-bold">Access</label>
+        <div class="small">
+          <div class="row mb-1">
+            <div class="col-4 text-muted">Owners:</div>
+            <div class="col-8">${access.owners.length ? access.owners.join(', ') : '<span class="text-muted">None</span>'}</div>
+          </div>
+          <div class="row mb-1">
+            <div class="col-4 text-muted">Groups:</div>
+            <div class="col-8">${access.groups.length ? access.groups.join(', ') : '<span class="text-muted">None</span>'}</div>
+          </div>
+        </div>
+        <button class="btn btn-outline-secondary btn-sm mt-2" onclick="sslManager.editDomainAccess('${domain.domain}')">
+          <i class="fas fa-user-lock me-1"></i> Edit Access
+        </button>
+      </div>
+    `;
+  }
+
+  async editDomainAccess(domain) {
+    const key = domain.toLowerCase().replace(/^www\./, '');
+    const current = this.domainAccess[key] || { owners: [], groups: [] };
+
+    const owners = prompt(`Owners of ${domain} (comma-separated usernames):`, current.owners.join(', '));
+    if (owners === null) return;
+    const groups = prompt(`Groups with access to ${domain} (comma-separated):`, current.groups.join(', '));
+    if (groups === null) return;
+
+    const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    try {
+      const response = await this.api('POST', `/domains/access/${encodeURIComponent(domain)}`, {
+        owners: toList(owners),
+        groups: toList(groups)
+      });
+
+      if (response.success) {
+        this.domainAccess[key] = response.assignment;
+        this.addNotification('success', response.message, true);
+        this.renderSSLPanel();
+      }
+    } catch (error) {
+      console.error('Error updating domain access:', error);
+      this.addNotification('error', `Failed to update access: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  renderSSLStatus(domain) {
+    const ssl = domain.ssl;
+    if (!ssl) {
+      return '<span class="badge bg-secondary">Unknown</span>';
+    }
+
+    return this.getSSLStatusBadge(ssl);
+  }
+
+  renderCertificateActions(domain) {
+    const ssl = domain.ssl;
+    
+    if (!this.hasRole('operator')) {
+      return '<span class="text-muted small">View only</span>';
+    }
+    
+    return `
+      <div class="btn-group" role="group">
+        ${!ssl?.hasSSL ? `
+          <button class="btn btn-success btn-sm" onclick="event.stopPropagation(); sslManager.toggleInstallForm('${domain.domain}')" title="Install SSL Certificate">
+            <i class="fas fa-plus me-1"></i> Install SSL
+          </button>
+        ` : `
+          <button class="btn btn-warning btn-sm" onclick="event.stopPropagation(); sslManager.renewSSL('${domain.domain}')" title="Renew SSL Certificate">
+            <i class="fas fa-sync-alt me-1"></i> Renew
+          </button>
+        `}
+        ${this.hasRole('admin') ? `
+          <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); sslManager.deleteDomain('${domain.domain}')" title="Delete Domain">
+            <i class="fas fa-trash me-1"></i> Delete
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  toggleInstallForm(domain) {
+    const formRow = document.getElementById(`ssl-install-form-row-${domain}`);
+    if (formRow) {
+      const isVisible = formRow.style.display !== 'none';
+      formRow.style.display = isVisible ? 'none' : 'table-row';
+      
+      if (!isVisible) {
+        const emailInput = document.getElementById(`ssl-email-${domain}`);
+        if (emailInput) {
+          setTimeout(() => emailInput.focus(), 100);
+        }
+      }
+    }
+  }
+
+  async installSSLFromForm(domain) {
+    const emailInput = document.getElementById(`ssl-email-${domain}`);
+    const methodSelect = document.getElementById(`ssl-method-${domain}`);
+    
+    if (!emailInput || !methodSelect) return;
+
+    const email = emailInput.value.trim();
+    const method = methodSelect.value;
+    
+    if (!email) {
+      this.addNotification('error', 'Email address is required', true);
+      emailInput.focus();
+      return;
+    }
+
+    if (!email.includes('@') || !email.includes('.')) {
+      this.addNotification('error', 'Please enter a valid email address', true);
+      emailInput.focus();
+      return;
+    }
+
+    this.toggleInstallForm(domain);
+    await this.installSSL(domain, email, method);
+  }
+
+  toggleAddDomainForm() {
+    const form = document.getElementById('add-domain-form');
+    if (form) {
+      const isVisible = form.style.display !== 'none';
+      form.style.display = isVisible ? 'none' : 'block';
+      
+      if (!isVisible) {
+        const domainInput = document.getElementById('new-domain-input');
+        if (domainInput) {
+          domainInput.focus();
+        }
+        this.loadSiteTemplates();
+      } else {
+        // Clear form when hiding
+        const domainInput = document.getElementById('new-domain-input');
+        const validationMessage = document.getElementById('domain-validation-message');
+        if (domainInput) domainInput.value = '';
+        if (validationMessage) validationMessage.textContent = '';
+      }
+    }
+  }
+
+  async loadSiteTemplates() {
+    try {
+      const response = await this.api('GET', '/nginx/templates');
+      this.siteTemplates = response.templates || [];
+
+      const select = document.getElementById('new-domain-template');
+      if (!select) return;
+
+      select.innerHTML = this.siteTemplates.map(template => `
+        <option value="${template.name}" ${template.name === response.defaultTemplate ? 'selected' : ''}>
+          ${template.label}${template.builtin ? '' : ' (custom)'}
+        </option>
+      `).join('');
+      this.renderTemplateVariables();
+    } catch (error) {
+      console.error('Failed to load site templates:', error);
+      this.addNotification('error', `Failed to load site templates: ${error.response?.data?.message || error.message}`, false);
+    }
+  }
+
+  renderTemplateVariables() {
+    const select = document.getElementById('new-domain-template');
+    const container = document.getElementById('template-variables');
+    const description = document.getElementById('new-domain-template-description');
+    if (!select || !container) return;
+
+    const template = this.siteTemplates.find(item => item.name === select.value);
+    if (description) {
+      description.textContent = template ? template.description : '';
+    }
+
+    container.innerHTML = template ? template.variables.map(variable => `
+      <div class="col-md-4 mb-2">
+        <label class="form-label small mb-1" for="template-var-${variable.name}">
+          ${variable.label}${variable.required ? ' *' : ''}
+        </label>
+        ${variable.type === 'enum' ? `
+          <select id="template-var-${variable.name}" class="form-select form-select-sm">
+            ${variable.options.map(option => `<option value="${option}" ${option === variable.default ? 'selected' : ''}>${option}</option>`).join('')}
+          </select>
+        ` : `
+          <input type="${variable.type === 'integer' ? 'number' : 'text'}" id="template-var-${variable.name}"
+                 class="form-control form-control-sm" placeholder="${variable.default || ''}">
+        `}
+      </div>
+    `).join('') : '';
+  }
+
+  getTemplateVariables(template) {
+    const variables = {};
+    for (const variable of template ? template.variables : []) {
+      const input = document.getElementById(`template-var-${variable.name}`);
+      // Empty fields fall back to the template's default on the server
+      if (input && input.value.trim()) {
+        variables[variable.name] = input.value.trim();
+      }
+    }
+    return variables;
+  }
+
+  validateDomain(domain) {
+    if (!domain || typeof domain !== 'string') {
+      return { valid: false, error: 'Domain must be a valid string' };
+    }
+
+    // Remove protocol if present
+    domain = domain.replace(/^https?:\/\//, '');
+    
+    // Remove trailing slash
+    domain = domain.replace(/\/$/, '');
+    
+    // Check for valid domain format
     const domainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
     
-    if (!domainRegex.test(domain)) {
-      return { valid: false, error: 'Invalid domain format' };
+    if (!domainRegex.test(domain)) {
+      return { valid: false, error: 'Invalid domain format' };
+    }
+
+    // Check length
+    if (domain.length > 253) {
+      return { valid: false, error: 'Domain name too long' };
+    }
+
+    // Check for minimum valid domain (must have at least one dot)
+    if (!domain.includes('.')) {
+      return { valid: false, error: 'Domain must include at least one dot (e.g., example.com)' };
+    }
+
+    return { valid: true, domain: domain };
+  }
+
+  async addDomainFromForm() {
+    const domainInput = document.getElementById('new-domain-input');
+    const validationMessage = document.getElementById('domain-validation-message');
+    
+    if (!domainInput || !validationMessage) return;
+
+    const domain = domainInput.value.trim();
+    
+    // Clear previous validation message
+    validationMessage.textContent = '';
+    validationMessage.className = 'form-text';
+
+    if (!domain) {
+      this.showValidationMessage('Domain is required', 'error');
+      domainInput.focus();
+      return;
+    }
+
+    // Validate domain format
+    const validation = this.validateDomain(domain);
+    if (!validation.valid) {
+      this.showValidationMessage(validation.error, 'error');
+      domainInput.focus();
+      return;
+    }
+
+    // Check if domain already exists
+    const existingDomain = this.domains.find(d => d.domain === validation.domain);
+    if (existingDomain) {
+      this.showValidationMessage('Domain already exists', 'error');
+      domainInput.focus();
+      return;
+    }
+
+    try {
+      this.addNotification('info', `Adding domain ${validation.domain}...`, false);
+      
+      const templateName = document.getElementById('new-domain-template')?.value || undefined;
+      const template = this.siteTemplates.find(item => item.name === templateName);
+      const response = await this.api('POST', '/domains/add', {
+        domain: validation.domain,
+        template: templateName,
+        variables: this.getTemplateVariables(template)
+      });
+      
+      if (response.success) {
+        this.addNotification('success', `Domain ${validation.domain} added successfully (${template ? template.label : response.template} template)`, true);
+        
+        // Clear form and hide it
+        domainInput.value = '';
+        this.toggleAddDomainForm();
+        
+        // Refresh domain list
+        await this.loadDomains();
+      } else {
+        this.addNotification('error', `Failed to add domain: ${response.error}`, true);
+      }
+    } catch (error) {
+      console.error('Domain addition error:', error);
+      this.addNotification('error', `Domain addition failed: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async deleteDomain(domain) {
+    // Show confirmation dialog
+    const confirmed = confirm(
+      `Are you sure you want to delete "${domain}"?\n\n` +
+      `This will permanently remove:\n` +
+      `• Nginx configuration files\n` +
+      `• SSL certificates (if present)\n` +
+      `• All associated data\n\n` +
+      `This action cannot be undone.`
+    );
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      this.addNotification('info', `Deleting domain ${domain}...`, false);
+      
+      const response = await this.api('DELETE', `/domains/delete/${domain}`);
+      
+      if (response.success) {
+        this.addNotification('success', `Domain ${domain} deleted successfully`, true);
+        
+        // Clear selected domain if it was the deleted one
+        if (this.selectedDomain?.domain === domain) {
+          this.selectedDomain = null;
+        }
+        
+        // Refresh domain list
+        await this.loadDomains();
+      } else {
+        this.addNotification('error', `Failed to delete domain: ${response.error}`, true);
+      }
+    } catch (error) {
+      console.error('Domain deletion error:', error);
+      this.addNotification('error', `Domain deletion failed: ${error.message}`, true);
+    }
+  }
+
+  // Autorenewal Management Methods
+  renderAutorenewalTab() {
+    const tabContent = document.getElementById('tab-content');
+    if (!tabContent) return;
+
+    if (!this.autorenewalData) {
+      tabContent.innerHTML = `
+        <div class="text-center py-5">
+          <div class="spinner-border text-primary" role="status">
+            <span class="visually-hidden">Loading...</span>
+          </div>
+          <p class="mt-3 text-muted">Loading autorenewal data...</p>
+        </div>
+      `;
+      return;
+    }
+
+    const stats = this.autorenewalData.statistics;
+    const config = this.autorenewalData.config;
+    const domains = this.autorenewalData.domains || [];
+    const settingsDisabled = this.hasRole('admin') ? '' : 'disabled';
+
+    tabContent.innerHTML = `
+      <div class="row">
+        <!-- Summary Cards -->
+        <div class="col-12 mb-4">
+          <div class="row">
+            <div class="col-md-3">
+              <div class="card bg-success text-white">
+                <div class="card-body">
+                  <div class="d-flex align-items-center">
+                    <div class="flex-grow-1">
+                      <h6 class="card-title mb-0">Active Renewals</h6>
+                      <h2 class="mb-0">${stats.autorenewalEnabled || 0}</h2>
+                    </div>
+                    <div class="ms-3">
+                      <i class="fas fa-check-circle fa-2x opacity-75"></i>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+            <div class="col-md-3">
+              <div class="card bg-warning text-white">
+                <div class="card-body">
+                  <div class="d-flex align-items-center">
+                    <div class="flex-grow-1">
+                      <h6 class="card-title mb-0">Needing Renewal</h6>
+                      <h2 class="mb-0">${stats.needingRenewal || 0}</h2>
+                    </div>
+                    <div class="ms-3">
+                      <i class="fas fa-clock fa-2x opacity-75"></i>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+            <div class="col-md-3">
+              <div class="card bg-info text-white">
+                <div class="card-body">
+                  <div class="d-flex align-items-center">
+                    <div class="flex-grow-1">
+                      <h6 class="card-title mb-0">Total Renewals</h6>
+                      <h2 class="mb-0">${stats.totalRenewals || 0}</h2>
+                    </div>
+                    <div class="ms-3">
+                      <i class="fas fa-history fa-2x opacity-75"></i>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+            <div class="col-md-3">
+              <div class="card bg-danger text-white">
+                <div class="card-body">
+                  <div class="d-flex align-items-center">
+                    <div class="flex-grow-1">
+                      <h6 class="card-title mb-0">Failed</h6>
+                      <h2 class="mb-0">${stats.failedRenewals || 0}</h2>
+                    </div>
+                    <div class="ms-3">
+                      <i class="fas fa-exclamation-triangle fa-2x opacity-75"></i>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Global Settings -->
+        <div class="col-12 mb-4">
+          <div class="card">
+            <div class="card-header">
+              <h5 class="mb-0">Global Autorenewal Settings</h5>
+            </div>
+            <div class="card-body">
+              <div class="row align-items-center">
+                <div class="col-md-6">
+                  <div class="form-check form-switch">
+                    <input class="form-check-input" type="checkbox" id="globalAutoRenewal" 
+                           ${config.globalEnabled ? 'checked' : ''} ${settingsDisabled}
+                           onchange="sslManager.updateGlobalSettings()">
+                    <label class="form-check-label fw-bold" for="globalAutoRenewal">
+                      <i class="fas fa-globe me-1"></i> Enable Global Autorenewal
+                    </label>
+                  </div>
+                  <small class="text-muted">Automatically renew SSL certificates before expiry</small>
+                </div>
+                <div class="col-md-3">
+                  <label class="form-label">Renewal Days Before Expiry</label>
+                  <input type="number" class="form-control" id="renewalDays" 
+                         value="${config.renewalDays}" min="1" max="89" ${settingsDisabled}
+                         onchange="sslManager.updateGlobalSettings()">
+                </div>
+                <div class="col-md-3">
+                  <label class="form-label">Check Frequency</label>
+                  <select class="form-select" id="checkFrequency" ${settingsDisabled} onchange="sslManager.updateGlobalSettings()">
+                    <option value="daily" ${config.checkFrequency === 'daily' ? 'selected' : ''}>Daily</option>
+                    <option value="weekly" ${config.checkFrequency === 'weekly' ? 'selected' : ''}>Weekly</option>
+                    <option value="hourly" ${config.checkFrequency === 'hourly' ? 'selected' : ''}>Hourly</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Domain Status Table -->
+        <div class="col-12">
+          <div class="card">
+            <div class="card-header d-flex justify-content-between align-items-center">
+              <h5 class="mb-0">Domain Autorenewal Status</h5>
+              <div class="d-flex gap-2">
+                <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadAutorenewalData()">
+                  <i class="fas fa-sync-alt me-1"></i> Refresh Status
+                </button>
+                ${this.hasRole('operator') ? `
+                  <button class="btn btn-success btn-sm" onclick="sslManager.runRenewalCheck()">
+                    <i class="fas fa-play me-1"></i> Run Check Now
+                  </button>
+                ` : ''}
+              </div>
+            </div>
+            <div class="card-body">
+              ${this.renderAutorenewalTable(domains)}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Update the badge in the tab
+    const badge = document.getElementById('autorenewal-badge');
+    if (badge) {
+      badge.textContent = `${stats.autorenewalEnabled || 0} Active`;
+    }
+  }
+
+  renderAutorenewalTable(domains) {
+    if (domains.length === 0) {
+      return `
+        <div class="text-center py-5">
+          <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+          <h5 class="text-muted">No domains found</h5>
+          <p class="text-muted">Add domains to manage SSL autorenewal</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="table-responsive">
+        <table class="table table-hover">
+          <thead class="table-light">
+            <tr>
+              <th>Domain</th>
+              <th>Autorenewal Status</th>
+              <th>SSL Expiry</th>
+              <th>Next Check</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${domains.map(domain => this.renderAutorenewalRow(domain)).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderAutorenewalRow(domain) {
+    const ssl = domain.ssl;
+    const autorenewal = domain.autorenewal;
+    
+    const canOperate = this.hasRole('operator');
+    let statusBadge, expiryDisplay, nextCheck, actions;
+
+    if (!ssl?.hasSSL) {
+      statusBadge = '<span class="badge bg-secondary"><i class="fas fa-times-circle me-1"></i> N/A</span>';
+      expiryDisplay = '<span class="text-muted"><i class="fas fa-minus me-1"></i> No SSL</span>';
+      nextCheck = '<span class="text-muted">-</span>';
+      actions = canOperate ? `
+        <button class="btn btn-outline-success btn-sm" onclick="sslManager.installSSLFirst('${domain.domain}')" title="Install SSL First">
+          <i class="fas fa-plus me-1"></i> Install SSL
+        </button>
+      ` : '<span class="text-muted">-</span>';
+    } else {
+      statusBadge = autorenewal.enabled 
+        ? '<span class="badge bg-success"><i class="fas fa-check-circle me-1"></i> Enabled</span>'
+        : '<span class="badge bg-warning"><i class="fas fa-pause-circle me-1"></i> Disabled</span>';
+      
+      const daysRemaining = ssl.daysRemaining || 0;
+      let expiryClass = 'text-success';
+      if (daysRemaining <= 30) expiryClass = 'text-warning';
+      if (daysRemaining <= 7) expiryClass = 'text-danger';
+      
+      expiryDisplay = `
+        <span class="${expiryClass}">
+          <i class="fas fa-shield-alt me-1"></i> ${daysRemaining} days
+        </span>
+        <br><small class="text-muted">${new Date(ssl.expiryDate).toLocaleDateString()}</small>
+      `;
+      
+      nextCheck = autorenewal.nextCheck 
+        ? `<span class="text-info">${this.formatRelativeDate(autorenewal.nextCheck)}</span>`
+        : '<span class="text-muted">-</span>';
+      
+      actions = !canOperate ? '<span class="text-muted">-</span>' : `
+        <div class="btn-group" role="group">
+          <button class="btn btn-outline-${autorenewal.enabled ? 'warning' : 'success'} btn-sm" 
+                  onclick="sslManager.toggleDomainAutorenewal('${domain.domain}', ${!autorenewal.enabled})" 
+                  title="${autorenewal.enabled ? 'Disable' : 'Enable'} Autorenewal">
+            <i class="fas fa-${autorenewal.enabled ? 'pause' : 'play'}"></i>
+          </button>
+          <button class="btn btn-outline-primary btn-sm" 
+                  onclick="sslManager.forceRenewalDomain('${domain.domain}')" 
+                  title="Force Renewal">
+            <i class="fas fa-sync-alt"></i>
+          </button>
+        </div>
+      `;
+    }
+
+    return `
+      <tr>
+        <td>
+          <strong>${domain.domain}</strong>
+          <br><small class="text-muted">${ssl?.issuer || 'No SSL Certificate'}</small>
+        </td>
+        <td>${statusBadge}</td>
+        <td>${expiryDisplay}</td>
+        <td>${nextCheck}</td>
+        <td>${actions}</td>
+      </tr>
+    `;
+  }
+
+  formatRelativeDate(dateString) {
+    const date = new Date(dateString);
+    const now = new Date();
+    const diffTime = date.getTime() - now.getTime();
+    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    
+    if (diffDays === 0) return 'Today';
+    if (diffDays === 1) return 'Tomorrow';
+    if (diffDays > 1) return `${diffDays} days`;
+    return 'Past due';
+  }
+
+  async updateGlobalSettings() {
+    try {
+      const globalEnabled = document.getElementById('globalAutoRenewal').checked;
+      const renewalDays = parseInt(document.getElementById('renewalDays').value);
+      const checkFrequency = document.getElementById('checkFrequency').value;
+      
+      const response = await this.api('POST', '/autorenewal/settings', {
+        globalEnabled,
+        renewalDays,
+        checkFrequency
+      });
+      
+      if (response.success) {
+        this.addNotification('success', 'Autorenewal settings updated successfully', true);
+      }
+    } catch (error) {
+      console.error('Error updating autorenewal settings:', error);
+      this.addNotification('error', `Failed to update settings: ${error.message}`, true);
+    }
+  }
+
+  async toggleDomainAutorenewal(domain, enabled) {
+    try {
+      const response = await this.api('POST', `/autorenewal/toggle/${domain}`, { enabled });
+      
+      if (response.success) {
+        this.addNotification('success', `Autorenewal ${enabled ? 'enabled' : 'disabled'} for ${domain}`, true);
+        this.loadAutorenewalData();
+      }
+    } catch (error) {
+      console.error('Error toggling autorenewal:', error);
+      this.addNotification('error', `Failed to toggle autorenewal: ${error.message}`, true);
+    }
+  }
+
+  async runRenewalCheck() {
+    try {
+      this.addNotification('info', 'Starting SSL renewal check for all domains...', false);
+      
+      const response = await this.api('POST', '/autorenewal/check');
+      
+      if (response.success) {
+        this.addNotification('success', 'Renewal check completed successfully', true);
+      }
+    } catch (error) {
+      console.error('Error running renewal check:', error);
+      this.addNotification('error', `Renewal check failed: ${error.message}`, true);
+    }
+  }
+
+  async forceRenewalDomain(domain) {
+    try {
+      this.addNotification('info', `Starting SSL renewal for ${domain}...`, false);
+      
+      const response = await this.api('POST', `/autorenewal/renew/${domain}`);
+      
+      if (response.success) {
+        this.addNotification('success', `SSL renewal initiated for ${domain}`, true);
+      }
+    } catch (error) {
+      console.error('Error forcing renewal:', error);
+      this.addNotification('error', `Renewal failed: ${error.message}`, true);
+    }
+  }
+
+  installSSLFirst(domain) {
+    // Switch to domains tab and highlight the domain for SSL installation
+    this.switchTab('domains');
+    this.addNotification('info', `Please install SSL certificate for ${domain} first`, true);
+  }
+
+  // Upstream Pool Methods
+  async loadUpstreams() {
+    try {
+      this.upstreams = await this.api('GET', '/nginx/upstreams');
+    } catch (error) {
+      console.error('Error loading upstream pools:', error);
+      this.upstreams = { pools: [], methods: [], states: [] };
+      this.addNotification('error', `Failed to load upstream pools: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    if (this.activeTab === 'upstreams') {
+      this.renderUpstreamsTab();
+    }
+  }
+
+  renderUpstreamsTab() {
+    const tabContent = document.getElementById('tab-content');
+    if (!tabContent) return;
+
+    if (!this.upstreams) {
+      tabContent.innerHTML = `
+        <div class="text-center py-5">
+          <div class="spinner-border text-primary" role="status">
+            <span class="visually-hidden">Loading...</span>
+          </div>
+          <p class="mt-3 text-muted">Loading upstream pools...</p>
+        </div>
+      `;
+      return;
+    }
+
+    const { pools, file, included } = this.upstreams;
+    const isAdmin = this.hasRole('admin');
+    const stateBadges = { active: 'bg-success', draining: 'bg-warning text-dark', disabled: 'bg-secondary' };
+
+    tabContent.innerHTML = `
+      <div class="card">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <h5 class="mb-0">Upstream Pools</h5>
+          <div class="d-flex gap-2">
+            <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadUpstreams()">
+              <i class="fas fa-sync-alt me-1"></i> Refresh
+            </button>
+            ${isAdmin ? `
+              <button class="btn btn-primary btn-sm" onclick="sslManager.openUpstreamPoolModal()">
+                <i class="fas fa-plus me-1"></i> New Pool
+              </button>
+            ` : ''}
+          </div>
+        </div>
+        <div class="card-body">
+          ${included === false ? `
+            <div class="alert alert-warning small py-2">
+              nginx.conf does not include <code>${file}</code>, so these pools are not loaded. Add
+              <code>include ${file};</code> to its <code>http</code> block (or include <code>conf.d/*.conf</code>).
+            </div>
+          ` : ''}
+          ${pools.length === 0 ? `
+            <p class="text-muted text-center mb-0">No upstream pools yet</p>
+          ` : pools.map(pool => `
+            <div class="border rounded p-3 mb-3">
+              <div class="d-flex justify-content-between align-items-center mb-2">
+                <div>
+                  <span class="fw-bold font-monospace">${pool.name}</span>
+                  <span class="badge bg-light text-dark ms-2">${pool.method}</span>
+                </div>
+                ${isAdmin ? `
+                  <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-primary" onclick="sslManager.openUpstreamPoolModal('${pool.name}')">
+                      <i class="fas fa-edit me-1"></i>Edit
+                    </button>
+                    <button class="btn btn-outline-danger" onclick="sslManager.deleteUpstreamPool('${pool.name}')">
+                      <i class="fas fa-trash"></i>
+                    </button>
+                  </div>
+                ` : ''}
+              </div>
+              <div class="small text-muted mb-2">
+                ${pool.usedBy.length ? `Used by ${pool.usedBy.map(item => `${item.domain} <span class="font-monospace">(${item.location})</span>`).join(', ')}` : 'Not used by any site'}
+              </div>
+              <div class="table-responsive">
+                <table class="table table-sm align-middle small mb-0">
+                  <thead class="table-light">
+                    <tr><th>Backend</th><th>Weight</th><th>max_fails</th><th>fail_timeout</th><th>State</th><th></th></tr>
+                  </thead>
+                  <tbody>
+                    ${pool.backends.map(backend => `
+                      <tr>
+                        <td class="font-monospace">${backend.address}${backend.backup ? ' <span class="badge bg-info">backup</span>' : ''}</td>
+                        <td>${backend.weight}</td>
+                        <td>${backend.maxFails}</td>
+                        <td>${backend.failTimeout}s</td>
+                        <td><span class="badge ${stateBadges[backend.state]}">${backend.state}</span></td>
+                        <td class="text-end">
+                          <div class="btn-group btn-group-sm">
+                            ${backend.state !== 'active' ? `
+                              <button class="btn btn-outline-success" onclick="sslManager.setBackendState('${pool.name}', '${backend.address}', 'active')">Enable</button>
+                            ` : ''}
+                            ${backend.state !== 'draining' ? `
+                              <button class="btn btn-outline-warning" title="Mark down; requests in flight finish" onclick="sslManager.setBackendState('${pool.name}', '${backend.address}', 'draining')">Drain</button>
+                            ` : ''}
+                            ${backend.state !== 'disabled' ? `
+                              <button class="btn btn-outline-secondary" title="Leave out of the pool" onclick="sslManager.setBackendState('${pool.name}', '${backend.address}', 'disabled')">Disable</button>
+                            ` : ''}
+                          </div>
+                        </td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  async setBackendState(pool, address, state) {
+    try {
+      const response = await this.api('POST', `/nginx/upstreams/${pool}/backend-state`, { address, state });
+      this.addNotification('success', response.message, false);
+      await this.loadUpstreams();
+    } catch (error) {
+      console.error('Error changing backend state:', error);
+      this.addNotification('error', `Failed to change backend state: ${error.response?.data?.message || error.message}`, true);
     }
+  }
 
-    // Check length
-    if (domain.length > 253) {
-      return { valid: false, error: 'Domain name too long' };
+  async deleteUpstreamPool(name) {
+    if (!confirm(`Delete upstream pool ${name}?`)) {
+      return;
     }
 
-    // Check for minimum valid domain (must have at least one dot)
-    if (!domain.includes('.')) {
-      return { valid: false, error: 'Domain must include at least one dot (e.g., example.com)' };
+    try {
+      const response = await this.api('DELETE', `/nginx/upstreams/${name}`);
+      this.addNotification('success', response.message, true);
+      await this.loadUpstreams();
+    } catch (error) {
+      console.error('Error deleting upstream pool:', error);
+      this.addNotification('error', `Failed to delete upstream pool: ${error.response?.data?.message || error.message}`, true);
     }
+  }
 
-    return { valid: true, domain: domain };
+  openUpstreamPoolModal(name = null) {
+    const pool = name ? this.upstreams.pools.find(item => item.name === name) : null;
+    const methods = this.upstreams.methods.length ? this.upstreams.methods : ['round-robin', 'least_conn', 'ip_hash'];
+    this.poolDraft = pool ?
+      JSON.parse(JSON.stringify(pool.backends)) :
+      [{ address: '127.0.0.1:3000', weight: 1, maxFails: 1, failTimeout: 10, backup: false, state: 'active' }];
+
+    const modalHtml = `
+      <div class="modal fade" id="upstreamPoolModal" tabindex="-1" aria-labelledby="upstreamPoolModalLabel" aria-hidden="true">
+        <div class="modal-dialog modal-xl">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title" id="upstreamPoolModalLabel">
+                <i class="fas fa-network-wired text-primary me-2"></i>${pool ? `Edit Pool ${pool.name}` : 'New Upstream Pool'}
+              </h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              <div class="row mb-3">
+                <div class="col-md-6">
+                  <label class="form-label" for="upstream-pool-name">Name</label>
+                  <input type="text" id="upstream-pool-name" class="form-control font-monospace" value="${pool ? pool.name : ''}"
+                         placeholder="app-backend" ${pool ? 'readonly' : ''}>
+                  <div class="form-text">Sites use it as <code>proxy_pass http://&lt;name&gt;</code></div>
+                </div>
+                <div class="col-md-6">
+                  <label class="form-label" for="upstream-pool-method">Balancing method</label>
+                  <select id="upstream-pool-method" class="form-select">
+                    ${methods.map(method => `<option value="${method}" ${(pool ? pool.method : 'round-robin') === method ? 'selected' : ''}>${method}</option>`).join('')}
+                  </select>
+                </div>
+              </div>
+              <label class="form-label">Backends</label>
+              <div id="upstream-pool-backends"></div>
+              <button class="btn btn-sm btn-outline-secondary" onclick="sslManager.addPoolBackend()">
+                <i class="fas fa-plus me-1"></i>Add Backend
+              </button>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-primary" onclick="sslManager.saveUpstreamPool()">
+                <i class="fas fa-save me-1"></i>Save Pool
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Remove existing modal if present
+    const existingModal = document.getElementById('upstreamPoolModal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    this.renderPoolBackends();
+    new bootstrap.Modal(document.getElementById('upstreamPoolModal')).show();
+  }
+
+  renderPoolBackends() {
+    const container = document.getElementById('upstream-pool-backends');
+    if (!container) return;
+
+    container.innerHTML = `
+      <table class="table table-sm align-middle small">
+        <thead>
+          <tr><th>Address</th><th>Weight</th><th>max_fails</th><th>fail_timeout (s)</th><th>Backup</th><th>State</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${this.poolDraft.map((backend, index) => `
+            <tr>
+              <td>
+                <input type="text" class="form-control form-control-sm font-monospace" value="${backend.address}" placeholder="10.0.0.5:3000"
+                       onchange="sslManager.updatePoolBackend(${index}, 'address', this.value)">
+              </td>
+              <td><input type="number" class="form-control form-control-sm" min="1" max="100" value="${backend.weight}" onchange="sslManager.updatePoolBackend(${index}, 'weight', this.value)"></td>
+              <td><input type="number" class="form-control form-control-sm" min="0" max="100" value="${backend.maxFails}" onchange="sslManager.updatePoolBackend(${index}, 'maxFails', this.value)"></td>
+              <td><input type="number" class="form-control form-control-sm" min="1" max="3600" value="${backend.failTimeout}" onchange="sslManager.updatePoolBackend(${index}, 'failTimeout', this.value)"></td>
+              <td class="text-center">
+                <input type="checkbox" class="form-check-input" ${backend.backup ? 'checked' : ''} onchange="sslManager.updatePoolBackend(${index}, 'backup', this.checked)">
+              </td>
+              <td>
+                <select class="form-select form-select-sm" onchange="sslManager.updatePoolBackend(${index}, 'state', this.value)">
+                  ${['active', 'draining', 'disabled'].map(state => `<option value="${state}" ${backend.state === state ? 'selected' : ''}>${state}</option>`).join('')}
+                </select>
+              </td>
+              <td>
+                <button class="btn btn-sm btn-outline-danger" title="Remove backend" onclick="sslManager.removePoolBackend(${index})" ${this.poolDraft.length === 1 ? 'disabled' : ''}>
+                  <i class="fas fa-times"></i>
+                </button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  updatePoolBackend(index, field, value) {
+    this.poolDraft[index][field] = value;
+  }
+
+  addPoolBackend() {
+    this.poolDraft.push({ address: '', weight: 1, maxFails: 1, failTimeout: 10, backup: false, state: 'active' });
+    this.renderPoolBackends();
+  }
+
+  removePoolBackend(index) {
+    this.poolDraft.splice(index, 1);
+    this.renderPoolBackends();
+  }
+
+  async saveUpstreamPool() {
+    const name = document.getElementById('upstream-pool-name').value.trim();
+
+    try {
+      const response = await this.api('PUT', `/nginx/upstreams/${name}`, {
+        method: document.getElementById('upstream-pool-method').value,
+        backends: this.poolDraft
+      });
+
+      this.addNotification('success', response.message, true);
+      bootstrap.Modal.getInstance(document.getElementById('upstreamPoolModal'))?.hide();
+      await this.loadUpstreams();
+    } catch (error) {
+      console.error('Error saving upstream pool:', error);
+      this.addNotification('error', `Failed to save upstream pool: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  // Rate Limit Zone Methods
+  async loadRateLimitZones() {
+    try {
+      this.rateLimitZones = await this.api('GET', '/nginx/rate-limits/zones');
+    } catch (error) {
+      console.error('Error loading rate limit zones:', error);
+      this.rateLimitZones = { zones: [], types: [], keys: [] };
+      this.addNotification('error', `Failed to load rate limit zones: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    if (this.activeTab === 'ratelimits') {
+      this.renderRateLimitZonesTab();
+    }
+  }
+
+  renderRateLimitZonesTab() {
+    const tabContent = document.getElementById('tab-content');
+    if (!tabContent) return;
+
+    if (!this.rateLimitZones) {
+      tabContent.innerHTML = `
+        <div class="text-center py-5">
+          <div class="spinner-border text-primary" role="status">
+            <span class="visually-hidden">Loading...</span>
+          </div>
+          <p class="mt-3 text-muted">Loading rate limit zones...</p>
+        </div>
+      `;
+      return;
+    }
+
+    const { zones, file, included } = this.rateLimitZones;
+    const isAdmin = this.hasRole('admin');
+
+    tabContent.innerHTML = `
+      <div class="card">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <h5 class="mb-0">Rate Limit Zones</h5>
+          <div class="d-flex gap-2">
+            <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadRateLimitZones()">
+              <i class="fas fa-sync-alt me-1"></i> Refresh
+            </button>
+            ${isAdmin ? `
+              <button class="btn btn-primary btn-sm" onclick="sslManager.openRateLimitZoneModal()">
+                <i class="fas fa-plus me-1"></i> New Zone
+              </button>
+            ` : ''}
+          </div>
+        </div>
+        <div class="card-body">
+          ${included === false ? `
+            <div class="alert alert-warning small py-2">
+              nginx.conf does not include <code>${file}</code>, so sites can't use these zones. Add
+              <code>include ${file};</code> to its <code>http</code> block (or include <code>conf.d/*.conf</code>).
+            </div>
+          ` : ''}
+          <p class="small text-muted">Zones are shared by all sites. Sites pick a zone and set burst, nodelay or a connection limit in their Limits tab.</p>
+          ${zones.length === 0 ? `
+            <p class="text-muted text-center mb-0">No rate limit zones yet</p>
+          ` : `
+            <div class="table-responsive">
+              <table class="table table-sm align-middle">
+                <thead class="table-light">
+                  <tr><th>Zone</th><th>Limit</th><th>Size</th><th>Exempt</th><th>Used by</th>${isAdmin ? '<th></th>' : ''}</tr>
+                </thead>
+                <tbody>
+                  ${zones.map(zone => `
+                    <tr>
+                      <td class="font-monospace">${zone.name}</td>
+                      <td>${zone.type === 'req' ? `${zone.rate} requests/${zone.per === 's' ? 'second' : 'minute'}` : 'Connections'} per ${zone.key}</td>
+                      <td>${zone.size} MB</td>
+                      <td class="small font-monospace">${zone.exempt.length ? zone.exempt.join(', ') : '<span class="text-muted">-</span>'}</td>
+                      <td class="small">${zone.usedBy.length ? zone.usedBy.map(item => item.domain).join(', ') : '<span class="text-muted">Not used</span>'}</td>
+                      ${isAdmin ? `
+                        <td class="text-end">
+                          <div class="btn-group btn-group-sm">
+                            <button class="btn btn-outline-primary" onclick="sslManager.openRateLimitZoneModal('${zone.name}')">
+                              <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-outline-danger" onclick="sslManager.deleteRateLimitZone('${zone.name}')">
+                              <i class="fas fa-trash"></i>
+                            </button>
+                          </div>
+                        </td>
+                      ` : ''}
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  openRateLimitZoneModal(name = null) {
+    const zone = name ? this.rateLimitZones.zones.find(item => item.name === name) : null;
+
+    const modalHtml = `
+      <div class="modal fade" id="rateLimitZoneModal" tabindex="-1" aria-labelledby="rateLimitZoneModalLabel" aria-hidden="true">
+        <div class="modal-dialog">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title" id="rateLimitZoneModalLabel">
+                <i class="fas fa-tachometer-alt text-primary me-2"></i>${zone ? `Edit Zone ${zone.name}` : 'New Rate Limit Zone'}
+              </h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              <div class="mb-3">
+                <label class="form-label" for="zone-name">Name</label>
+                <input type="text" id="zone-name" class="form-control font-monospace" value="${zone ? zone.name : ''}" placeholder="per_ip" ${zone ? 'readonly' : ''}>
+              </div>
+              <div class="row mb-3">
+                <div class="col-6">
+                  <label class="form-label" for="zone-type">Limits</label>
+                  <select id="zone-type" class="form-select" onchange="document.getElementById('zone-rate-row').classList.toggle('d-none', this.value !== 'req')">
+                    <option value="req" ${!zone || zone.type === 'req' ? 'selected' : ''}>Requests (limit_req)</option>
+                    <option value="conn" ${zone?.type === 'conn' ? 'selected' : ''}>Connections (limit_conn)</option>
+                  </select>
+                </div>
+                <div class="col-6">
+                  <label class="form-label" for="zone-key">Counted per</label>
+                  <select id="zone-key" class="form-select">
+                    <option value="client" ${!zone || zone.key === 'client' ? 'selected' : ''}>Client address</option>
+                    <option value="server" ${zone?.key === 'server' ? 'selected' : ''}>Site (all clients together)</option>
+                  </select>
+                </div>
+              </div>
+              <div class="row mb-3 ${zone?.type === 'conn' ? 'd-none' : ''}" id="zone-rate-row">
+                <div class="col-6">
+                  <label class="form-label" for="zone-rate">Rate</label>
+                  <input type="number" id="zone-rate" class="form-control" min="1" value="${zone?.rate || 10}">
+                </div>
+                <div class="col-6">
+                  <label class="form-label" for="zone-per">Per</label>
+                  <select id="zone-per" class="form-select">
+                    <option value="s" ${!zone || zone.per !== 'm' ? 'selected' : ''}>Second</option>
+                    <option value="m" ${zone?.per === 'm' ? 'selected' : ''}>Minute</option>
+                  </select>
+                </div>
+              </div>
+              <div class="mb-3">
+                <label class="form-label" for="zone-size">Shared memory (MB)</label>
+                <input type="number" id="zone-size" class="form-control" min="1" max="512" value="${zone ? zone.size : 10}">
+                <div class="form-text">1 MB keeps about 16,000 client addresses. A new size takes effect after nginx restarts.</div>
+              </div>
+              <div class="mb-3">
+                <label class="form-label" for="zone-exempt">Exempt addresses</label>
+                <textarea id="zone-exempt" class="form-control font-monospace" rows="3" placeholder="10.0.0.0/8">${zone ? zone.exempt.join('\n') : ''}</textarea>
+                <div class="form-text">IP addresses or CIDR ranges that are never limited, one per line</div>
+              </div>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-primary" onclick="sslManager.saveRateLimitZone()">
+                <i class="fas fa-save me-1"></i>Save Zone
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Remove existing modal if present
+    const existingModal = document.getElementById('rateLimitZoneModal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    new bootstrap.Modal(document.getElementById('rateLimitZoneModal')).show();
+  }
+
+  async saveRateLimitZone() {
+    const name = document.getElementById('zone-name').value.trim();
+
+    try {
+      const response = await this.api('PUT', `/nginx/rate-limits/zones/${name}`, {
+        type: document.getElementById('zone-type').value,
+        key: document.getElementById('zone-key').value,
+        rate: document.getElementById('zone-rate').value,
+        per: document.getElementById('zone-per').value,
+        size: document.getElementById('zone-size').value,
+        exempt: document.getElementById('zone-exempt').value
+      });
+
+      this.addNotification('success', response.message, true);
+      bootstrap.Modal.getInstance(document.getElementById('rateLimitZoneModal'))?.hide();
+      await this.loadRateLimitZones();
+    } catch (error) {
+      console.error('Error saving rate limit zone:', error);
+      this.addNotification('error', `Failed to save rate limit zone: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async deleteRateLimitZone(name) {
+    if (!confirm(`Delete rate limit zone ${name}?`)) {
+      return;
+    }
+
+    try {
+      const response = await this.api('DELETE', `/nginx/rate-limits/zones/${name}`);
+      this.addNotification('success', response.message, true);
+      await this.loadRateLimitZones();
+    } catch (error) {
+      console.error('Error deleting rate limit zone:', error);
+      this.addNotification('error', `Failed to delete rate limit zone: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  // API Token Methods
+  async loadApiTokens() {
+    try {
+      const response = await this.api('GET', '/tokens');
+      this.apiTokens = response.tokens || [];
+      this.availableScopes = response.availableScopes || [];
+    } catch (error) {
+      console.error('Error loading API tokens:', error);
+      this.apiTokens = [];
+      this.addNotification('error', `Failed to load API tokens: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    if (this.activeTab === 'tokens') {
+      this.renderTokensTab();
+    }
+  }
+
+  renderTokensTab() {
+    const tabContent = document.getElementById('tab-content');
+    if (!tabContent) return;
+
+    if (!this.apiTokens) {
+      tabContent.innerHTML = `
+        <div class="text-center py-5">
+          <div class="spinner-border text-primary" role="status">
+            <span class="visually-hidden">Loading...</span>
+          </div>
+          <p class="mt-3 text-muted">Loading API tokens...</p>
+        </div>
+      `;
+      return;
+    }
+
+    tabContent.innerHTML = `
+      <div class="row">
+        <div class="col-12 mb-4">
+          <div class="card">
+            <div class="card-header">
+              <h5 class="mb-0">Create API Token</h5>
+            </div>
+            <div class="card-body">
+              ${this.newTokenValue ? `
+                <div class="alert alert-success">
+                  <h6 class="alert-heading">Token created - copy it now, it will not be shown again</h6>
+                  <div class="input-group">
+                    <input type="text" class="form-control font-monospace" id="new-token-value" value="${this.newTokenValue}" readonly>
+                    <button class="btn btn-outline-secondary" onclick="navigator.clipboard.writeText(document.getElementById('new-token-value').value)">
+                      <i class="fas fa-copy me-1"></i> Copy
+                    </button>
+                  </div>
+                  <small class="text-muted">Send it as <code>Authorization: Bearer &lt;token&gt;</code></small>
+                </div>
+              ` : ''}
+              <div class="row g-2">
+                <div class="col-md-4">
+                  <input type="text" id="new-token-name" class="form-control" placeholder="Token name (e.g. deploy-script)">
+                </div>
+                <div class="col-md-2">
+                  <input type="number" id="new-token-expiry" class="form-control" value="90" min="1" max="3650" title="Expires in (days)">
+                </div>
+                <div class="col-md-3">
+                  <button class="btn btn-success" onclick="sslManager.createApiTokenFromForm()">
+                    <i class="fas fa-plus me-1"></i> Create Token
+                  </button>
+                </div>
+              </div>
+              <div class="mt-3 d-flex flex-wrap gap-3">
+                ${this.availableScopes.map(scope => `
+                  <div class="form-check">
+                    <input class="form-check-input token-scope" type="checkbox" value="${scope}" id="scope-${scope.replace(':', '-')}">
+                    <label class="form-check-label small" for="scope-${scope.replace(':', '-')}">${scope}</label>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div class="col-12">
+          <div class="card">
+            <div class="card-header d-flex justify-content-between align-items-center">
+              <h5 class="mb-0">Your API Tokens</h5>
+              <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadApiTokens()">
+                <i class="fas fa-sync-alt me-1"></i> Refresh
+              </button>
+            </div>
+            <div class="card-body">
+              ${this.apiTokens.length === 0 ? `
+                <p class="text-muted text-center mb-0">No API tokens yet</p>
+              ` : `
+                <div class="table-responsive">
+                  <table class="table table-hover">
+                    <thead class="table-light">
+                      <tr>
+                        <th>Name</th>
+                        <th>Scopes</th>
+                        <th>Expires</th>
+                        <th>Last Used</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${this.apiTokens.map(token => this.renderApiTokenRow(token)).join('')}
+                    </tbody>
+                  </table>
+                </div>
+              `}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderApiTokenRow(token) {
+    let statusBadge = '';
+    if (token.revokedAt) {
+      statusBadge = '<span class="badge bg-secondary ms-1">Revoked</span>';
+    } else if (token.expired) {
+      statusBadge = '<span class="badge bg-danger ms-1">Expired</span>';
+    }
+
+    return `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(token.name)}</strong>${statusBadge}
+          <br><small class="text-muted font-monospace">dcp_${this.escapeHtml(token.id)}_…</small>
+        </td>
+        <td>${token.scopes.map(scope => `<span class="badge bg-light text-dark me-1">${this.escapeHtml(scope)}</span>`).join('')}</td>
+        <td>${new Date(token.expiresAt).toLocaleDateString()}</td>
+        <td>
+          ${token.lastUsedAt
+            ? `${new Date(token.lastUsedAt).toLocaleString()}<br><small class="text-muted">${this.escapeHtml(token.lastUsedIp)}</small>`
+            : '<span class="text-muted">Never</span>'}
+        </td>
+        <td>
+          ${token.revokedAt ? '' : `
+            <button class="btn btn-outline-danger btn-sm" onclick="sslManager.revokeApiToken('${this.escapeHtml(token.id)}')" title="Revoke Token">
+              <i class="fas fa-ban"></i>
+            </button>
+          `}
+        </td>
+      </tr>
+    `;
   }
 
-  async addDomainFromForm() {
-    const domainInput = document.getElementById('new-domain-input');
-    const validationMessage = document.getElementById('domain-validation-message');
-    
-    if (!domainInput || !validationMessage) return;
+  async createApiTokenFromForm() {
+    const nameInput = document.getElementById('new-token-name');
+    const expiryInput = document.getElementById('new-token-expiry');
+    if (!nameInput || !expiryInput) return;
 
-    const domain = domainInput.value.trim();
-    
-    // Clear previous validation message
-    validationMessage.textContent = '';
-    validationMessage.className = 'form-text';
+    const scopes = [...document.querySelectorAll('.token-scope:checked')].map(input => input.value);
 
-    if (!domain) {
-      this.showValidationMessage('Domain is required', 'error');
-      domainInput.focus();
-      return;
-    }
+    try {
+      const response = await this.api('POST', '/tokens', {
+        name: nameInput.value.trim(),
+        scopes,
+        expiresInDays: parseInt(expiryInput.value)
+      });
 
-    // Validate domain format
-    const validation = this.validateDomain(domain);
-    if (!validation.valid) {
-      this.showValidationMessage(validation.error, 'error');
-      domainInput.focus();
-      return;
+      if (response.success) {
+        this.newTokenValue = response.value;
+        this.addNotification('success', response.message, true);
+        await this.loadApiTokens();
+        this.newTokenValue = null;
+      }
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      this.addNotification('error', `Failed to create API token: ${error.response?.data?.message || error.message}`, true);
     }
+  }
 
-    // Check if domain already exists
-    const existingDomain = this.domains.find(d => d.domain === validation.domain);
-    if (existingDomain) {
-      this.showValidationMessage('Domain already exists', 'error');
-      domainInput.focus();
+  async revokeApiToken(id) {
+    const token = this.apiTokens?.find(item => item.id === id);
+    if (!confirm(`Revoke API token "${token ? token.name : id}"?\n\nScripts using it will stop working immediately.`)) {
       return;
     }
 
     try {
-      this.addNotification('info', `Adding domain ${validation.domain}...`, false);
-      
-      const response = await this.api('POST', '/domains/add', { domain: validation.domain });
-      
+      const response = await this.api('DELETE', `/tokens/${encodeURIComponent(id)}`);
+
       if (response.success) {
-        this.addNotification('success', `Domain ${validation.domain} added successfully`, true);
-        
-        // Clear form and hide it
-        domainInput.value = '';
-        this.toggleAddDomainForm();
-        
-        // Refresh domain list
-        await this.loadDomains();
-      } else {
-        this.addNotification('error', `Failed to add domain: ${response.error}`, true);
+        this.addNotification('success', response.message, true);
+        await this.loadApiTokens();
       }
     } catch (error) {
-      console.error('Domain addition error:', error);
-      this.addNotification('error', `Domain addition failed: ${error.message}`, true);
+      console.error('Error revoking API token:', error);
+      this.addNotification('error', `Failed to revoke API token: ${error.response?.data?.message || error.message}`, true);
     }
   }
 
-  async deleteDomain(domain) {
-    // Show confirmation dialog
-    const confirmed = confirm(
-      `Are you sure you want to delete "${domain}"?\n\n` +
-      `This will permanently remove:\n` +
-      `• Nginx configuration files\n` +
-      `• SSL certificates (if present)\n` +
-      `• All associated data\n\n` +
-      `This action cannot be undone.`
-    );
+  // Account / Two-Factor Methods
+  async refreshCurrentUser() {
+    const authStatus = await this.checkAuthentication();
+    if (authStatus.authenticated) {
+      this.currentUser = authStatus.user;
+      this.csrfToken = authStatus.csrfToken;
+    }
 
-    if (!confirmed) {
-      return;
+    if (this.activeTab === 'account') {
+      this.renderAccountTab();
     }
+  }
 
-    try {
-      this.addNotification('info', `Deleting domain ${domain}...`, false);
-      
-      const response = await this.api('DELETE', `/domains/delete/${domain}`);
-      
-      if (response.success) {
-        this.addNotification('success', `Domain ${domain} deleted successfully`, true);
-        
-        // Clear selected domain if it was the deleted one
-        if (this.selectedDomain?.domain === domain) {
-          this.selectedDomain = null;
-        }
-        
-        // Refresh domain list
-        await this.loadDomains();
-      } else {
-        this.addNotification('error', `Failed to delete domain: ${response.error}`, true);
-      }
-    } catch (error) {
-      console.error('Domain deletion error:', error);
-      this.addNotification('error', `Domain deletion failed: ${error.message}`, true);
+  renderTwoFactorQRCode(uri) {
+    // qrcode-generator is loaded from the CDN; fall back to the manual secret if it is unavailable
+    if (typeof qrcode === 'undefined') {
+      return '';
     }
+
+    const qr = qrcode(0, 'M');
+    qr.addData(uri);
+    qr.make();
+    return qr.createSvgTag({ cellSize: 4, margin: 2 });
   }
 
-  // Autorenewal Management Methods
-  renderAutorenewalTab() {
+  renderAccountTab() {
     const tabContent = document.getElementById('tab-content');
     if (!tabContent) return;
 
-    if (!this.autorenewalData) {
-      tabContent.innerHTML = `
-        <div class="text-center py-5">
-          <div class="spinner-border text-primary" role="status">
-            <span class="visually-hidden">Loading...</span>
-          </div>
-          <p class="mt-3 text-muted">Loading autorenewal data...</p>
-        </div>
-      `;
-      return;
-    }
-
-    const stats = this.autorenewalData.statistics;
-    const config = this.autorenewalData.config;
-    const domains = this.autorenewalData.domains || [];
+    const user = this.currentUser;
 
     tabContent.innerHTML = `
       <div class="row">
-        <!-- Summary Cards -->
-        <div class="col-12 mb-4">
-          <div class="row">
-            <div class="col-md-3">
-              <div class="card bg-success text-white">
-                <div class="card-body">
-                  <div class="d-flex align-items-center">
-                    <div class="flex-grow-1">
-                      <h6 class="card-title mb-0">Active Renewals</h6>
-                      <h2 class="mb-0">${stats.autorenewalEnabled || 0}</h2>
-                    </div>
-                    <div class="ms-3">
-                      <i class="fas fa-check-circle fa-2x opacity-75"></i>
-                    </div>
-                  </div>
-                </div>
-              </div>
+        <div class="col-lg-8 mb-4">
+          <div class="card">
+            <div class="card-header d-flex justify-content-between align-items-center">
+              <h5 class="mb-0">Two-Factor Authentication</h5>
+              <span class="badge ${user.twoFactorEnabled ? 'bg-success' : 'bg-secondary'}">
+                ${user.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+              </span>
             </div>
-            <div class="col-md-3">
-              <div class="card bg-warning text-white">
-                <div class="card-body">
-                  <div class="d-flex align-items-center">
-                    <div class="flex-grow-1">
-                      <h6 class="card-title mb-0">Needing Renewal</h6>
-                      <h2 class="mb-0">${stats.needingRenewal || 0}</h2>
-                    </div>
-                    <div class="ms-3">
-                      <i class="fas fa-clock fa-2x opacity-75"></i>
-                    </div>
+            <div class="card-body">
+              ${this.recoveryCodes ? `
+                <div class="alert alert-success">
+                  <h6 class="alert-heading">Recovery codes - store them somewhere safe, they will not be shown again</h6>
+                  <p class="small mb-2">Each code signs you in once if you lose access to your authenticator app.</p>
+                  <div class="row font-monospace">
+                    ${this.recoveryCodes.map(code => `<div class="col-6 col-md-4">${code}</div>`).join('')}
                   </div>
                 </div>
-              </div>
-            </div>
-            <div class="col-md-3">
-              <div class="card bg-info text-white">
-                <div class="card-body">
-                  <div class="d-flex align-items-center">
-                    <div class="flex-grow-1">
-                      <h6 class="card-title mb-0">Total Renewals</h6>
-                      <h2 class="mb-0">${stats.totalRenewals || 0}</h2>
-                    </div>
-                    <div class="ms-3">
-                      <i class="fas fa-history fa-2x opacity-75"></i>
-                    </div>
+              ` : ''}
+
+              ${user.twoFactorEnabled ? `
+                <p class="text-muted">
+                  Sign-ins require a code from your authenticator app.
+                  ${user.recoveryCodesRemaining} recovery code${user.recoveryCodesRemaining === 1 ? '' : 's'} remaining.
+                </p>
+                <div class="d-flex gap-2">
+                  <button class="btn btn-outline-primary" onclick="sslManager.regenerateRecoveryCodes()">
+                    <i class="fas fa-redo me-1"></i> New Recovery Codes
+                  </button>
+                  ${user.twoFactorRequired ? '' : `
+                    <button class="btn btn-outline-danger" onclick="sslManager.disableTwoFactor()">
+                      <i class="fas fa-times me-1"></i> Disable
+                    </button>
+                  `}
+                </div>
+              ` : this.twoFactorSetup ? `
+                <p>Scan this code with your authenticator app, or enter the secret manually.</p>
+                <div class="mb-3">${this.renderTwoFactorQRCode(this.twoFactorSetup.otpauthUri)}</div>
+                <div class="mb-3">
+                  <label class="form-label small text-muted">Secret</label>
+                  <input type="text" class="form-control font-monospace" value="${this.twoFactorSetup.secret}" readonly>
+                </div>
+                <div class="row g-2">
+                  <div class="col-md-4">
+                    <input type="text" id="two-factor-code" class="form-control" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code">
+                  </div>
+                  <div class="col-md-4">
+                    <button class="btn btn-success" onclick="sslManager.confirmTwoFactorSetup()">
+                      <i class="fas fa-check me-1"></i> Verify &amp; Enable
+                    </button>
                   </div>
                 </div>
-              </div>
+              ` : `
+                <p class="text-muted">
+                  ${user.twoFactorRequired
+                    ? `Two-factor authentication is required for the ${user.role} role.`
+                    : 'Protect your account with a time-based code from an authenticator app.'}
+                </p>
+                <button class="btn btn-primary" onclick="sslManager.startTwoFactorSetup()">
+                  <i class="fas fa-qrcode me-1"></i> Set Up Two-Factor Authentication
+                </button>
+              `}
             </div>
-            <div class="col-md-3">
-              <div class="card bg-danger text-white">
-                <div class="card-body">
-                  <div class="d-flex align-items-center">
-                    <div class="flex-grow-1">
-                      <h6 class="card-title mb-0">Failed</h6>
-                      <h2 class="mb-0">${stats.failedRenewals || 0}</h2>
-                    </div>
-                    <div class="ms-3">
-                      <i class="fas fa-exclamation-triangle fa-2x opacity-75"></i>
+          </div>
+        </div>
+
+        ${this.needsTwoFactorEnrollment() ? '' : `
+          <div class="col-12 mb-4">
+            <div class="card">
+              <div class="card-header d-flex justify-content-between align-items-center">
+                <h5 class="mb-0">Active Sessions</h5>
+                <div class="d-flex gap-2 align-items-center">
+                  ${this.hasRole('admin') ? `
+                    <div class="form-check form-switch mb-0">
+                      <input class="form-check-input" type="checkbox" id="sessions-show-all" 
+                             ${this.showAllSessions ? 'checked' : ''} onchange="sslManager.toggleAllSessions(this.checked)">
+                      <label class="form-check-label small" for="sessions-show-all">All users</label>
                     </div>
-                  </div>
+                  ` : ''}
+                  <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadSessions()">
+                    <i class="fas fa-sync-alt me-1"></i> Refresh
+                  </button>
+                  <button class="btn btn-outline-danger btn-sm" onclick="sslManager.logoutEverywhere()">
+                    <i class="fas fa-sign-out-alt me-1"></i> Log Out Everywhere
+                  </button>
                 </div>
               </div>
+              <div class="card-body" id="sessions-container"></div>
             </div>
           </div>
+        `}
+      </div>
+    `;
+
+    this.renderSessions();
+  }
+
+  async loadSessions() {
+    try {
+      const response = await this.api('GET', `/sessions${this.showAllSessions ? '?all=true' : ''}`);
+      this.sessions = response.sessions || [];
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      this.sessions = [];
+      this.addNotification('error', `Failed to load sessions: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    this.renderSessions();
+  }
+
+  toggleAllSessions(showAll) {
+    this.showAllSessions = showAll;
+    this.loadSessions();
+  }
+
+  renderSessions() {
+    const container = document.getElementById('sessions-container');
+    if (!container) return;
+
+    if (!this.sessions) {
+      container.innerHTML = '<p class="text-muted text-center mb-0">Loading sessions...</p>';
+      return;
+    }
+
+    if (this.sessions.length === 0) {
+      container.innerHTML = '<p class="text-muted text-center mb-0">No active sessions</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="table-responsive">
+        <table class="table table-sm table-hover mb-0">
+          <thead class="table-light">
+            <tr>
+              ${this.showAllSessions ? '<th>User</th>' : ''}
+              <th>Device</th>
+              <th>IP</th>
+              <th>Signed In</th>
+              <th>Last Activity</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.sessions.map(session => `
+              <tr>
+                ${this.showAllSessions ? `<td>${this.escapeHtml(session.username)}</td>` : ''}
+                <td>
+                  <small>${session.userAgent ? this.escapeHtml(session.userAgent) : '<span class="text-muted">Unknown</span>'}</small>
+                  ${session.current ? '<span class="badge bg-info ms-1">This session</span>' : ''}
+                </td>
+                <td><small class="font-monospace">${this.escapeHtml(session.ip)}</small></td>
+                <td><small>${session.createdAt ? new Date(session.createdAt).toLocaleString() : ''}</small></td>
+                <td><small>${session.lastActivityAt ? new Date(session.lastActivityAt).toLocaleString() : ''}</small></td>
+                <td>
+                  <button class="btn btn-outline-danger btn-sm" onclick="sslManager.revokeSession('${this.escapeHtml(session.id)}', ${Boolean(session.current)})" title="Revoke Session">
+                    <i class="fas fa-ban"></i>
+                  </button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  async revokeSession(id, current) {
+    if (!confirm(current ? 'Revoke this session? You will be logged out.' : 'Revoke this session?')) {
+      return;
+    }
+
+    try {
+      const response = await this.api('DELETE', `/sessions/${encodeURIComponent(id)}`);
+
+      if (response?.current) {
+        window.location.href = '/login.html';
+        return;
+      }
+
+      if (response?.success) {
+        this.addNotification('success', response.message, true);
+        await this.loadSessions();
+      }
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      this.addNotification('error', `Failed to revoke session: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async logoutEverywhere() {
+    if (!confirm('Log out of every session, including this one?')) {
+      return;
+    }
+
+    try {
+      await this.api('POST', '/sessions/revoke-all');
+    } catch (error) {
+      console.error('Error logging out everywhere:', error);
+      this.addNotification('error', `Failed to log out everywhere: ${error.response?.data?.message || error.message}`, true);
+      return;
+    }
+
+    window.location.href = '/login.html';
+  }
+
+  async startTwoFactorSetup() {
+    try {
+      const response = await this.api('POST', '/auth/2fa/setup');
+
+      if (response.success) {
+        this.twoFactorSetup = { secret: response.secret, otpauthUri: response.otpauthUri };
+        this.renderAccountTab();
+      }
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      this.addNotification('error', `Failed to start setup: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async confirmTwoFactorSetup() {
+    const codeInput = document.getElementById('two-factor-code');
+    if (!codeInput) return;
+
+    try {
+      const response = await this.api('POST', '/auth/2fa/enable', { code: codeInput.value.trim() });
+
+      if (response.success) {
+        const wasBlocked = this.needsTwoFactorEnrollment();
+        this.twoFactorSetup = null;
+        this.recoveryCodes = response.recoveryCodes;
+        this.addNotification('success', response.message, true);
+        await this.refreshCurrentUser();
+
+        // Finish the startup that was held back until enrollment
+        if (wasBlocked) {
+          this.bindEvents();
+          this.initSocket();
+          this.loadSessions();
+        }
+      }
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      this.addNotification('error', `Failed to enable two-factor authentication: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async disableTwoFactor() {
+    const password = prompt('Enter your password to disable two-factor authentication:');
+    if (!password) return;
+    const code = prompt('Enter a current authentication code:');
+    if (!code) return;
+
+    try {
+      const response = await this.api('POST', '/auth/2fa/disable', { password, code: code.trim() });
+
+      if (response.success) {
+        this.recoveryCodes = null;
+        this.addNotification('success', response.message, true);
+        await this.refreshCurrentUser();
+      }
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      this.addNotification('error', `Failed to disable two-factor authentication: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async regenerateRecoveryCodes() {
+    const code = prompt('Enter a current authentication code to generate new recovery codes.\n\nYour existing recovery codes will stop working.');
+    if (!code) return;
+
+    try {
+      const response = await this.api('POST', '/auth/2fa/recovery-codes', { code: code.trim() });
+
+      if (response.success) {
+        this.recoveryCodes = response.recoveryCodes;
+        this.addNotification('success', response.message, true);
+        await this.refreshCurrentUser();
+      }
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      this.addNotification('error', `Failed to regenerate recovery codes: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  // User Management Methods
+  async loadUsers() {
+    try {
+      const response = await this.api('GET', '/users');
+      this.users = response.users || [];
+    } catch (error) {
+      console.error('Error loading users:', error);
+      this.users = [];
+      this.addNotification('error', `Failed to load users: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    if (this.activeTab === 'users') {
+      this.renderUsersTab();
+    }
+  }
+
+  renderUsersTab() {
+    const tabContent = document.getElementById('tab-content');
+    if (!tabContent) return;
+
+    if (!this.users) {
+      tabContent.innerHTML = `
+        <div class="text-center py-5">
+          <div class="spinner-border text-primary" role="status">
+            <span class="visually-hidden">Loading...</span>
+          </div>
+          <p class="mt-3 text-muted">Loading users...</p>
         </div>
+      `;
+      return;
+    }
 
-        <!-- Global Settings -->
+    tabContent.innerHTML = `
+      <div class="row">
         <div class="col-12 mb-4">
           <div class="card">
             <div class="card-header">
-              <h5 class="mb-0">Global Autorenewal Settings</h5>
+              <h5 class="mb-0">Add User</h5>
             </div>
             <div class="card-body">
-              <div class="row align-items-center">
-                <div class="col-md-6">
-                  <div class="form-check form-switch">
-                    <input class="form-check-input" type="checkbox" id="globalAutoRenewal" 
-                           ${config.globalEnabled ? 'checked' : ''} 
-                           onchange="sslManager.updateGlobalSettings()">
-                    <label class="form-check-label fw-bold" for="globalAutoRenewal">
-                      <i class="fas fa-globe me-1"></i> Enable Global Autorenewal
-                    </label>
-                  </div>
-                  <small class="text-muted">Automatically renew SSL certificates before expiry</small>
+              <div class="row g-2">
+                <div class="col-md-3">
+                  <input type="text" id="new-user-username" class="form-control" placeholder="Username">
                 </div>
                 <div class="col-md-3">
-                  <label class="form-label">Renewal Days Before Expiry</label>
-                  <input type="number" class="form-control" id="renewalDays" 
-                         value="${config.renewalDays}" min="1" max="89" 
-                         onchange="sslManager.updateGlobalSettings()">
+                  <input type="password" id="new-user-password" class="form-control" placeholder="Password (min. 10 characters)">
                 </div>
                 <div class="col-md-3">
-                  <label class="form-label">Check Frequency</label>
-                  <select class="form-select" id="checkFrequency" onchange="sslManager.updateGlobalSettings()">
-                    <option value="daily" ${config.checkFrequency === 'daily' ? 'selected' : ''}>Daily</option>
-                    <option value="weekly" ${config.checkFrequency === 'weekly' ? 'selected' : ''}>Weekly</option>
-                    <option value="hourly" ${config.checkFrequency === 'hourly' ? 'selected' : ''}>Hourly</option>
+                  <select id="new-user-role" class="form-select">
+                    <option value="viewer" selected>Viewer (read-only)</option>
+                    <option value="operator">Operator (install/renew SSL)</option>
+                    <option value="admin">Admin (full access)</option>
                   </select>
                 </div>
+                <div class="col-md-3">
+                  <button class="btn btn-success" onclick="sslManager.createUserFromForm()">
+                    <i class="fas fa-user-plus me-1"></i> Create User
+                  </button>
+                </div>
               </div>
             </div>
           </div>
         </div>
 
-        <!-- Domain Status Table -->
         <div class="col-12">
           <div class="card">
             <div class="card-header d-flex justify-content-between align-items-center">
-              <h5 class="mb-0">Domain Autorenewal Status</h5>
+              <h5 class="mb-0">Panel Users</h5>
+              <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadUsers()">
+                <i class="fas fa-sync-alt me-1"></i> Refresh
+              </button>
+            </div>
+            <div class="card-body">
+              <div class="table-responsive">
+                <table class="table table-hover">
+                  <thead class="table-light">
+                    <tr>
+                      <th>Username</th>
+                      <th>Role</th>
+                      <th>Domains</th>
+                      <th>Status</th>
+                      <th>Last Login</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${this.users.map(user => this.renderUserRow(user)).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div class="col-12 mt-4">
+          <div class="card">
+            <div class="card-header d-flex justify-content-between align-items-center">
+              <h5 class="mb-0">Security Log</h5>
               <div class="d-flex gap-2">
-                <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadAutorenewalData()">
-                  <i class="fas fa-sync-alt me-1"></i> Refresh Status
-                </button>
-                <button class="btn btn-success btn-sm" onclick="sslManager.runRenewalCheck()">
-                  <i class="fas fa-play me-1"></i> Run Check Now
+                <select class="form-select form-select-sm w-auto" onchange="sslManager.setSecurityEventFilter(this.value)">
+                  <option value="">All events</option>
+                  ${['login_failed', 'login_throttled', 'two_factor_failed', 'account_locked', 'account_unlocked', 'login_succeeded'].map(type => `
+                    <option value="${type}" ${this.securityEventFilter === type ? 'selected' : ''}>${type.replace(/_/g, ' ')}</option>
+                  `).join('')}
+                </select>
+                <button class="btn btn-outline-primary btn-sm" onclick="sslManager.loadSecurityLog()">
+                  <i class="fas fa-sync-alt me-1"></i> Refresh
                 </button>
               </div>
             </div>
-            <div class="card-body">
-              ${this.renderAutorenewalTable(domains)}
-            </div>
+            <div class="card-body" id="security-log-container"></div>
           </div>
         </div>
       </div>
     `;
 
-    // Update the badge in the tab
-    const badge = document.getElementById('autorenewal-badge');
-    if (badge) {
-      badge.textContent = `${stats.autorenewalEnabled || 0} Active`;
+    this.renderSecurityLog();
+  }
+
+  async loadSecurityLog() {
+    try {
+      const params = new URLSearchParams({ limit: '100' });
+      if (this.securityEventFilter) {
+        params.set('type', this.securityEventFilter);
+      }
+
+      const response = await this.api('GET', `/security/log?${params.toString()}`);
+      this.securityEvents = response.events || [];
+    } catch (error) {
+      console.error('Error loading security log:', error);
+      this.securityEvents = [];
+      this.addNotification('error', `Failed to load security log: ${error.response?.data?.message || error.message}`, true);
     }
+
+    this.renderSecurityLog();
   }
 
-  renderAutorenewalTable(domains) {
-    if (domains.length === 0) {
-      return `
-        <div class="text-center py-5">
-          <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
-          <h5 class="text-muted">No domains found</h5>
-          <p class="text-muted">Add domains to manage SSL autorenewal</p>
-        </div>
-      `;
+  setSecurityEventFilter(type) {
+    this.securityEventFilter = type;
+    this.loadSecurityLog();
+  }
+
+  renderSecurityLog() {
+    const container = document.getElementById('security-log-container');
+    if (!container) return;
+
+    if (!this.securityEvents) {
+      container.innerHTML = '<p class="text-muted text-center mb-0">Loading security log...</p>';
+      return;
     }
 
-    return `
-      <div class="table-responsive">
-        <table class="table table-hover">
+    if (this.securityEvents.length === 0) {
+      container.innerHTML = '<p class="text-muted text-center mb-0">No matching events</p>';
+      return;
+    }
+
+    const badgeClasses = {
+      login_succeeded: 'bg-success',
+      login_failed: 'bg-warning text-dark',
+      two_factor_failed: 'bg-warning text-dark',
+      login_throttled: 'bg-secondary',
+      account_locked: 'bg-danger',
+      account_unlocked: 'bg-info'
+    };
+
+    container.innerHTML = `
+      <div class="table-responsive" style="max-height: 400px; overflow-y: auto;">
+        <table class="table table-sm table-hover mb-0">
           <thead class="table-light">
             <tr>
-              <th>Domain</th>
-              <th>Autorenewal Status</th>
-              <th>SSL Expiry</th>
-              <th>Next Check</th>
-              <th>Actions</th>
+              <th>Time</th>
+              <th>Event</th>
+              <th>Username</th>
+              <th>IP</th>
+              <th>Details</th>
             </tr>
           </thead>
           <tbody>
-            ${domains.map(domain => this.renderAutorenewalRow(domain)).join('')}
+            ${this.securityEvents.map(event => `
+              <tr>
+                <td><small>${new Date(event.timestamp).toLocaleString()}</small></td>
+                <td><span class="badge ${badgeClasses[event.type] || 'bg-light text-dark'}">${this.escapeHtml(String(event.type).replace(/_/g, ' '))}</span></td>
+                <td>${event.username ? this.escapeHtml(event.username) : '<span class="text-muted">-</span>'}</td>
+                <td><small class="font-monospace">${this.escapeHtml(event.ip)}</small></td>
+                <td><small class="text-muted">
+                  ${event.lockedUntil ? `Locked until ${new Date(event.lockedUntil).toLocaleTimeString()}` : ''}
+                  ${event.retryAfter ? `Retry after ${this.escapeHtml(event.retryAfter)}s` : ''}
+                  ${event.by ? `By ${this.escapeHtml(event.by)}` : ''}
+                </small></td>
+              </tr>
+            `).join('')}
           </tbody>
         </table>
       </div>
     `;
   }
 
-  renderAutorenewalRow(domain) {
-    const ssl = domain.ssl;
-    const autorenewal = domain.autorenewal;
-    
-    let statusBadge, expiryDisplay, nextCheck, actions;
-
-    if (!ssl?.hasSSL) {
-      statusBadge = '<span class="badge bg-secondary"><i class="fas fa-times-circle me-1"></i> N/A</span>';
-      expiryDisplay = '<span class="text-muted"><i class="fas fa-minus me-1"></i> No SSL</span>';
-      nextCheck = '<span class="text-muted">-</span>';
-      actions = `
-        <button class="btn btn-outline-success btn-sm" onclick="sslManager.installSSLFirst('${domain.domain}')" title="Install SSL First">
-          <i class="fas fa-plus me-1"></i> Install SSL
-        </button>
-      `;
-    } else {
-      statusBadge = autorenewal.enabled 
-        ? '<span class="badge bg-success"><i class="fas fa-check-circle me-1"></i> Enabled</span>'
-        : '<span class="badge bg-warning"><i class="fas fa-pause-circle me-1"></i> Disabled</span>';
-      
-      const daysRemaining = ssl.daysRemaining || 0;
-      let expiryClass = 'text-success';
-      if (daysRemaining <= 30) expiryClass = 'text-warning';
-      if (daysRemaining <= 7) expiryClass = 'text-danger';
-      
-      expiryDisplay = `
-        <span class="${expiryClass}">
-          <i class="fas fa-shield-alt me-1"></i> ${daysRemaining} days
-        </span>
-        <br><small class="text-muted">${new Date(ssl.expiryDate).toLocaleDateString()}</small>
-      `;
-      
-      nextCheck = autorenewal.nextCheck 
-        ? `<span class="text-info">${this.formatRelativeDate(autorenewal.nextCheck)}</span>`
-        : '<span class="text-muted">-</span>';
-      
-      actions = `
-        <div class="btn-group" role="group">
-          <button class="btn btn-outline-${autorenewal.enabled ? 'warning' : 'success'} btn-sm" 
-                  onclick="sslManager.toggleDomainAutorenewal('${domain.domain}', ${!autorenewal.enabled})" 
-                  title="${autorenewal.enabled ? 'Disable' : 'Enable'} Autorenewal">
-            <i class="fas fa-${autorenewal.enabled ? 'pause' : 'play'}"></i>
-          </button>
-          <button class="btn btn-outline-primary btn-sm" 
-                  onclick="sslManager.forceRenewalDomain('${domain.domain}')" 
-                  title="Force Renewal">
-            <i class="fas fa-sync-alt"></i>
-          </button>
-        </div>
-      `;
-    }
+  renderUserRow(user) {
+    const isSelf = user.id === this.currentUser?.id;
 
     return `
       <tr>
         <td>
-          <strong>${domain.domain}</strong>
-          <br><small class="text-muted">${ssl?.issuer || 'No SSL Certificate'}</small>
+          <strong>${user.username}</strong>
+          ${isSelf ? '<span class="badge bg-info ms-1">You</span>' : ''}
+        </td>
+        <td>
+          ${isSelf ? `<span class="badge bg-primary">${user.role}</span>` : `
+            <select class="form-select form-select-sm w-auto" onchange="sslManager.changeUserRole('${user.username}', this.value)">
+              ${['viewer', 'operator', 'admin'].map(role => `
+                <option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>
+              `).join('')}
+            </select>
+          `}
+        </td>
+        <td>
+          ${user.role === 'admin' || user.domainScope === 'all'
+            ? '<span class="text-muted">All domains</span>'
+            : `Assigned only${user.groups.length ? `<br><small class="text-muted">Groups: ${user.groups.join(', ')}</small>` : ''}`}
+        </td>
+        <td>
+          <span class="badge ${user.disabled ? 'bg-secondary' : 'bg-success'}">
+            ${user.disabled ? 'Disabled' : 'Active'}
+          </span>
+          ${user.lockedUntil ? `<span class="badge bg-danger ms-1" title="Locked until ${new Date(user.lockedUntil).toLocaleString()}">Locked</span>` : ''}
+          ${user.twoFactorEnabled
+            ? '<span class="badge bg-info ms-1" title="Two-factor authentication enabled">2FA</span>'
+            : user.twoFactorRequired ? '<span class="badge bg-warning text-dark ms-1" title="Must enroll in two-factor authentication">2FA pending</span>' : ''}
+        </td>
+        <td>${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : '<span class="text-muted">Never</span>'}</td>
+        <td>
+          <div class="btn-group" role="group">
+            <button class="btn btn-outline-secondary btn-sm" onclick="sslManager.editUserAccess('${user.username}')" title="Domain Access">
+              <i class="fas fa-user-lock"></i>
+            </button>
+            <button class="btn btn-outline-primary btn-sm" onclick="sslManager.resetUserPassword('${user.username}')" title="Reset Password">
+              <i class="fas fa-key"></i>
+            </button>
+            ${isSelf ? '' : `
+              <button class="btn btn-outline-secondary btn-sm" onclick="sslManager.revokeUserSessions('${user.username}')" title="Log Out All Sessions">
+                <i class="fas fa-sign-out-alt"></i>
+              </button>
+            `}
+            ${user.lockedUntil ? `
+              <button class="btn btn-outline-success btn-sm" onclick="sslManager.unlockUser('${user.username}')" title="Unlock Account">
+                <i class="fas fa-unlock"></i>
+              </button>
+            ` : ''}
+            ${user.twoFactorEnabled && !isSelf ? `
+              <button class="btn btn-outline-secondary btn-sm" onclick="sslManager.resetUserTwoFactor('${user.username}')" title="Reset Two-Factor Authentication">
+                <i class="fas fa-mobile-alt"></i>
+              </button>
+            ` : ''}
+            ${isSelf ? '' : `
+              <button class="btn btn-outline-${user.disabled ? 'success' : 'warning'} btn-sm" 
+                      onclick="sslManager.toggleUserDisabled('${user.username}', ${!user.disabled})" 
+                      title="${user.disabled ? 'Enable' : 'Disable'} User">
+                <i class="fas fa-${user.disabled ? 'user-check' : 'user-slash'}"></i>
+              </button>
+              <button class="btn btn-outline-danger btn-sm" onclick="sslManager.deleteUser('${user.username}')" title="Delete User">
+                <i class="fas fa-trash"></i>
+              </button>
+            `}
+          </div>
         </td>
-        <td>${statusBadge}</td>
-        <td>${expiryDisplay}</td>
-        <td>${nextCheck}</td>
-        <td>${actions}</td>
       </tr>
     `;
   }
 
-  formatRelativeDate(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date.getTime() - now.getTime();
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Tomorrow';
-    if (diffDays > 1) return `${diffDays} days`;
-    return 'Past due';
+  async createUserFromForm() {
+    const usernameInput = document.getElementById('new-user-username');
+    const passwordInput = document.getElementById('new-user-password');
+    const roleSelect = document.getElementById('new-user-role');
+    if (!usernameInput || !passwordInput || !roleSelect) return;
+
+    try {
+      const response = await this.api('POST', '/users', {
+        username: usernameInput.value.trim(),
+        password: passwordInput.value,
+        role: roleSelect.value
+      });
+
+      if (response.success) {
+        this.addNotification('success', response.message, true);
+        await this.loadUsers();
+      }
+    } catch (error) {
+      console.error('Error creating user:', error);
+      this.addNotification('error', `Failed to create user: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async toggleUserDisabled(username, disabled) {
+    try {
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/${disabled ? 'disable' : 'enable'}`);
+
+      if (response.success) {
+        this.addNotification('success', response.message, true);
+        await this.loadUsers();
+      }
+    } catch (error) {
+      console.error('Error updating user:', error);
+      this.addNotification('error', `Failed to update user: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async changeUserRole(username, role) {
+    try {
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/role`, { role });
+
+      if (response.success) {
+        this.addNotification('success', response.message, true);
+      }
+    } catch (error) {
+      console.error('Error changing role:', error);
+      this.addNotification('error', `Failed to change role: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    await this.loadUsers();
+  }
+
+  async editUserAccess(username) {
+    const user = this.users.find(u => u.username === username);
+    if (!user) return;
+
+    const restricted = confirm(
+      `Restrict "${username}" to assigned domains only?\n\n` +
+      `OK: only domains owned by the user or their groups\n` +
+      `Cancel: all domains`
+    );
+    let groups = user.groups;
+    if (restricted) {
+      const input = prompt(`Groups for "${username}" (comma-separated):`, user.groups.join(', '));
+      if (input === null) return;
+      groups = input.split(',').map(group => group.trim()).filter(Boolean);
+    }
+
+    try {
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/access`, {
+        domainScope: restricted ? 'assigned' : 'all',
+        groups
+      });
+
+      if (response.success) {
+        this.addNotification('success', response.message, true);
+      }
+    } catch (error) {
+      console.error('Error updating user access:', error);
+      this.addNotification('error', `Failed to update access: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    await this.loadUsers();
+  }
+
+  async resetUserPassword(username) {
+    const password = prompt(`Enter a new password for "${username}" (min. 10 characters):`);
+    if (!password) {
+      return;
+    }
+
+    try {
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/reset-password`, { password });
+
+      if (response.success) {
+        this.addNotification('success', response.message, true);
+        await this.loadUsers();
+      }
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      this.addNotification('error', `Failed to reset password: ${error.response?.data?.message || error.message}`, true);
+    }
   }
 
-  async updateGlobalSettings() {
+  async revokeUserSessions(username) {
+    if (!confirm(`Log "${username}" out of all sessions?`)) {
+      return;
+    }
+
     try {
-      const globalEnabled = document.getElementById('globalAutoRenewal').checked;
-      const renewalDays = parseInt(document.getElementById('renewalDays').value);
-      const checkFrequency = document.getElementById('checkFrequency').value;
-      
-      const response = await this.api('POST', '/autorenewal/settings', {
-        globalEnabled,
-        renewalDays,
-        checkFrequency
-      });
-      
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/revoke-sessions`);
+
       if (response.success) {
-        this.addNotification('success', 'Autorenewal settings updated successfully', true);
+        this.addNotification('success', response.message, true);
       }
     } catch (error) {
-      console.error('Error updating autorenewal settings:', error);
-      this.addNotification('error', `Failed to update settings: ${error.message}`, true);
+      console.error('Error revoking sessions:', error);
+      this.addNotification('error', `Failed to revoke sessions: ${error.response?.data?.message || error.message}`, true);
     }
   }
 
-  async toggleDomainAutorenewal(domain, enabled) {
+  async unlockUser(username) {
     try {
-      const response = await this.api('POST', `/autorenewal/toggle/${domain}`, { enabled });
-      
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/unlock`);
+
       if (response.success) {
-        this.addNotification('success', `Autorenewal ${enabled ? 'enabled' : 'disabled'} for ${domain}`, true);
-        this.loadAutorenewalData();
+        this.addNotification('success', response.message, true);
+        await this.loadUsers();
+        await this.loadSecurityLog();
       }
     } catch (error) {
-      console.error('Error toggling autorenewal:', error);
-      this.addNotification('error', `Failed to toggle autorenewal: ${error.message}`, true);
+      console.error('Error unlocking user:', error);
+      this.addNotification('error', `Failed to unlock user: ${error.response?.data?.message || error.message}`, true);
     }
   }
 
-  async runRenewalCheck() {
+  async resetUserTwoFactor(username) {
+    if (!confirm(`Reset two-factor authentication for "${username}"?\n\nThey will sign in with their password only until they enroll again.`)) {
+      return;
+    }
+
     try {
-      this.addNotification('info', 'Starting SSL renewal check for all domains...', false);
-      
-      const response = await this.api('POST', '/autorenewal/check');
-      
+      const response = await this.api('POST', `/users/${encodeURIComponent(username)}/reset-2fa`);
+
       if (response.success) {
-        this.addNotification('success', 'Renewal check completed successfully', true);
+        this.addNotification('success', response.message, true);
+        await this.loadUsers();
       }
     } catch (error) {
-      console.error('Error running renewal check:', error);
-      this.addNotification('error', `Renewal check failed: ${error.message}`, true);
+      console.error('Error resetting two-factor authentication:', error);
+      this.addNotification('error', `Failed to reset two-factor authentication: ${error.response?.data?.message || error.message}`, true);
     }
   }
 
-  async forceRenewalDomain(domain) {
+  async deleteUser(username) {
+    if (!confirm(`Are you sure you want to delete user "${username}"?\n\nThis action cannot be undone.`)) {
+      return;
+    }
+
     try {
-      this.addNotification('info', `Starting SSL renewal for ${domain}...`, false);
-      
-      const response = await this.api('POST', `/autorenewal/renew/${domain}`);
-      
+      const response = await this.api('DELETE', `/users/${encodeURIComponent(username)}`);
+
       if (response.success) {
-        this.addNotification('success', `SSL renewal initiated for ${domain}`, true);
+        this.addNotification('success', response.message, true);
+        await this.loadUsers();
       }
     } catch (error) {
-      console.error('Error forcing renewal:', error);
-      this.addNotification('error', `Renewal failed: ${error.message}`, true);
+      console.error('Error deleting user:', error);
+      this.addNotification('error', `Failed to delete user: ${error.response?.data?.message || error.message}`, true);
     }
   }
 
-  installSSLFirst(domain) {
-    // Switch to domains tab and highlight the domain for SSL installation
-    this.switchTab('domains');
-    this.addNotification('info', `Please install SSL certificate for ${domain} first`, true);
+  // Audit Log Methods
+  async loadAuditLog() {
+    try {
+      const params = new URLSearchParams({ limit: '200' });
+      Object.entries(this.auditFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const response = await this.api('GET', `/audit?${params.toString()}`);
+      this.auditEntries = response.entries || [];
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      this.auditEntries = [];
+      this.addNotification('error', `Failed to load audit log: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    if (this.activeTab === 'audit') {
+      this.renderAuditTab();
+    }
+  }
+
+  applyAuditFilters() {
+    ['actor', 'action', 'outcome'].forEach(key => {
+      const input = document.getElementById(`audit-filter-${key}`);
+      if (input) this.auditFilters[key] = input.value.trim();
+    });
+    this.loadAuditLog();
+  }
+
+  async verifyAuditLog() {
+    try {
+      this.auditVerification = await this.api('GET', '/audit/verify');
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      this.addNotification('error', `Failed to verify audit log: ${error.response?.data?.message || error.message}`, true);
+    }
+
+    this.renderAuditTab();
+  }
+
+  renderAuditTab() {
+    const tabContent = document.getElementById('tab-content');
+    if (!tabContent) return;
+
+    if (!this.auditEntries) {
+      tabContent.innerHTML = `
+        <div class="text-center py-5">
+          <div class="spinner-border text-primary" role="status">
+            <span class="visually-hidden">Loading...</span>
+          </div>
+          <p class="mt-3 text-muted">Loading audit log...</p>
+        </div>
+      `;
+      return;
+    }
+
+    const verification = this.auditVerification;
+
+    tabContent.innerHTML = `
+      <div class="card">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <h5 class="mb-0">Audit Log</h5>
+          <button class="btn btn-outline-secondary btn-sm" onclick="sslManager.verifyAuditLog()">
+            <i class="fas fa-link me-1"></i> Verify Integrity
+          </button>
+        </div>
+        <div class="card-body">
+          ${verification ? `
+            <div class="alert ${verification.valid ? 'alert-success' : 'alert-danger'}">
+              ${verification.valid
+                ? `Hash chain intact: ${verification.entries} entries, head <code>${verification.headHash.slice(0, 16)}…</code>${verification.signed ? ' (signed)' : ''}`
+                : `Hash chain broken at entry ${verification.brokenAt ?? '?'}: ${this.escapeHtml(verification.reason)}`}
+            </div>
+            ${verification.valid && verification.resets.length > 0 ? `
+              <div class="alert alert-warning">
+                The signed head was restarted at entry ${verification.resets.map(reset => reset.seq).join(', ')};
+                entries before a restart may have been removed. See the <code>audit.head-reset</code> entries.
+              </div>
+            ` : ''}
+          ` : ''}
+          <div class="row g-2 mb-3">
+            <div class="col-md-3">
+              <input type="text" id="audit-filter-actor" class="form-control form-control-sm" placeholder="User" value="${this.escapeHtml(this.auditFilters.actor)}">
+            </div>
+            <div class="col-md-3">
+              <input type="text" id="audit-filter-action" class="form-control form-control-sm" placeholder="Action (e.g. ssl, domains.delete)" value="${this.escapeHtml(this.auditFilters.action)}">
+            </div>
+            <div class="col-md-2">
+              <select id="audit-filter-outcome" class="form-select form-select-sm">
+                <option value="">Any outcome</option>
+                <option value="success" ${this.auditFilters.outcome === 'success' ? 'selected' : ''}>Success</option>
+                <option value="failure" ${this.auditFilters.outcome === 'failure' ? 'selected' : ''}>Failure</option>
+              </select>
+            </div>
+            <div class="col-md-2">
+              <button class="btn btn-primary btn-sm" onclick="sslManager.applyAuditFilters()">
+                <i class="fas fa-filter me-1"></i> Filter
+              </button>
+            </div>
+          </div>
+          ${this.auditEntries.length === 0 ? `
+            <p class="text-muted text-center mb-0">No matching entries</p>
+          ` : `
+            <div class="table-responsive">
+              <table class="table table-sm table-hover">
+                <thead class="table-light">
+                  <tr>
+                    <th>#</th>
+                    <th>Time</th>
+                    <th>User</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Outcome</th>
+                    <th>IP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${this.auditEntries.map(entry => `
+                    <tr title="${this.escapeHtml(JSON.stringify(entry.params))}">
+                      <td><small class="text-muted">${entry.seq}</small></td>
+                      <td><small>${new Date(entry.timestamp).toLocaleString()}</small></td>
+                      <td>
+                        ${entry.actor ? this.escapeHtml(entry.actor.username) : '<span class="text-muted">anonymous</span>'}
+                        ${entry.actor?.via === 'token' ? '<span class="badge bg-light text-dark ms-1">token</span>' : ''}
+                      </td>
+                      <td><code>${this.escapeHtml(entry.action)}</code></td>
+                      <td>${this.escapeHtml(entry.target)}</td>
+                      <td>
+                        <span class="badge ${entry.outcome === 'success' ? 'bg-success' : 'bg-danger'}">${this.escapeHtml(entry.statusCode || entry.outcome)}</span>
+                        ${entry.error ? `<small class="text-muted ms-1">${this.escapeHtml(entry.error)}</small>` : ''}
+                      </td>
+                      <td><small class="font-monospace">${this.escapeHtml(entry.ip)}</small></td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          `}
+        </div>
+      </div>
+    `;
   }
 
   showValidationMessage(message, type) {
@@ -1789,7 +5409,7 @@ class SSLManager {
       <div class="alert alert-${this.getNotificationClass(notification.type)} alert-dismissible fade show" role="alert">
         <div class="d-flex align-items-center">
           <i class="${this.getNotificationIcon(notification.type)} me-2"></i>
-          <div class="flex-grow-1">${notification.message}</div>
+          <div class="flex-grow-1">${this.escapeHtml(notification.message)}</div>
           <button type="button" class="btn-close" onclick="sslManager.removeNotification(${notification.id})"></button>
         </div>
       </div>
@@ -1975,6 +5595,376 @@ class SSLManager {
     return diffDays; // Allow negative values to show expired certificates
   }
 
+  async openMaintenanceModal(domain) {
+    let status;
+    try {
+      status = await this.api('GET', `/domains/maintenance/${domain}`);
+    } catch (error) {
+      this.addNotification('error', `Failed to load maintenance settings: ${error.response?.data?.message || error.message}`, true);
+      return;
+    }
+
+    const modalHtml = `
+      <div class="modal fade" id="maintenanceModal" tabindex="-1" aria-labelledby="maintenanceModalLabel" aria-hidden="true">
+        <div class="modal-dialog modal-lg">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title" id="maintenanceModalLabel">
+                <i class="fas fa-hard-hat text-warning me-2"></i>Maintenance Mode - ${status.domain}
+              </h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              ${status.active ? `
+                <div class="alert alert-warning small py-2">
+                  In maintenance since ${new Date(status.enabledAt).toLocaleString()}${status.enabledBy ? ` (${status.enabledBy})` : ''}.
+                  Visitors get a 503 with the page below.
+                  ${status.editedDuringMaintenance ? '<br>The site file was edited since; ending maintenance removes only the maintenance directives.' : ''}
+                </div>
+              ` : `
+                <div class="alert alert-light border small py-2">
+                  Visitors will get a 503 with the page below. The site file is restored exactly as it is now when maintenance ends.
+                </div>
+              `}
+              <div class="mb-3">
+                <label class="form-label" for="maintenance-html">Holding page (HTML, <code>{{domain}}</code> is replaced)</label>
+                <textarea id="maintenance-html" class="form-control font-monospace small" rows="12">${this.escapeHtml(status.html)}</textarea>
+              </div>
+              <div class="row">
+                <div class="col-md-4 mb-3">
+                  <label class="form-label" for="maintenance-retry-after">Retry-After (seconds)</label>
+                  <input type="number" id="maintenance-retry-after" class="form-control" min="0" value="${status.retryAfter}">
+                </div>
+                <div class="col-md-8 mb-3">
+                  <label class="form-label" for="maintenance-allowlist">IPs that still see the real site</label>
+                  <textarea id="maintenance-allowlist" class="form-control font-monospace small" rows="3"
+                            placeholder="203.0.113.10&#10;10.0.0.0/8">${this.escapeHtml(status.allowlist.join('\n'))}</textarea>
+                  <div class="form-text">One IP address or CIDR range per line</div>
+                </div>
+              </div>
+            </div>
+            <div class="modal-footer">
+              ${status.active ? `
+                <button type="button" class="btn btn-success me-auto" onclick="sslManager.disableMaintenance('${status.domain}')">
+                  <i class="fas fa-play me-1"></i>End Maintenance
+                </button>
+              ` : ''}
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-warning" onclick="sslManager.enableMaintenance('${status.domain}')">
+                <i class="fas fa-hard-hat me-1"></i>${status.active ? 'Update Settings' : 'Enable Maintenance'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Remove existing modal if present
+    const existingModal = document.getElementById('maintenanceModal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    new bootstrap.Modal(document.getElementById('maintenanceModal')).show();
+  }
+
+  async enableMaintenance(domain) {
+    try {
+      const response = await this.api('POST', `/domains/maintenance/${domain}`, {
+        html: document.getElementById('maintenance-html').value,
+        retryAfter: document.getElementById('maintenance-retry-after').value,
+        allowlist: document.getElementById('maintenance-allowlist').value
+      });
+
+      this.addNotification('success', response.message, true);
+      bootstrap.Modal.getInstance(document.getElementById('maintenanceModal'))?.hide();
+      await this.loadDomains();
+    } catch (error) {
+      console.error('Error enabling maintenance mode:', error);
+      this.addNotification('error', `Failed to enable maintenance mode: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async disableMaintenance(domain) {
+    try {
+      const response = await this.api('DELETE', `/domains/maintenance/${domain}`);
+
+      this.addNotification('success', response.message, true);
+      bootstrap.Modal.getInstance(document.getElementById('maintenanceModal'))?.hide();
+      await this.loadDomains();
+    } catch (error) {
+      console.error('Error disabling maintenance mode:', error);
+      this.addNotification('error', `Failed to end maintenance mode: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  async openConfigEditor(domain) {
+    let config;
+    try {
+      config = await this.api('GET', `/nginx/config/${domain}`);
+    } catch (error) {
+      this.addNotification('error', `Failed to load nginx config: ${error.response?.data?.message || error.message}`, true);
+      return;
+    }
+
+    const canEdit = this.hasRole('admin');
+    const modalHtml = `
+      <div class="modal fade" id="nginxConfigModal" tabindex="-1" aria-labelledby="nginxConfigModalLabel" aria-hidden="true">
+        <div class="modal-dialog modal-xl">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title" id="nginxConfigModalLabel">
+                <i class="fas fa-code text-primary me-2"></i>
+                ${config.domain}
+                <small class="text-muted font-monospace ms-2">${config.path}</small>
+              </h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              ${config.enabled ? '' : `
+                <div class="alert alert-secondary small py-2">This site is disabled. Saving writes the file without reloading nginx.</div>
+              `}
+              <div class="config-editor">
+                <textarea id="nginx-config-editor">${config.content.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</textarea>
+              </div>
+              <div class="small text-muted mt-1">Last modified ${new Date(config.modifiedAt).toLocaleString()}</div>
+              <div id="nginx-config-preview" class="mt-3"></div>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-outline-secondary me-auto" onclick="sslManager.loadConfigHistory()">
+                <i class="fas fa-history me-1"></i>History
+              </button>
+              ${canEdit ? `
+                <input type="text" id="nginx-config-reason" class="form-control form-control-sm w-auto" placeholder="Reason for change (optional)">
+              ` : ''}
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${canEdit ? 'Cancel' : 'Close'}</button>
+              ${canEdit ? `
+                <button type="button" class="btn btn-outline-primary" onclick="sslManager.previewConfigChanges()">
+                  <i class="fas fa-search me-1"></i>Preview Changes
+                </button>
+                <button type="button" class="btn btn-success" id="nginx-config-save" disabled onclick="sslManager.saveConfig()">
+                  <i class="fas fa-save me-1"></i>Save &amp; Reload
+                </button>
+              ` : ''}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Remove existing modal if present
+    const existingModal = document.getElementById('nginxConfigModal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    const modalElement = document.getElementById('nginxConfigModal');
+    const textarea = document.getElementById('nginx-config-editor');
+
+    // Fall back to the plain textarea if the CodeMirror CDN didn't load
+    const editor = typeof CodeMirror !== 'undefined' ?
+      CodeMirror.fromTextArea(textarea, { mode: 'nginx', lineNumbers: true, indentUnit: 4, readOnly: !canEdit }) :
+      null;
+    if (!editor) {
+      textarea.className = 'form-control font-monospace';
+      textarea.rows = 24;
+      textarea.readOnly = !canEdit;
+    }
+
+    this.configEditor = {
+      domain: config.domain,
+      baseHash: config.hash,
+      previewedContent: null,
+      getValue: () => (editor ? editor.getValue() : textarea.value)
+    };
+
+    // Any edit after a preview requires a new preview before saving
+    const invalidatePreview = () => {
+      const saveButton = document.getElementById('nginx-config-save');
+      if (saveButton && this.configEditor.previewedContent !== this.configEditor.getValue()) {
+        saveButton.disabled = true;
+      }
+    };
+    if (editor) {
+      editor.on('change', invalidatePreview);
+    } else {
+      textarea.addEventListener('input', invalidatePreview);
+    }
+
+    const modal = new bootstrap.Modal(modalElement);
+    // CodeMirror measures itself, so refresh once the modal is visible
+    modalElement.addEventListener('shown.bs.modal', () => editor && editor.refresh());
+    modalElement.addEventListener('hidden.bs.modal', () => {
+      this.configEditor = null;
+      modalElement.remove();
+    });
+    modal.show();
+  }
+
+  async previewConfigChanges() {
+    if (!this.configEditor) return;
+
+    const content = this.configEditor.getValue();
+    const container = document.getElementById('nginx-config-preview');
+    container.innerHTML = '<div class="text-muted small"><i class="fas fa-spinner me-1"></i>Testing configuration...</div>';
+
+    try {
+      const preview = await this.api('POST', `/nginx/config/${this.configEditor.domain}/preview`, { content });
+      const baseChanged = preview.baseHash !== this.configEditor.baseHash;
+
+      container.innerHTML = `
+        <div class="alert ${preview.test.success ? 'alert-success' : 'alert-danger'} small py-2">
+          <strong>${preview.test.success ? 'Configuration test passed' : 'Configuration test failed'}</strong>
+          ${preview.test.simulated ? '<span class="badge bg-secondary ms-1">syntax only</span>' : ''}
+          <pre class="mb-0 mt-1 small">${(preview.test.output || '').replace(/</g, '&lt;')}</pre>
+        </div>
+        ${baseChanged ? `
+          <div class="alert alert-warning small py-2">The file changed on the server since you opened it. Reopen the editor before saving.</div>
+        ` : ''}
+        ${preview.changed ? `
+          <div class="d-flex justify-content-between small mb-1">
+            <span class="fw-bold">Changes</span>
+            <span><span class="text-success">+${preview.additions}</span> <span class="text-danger">-${preview.deletions}</span></span>
+          </div>
+          ${this.renderDiff(preview.diff)}
+        ` : '<div class="text-muted small">No changes.</div>'}
+      `;
+
+      this.configEditor.previewedContent = content;
+      document.getElementById('nginx-config-save').disabled = !(preview.test.success && preview.changed && !baseChanged);
+    } catch (error) {
+      container.innerHTML = `<div class="alert alert-danger small py-2">${error.response?.data?.message || error.message}</div>`;
+    }
+  }
+
+  async loadConfigHistory() {
+    if (!this.configEditor) return;
+
+    const { domain } = this.configEditor;
+    const container = document.getElementById('nginx-config-preview');
+
+    try {
+      const history = await this.api('GET', `/nginx/config/${domain}/history`);
+
+      container.innerHTML = `
+        <div class="fw-bold small mb-1">History</div>
+        ${history.currentVersion === null && history.versions.length ? `
+          <div class="alert alert-warning small py-2">The file has changes that aren't in the history yet (edited outside the panel).</div>
+        ` : ''}
+        ${history.versions.length ? `
+          <div class="table-responsive">
+            <table class="table table-sm small align-middle mb-0">
+              <thead>
+                <tr><th>Version</th><th>When</th><th>Author</th><th>Reason</th><th>Changes</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${history.versions.map(version => `
+                  <tr>
+                    <td>
+                      ${version.version}
+                      ${version.version === history.currentVersion ? '<span class="badge bg-success ms-1">current</span>' : ''}
+                    </td>
+                    <td>${new Date(version.timestamp).toLocaleString()}</td>
+                    <td>${version.author || '<span class="text-muted">unknown</span>'}</td>
+                    <td>${version.reason || ''}${version.source ? ` <span class="badge bg-light text-dark">${version.source}</span>` : ''}</td>
+                    <td>
+                      ${version.additions !== null ? `<span class="text-success">+${version.additions}</span> <span class="text-danger">-${version.deletions}</span>` : '<span class="text-muted">initial</span>'}
+                    </td>
+                    <td class="text-end text-nowrap">
+                      <button class="btn btn-outline-secondary btn-sm" onclick="sslManager.showConfigVersionDiff(${version.version})">Diff</button>
+                      ${this.hasRole('admin') && version.version !== history.currentVersion ? `
+                        <button class="btn btn-outline-danger btn-sm" onclick="sslManager.rollbackConfig(${version.version})">Restore</button>
+                      ` : ''}
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : '<div class="text-muted small">No versions recorded yet. The first change made through the panel starts the history.</div>'}
+      `;
+    } catch (error) {
+      container.innerHTML = `<div class="alert alert-danger small py-2">${error.response?.data?.message || error.message}</div>`;
+    }
+  }
+
+  async showConfigVersionDiff(version) {
+    if (!this.configEditor) return;
+
+    const container = document.getElementById('nginx-config-preview');
+    try {
+      // What the version changed compared to the one before it
+      const result = await this.api('GET', `/nginx/config/${this.configEditor.domain}/diff?to=${version}`);
+
+      container.innerHTML = `
+        <div class="d-flex justify-content-between small mb-1">
+          <span class="fw-bold">Version ${version}${result.from ? ` compared to version ${result.from}` : ''}</span>
+          <a href="#" onclick="sslManager.loadConfigHistory(); return false;">Back to history</a>
+        </div>
+        ${result.changed ? this.renderDiff(result.diff) : '<div class="text-muted small">No changes.</div>'}
+      `;
+    } catch (error) {
+      container.innerHTML = `<div class="alert alert-danger small py-2">${error.response?.data?.message || error.message}</div>`;
+    }
+  }
+
+  async rollbackConfig(version) {
+    if (!this.configEditor) return;
+
+    const { domain } = this.configEditor;
+    const reason = prompt(`Restore version ${version} of ${domain}?\n\nThe configuration is tested before it is written, and nginx is reloaded afterwards.\n\nReason (optional):`, '');
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      const response = await this.api('POST', `/nginx/config/${domain}/rollback`, { version, reason: reason.trim() || undefined });
+
+      this.addNotification('success', `${domain}: ${response.message}`, true);
+      bootstrap.Modal.getInstance(document.getElementById('nginxConfigModal'))?.hide();
+      await this.loadDomains();
+    } catch (error) {
+      this.addNotification('error', `Rollback failed: ${error.response?.data?.message || error.message}`, true);
+    }
+  }
+
+  renderDiff(diff) {
+    const lines = diff.split('\n').filter(line => line !== '').map((line) => {
+      const escaped = line.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+      if (line.startsWith('@@')) return `<div class="diff-hunk">${escaped}</div>`;
+      if (line.startsWith('+') && !line.startsWith('+++')) return `<div class="diff-add">${escaped}</div>`;
+      if (line.startsWith('-') && !line.startsWith('---')) return `<div class="diff-del">${escaped}</div>`;
+      return `<div>${escaped}</div>`;
+    });
+
+    return `<pre class="config-diff border rounded p-2 mb-0 font-monospace">${lines.join('')}</pre>`;
+  }
+
+  async saveConfig() {
+    if (!this.configEditor) return;
+
+    const { domain, baseHash } = this.configEditor;
+    const saveButton = document.getElementById('nginx-config-save');
+    saveButton.disabled = true;
+
+    try {
+      const response = await this.api('PUT', `/nginx/config/${domain}`, {
+        content: this.configEditor.getValue(),
+        baseHash,
+        reason: document.getElementById('nginx-config-reason')?.value.trim() || undefined
+      });
+
+      this.addNotification('success', `${domain}: ${response.message}`, true);
+      bootstrap.Modal.getInstance(document.getElementById('nginxConfigModal'))?.hide();
+      await this.loadDomains();
+    } catch (error) {
+      this.addNotification('error', `Failed to save nginx config: ${error.response?.data?.message || error.message}`, true);
+      saveButton.disabled = false;
+    }
+  }
+
   showDNSConfigurationModal(data) {
     const modalHtml = `
       <div class="modal fade" id="dnsConfigModal" tabindex="-1" aria-labelledby="dnsConfigModalLabel" aria-hidden="true">
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+
+// Query the audit log (?actor=&action=&target=&outcome=&since=&until=&limit=)
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, target, outcome, since, until, limit } = req.query;
+
+    if (outcome && !['success', 'failure'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: 'outcome must be success or failure'
+      });
+    }
+
+    if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'since and until must be ISO dates'
+      });
+    }
+
+    const entries = await auditService.query({ actor, action, target, outcome, since, until, limit });
+
+    res.json({
+      success: true,
+      entries,
+      total: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read audit log',
+      message: error.message
+    });
+  }
+});
+
+// Verify the hash chain; a broken chain means entries were edited or removed
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await auditService.verify();
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,9 @@ const { exec } = require('child_process');
 const path = require('path');
 const nginxService = require('../services/nginxService');
 const sslService = require('../services/sslService');
+const domainAccessService = require('../services/domainAccessService');
+const socketService = require('../services/socketService');
+const { requireRole, requireDomainAccess, requireAllDomainAccess } = require('../middleware/auth');
 
 // Autorenewal configuration file - use local directory for development
 const CONFIG_DIR = path.join(__dirname, '..', 'data');
@@ -69,7 +72,7 @@ async function logActivity(domain, status, message) {
 router.get('/status', async (req, res) => {
   try {
     const config = await getAutorenewalConfig();
-    const domains = await nginxService.scanDomains();
+    const domains = await domainAccessService.filterDomains(req.user, await nginxService.scanDomains());
     
     // Enhance domains with autorenewal status
     const domainsWithRenewal = await Promise.all(domains.map(async (domain) => {
@@ -155,7 +158,7 @@ router.get('/status', async (req, res) => {
 });
 
 // Update global autorenewal settings
-router.post('/settings', async (req, res) => {
+router.post('/settings', requireRole('admin'), async (req, res) => {
   try {
     const { globalEnabled, renewalDays, checkFrequency } = req.body;
     const config = await getAutorenewalConfig();
@@ -170,9 +173,8 @@ router.post('/settings', async (req, res) => {
     // Update cron job if needed
     await setupCronJob(config.checkFrequency);
     
-    if (req.io) {
-      req.io.emit('autorenewal_settings_updated', { config });
-    }
+    // The config lists every domain, so only users who can see all of them get it
+    socketService.toAllDomains().emit('autorenewal_settings_updated', { config });
     
     res.json({
       success: true,
@@ -194,7 +196,7 @@ router.post('/settings', async (req, res) => {
 });
 
 // Toggle autorenewal for specific domain
-router.post('/toggle/:domain', async (req, res) => {
+router.post('/toggle/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
   try {
     const domain = req.params.domain;
     const { enabled } = req.body;
@@ -215,9 +217,7 @@ router.post('/toggle/:domain', async (req, res) => {
     await saveAutorenewalConfig(config);
     await logActivity(domain, enabled ? 'ENABLED' : 'DISABLED', `Autorenewal ${enabled ? 'enabled' : 'disabled'} for domain`);
     
-    if (req.io) {
-      req.io.emit('autorenewal_domain_toggled', { domain, enabled });
-    }
+    socketService.toDomain(domain).emit('autorenewal_domain_toggled', { domain, enabled });
     
     res.json({
       success: true,
@@ -236,17 +236,13 @@ router.post('/toggle/:domain', async (req, res) => {
 });
 
 // Force renewal check for all domains
-router.post('/check', async (req, res) => {
+router.post('/check', requireRole('operator'), requireAllDomainAccess, async (req, res) => {
   try {
-    if (req.io) {
-      req.io.emit('autorenewal_check_started');
-    }
+    socketService.toAllDomains().emit('autorenewal_check_started');
     
     const result = await performRenewalCheck();
     
-    if (req.io) {
-      req.io.emit('autorenewal_check_completed', result);
-    }
+    socketService.toAllDomains().emit('autorenewal_check_completed', result);
     
     res.json({
       success: true,
@@ -256,9 +252,7 @@ router.post('/check', async (req, res) => {
   } catch (error) {
     console.error('Error performing renewal check:', error);
     
-    if (req.io) {
-      req.io.emit('autorenewal_check_error', { error: error.message });
-    }
+    socketService.toAllDomains().emit('autorenewal_check_error', { error: error.message });
     
     res.status(500).json({
       success: false,
@@ -269,19 +263,15 @@ router.post('/check', async (req, res) => {
 });
 
 // Force renewal for specific domain
-router.post('/renew/:domain', async (req, res) => {
+router.post('/renew/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
   try {
     const domain = req.params.domain;
     
-    if (req.io) {
-      req.io.emit('autorenewal_domain_renewing', { domain });
-    }
+    socketService.toDomain(domain).emit('autorenewal_domain_renewing', { domain });
     
     const result = await renewDomainCertificate(domain);
     
-    if (req.io) {
-      req.io.emit('autorenewal_domain_renewed', { domain, result });
-    }
+    socketService.toDomain(domain).emit('autorenewal_domain_renewed', { domain, result });
     
     res.json({
       success: true,
@@ -292,9 +282,7 @@ router.post('/renew/:domain', async (req, res) => {
   } catch (error) {
     console.error('Error renewing domain certificate:', error);
     
-    if (req.io) {
-      req.io.emit('autorenewal_domain_error', { domain, error: error.message });
-    }
+    socketService.toDomain(req.params.domain).emit('autorenewal_domain_error', { domain: req.params.domain, error: error.message });
     
     res.status(500).json({
       success: false,
@@ -314,7 +302,7 @@ router.get('/activity', async (req, res) => {
       const logLines = logData.trim().split('\n').filter(line => line.length > 0);
       const recentLines = logLines.slice(-limit).reverse();
       
-      const activities = recentLines.map(line => {
+      const parsedActivities = recentLines.map(line => {
         const match = line.match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z) - ([^:]+): ([^-]+) - (.+)$/);
         if (match) {
           return {
@@ -327,6 +315,12 @@ router.get('/activity', async (req, res) => {
         return null;
       }).filter(Boolean);
       
+      // Restricted accounts only see entries for their own domains
+      const visible = await Promise.all(parsedActivities.map(activity =>
+        domainAccessService.canAccessDomain(req.user, activity.domain)
+      ));
+      const activities = parsedActivities.filter((activity, index) => visible[index]);
+      
       res.json({
         success: true,
         activities,
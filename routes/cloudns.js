@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const CloudNSService = require('../services/cloudnsService');
+const { requireRole } = require('../middleware/auth');
 
 // Check CloudNS configuration status
-router.get('/status', async (req, res) => {
+router.get('/status', requireRole('admin'), async (req, res) => {
   try {
     const cloudnsService = new CloudNSService();
     
@@ -40,7 +41,7 @@ router.get('/status', async (req, res) => {
 });
 
 // Test CloudNS connection
-router.post('/test', async (req, res) => {
+router.post('/test', requireRole('admin'), async (req, res) => {
   try {
     const cloudnsService = new CloudNSService();
     const result = await cloudnsService.testConnection();
@@ -2,6 +2,18 @@ const express = require('express');
 const router = express.Router();
 const nginxService = require('../services/nginxService');
 const sslService = require('../services/sslService');
+const domainAccessService = require('../services/domainAccessService');
+const siteTemplateService = require('../services/siteTemplateService');
+const maintenanceService = require('../services/maintenanceService');
+const redirectService = require('../services/redirectService');
+const securityHeaderService = require('../services/securityHeaderService');
+const accessRuleService = require('../services/accessRuleService');
+const rateLimitService = require('../services/rateLimitService');
+const performanceService = require('../services/performanceService');
+const logService = require('../services/logService');
+const analyticsService = require('../services/analyticsService');
+const socketService = require('../services/socketService');
+const { requireRole, requireDomainAccess } = require('../middleware/auth');
 const { exec, spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
@@ -19,7 +31,9 @@ router.get('/test-deployment', (req, res) => {
 // Get all domains from nginx sites-available
 router.get('/', async (req, res) => {
   try {
-    const domains = await nginxService.scanDomains();
+    const allDomains = await nginxService.scanDomains();
+    const domains = await domainAccessService.filterDomains(req.user, allDomains);
+    const maintenance = await maintenanceService.listActive();
 
     // Enhance domains with SSL information
     const domainsWithSSL = await Promise.all(domains.map(async (domain) => {
@@ -63,11 +77,13 @@ router.get('/', async (req, res) => {
 
         return {
           ...domain,
+          maintenance: maintenance[domain.filename] || null,
           ssl: sslInfo
         };
       } catch (error) {
         return {
           ...domain,
+          maintenance: maintenance[domain.filename] || null,
           ssl: {
             status: 'error',
             error: error.message,
@@ -96,7 +112,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get specific domain details
-router.get('/domain/:domain', async (req, res) => {
+router.get('/domain/:domain', requireDomainAccess, async (req, res) => {
   try {
     const domain = req.params.domain;
     const domainConfig = await nginxService.getDomainConfig(domain);
@@ -161,18 +177,15 @@ router.get('/domain/:domain', async (req, res) => {
 });
 
 // Refresh domain list
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', requireRole('operator'), async (req, res) => {
   try {
-    // Emit refresh status to connected clients
-    if (req.io) {
-      req.io.emit('domain_refresh_start');
-    }
+    // Emit refresh status to the requesting user's clients (the count is scoped to them)
+    const userEvents = socketService.toUser(req.user.id);
+    userEvents.emit('domain_refresh_start');
 
-    const domains = await nginxService.scanDomains();
+    const domains = await domainAccessService.filterDomains(req.user, await nginxService.scanDomains());
 
-    if (req.io) {
-      req.io.emit('domain_refresh_complete', { count: domains.length });
-    }
+    userEvents.emit('domain_refresh_complete', { count: domains.length });
 
     res.json({
       success: true,
@@ -183,9 +196,7 @@ router.post('/refresh', async (req, res) => {
   } catch (error) {
     console.error('Error refreshing domains:', error);
 
-    if (req.io) {
-      req.io.emit('domain_refresh_error', { error: error.message });
-    }
+    socketService.toUser(req.user.id).emit('domain_refresh_error', { error: error.message });
 
     res.status(500).json({
       success: false,
@@ -212,8 +223,8 @@ router.post('/validate', (req, res) => {
 });
 
 // Add domain endpoint - creates nginx configuration directly
-router.post('/add', async (req, res) => {
-  const { domain } = req.body;
+router.post('/add', requireRole('admin'), async (req, res) => {
+  const { domain, template, variables } = req.body;
 
   if (!domain) {
     return res.status(400).json({
@@ -230,22 +241,38 @@ router.post('/add', async (req, res) => {
     });
   }
 
+  let rendered;
+  try {
+    rendered = await siteTemplateService.render(domain, template, variables || {});
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode === 404 ? 400 : statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to render site template' : error.message,
+      message: error.message
+    });
+  }
+
   try {
-    console.log(`Creating nginx configuration for domain: ${domain}`);
+    console.log(`Creating nginx configuration for domain: ${domain} (template: ${rendered.template})`);
 
     // Create nginx configuration directly
-    await createNginxConfigDirect(domain);
+    await createNginxConfigDirect(domain, rendered.content, {
+      author: req.user.username,
+      reason: `Domain created from the ${rendered.template} template`,
+      source: 'domain-add'
+    });
 
     console.log(`Domain ${domain} successfully added`);
 
-    if (req.io) {
-      req.io.emit('domain_added', { domain, success: true });
-    }
+    socketService.toDomain(domain).emit('domain_added', { domain, template: rendered.template, success: true });
 
     res.json({
       success: true,
       message: `Domain ${domain} added successfully`,
       domain: domain,
+      template: rendered.template,
+      variables: rendered.variables,
       configPath: `/etc/nginx/sites-available/${domain}`,
       enabledPath: `/etc/nginx/sites-enabled/${domain}`,
       nginxTested: true,
@@ -254,20 +281,20 @@ router.post('/add', async (req, res) => {
   } catch (error) {
     console.error(`Error adding domain ${domain}:`, error.message);
 
-    if (req.io) {
-      req.io.emit('domain_add_error', { domain, error: error.message });
-    }
+    socketService.toDomain(domain).emit('domain_add_error', { domain, error: error.message });
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to add domain',
-      message: error.message
+      message: error.message,
+      stage: error.stage,
+      reverted: error.reverted
     });
   }
 });
 
 // Delete domain endpoint - removes nginx configuration and SSL certificates
-router.delete('/delete/:domain', async (req, res) => {
+router.delete('/delete/:domain', requireRole('admin'), async (req, res) => {
   const domain = req.params.domain;
 
   if (!domain) {
@@ -282,12 +309,13 @@ router.delete('/delete/:domain', async (req, res) => {
 
     // Delete nginx configuration and SSL certificates
     await deleteDomainAndSSL(domain);
+    await domainAccessService.removeAssignment(domain);
 
     console.log(`Domain ${domain} successfully deleted`);
 
-    if (req.io) {
-      req.io.emit('domain_deleted', { domain, success: true });
-    }
+    // Rooms still include the domain's former assignees, so they hear about the deletion
+    socketService.toDomain(domain).emit('domain_deleted', { domain, success: true });
+    await socketService.refreshAll();
 
     res.json({
       success: true,
@@ -305,13 +333,461 @@ router.delete('/delete/:domain', async (req, res) => {
   } catch (error) {
     console.error(`Error deleting domain ${domain}:`, error.message);
 
-    if (req.io) {
-      req.io.emit('domain_delete_error', { domain, error: error.message });
-    }
+    socketService.toDomain(domain).emit('domain_delete_error', { domain, error: error.message });
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to delete domain',
+      message: error.message,
+      stage: error.stage,
+      reverted: error.reverted
+    });
+  }
+});
+
+// Enable or disable a site by adding or removing its sites-enabled symlink (nginx is tested and reloaded)
+router.post('/enable/:domain', requireRole('operator'), requireDomainAccess, (req, res) => {
+  setSitesEnabled(req, res, [req.params.domain], true);
+});
+
+router.post('/disable/:domain', requireRole('operator'), requireDomainAccess, (req, res) => {
+  setSitesEnabled(req, res, [req.params.domain], false);
+});
+
+// Enable or disable several sites in one change set (all or none are changed)
+router.post('/bulk/enable', requireRole('operator'), (req, res) => {
+  setSitesEnabled(req, res, req.body.domains, true);
+});
+
+router.post('/bulk/disable', requireRole('operator'), (req, res) => {
+  setSitesEnabled(req, res, req.body.domains, false);
+});
+
+// Maintenance mode status and settings of a domain
+router.get('/maintenance/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const status = await maintenanceService.getStatus(req.params.domain);
+
+    res.json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read maintenance status');
+  }
+});
+
+// Put a domain into maintenance (503 + holding page except for allowlisted IPs), or update its settings
+router.post('/maintenance/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const { html, retryAfter, allowlist } = req.body;
+    const status = await maintenanceService.enable(req.params.domain, { html, retryAfter, allowlist }, req.user.username);
+
+    console.log(`Maintenance mode enabled for ${status.domain} by ${req.user.username}`);
+    socketService.toDomain(status.domain).emit('domain_maintenance_changed', {
+      domain: status.domain,
+      active: true,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: `${status.domain} is in maintenance mode${status.reloaded ? '' : ' (site is disabled, nginx not reloaded)'}`,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error enabling maintenance for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to enable maintenance mode');
+  }
+});
+
+// End maintenance and restore the site file as it was
+router.delete('/maintenance/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const status = await maintenanceService.disable(req.params.domain, req.user.username);
+
+    console.log(`Maintenance mode disabled for ${status.domain} by ${req.user.username}`);
+    socketService.toDomain(status.domain).emit('domain_maintenance_changed', {
+      domain: status.domain,
+      active: false,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: `${status.domain} is back online`,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error disabling maintenance for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to disable maintenance mode');
+  }
+});
+
+// Redirect settings of a domain (force HTTPS, canonical host, redirect rules) and whether port 80 redirects
+router.get('/redirects/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const redirects = await redirectService.getRedirects(req.params.domain);
+
+    res.json({
+      success: true,
+      ...redirects,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read redirect settings');
+  }
+});
+
+// Replace a domain's redirect settings; an empty set removes the panel's redirects from the vhost
+router.put('/redirects/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const { forceHttps, canonicalHost, rules } = req.body;
+    const redirects = await redirectService.updateRedirects(req.params.domain, { forceHttps, canonicalHost, rules }, req.user.username);
+
+    console.log(`Redirect settings for ${redirects.domain} updated by ${req.user.username}`);
+    socketService.toDomain(redirects.domain).emit('domain_redirects_updated', {
+      domain: redirects.domain,
+      httpsRedirect: redirects.httpsRedirect,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: redirects.changed ?
+        `Redirects for ${redirects.domain} saved${redirects.reloaded ? '' : ' (site is disabled, nginx not reloaded)'}` :
+        `Redirects for ${redirects.domain} are unchanged`,
+      ...redirects,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating redirects for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to update redirect settings');
+  }
+});
+
+// Security header policy of a domain (preset, overrides, effective headers) with the available presets
+router.get('/security-headers/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const policy = await securityHeaderService.getPolicy(req.params.domain);
+
+    res.json({
+      success: true,
+      ...policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read security header policy');
+  }
+});
+
+// Set a domain's header policy: a preset plus overrides (null drops a preset header)
+router.put('/security-headers/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const { preset, overrides } = req.body;
+    const policy = await securityHeaderService.updatePolicy(req.params.domain, { preset, overrides }, req.user.username);
+
+    console.log(`Security headers for ${policy.domain} set to ${policy.preset} by ${req.user.username}`);
+    socketService.toDomain(policy.domain).emit('domain_headers_updated', {
+      domain: policy.domain,
+      preset: policy.preset,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: policy.changed ?
+        `Security headers for ${policy.domain} saved${policy.reloaded ? '' : ' (site is disabled, nginx not reloaded)'}` :
+        `Security headers for ${policy.domain} are unchanged`,
+      ...policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating security headers for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to update security headers');
+  }
+});
+
+// Request the live site and compare the headers it returns with the policy
+router.get('/security-headers/:domain/check', requireDomainAccess, async (req, res) => {
+  try {
+    const check = await securityHeaderService.checkLiveHeaders(req.params.domain, req.query.path || '/');
+
+    res.json({
+      success: true,
+      ...check,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to check live headers');
+  }
+});
+
+// Access rules of a domain: IP allow/deny lists and basic auth users (password hashes are never returned)
+router.get('/access-rules/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const result = await accessRuleService.getAccessRules(req.params.domain);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read access rules');
+  }
+});
+
+// Replace a domain's access rules; users sent without a password keep their current one
+router.put('/access-rules/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const result = await accessRuleService.updateAccessRules(req.params.domain, req.body.rules, req.user.username);
+
+    console.log(`Access rules for ${result.domain} updated by ${req.user.username} (${result.rules.length} rules)`);
+    socketService.toDomain(result.domain).emit('domain_access_rules_updated', {
+      domain: result.domain,
+      rules: result.rules.length,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: result.changed ?
+        `Access rules for ${result.domain} saved${result.reloaded ? '' : ' (site is disabled, nginx not reloaded)'}` :
+        `Access rules for ${result.domain} are unchanged`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating access rules for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to update access rules');
+  }
+});
+
+// Request and connection limits of a domain, with the zones it can use
+router.get('/rate-limits/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const result = await rateLimitService.getLimits(req.params.domain);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read rate limits');
+  }
+});
+
+// Replace a domain's limits (status code and rules: zone, location, burst, nodelay, connections)
+router.put('/rate-limits/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const { status, rules } = req.body;
+    const result = await rateLimitService.updateLimits(req.params.domain, { status, rules }, req.user.username);
+
+    console.log(`Rate limits for ${result.domain} updated by ${req.user.username} (${result.rules.length} limits)`);
+    socketService.toDomain(result.domain).emit('domain_rate_limits_updated', {
+      domain: result.domain,
+      rules: result.rules.length,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: result.changed ?
+        `Rate limits for ${result.domain} saved${result.reloaded ? '' : ' (site is disabled, nginx not reloaded)'}` :
+        `Rate limits for ${result.domain} are unchanged`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating rate limits for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to update rate limits');
+  }
+});
+
+// Compression and caching settings of a domain, with the presets
+router.get('/performance/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const result = await performanceService.getSettings(req.params.domain);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read performance settings');
+  }
+});
+
+// Replace a domain's performance settings (a preset, and/or gzip, expires and cache options)
+router.put('/performance/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const { preset, gzip, expires, cache } = req.body;
+    const result = await performanceService.updateSettings(req.params.domain, { preset, gzip, expires, cache }, req.user.username);
+
+    console.log(`Performance settings for ${result.domain} updated by ${req.user.username} (preset: ${result.preset})`);
+    socketService.toDomain(result.domain).emit('domain_performance_updated', {
+      domain: result.domain,
+      preset: result.preset,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: result.changed ?
+        `Performance settings for ${result.domain} saved${result.reloaded ? '' : ' (site is disabled, nginx not reloaded)'}` :
+        `Performance settings for ${result.domain} are unchanged`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating performance settings for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to update performance settings');
+  }
+});
+
+// Empty a domain's proxy cache
+router.post('/performance/:domain/purge', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const result = await performanceService.purgeCache(req.params.domain);
+
+    console.log(`Cache for ${result.domain} purged by ${req.user.username} (${result.removed} entries)`);
+    socketService.toDomain(result.domain).emit('domain_cache_purged', {
+      domain: result.domain,
+      removed: result.removed,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: `Purged ${result.removed} cached ${result.removed === 1 ? 'response' : 'responses'} for ${result.domain}`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error purging cache for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to purge cache');
+  }
+});
+
+// Access and error log files of a domain
+router.get('/logs/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const result = await logService.getLogFiles(req.params.domain);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read log files');
+  }
+});
+
+// Newest log entries, filtered by lines, search, status, path, from/to and level
+router.get('/logs/:domain/:type', requireDomainAccess, async (req, res) => {
+  try {
+    const { lines, search, status, path: pathPrefix, from, to, level } = req.query;
+    const result = await logService.readLog(req.params.domain, req.params.type, { lines, search, status, path: pathPrefix, from, to, level });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error reading ${req.params.type} log of ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to read log');
+  }
+});
+
+// Traffic totals of every visible domain with analytics, for overviews
+router.get('/analytics', async (req, res) => {
+  try {
+    const summaries = await analyticsService.getSummaries(req.query.range);
+    const domains = await domainAccessService.filterDomains(req.user, summaries);
+
+    res.json({
+      success: true,
+      range: req.query.range || '24h',
+      domains,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendSiteChangeError(res, error, 'Failed to read traffic analytics');
+  }
+});
+
+// Traffic report of a domain over 24h, 7d or 30d
+router.get('/analytics/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const result = await analyticsService.getAnalytics(req.params.domain, req.query.range);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error building traffic analytics for ${req.params.domain}:`, error.message);
+    sendSiteChangeError(res, error, 'Failed to read traffic analytics');
+  }
+});
+
+// List owner/group assignments for all domains
+router.get('/access', requireRole('admin'), async (req, res) => {
+  try {
+    const assignments = await domainAccessService.loadAssignments();
+
+    res.json({
+      success: true,
+      assignments,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error loading domain access:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load domain access',
+      message: error.message
+    });
+  }
+});
+
+// Assign a domain to owners (usernames) and/or groups
+router.post('/access/:domain', requireRole('admin'), async (req, res) => {
+  const domain = req.params.domain;
+  const { owners, groups } = req.body;
+
+  if ((owners !== undefined && !Array.isArray(owners)) || (groups !== undefined && !Array.isArray(groups))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Owners and groups must be arrays'
+    });
+  }
+
+  try {
+    const assignment = await domainAccessService.setAssignment(domain, { owners, groups });
+    // Move connected sockets into or out of the domain's event room
+    await socketService.refreshAll();
+
+    res.json({
+      success: true,
+      message: `Access updated for ${domain}`,
+      domain,
+      assignment
+    });
+  } catch (error) {
+    console.error(`Error updating access for ${domain}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update domain access',
       message: error.message
     });
   }
@@ -349,114 +825,98 @@ function validateDomain(domain) {
   return { valid: true, domain: domain };
 }
 
-// Create nginx configuration using direct file operations
-async function createNginxConfigDirect(domain) {
-  const configPath = `/etc/nginx/sites-available/${domain}.conf`;
-  const enabledPath = `/etc/nginx/sites-enabled/${domain}.conf`;
+// Respond to a failed maintenance, redirect or header request (site file changes carry stage/reverted)
+function sendSiteChangeError(res, error, fallback) {
+  const statusCode = error.statusCode || (/not found/i.test(error.message) ? 404 : 500);
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallback : error.message,
+    message: error.message,
+    stage: error.stage,
+    reverted: error.reverted
+  });
+}
 
-  // Create the nginx configuration content with exact format specified by user
-  const nginxConfig = `server {
-    server_name ${domain} www.${domain};
-    root /data/site/public;
-    add_header X-Frame-Options "SAMEORIGIN";
-    add_header X-XSS-Protection "1; mode=block";
-    add_header X-Content-Type-Options "nosniff";
-    index index.php index.html index.htm;
-    charset utf-8;
-    location / {
-        proxy_read_timeout 60;
-        proxy_connect_timeout 60;
-        proxy_redirect off;
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_cache_bypass $http_upgrade;
-        proxy_set_header Host $host ;
-        proxy_set_header X-Real-IP $remote_addr ;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for ;
-        proxy_set_header X-Forwarded-Proto https;
-        proxy_pass http://localhost:3000;
-    }
-    location @rules {
-        rewrite ^(.*)$ $1.php last;
-    }
-    location = /favicon.ico {
-        access_log off;
-        log_not_found off;
-    }
-    location = /robots.txt {
-        access_log off;
-        log_not_found off;
-    }
-    error_page 404 /index.php;
-    location ~ \\.php$ {
-        fastcgi_pass unix:/var/run/php-fpm/www.sock;
-        fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;
-        include fastcgi_params;
-    }
-    location ~ /\\.(?!well-known).* {
-        deny all;
-    }
-}`;
+// Shared handler for single and bulk enable/disable; domains the user can't see count as not found
+async function setSitesEnabled(req, res, domains, enabled) {
+  const action = enabled ? 'enable' : 'disable';
+
+  if (!Array.isArray(domains) || domains.length === 0 || !domains.every(domain => typeof domain === 'string' && domain)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A list of domains is required'
+    });
+  }
 
   try {
-    // Write the configuration file
-    await fs.writeFile(configPath, nginxConfig);
-    console.log(`✓ Created configuration file: ${configPath}`);
+    const visible = [];
+    const hidden = [];
+    for (const domain of domains) {
+      (await domainAccessService.canAccessDomain(req.user, domain) ? visible : hidden).push(domain);
+    }
 
-    // Enable the site (create symlink)
-    try {
-      await fs.access(enabledPath);
-      console.log(`✓ Site already enabled: ${enabledPath}`);
-    } catch {
-      await fs.symlink(configPath, enabledPath);
-      console.log(`✓ Enabled site: ${enabledPath}`);
+    const result = await nginxService.setSitesEnabled(visible, enabled);
+    result.notFound.push(...hidden);
+
+    if (domains.length === 1 && result.notFound.length === 1) {
+      return res.status(404).json({
+        success: false,
+        error: 'Domain not found',
+        domain: domains[0]
+      });
     }
 
-    // Test nginx configuration
-    await testNginxConfig();
-    console.log(`✓ Nginx configuration test passed`);
+    for (const domain of result.changed) {
+      console.log(`Site ${domain} ${action}d by ${req.user.username}`);
+      socketService.toDomain(domain).emit('domain_state_changed', { domain, enabled, user: req.user.username });
+    }
 
-    // Reload nginx
-    await reloadNginx();
-    console.log(`✓ Nginx reloaded successfully`);
+    const summary = [
+      result.changed.length ? `${action}d ${result.changed.join(', ')}` : null,
+      result.unchanged.length ? `already ${action}d: ${result.unchanged.join(', ')}` : null,
+      result.notFound.length ? `not found: ${result.notFound.join(', ')}` : null
+    ].filter(Boolean).join('; ');
 
+    res.json({
+      success: true,
+      message: summary.charAt(0).toUpperCase() + summary.slice(1),
+      ...result,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    // Clean up on error
-    try {
-      await fs.unlink(configPath);
-      await fs.unlink(enabledPath);
-    } catch (cleanupError) {
-      // Ignore cleanup errors
-    }
-    throw error;
+    console.error(`Error trying to ${action} ${domains.join(', ')}:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: `Failed to ${action} ${domains.length === 1 ? 'site' : 'sites'}`,
+      message: error.message,
+      stage: error.stage,
+      reverted: error.reverted
+    });
   }
 }
 
-// Test nginx configuration
-function testNginxConfig() {
-  return new Promise((resolve, reject) => {
-    exec('nginx -t', (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error(`Nginx test failed: ${stderr}`));
-      } else {
-        resolve(stdout);
-      }
-    });
-  });
-}
+// Create and enable a domain's nginx configuration as one change set (reverted if nginx -t or the reload fails)
+async function createNginxConfigDirect(domain, nginxConfig, history = {}) {
+  const configPath = `/etc/nginx/sites-available/${domain}.conf`;
+  const enabledPath = `/etc/nginx/sites-enabled/${domain}.conf`;
+  const changes = [
+    ...await logService.getFormatChanges(nginxConfig),
+    { action: 'write', path: configPath, content: nginxConfig }
+  ];
 
-// Reload nginx
-function reloadNginx() {
-  return new Promise((resolve, reject) => {
-    exec('systemctl reload nginx', (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error(`Nginx reload failed: ${stderr}`));
-      } else {
-        resolve(stdout);
-      }
-    });
-  });
+  // Enable the site (create symlink) unless it already is
+  try {
+    await fs.access(enabledPath);
+    console.log(`✓ Site already enabled: ${enabledPath}`);
+  } catch {
+    changes.push({ action: 'link', path: enabledPath, target: configPath });
+  }
+
+  const result = await nginxService.applyChangeSet(changes, history);
+  console.log(`✓ Created configuration file: ${configPath}`);
+  console.log(`✓ Nginx configuration test passed and nginx reloaded`);
+
+  return result;
 }
 
 // Delete domain configuration and SSL certificates
@@ -505,34 +965,29 @@ async function deleteDomainAndSSL(domain) {
       }
     }
 
-    // 1. Remove nginx sites-enabled symlink if found
+    // 1. Remove the sites-enabled symlink and sites-available file, test and reload nginx as one
+    // change set; if nginx rejects the result, both files are put back
+    const changes = [];
     if (actualEnabledPath) {
-      try {
-        await fs.unlink(actualEnabledPath);
-        deletedFiles.push(actualEnabledPath);
-        console.log(`✓ Removed enabled site: ${actualEnabledPath}`);
-      } catch (error) {
-        errors.push(`Failed to remove enabled site: ${error.message}`);
-      }
+      changes.push({ action: 'delete', path: actualEnabledPath });
     } else {
       console.log(`No enabled site file found for ${domain}`);
     }
 
-    // 2. Remove nginx sites-available configuration if found
     if (actualConfigPath) {
-      try {
-        await fs.unlink(actualConfigPath);
-        deletedFiles.push(actualConfigPath);
-        console.log(`✓ Removed configuration file: ${actualConfigPath}`);
-      } catch (error) {
-        errors.push(`Failed to remove config file: ${error.message}`);
-      }
+      changes.push({ action: 'delete', path: actualConfigPath });
     } else {
       console.log(`No config file found for ${domain}`);
       errors.push(`No nginx configuration file found for ${domain}`);
     }
 
-    // 3. Remove SSL certificate using certbot (safer than manual deletion)
+    if (changes.length > 0) {
+      const result = await nginxService.applyChangeSet(changes);
+      deletedFiles.push(...result.applied.map(change => change.path));
+      console.log(`✓ Removed ${result.applied.map(change => change.path).join(', ')}; nginx tested and reloaded`);
+    }
+
+    // 2. Remove SSL certificate using certbot (safer than manual deletion), once nginx no longer uses it
     const sslCertPath = `/etc/letsencrypt/live/${domain}`;
     const sslRenewalPath = `/etc/letsencrypt/renewal/${domain}.conf`;
     
@@ -546,14 +1001,6 @@ async function deleteDomainAndSSL(domain) {
       console.log(`⚠ SSL certificate removal: ${error.message}`);
     }
 
-    // 4. Test nginx configuration
-    await testNginxConfig();
-    console.log(`✓ Nginx configuration test passed after deletion`);
-
-    // 5. Reload nginx
-    await reloadNginx();
-    console.log(`✓ Nginx reloaded successfully after deletion`);
-
     // Determine success status and message
     const hasErrors = errors.length > 0;
     const hasDeleted = deletedFiles.length > 0;
@@ -577,7 +1024,9 @@ async function deleteDomainAndSSL(domain) {
     };
 
   } catch (error) {
-    throw new Error(`Domain deletion failed: ${error.message}`);
+    // Keep statusCode and the list of reverted files from a failed change set
+    error.message = `Domain deletion failed: ${error.message}`;
+    throw error;
   }
 }
 
@@ -2,13 +2,21 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
-const { spawn } = require('child_process');
+const { requireRole, requireDomainAccess, requireAllDomainAccess } = require('../middleware/auth');
+const socketService = require('../services/socketService');
+const nginxService = require('../services/nginxService');
+const diffService = require('../services/diffService');
+const configVersionService = require('../services/configVersionService');
+const siteTemplateService = require('../services/siteTemplateService');
+const upstreamService = require('../services/upstreamService');
+const rateLimitService = require('../services/rateLimitService');
+const logService = require('../services/logService');
 
 class NginxConfigManager {
   constructor() {
     this.sitesAvailable = process.env.NGINX_SITES_PATH || '/etc/nginx/sites-available';
     this.sitesEnabled = '/etc/nginx/sites-enabled';
-    this.documentRoot = '/data/site/public';
+    this.documentRoot = null;
   }
 
   /**
@@ -63,181 +71,45 @@ class NginxConfigManager {
   }
 
   /**
-   * Generate nginx configuration for domain
+   * Generate nginx configuration for domain from a site template
    */
-  generateNginxConfig(domain) {
-    return `server {
-    server_name ${domain} www.${domain};
-    root /data/site/public;
-    add_header X-Frame-Options "SAMEORIGIN";
-    add_header X-XSS-Protection "1; mode=block";
-    add_header X-Content-Type-Options "nosniff";
-    index index.php index.html index.htm;
-    charset utf-8;
-    location / {
-        proxy_read_timeout 60;
-        proxy_connect_timeout 60;
-        proxy_redirect off;
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_cache_bypass $http_upgrade;
-        proxy_set_header Host $host ;
-        proxy_set_header X-Real-IP $remote_addr ;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for ;
-        proxy_set_header X-Forwarded-Proto https;
-        proxy_pass http://localhost:3000;
-    }
-    location @rules {
-        rewrite ^(.*)$ $1.php last;
-    }
-    location = /favicon.ico {
-        access_log off;
-        log_not_found off;
-    }
-    location = /robots.txt {
-        access_log off;
-        log_not_found off;
-    }
-    error_page 404 /index.php;
-    location ~ \\.php$ {
-        fastcgi_pass unix:/var/run/php-fpm/www.sock;
-        fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;
-        include fastcgi_params;
-    }
-    location ~ /\\.(?!well-known).* {
-        deny all;
-    }
-}`;
+  async generateNginxConfig(domain, template, variables = {}) {
+    const rendered = await siteTemplateService.render(domain, template, variables);
+    // Templates that serve files declare a "root" variable; proxies and redirects have none
+    this.documentRoot = rendered.variables.root || null;
+    return rendered;
   }
 
   /**
-   * Create nginx configuration file
+   * Write and enable the site file, then test and reload nginx as one change set
+   * (nothing is left behind if nginx -t or the reload fails)
    */
-  async createNginxConfig(domain) {
+  async applySiteConfig(domain, config, history = {}) {
     // In development, simulate nginx config creation
     if (process.env.NODE_ENV !== 'production') {
       return { 
         success: true, 
         path: `./simulated/sites-available/${domain}.conf`,
+        output: 'nginx: configuration file test is successful (simulated)',
         simulated: true 
       };
     }
     
     const configPath = path.join(this.sitesAvailable, `${domain}.conf`);
-    const config = this.generateNginxConfig(domain);
-    
-    try {
-      await fs.writeFile(configPath, config, 'utf8');
-      await fs.chmod(configPath, 0o644);
-      return { success: true, path: configPath };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
-  /**
-   * Create symbolic link to enable site
-   */
-  async enableSite(domain) {
-    // In development, simulate enabling site
-    if (process.env.NODE_ENV !== 'production') {
-      return { 
-        success: true, 
-        path: `./simulated/sites-enabled/${domain}.conf`,
-        simulated: true 
-      };
-    }
-    
-    const sourcePath = path.join(this.sitesAvailable, `${domain}.conf`);
     const linkPath = path.join(this.sitesEnabled, `${domain}.conf`);
-    
+    const changes = [
+      ...await logService.getFormatChanges(config),
+      { action: 'write', path: configPath, content: config }
+    ];
+
     try {
-      // Check if link already exists
-      try {
-        await fs.access(linkPath);
-        return { success: true, message: 'Site already enabled' };
-      } catch {
-        // Link doesn't exist, create it
-      }
-      
-      await fs.symlink(sourcePath, linkPath);
-      return { success: true, path: linkPath };
-    } catch (error) {
-      return { success: false, error: error.message };
+      await fs.access(linkPath);
+    } catch {
+      changes.push({ action: 'link', path: linkPath, target: configPath });
     }
-  }
 
-  /**
-   * Test nginx configuration
-   */
-  async testNginxConfig() {
-    // In development, simulate nginx test
-    if (process.env.NODE_ENV !== 'production') {
-      return {
-        success: true,
-        output: 'nginx: configuration file test is successful (simulated)',
-        simulated: true
-      };
-    }
-    
-    return new Promise((resolve) => {
-      const nginx = spawn('nginx', ['-t']);
-      let output = '';
-      let errorOutput = '';
-      
-      nginx.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      nginx.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-      
-      nginx.on('close', (code) => {
-        resolve({
-          success: code === 0,
-          output: output || errorOutput,
-          exitCode: code
-        });
-      });
-    });
-  }
-
-  /**
-   * Reload nginx configuration
-   */
-  async reloadNginx() {
-    // In development, simulate nginx reload
-    if (process.env.NODE_ENV !== 'production') {
-      return {
-        success: true,
-        output: 'nginx: reload successful (simulated)',
-        simulated: true
-      };
-    }
-    
-    return new Promise((resolve) => {
-      const nginx = spawn('systemctl', ['reload', 'nginx']);
-      let output = '';
-      let errorOutput = '';
-      
-      nginx.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      nginx.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-      
-      nginx.on('close', (code) => {
-        resolve({
-          success: code === 0,
-          output: output || errorOutput,
-          exitCode: code
-        });
-      });
-    });
+    const result = await nginxService.applyChangeSet(changes, history);
+    return { success: true, path: configPath, ...result };
   }
 
   /**
@@ -311,9 +183,10 @@ class NginxConfigManager {
 }
 
 // Routes
-router.post('/add-domain', async (req, res) => {
-  const { domain } = req.body;
-  const io = req.io;
+router.post('/add-domain', requireRole('admin'), async (req, res) => {
+  const { domain, template, variables } = req.body;
+  // Progress events go only to users who can see this domain (www prefix is normalized away)
+  const io = socketService.toDomain(domain);
   
   if (!domain) {
     return res.status(400).json({
@@ -362,66 +235,48 @@ router.post('/add-domain', async (req, res) => {
       });
     }
 
+    // Render the site template before touching the filesystem
+    let rendered;
+    try {
+      rendered = await manager.generateNginxConfig(normalizedDomain, template, variables || {});
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      io.emit('domain_add_error', { domain: normalizedDomain, error: error.message });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     // Ensure document root exists
-    io.emit('domain_add_progress', { 
-      domain: normalizedDomain, 
-      stage: 'setup',
-      message: 'Setting up document root...' 
-    });
+    if (manager.documentRoot) {
+      io.emit('domain_add_progress', { 
+        domain: normalizedDomain, 
+        stage: 'setup',
+        message: 'Setting up document root...' 
+      });
 
-    const docRootResult = await manager.ensureDocumentRoot();
-    if (!docRootResult.success) {
-      throw new Error(`Failed to create document root: ${docRootResult.error}`);
+      const docRootResult = await manager.ensureDocumentRoot();
+      if (!docRootResult.success) {
+        throw new Error(`Failed to create document root: ${docRootResult.error}`);
+      }
     }
 
     // Create nginx configuration
     io.emit('domain_add_progress', { 
       domain: normalizedDomain, 
       stage: 'config',
-      message: 'Creating nginx configuration...' 
-    });
-
-    const configResult = await manager.createNginxConfig(normalizedDomain);
-    if (!configResult.success) {
-      throw new Error(`Failed to create nginx config: ${configResult.error}`);
-    }
-
-    // Enable site (create symlink)
-    io.emit('domain_add_progress', { 
-      domain: normalizedDomain, 
-      stage: 'enabling',
-      message: 'Enabling site...' 
+      message: `Creating, testing and enabling nginx configuration (${rendered.template} template)...` 
     });
 
-    const enableResult = await manager.enableSite(normalizedDomain);
-    if (!enableResult.success) {
-      throw new Error(`Failed to enable site: ${enableResult.error}`);
-    }
-
-    // Test nginx configuration
-    io.emit('domain_add_progress', { 
-      domain: normalizedDomain, 
-      stage: 'testing',
-      message: 'Testing nginx configuration...' 
-    });
-
-    const testResult = await manager.testNginxConfig();
-    if (!testResult.success) {
-      throw new Error(`Nginx configuration test failed: ${testResult.output}`);
-    }
-
-    // Reload nginx
-    io.emit('domain_add_progress', { 
-      domain: normalizedDomain, 
-      stage: 'reloading',
-      message: 'Reloading nginx...' 
+    const configResult = await manager.applySiteConfig(normalizedDomain, rendered.content, {
+      author: req.user.username,
+      reason: `Domain created from the ${rendered.template} template`,
+      source: 'domain-add'
     });
 
-    const reloadResult = await manager.reloadNginx();
-    if (!reloadResult.success) {
-      throw new Error(`Failed to reload nginx: ${reloadResult.output}`);
-    }
-
     // Success
     io.emit('domain_add_complete', { 
       domain: normalizedDomain, 
@@ -435,17 +290,23 @@ router.post('/add-domain', async (req, res) => {
       message: 'Domain added successfully',
       domain: normalizedDomain,
       wwwDomain: `www.${normalizedDomain}`,
+      template: rendered.template,
+      variables: rendered.variables,
       documentRoot: manager.documentRoot,
-      configPath: configResult.path
+      configPath: configResult.path,
+      nginxTested: !configResult.simulated,
+      nginxReloaded: Boolean(configResult.reloaded)
     });
 
   } catch (error) {
     console.error('Error adding domain:', error);
-    io.emit('domain_add_error', { domain: normalizedDomain || domain, error: error.message });
+    io.emit('domain_add_error', { domain, error: error.message });
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      stage: error.stage,
+      reverted: error.reverted
     });
   }
 });
@@ -467,4 +328,547 @@ router.post('/validate-domain', (req, res) => {
   res.json(validation);
 });
 
+// Respond to a config editor request that failed
+function sendConfigError(res, error, fallback) {
+  const statusCode = error.statusCode || (/not found/i.test(error.message) ? 404 : 500);
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallback : error.message,
+    message: error.message,
+    stage: error.stage,
+    reverted: error.reverted
+  });
+}
+
+// Read a domain's sites-available file for the config editor
+router.get('/config/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const config = await nginxService.readSiteConfig(req.params.domain);
+
+    res.json({
+      success: true,
+      ...config,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error reading nginx config for ${req.params.domain}:`, error.message);
+    sendConfigError(res, error, 'Failed to read nginx configuration');
+  }
+});
+
+// Diff candidate content against the current file and test it with nginx -t in isolation
+router.post('/config/:domain/preview', requireRole('admin'), async (req, res) => {
+  const { content } = req.body;
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Content is required'
+    });
+  }
+
+  try {
+    const current = await nginxService.readSiteConfig(req.params.domain);
+    const diff = diffService.unifiedDiff(current.content, content, {
+      oldLabel: `${current.path} (current)`,
+      newLabel: `${current.path} (edited)`
+    });
+    const test = await nginxService.testSiteConfig(current.filename, content);
+
+    res.json({
+      success: true,
+      domain: current.domain,
+      baseHash: current.hash,
+      ...diff,
+      test,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error previewing nginx config for ${req.params.domain}:`, error.message);
+    sendConfigError(res, error, 'Failed to preview nginx configuration');
+  }
+});
+
+// Save a domain's sites-available file (tested first; reloads nginx if the site is enabled)
+router.put('/config/:domain', requireRole('admin'), async (req, res) => {
+  const { content, baseHash } = req.body;
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Content is required'
+    });
+  }
+
+  try {
+    const current = await nginxService.readSiteConfig(req.params.domain);
+    const test = await nginxService.testSiteConfig(current.filename, content);
+
+    if (!test.success) {
+      return res.status(422).json({
+        success: false,
+        error: 'Configuration test failed',
+        message: test.output,
+        test
+      });
+    }
+
+    const diff = diffService.unifiedDiff(current.content, content);
+    const saved = await nginxService.writeSiteConfig(req.params.domain, content, {
+      baseHash,
+      author: req.user.username,
+      reason: req.body.reason,
+      source: 'editor'
+    });
+
+    if (saved.changed) {
+      console.log(`nginx config for ${saved.domain} updated by ${req.user.username} (+${diff.additions} -${diff.deletions})`);
+      socketService.toDomain(saved.domain).emit('nginx_config_updated', {
+        domain: saved.domain,
+        user: req.user.username,
+        reloaded: saved.reloaded,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: saved.changed ?
+        `Configuration saved${saved.reloaded ? ' and nginx reloaded' : ' (site is disabled, nginx not reloaded)'}` :
+        'No changes to save',
+      ...saved,
+      additions: diff.additions,
+      deletions: diff.deletions,
+      test,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving nginx config for ${req.params.domain}:`, error.message);
+    sendConfigError(res, error, 'Failed to save nginx configuration');
+  }
+});
+
+// Version history of a domain's site file, newest first
+router.get('/config/:domain/history', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const current = await nginxService.readSiteConfig(req.params.domain);
+    const versions = await configVersionService.listVersions(current.path);
+    const currentVersion = versions.find(version => version.hash === current.hash);
+
+    res.json({
+      success: true,
+      domain: current.domain,
+      path: current.path,
+      versions,
+      // null when the file on disk has unrecorded changes
+      currentVersion: currentVersion ? currentVersion.version : null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error reading config history for ${req.params.domain}:`, error.message);
+    sendConfigError(res, error, 'Failed to read configuration history');
+  }
+});
+
+// Content of one version
+router.get('/config/:domain/versions/:version', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const current = await nginxService.readSiteConfig(req.params.domain);
+    const version = await configVersionService.getVersion(current.path, req.params.version);
+
+    res.json({
+      success: true,
+      domain: current.domain,
+      ...version,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to read configuration version');
+  }
+});
+
+// Unified diff between two versions (?from=3&to=5); `to` defaults to the current file,
+// `from` to the version before `to`
+router.get('/config/:domain/diff', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  try {
+    const current = await nginxService.readSiteConfig(req.params.domain);
+    const to = req.query.to && req.query.to !== 'current' ?
+      await configVersionService.getVersion(current.path, req.query.to) :
+      { version: 'current', content: current.content };
+
+    let from;
+    if (req.query.from) {
+      from = await configVersionService.getVersion(current.path, req.query.from);
+    } else {
+      const versions = await configVersionService.readVersions(current.path);
+      const index = to.version === 'current' ? versions.length : versions.findIndex(version => version.version === to.version);
+      from = versions[index - 1] || { version: null, content: '' };
+    }
+
+    const diff = diffService.unifiedDiff(from.content, to.content, {
+      oldLabel: from.version ? `${current.filename} (version ${from.version})` : '/dev/null',
+      newLabel: `${current.filename} (${to.version === 'current' ? 'current' : `version ${to.version}`})`
+    });
+
+    res.json({
+      success: true,
+      domain: current.domain,
+      from: from.version,
+      to: to.version,
+      ...diff,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to diff configuration versions');
+  }
+});
+
+// Restore a version: tested in isolation, written, then nginx -t and reload (restored on failure)
+router.post('/config/:domain/rollback', requireRole('admin'), async (req, res) => {
+  const { version, reason } = req.body;
+
+  if (!version) {
+    return res.status(400).json({
+      success: false,
+      error: 'Version is required'
+    });
+  }
+
+  try {
+    const current = await nginxService.readSiteConfig(req.params.domain);
+    const target = await configVersionService.getVersion(current.path, version);
+    const test = await nginxService.testSiteConfig(current.filename, target.content);
+
+    if (!test.success) {
+      return res.status(422).json({
+        success: false,
+        error: 'Configuration test failed',
+        message: test.output,
+        test
+      });
+    }
+
+    const saved = await nginxService.writeSiteConfig(req.params.domain, target.content, {
+      author: req.user.username,
+      reason: `Rolled back to version ${target.version}${reason ? `: ${reason}` : ''}`,
+      source: 'rollback'
+    });
+
+    if (saved.changed) {
+      console.log(`nginx config for ${saved.domain} rolled back to version ${target.version} by ${req.user.username}`);
+      socketService.toDomain(saved.domain).emit('nginx_config_updated', {
+        domain: saved.domain,
+        user: req.user.username,
+        rolledBackTo: target.version,
+        reloaded: saved.reloaded,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: saved.changed ?
+        `Restored version ${target.version}${saved.reloaded ? ' and reloaded nginx' : ''}` :
+        `Version ${target.version} is already the current configuration`,
+      ...saved,
+      restoredVersion: target.version,
+      test,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error rolling back nginx config for ${req.params.domain}:`, error.message);
+    sendConfigError(res, error, 'Failed to roll back configuration');
+  }
+});
+
+// List site templates (built-in and custom)
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await siteTemplateService.listTemplates();
+
+    res.json({
+      success: true,
+      templates,
+      defaultTemplate: siteTemplateService.DEFAULT_TEMPLATE,
+      variableTypes: siteTemplateService.VARIABLE_TYPES,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing site templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list site templates',
+      message: error.message
+    });
+  }
+});
+
+// Render a template for a domain without creating anything
+router.post('/templates/:name/preview', requireRole('admin'), async (req, res) => {
+  const { domain, variables } = req.body;
+  const manager = new NginxConfigManager();
+  const validation = manager.validateDomain(domain || 'example.com');
+
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: validation.error
+    });
+  }
+
+  try {
+    const rendered = await siteTemplateService.render(validation.domain, req.params.name, variables || {});
+
+    res.json({
+      success: true,
+      ...rendered,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to render site template' : error.message,
+      message: error.message
+    });
+  }
+});
+
+// Create or replace a custom site template
+router.post('/templates', requireRole('admin'), async (req, res) => {
+  try {
+    const template = await siteTemplateService.saveTemplate(req.body, req.user);
+
+    console.log(`Site template "${template.name}" saved by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Template ${template.name} saved`,
+      template,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to save site template' : error.message,
+      message: error.message
+    });
+  }
+});
+
+// Delete a custom site template
+router.delete('/templates/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const template = await siteTemplateService.deleteTemplate(req.params.name);
+
+    console.log(`Site template "${template.name}" deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Template ${template.name} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to delete site template' : error.message,
+      message: error.message
+    });
+  }
+});
+
+// List upstream pools with their backends and the sites that use them (usage spans every domain)
+router.get('/upstreams', requireRole('operator'), requireAllDomainAccess, async (req, res) => {
+  try {
+    const result = await upstreamService.listPools();
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing upstream pools:', error);
+    sendConfigError(res, error, 'Failed to list upstream pools');
+  }
+});
+
+// Create or replace an upstream pool (balancing method and backends)
+router.put('/upstreams/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const { method, backends } = req.body;
+    const pool = await upstreamService.savePool(req.params.name, { method, backends }, req.user.username);
+
+    console.log(`Upstream pool ${pool.name} ${pool.created ? 'created' : 'updated'} by ${req.user.username}`);
+    socketService.toAllDomains().emit('upstreams_updated', { pool: pool.name, user: req.user.username });
+
+    res.json({
+      success: true,
+      message: `Upstream pool ${pool.name} ${pool.created ? 'created' : 'saved'}`,
+      pool,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving upstream pool ${req.params.name}:`, error.message);
+    sendConfigError(res, error, 'Failed to save upstream pool');
+  }
+});
+
+// Delete an upstream pool that no site uses
+router.delete('/upstreams/:name', requireRole('admin'), async (req, res) => {
+  try {
+    await upstreamService.deletePool(req.params.name, req.user.username);
+
+    console.log(`Upstream pool ${req.params.name} deleted by ${req.user.username}`);
+    socketService.toAllDomains().emit('upstreams_updated', { pool: req.params.name, user: req.user.username });
+
+    res.json({
+      success: true,
+      message: `Upstream pool ${req.params.name} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error deleting upstream pool ${req.params.name}:`, error.message);
+    sendConfigError(res, error, 'Failed to delete upstream pool');
+  }
+});
+
+// Put a backend into rotation, drain it or disable it; pools can serve any domain, so this needs access to all of them
+router.post('/upstreams/:name/backend-state', requireRole('operator'), requireAllDomainAccess, async (req, res) => {
+  const { address, state } = req.body;
+
+  if (typeof address !== 'string' || !address) {
+    return res.status(400).json({
+      success: false,
+      error: 'Backend address is required'
+    });
+  }
+
+  try {
+    const pool = await upstreamService.setBackendState(req.params.name, address, state, req.user.username);
+
+    if (pool.changed) {
+      console.log(`Backend ${address} of ${pool.name} set to ${state} by ${req.user.username}`);
+      socketService.toAllDomains().emit('upstreams_updated', { pool: pool.name, user: req.user.username });
+    }
+
+    res.json({
+      success: true,
+      message: pool.changed ? `${address} in ${pool.name} is now ${state}` : `${address} in ${pool.name} is already ${state}`,
+      pool,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error changing backend ${address} of ${req.params.name}:`, error.message);
+    sendConfigError(res, error, 'Failed to change backend state');
+  }
+});
+
+// Proxied locations of a domain and the pool each one uses
+router.get('/upstreams/domain/:domain', requireDomainAccess, async (req, res) => {
+  try {
+    const result = await upstreamService.getDomainUpstreams(req.params.domain);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendConfigError(res, error, 'Failed to read proxied locations');
+  }
+});
+
+// Point a location's proxy_pass at a pool, or back at its earlier target with pool: null
+router.put('/upstreams/domain/:domain', requireRole('operator'), requireDomainAccess, async (req, res) => {
+  const { location, pool } = req.body;
+
+  if (typeof location !== 'string' || !location) {
+    return res.status(400).json({
+      success: false,
+      error: 'Location is required'
+    });
+  }
+
+  try {
+    const result = await upstreamService.assignPool(req.params.domain, location, pool || null, req.user.username);
+
+    console.log(`${result.domain} ${location} ${pool ? `assigned to pool ${pool}` : 'unassigned from its pool'} by ${req.user.username}`);
+    socketService.toDomain(result.domain).emit('domain_upstreams_updated', {
+      domain: result.domain,
+      location,
+      pool: pool || null,
+      user: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: pool ? `${result.domain} ${location} now proxies to ${pool}` : `${result.domain} ${location} restored to its earlier target`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error assigning upstream pool for ${req.params.domain}:`, error.message);
+    sendConfigError(res, error, 'Failed to assign upstream pool');
+  }
+});
+
+// List rate limit zones and the sites that use them (usage spans every domain)
+router.get('/rate-limits/zones', requireRole('operator'), requireAllDomainAccess, async (req, res) => {
+  try {
+    const result = await rateLimitService.listZones();
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing rate limit zones:', error);
+    sendConfigError(res, error, 'Failed to list rate limit zones');
+  }
+});
+
+// Create or replace a rate limit zone (type, key, rate, size, exempt addresses)
+router.put('/rate-limits/zones/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const { type, key, rate, per, size, exempt } = req.body;
+    const zone = await rateLimitService.saveZone(req.params.name, { type, key, rate, per, size, exempt }, req.user.username);
+
+    console.log(`Rate limit zone ${zone.name} ${zone.created ? 'created' : 'updated'} by ${req.user.username}`);
+    socketService.toAllDomains().emit('rate_limit_zones_updated', { zone: zone.name, user: req.user.username });
+
+    res.json({
+      success: true,
+      message: `Rate limit zone ${zone.name} ${zone.created ? 'created' : 'saved'}${zone.restartRequired ? '; the new size takes effect after nginx restarts' : ''}`,
+      zone,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving rate limit zone ${req.params.name}:`, error.message);
+    sendConfigError(res, error, 'Failed to save rate limit zone');
+  }
+});
+
+// Delete a rate limit zone that no site uses
+router.delete('/rate-limits/zones/:name', requireRole('admin'), async (req, res) => {
+  try {
+    await rateLimitService.deleteZone(req.params.name, req.user.username);
+
+    console.log(`Rate limit zone ${req.params.name} deleted by ${req.user.username}`);
+    socketService.toAllDomains().emit('rate_limit_zones_updated', { zone: req.params.name, user: req.user.username });
+
+    res.json({
+      success: true,
+      message: `Rate limit zone ${req.params.name} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error deleting rate limit zone ${req.params.name}:`, error.message);
+    sendConfigError(res, error, 'Failed to delete rate limit zone');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
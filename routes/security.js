@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const securityLogService = require('../services/securityLogService');
+const loginGuardService = require('../services/loginGuardService');
+const { SECURITY_EVENTS } = securityLogService;
+
+// Query the security log (?type=&username=&ip=&since=&limit=)
+router.get('/log', async (req, res) => {
+  try {
+    const { type, username, ip, since, limit } = req.query;
+
+    if (type && !SECURITY_EVENTS.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid event type. Valid types: ${SECURITY_EVENTS.join(', ')}`
+      });
+    }
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO date'
+      });
+    }
+
+    const events = await securityLogService.query({ type, username, ip, since, limit });
+
+    res.json({
+      success: true,
+      events,
+      total: events.length,
+      eventTypes: SECURITY_EVENTS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading security log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read security log',
+      message: error.message
+    });
+  }
+});
+
+// Accounts currently locked after repeated failed logins
+router.get('/lockouts', (req, res) => {
+  const lockouts = loginGuardService.listLockouts();
+
+  res.json({
+    success: true,
+    lockouts,
+    total: lockouts.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
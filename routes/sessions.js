@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const sessionService = require('../services/sessionService');
+const socketService = require('../services/socketService');
+const userService = require('../services/userService');
+
+// Disconnect real-time sockets that belong to revoked sessions
+function disconnectSessions(sids) {
+  socketService.disconnectWhere(data => sids.includes(data.sessionId));
+}
+
+// List your active sessions (admins: ?all=true for everyone, ?user=<username> for one user)
+router.get('/', async (req, res) => {
+  try {
+    let userId = req.user.id;
+
+    if (req.user.role === 'admin' && req.query.all === 'true') {
+      userId = null;
+    } else if (req.user.role === 'admin' && req.query.user) {
+      const user = await userService.getUserByUsername(req.query.user);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: `User ${req.query.user} not found`
+        });
+      }
+      userId = user.id;
+    }
+
+    const sessions = await sessionService.listSessions({ userId, currentSid: req.sessionID });
+
+    res.json({
+      success: true,
+      sessions,
+      total: sessions.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
+// Log out everywhere - revoke all of your sessions, including this one
+router.post('/revoke-all', async (req, res) => {
+  try {
+    const sids = await sessionService.revokeUserSessions(req.user.id);
+    disconnectSessions(sids);
+
+    console.log(`${req.user.username} logged out of ${sids.length} session(s)`);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${sids.length} session${sids.length === 1 ? '' : 's'}`,
+      revoked: sids.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
+});
+
+// Revoke one session; non-admins may only revoke their own
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' ? null : req.user.id;
+    const sid = await sessionService.revokeSession(req.params.id, { userId });
+
+    if (!sid) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    disconnectSessions([sid]);
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      current: sid === req.sessionID,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
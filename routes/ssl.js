@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const certbotService = require('../services/certbotService');
 const sslService = require('../services/sslService');
+const socketService = require('../services/socketService');
+const nginxService = require('../services/nginxService');
+const configVersionService = require('../services/configVersionService');
+const { requireRole, requireDomainAccess, requireAllDomainAccess } = require('../middleware/auth');
 
 // Install new SSL certificate
-router.post('/install', async (req, res) => {
+router.post('/install', requireRole('operator'), requireDomainAccess, async (req, res) => {
   try {
     let { domain, email, method = 'nginx' } = req.body;
 
@@ -28,10 +32,16 @@ router.post('/install', async (req, res) => {
       });
     }
 
-    // Emit installation start status
-    req.io.emit('ssl_install_start', { domain: normalizedDomain, method });
+    // Emit installation start status to users who can see this domain
+    const domainEvents = socketService.toDomain(normalizedDomain);
+    domainEvents.emit('ssl_install_start', { domain: normalizedDomain, method });
 
-    const result = await certbotService.installCertificate(normalizedDomain, email, method, req.io);
+    // certbot's nginx plugin and the DNS method's SSL block both edit the site file
+    const result = await configVersionService.track(
+      await nginxService.getSiteConfigPath(normalizedDomain),
+      { author: req.user.username, reason: `SSL certificate installed (${method} method)`, source: 'ssl-install' },
+      () => certbotService.installCertificate(normalizedDomain, email, method, domainEvents)
+    );
 
     // Auto-enable autorenewal for successful SSL installations
     if (result.success) {
@@ -103,7 +113,7 @@ router.post('/install', async (req, res) => {
     
     const statusCode = isConfigurationError ? 400 : 500;
     
-    req.io.emit('ssl_install_error', { 
+    socketService.toDomain(req.body.domain).emit('ssl_install_error', { 
       domain: req.body.domain, 
       method: req.body.method || 'nginx',
       error: errorMessage 
@@ -121,7 +131,7 @@ router.post('/install', async (req, res) => {
 });
 
 // Renew SSL certificate
-router.post('/renew', async (req, res) => {
+router.post('/renew', requireRole('operator'), requireDomainAccess, async (req, res) => {
   try {
     const { domain } = req.body;
 
@@ -133,10 +143,15 @@ router.post('/renew', async (req, res) => {
       });
     }
 
-    // Emit renewal start status
-    req.io.emit('ssl_renew_start', { domain });
+    // Emit renewal start status to users who can see this domain
+    const domainEvents = socketService.toDomain(domain);
+    domainEvents.emit('ssl_renew_start', { domain });
 
-    const result = await certbotService.renewCertificate(domain, req.io);
+    const result = await configVersionService.track(
+      await nginxService.getSiteConfigPath(domain),
+      { author: req.user.username, reason: 'SSL certificate renewed', source: 'ssl-renew' },
+      () => certbotService.renewCertificate(domain, domainEvents)
+    );
 
     res.json({
       success: true,
@@ -147,7 +162,7 @@ router.post('/renew', async (req, res) => {
     });
   } catch (error) {
     console.error('Error renewing SSL certificate:', error);
-    req.io.emit('ssl_renew_error', { 
+    socketService.toDomain(req.body.domain).emit('ssl_renew_error', { 
       domain: req.body.domain, 
       error: error.message 
     });
@@ -162,11 +177,16 @@ router.post('/renew', async (req, res) => {
 });
 
 // Renew all certificates
-router.post('/renew-all', async (req, res) => {
+router.post('/renew-all', requireRole('operator'), requireAllDomainAccess, async (req, res) => {
   try {
-    req.io.emit('ssl_renew_all_start');
+    const allDomainEvents = socketService.toAllDomains();
+    allDomainEvents.emit('ssl_renew_all_start');
 
-    const result = await certbotService.renewAllCertificates(req.io);
+    const result = await configVersionService.track(
+      await nginxService.listSiteConfigPaths(),
+      { author: req.user.username, reason: 'All SSL certificates renewed', source: 'ssl-renew' },
+      () => certbotService.renewAllCertificates(allDomainEvents)
+    );
 
     res.json({
       success: true,
@@ -176,7 +196,7 @@ router.post('/renew-all', async (req, res) => {
     });
   } catch (error) {
     console.error('Error renewing all SSL certificates:', error);
-    req.io.emit('ssl_renew_all_error', { error: error.message });
+    socketService.toAllDomains().emit('ssl_renew_all_error', { error: error.message });
 
     res.status(500).json({
       success: false,
@@ -188,7 +208,7 @@ router.post('/renew-all', async (req, res) => {
 });
 
 // Check SSL certificate status
-router.get('/status/:domain', async (req, res) => {
+router.get('/status/:domain', requireDomainAccess, async (req, res) => {
   try {
     const domain = req.params.domain;
     const sslInfo = await sslService.checkSSLStatus(domain);
@@ -211,7 +231,7 @@ router.get('/status/:domain', async (req, res) => {
 });
 
 // Enable auto-renewal for domain
-router.post('/auto-renew', async (req, res) => {
+router.post('/auto-renew', requireRole('admin'), requireDomainAccess, async (req, res) => {
   try {
     const { domain, enabled } = req.body;
 
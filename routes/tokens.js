@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const apiTokenService = require('../services/apiTokenService');
+const socketService = require('../services/socketService');
+
+const { TOKEN_SCOPES } = apiTokenService;
+
+// List API tokens - own tokens, or every user's tokens for admins with ?all=true
+router.get('/', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && req.user.role === 'admin';
+    const tokens = await apiTokenService.listTokens(showAll ? null : req.user.id);
+
+    res.json({
+      success: true,
+      tokens,
+      availableScopes: TOKEN_SCOPES,
+      total: tokens.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing API tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API tokens',
+      message: error.message
+    });
+  }
+});
+
+// Mint a new API token for the current user
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, value } = await apiTokenService.createToken(req.user, { name, scopes, expiresInDays });
+
+    console.log(`API token "${token.name}" (${token.id}) created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      token,
+      value,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to create API token' : error.message,
+      message: error.message
+    });
+  }
+});
+
+// Revoke an API token
+router.delete('/:id', async (req, res) => {
+  try {
+    const token = await apiTokenService.revokeToken(req.params.id, req.user);
+    socketService.disconnectWhere(data => data.apiTokenId === token.id);
+
+    console.log(`API token "${token.name}" (${token.id}) revoked by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `API token ${token.name} revoked`,
+      token,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to revoke API token' : error.message,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/userService');
+
+// Send a two-factor error with the status the service attached (500 otherwise)
+function sendTwoFactorError(res, error, fallbackMessage) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Two-factor status for the logged-in user
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    enabled: req.user.twoFactorEnabled,
+    required: req.user.twoFactorRequired,
+    recoveryCodesRemaining: req.user.recoveryCodesRemaining,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Start enrollment - returns the shared secret and otpauth:// URI for the authenticator app
+router.post('/setup', async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await userService.startTwoFactorSetup(req.user.id);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+// Confirm enrollment with a code from the app; recovery codes are only shown here
+router.post('/enable', async (req, res) => {
+  try {
+    const recoveryCodes = await userService.enableTwoFactor(req.user.id, req.body.code);
+
+    console.log(`Two-factor authentication enabled for ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+// Turn off two-factor authentication (requires the password and a current code)
+router.post('/disable', async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.user.twoFactorRequired) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required',
+        message: `Two-factor authentication is required for the ${req.user.role} role`
+      });
+    }
+
+    const passwordValid = await userService.authenticate(req.user.username, password);
+    const codeValid = passwordValid && await userService.verifySecondFactor(req.user.id, { code, recoveryCode });
+    if (!codeValid) {
+      // 400 rather than 401 so the session is not treated as logged out
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password or authentication code',
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await userService.disableTwoFactor(req.user.id);
+    console.log(`Two-factor authentication disabled for ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// Replace recovery codes (requires a current code); old codes stop working
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const codeValid = await userService.verifySecondFactor(req.user.id, { code: req.body.code });
+    if (!codeValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await userService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      recoveryCodes,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to regenerate recovery codes');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/userService');
+const loginGuardService = require('../services/loginGuardService');
+const securityLogService = require('../services/securityLogService');
+const socketService = require('../services/socketService');
+const sessionService = require('../services/sessionService');
+
+// Send a user-management error with the status the service attached (500 otherwise)
+function sendUserError(res, error, fallbackMessage) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallbackMessage : error.message,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Whether the route targets the calling user (self-disable/delete/demote would lock them out)
+function isSelf(req) {
+  return req.params.username.toLowerCase() === req.user.username.toLowerCase();
+}
+
+// List all panel users
+router.get('/', async (req, res) => {
+  try {
+    const users = (await userService.listUsers()).map(user => ({
+      ...user,
+      lockedUntil: loginGuardService.getLockedUntil(user.username)
+    }));
+
+    res.json({
+      success: true,
+      users,
+      total: users.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to list users');
+  }
+});
+
+// Create a new user
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role, domainScope, groups } = req.body;
+    const user = await userService.createUser({ username, password, role, domainScope, groups });
+
+    console.log(`User ${user.username} created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: `User ${user.username} created`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to create user');
+  }
+});
+
+// Disable a user (blocks login and invalidates existing sessions)
+router.post('/:username/disable', async (req, res) => {
+  if (isSelf(req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot disable your own account'
+    });
+  }
+
+  try {
+    const user = await userService.setDisabled(req.params.username, true);
+    await socketService.refreshUser(user.id);
+
+    res.json({
+      success: true,
+      message: `User ${user.username} disabled`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to disable user');
+  }
+});
+
+// Re-enable a disabled user
+router.post('/:username/enable', async (req, res) => {
+  try {
+    const user = await userService.setDisabled(req.params.username, false);
+
+    res.json({
+      success: true,
+      message: `User ${user.username} enabled`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to enable user');
+  }
+});
+
+// Change a user's role
+router.post('/:username/role', async (req, res) => {
+  if (isSelf(req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot change your own role'
+    });
+  }
+
+  try {
+    const user = await userService.setRole(req.params.username, req.body.role);
+    await socketService.refreshUser(user.id);
+
+    res.json({
+      success: true,
+      message: `User ${user.username} is now ${user.role}`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to change role');
+  }
+});
+
+// Change a user's domain scope and groups
+router.post('/:username/access', async (req, res) => {
+  try {
+    const { domainScope, groups } = req.body;
+    const user = await userService.setAccess(req.params.username, { domainScope, groups });
+    await socketService.refreshUser(user.id);
+
+    res.json({
+      success: true,
+      message: `Domain access updated for ${user.username}`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to update domain access');
+  }
+});
+
+// Reset a user's password
+router.post('/:username/reset-password', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await userService.resetPassword(req.params.username, password);
+    // Existing sessions are invalidated by the reset, so drop their sockets too
+    socketService.disconnectWhere(data => data.user?.id === user.id && data.sessionId);
+
+    res.json({
+      success: true,
+      message: `Password reset for ${user.username}`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to reset password');
+  }
+});
+
+// Revoke every login session of a user (e.g. lost laptop)
+router.post('/:username/revoke-sessions', async (req, res) => {
+  try {
+    const user = await userService.getUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: `User ${req.params.username} not found`
+      });
+    }
+
+    const sids = await sessionService.revokeUserSessions(user.id);
+    socketService.disconnectWhere(data => sids.includes(data.sessionId));
+
+    console.log(`${sids.length} session(s) of ${user.username} revoked by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Revoked ${sids.length} session${sids.length === 1 ? '' : 's'} for ${user.username}`,
+      revoked: sids.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to revoke sessions');
+  }
+});
+
+// Clear a login lockout so the user can sign in again immediately
+router.post('/:username/unlock', async (req, res) => {
+  try {
+    const user = await userService.getUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: `User ${req.params.username} not found`
+      });
+    }
+
+    const wasLocked = loginGuardService.unlock(user.username);
+    await securityLogService.record('account_unlocked', {
+      username: user.username,
+      ip: req.ip,
+      by: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked ? `User ${user.username} unlocked` : `User ${user.username} was not locked; failed login count cleared`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to unlock user');
+  }
+});
+
+// Reset a user's two-factor enrollment (lost authenticator device)
+router.post('/:username/reset-2fa', async (req, res) => {
+  try {
+    const user = await userService.resetTwoFactor(req.params.username);
+
+    console.log(`Two-factor authentication reset for ${user.username} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${user.username}`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to reset two-factor authentication');
+  }
+});
+
+// Delete a user
+router.delete('/:username', async (req, res) => {
+  if (isSelf(req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot delete your own account'
+    });
+  }
+
+  try {
+    const user = await userService.deleteUser(req.params.username);
+    await socketService.refreshUser(user.id);
+
+    res.json({
+      success: true,
+      message: `User ${user.username} deleted`,
+      user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendUserError(res, error, 'Failed to delete user');
+  }
+});
+
+module.exports = router;
@@ -10,24 +10,50 @@ const sslRoutes = require('./routes/ssl');
 const nginxConfigRoutes = require('./routes/nginx-config');
 const autorenewalRoutes = require('./routes/autorenewal');
 const cloudnsConfigRoutes = require('./routes/cloudns-config');
+const usersRoutes = require('./routes/users');
+const tokensRoutes = require('./routes/tokens');
+const twoFactorRoutes = require('./routes/two-factor');
+const userService = require('./services/userService');
+const loginGuardService = require('./services/loginGuardService');
+const securityLogService = require('./services/securityLogService');
+const securityRoutes = require('./routes/security');
+const auditRoutes = require('./routes/audit');
+const socketService = require('./services/socketService');
+const sessionService = require('./services/sessionService');
+const analyticsService = require('./services/analyticsService');
+const sessionsRoutes = require('./routes/sessions');
+const { requireAuth, requireSession, requireRole, getSessionUser } = require('./middleware/auth');
+const { auditTrail } = require('./middleware/audit');
+const { csrfProtection, isAllowedOrigin, issueCsrfToken } = require('./middleware/csrf');
+
+const PORT = process.env.PORT || 8000;
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+// Browser origins allowed to call the API with credentials (CORS_ORIGINS=https://a.example,https://b.example).
+// The panel's own host is always allowed.
+const ALLOWED_ORIGINS = process.env.CORS_ORIGINS ?
+  process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) :
+  NODE_ENV === 'production' ?
+    ["https://cpanel.webeezix.in", "https://sitedev.eezix.com"] :
+    ["http://localhost:8000", "http://127.0.0.1:8000"];
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: process.env.NODE_ENV === 'production' ? 
-      ["https://cpanel.webeezix.in", "http://cpanel.webeezix.in", "https://sitedev.eezix.com", "http://sitedev.eezix.com"] : "*",
+    origin: ALLOWED_ORIGINS,
     methods: ["GET", "POST"],
     credentials: true
+  },
+  // CORS headers don't apply to WebSocket upgrades, so check the Origin on every handshake
+  allowRequest: (req, callback) => {
+    callback(null, isAllowedOrigin(req.headers.origin, ALLOWED_ORIGINS, req.headers.host));
   }
 });
 
-const PORT = process.env.PORT || 8000;
-const NODE_ENV = process.env.NODE_ENV || 'development';
-
-// Authentication credentials
-const AUTH_USER = 'adminssl';
-const AUTH_PASSWORD = 'SSL@dm1n2025!#';
+// The panel normally sits behind nginx on the same host; trust its X-Forwarded-For so
+// req.ip is the real client address used for login throttling and the security log
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
 
 // Session configuration with memory store fallback
 const sessionConfig = {
@@ -39,7 +65,8 @@ const sessionConfig = {
     secure: NODE_ENV === 'production', // Enable secure cookies in production
     httpOnly: true,
     maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    sameSite: NODE_ENV === 'production' ? 'none' : 'lax' // 'none' for cross-site in production
+    // 'lax' keeps the cookie off cross-site POSTs; set SESSION_SAME_SITE=none only for a cross-site frontend
+    sameSite: process.env.SESSION_SAME_SITE || 'lax'
   }
 };
 
@@ -53,83 +80,209 @@ if (NODE_ENV === 'production') {
     retries: 5,
     logFn: function() {} // Silent logging
   });
+} else {
+  // Explicit memory store so sessions can be listed and revoked
+  sessionConfig.store = new session.MemoryStore();
 }
+sessionService.setStore(sessionConfig.store);
 
-app.use(session(sessionConfig));
+const sessionMiddleware = session(sessionConfig);
+app.use(sessionMiddleware);
 
 // Middleware
 app.use(cors({
   origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-    
-    const allowedOrigins = NODE_ENV === 'production' ? 
-      ["https://cpanel.webeezix.in", "http://cpanel.webeezix.in", "https://sitedev.eezix.com", "http://sitedev.eezix.com"] : 
-      ["http://localhost:8000", "http://127.0.0.1:8000"];
-    
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      callback(null, true); // Allow for now during testing
-    }
+    // Requests with no origin (like mobile apps or curl requests) and allowlisted origins get
+    // CORS headers; anything else gets none, so browsers block the response
+    callback(null, !origin || ALLOWED_ORIGINS.includes(origin));
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token']
 }));
 app.use(express.json());
 
-// Authentication middleware
-function requireAuth(req, res, next) {
-  if (req.session && req.session.authenticated) {
-    return next();
-  } else {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-}
+// Record every mutating API call (including logins) in the hash-chained audit log
+app.use('/api', auditTrail);
+
+// Require the session's CSRF token (X-CSRF-Token) and an allowed Origin on state-changing calls
+app.use('/api', csrfProtection({ allowedOrigins: ALLOWED_ORIGINS }));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Make io available to routes
-app.use((req, res, next) => {
-  req.io = io;
-  next();
-});
+// Two-factor logins must be completed within this window and attempt budget after the password step
+const PENDING_2FA_TTL = 5 * 60 * 1000;
+const PENDING_2FA_MAX_ATTEMPTS = 5;
+
+// Start a fully authenticated session for a user
+function establishSession(req, res, user) {
+  // Issue a fresh session id on login to prevent session fixation
+  req.session.regenerate(async (err) => {
+    if (err) {
+      console.error('Session regeneration failed:', err);
+      return res.status(500).json({ error: 'Login failed' });
+    }
 
-// Authentication routes (unprotected)
-app.post('/api/auth/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  console.log('Login attempt:', {
-    username: username,
-    passwordLength: password ? password.length : 0,
-    sessionId: req.sessionID,
-    environment: NODE_ENV,
-    origin: req.get('origin'),
-    userAgent: req.get('user-agent')
-  });
-  
-  if (username === AUTH_USER && password === AUTH_PASSWORD) {
     req.session.authenticated = true;
-    req.session.user = username;
-    
-    console.log('Login successful for:', username);
-    
+    req.session.userId = user.id;
+    req.session.user = user.username;
+    req.session.loginAt = Date.now();
+    sessionService.initSession(req);
+    const csrfToken = issueCsrfToken(req);
+
+    loginGuardService.recordSuccess(req.ip, user.username);
+    await userService.recordLogin(user.id).catch(error => console.error('Failed to record login:', error));
+    await securityLogService.record('login_succeeded', { username: user.username, ip: req.ip });
+
     res.json({ 
       success: true, 
       message: 'Login successful',
-      sessionId: req.sessionID,
+      user,
+      csrfToken,
       environment: NODE_ENV
     });
-  } else {
-    console.log('Login failed - invalid credentials');
-    res.status(401).json({ error: 'Invalid credentials' });
+  });
+}
+
+// Reject a login attempt that is throttled or hits a locked account, otherwise reserve it in the
+// login guard until it is settled; returns true if a response was sent
+async function rejectThrottledLogin(req, res, username) {
+  const block = loginGuardService.reserve(req.ip, username);
+  if (!block) {
+    return false;
+  }
+
+  await securityLogService.record('login_throttled', {
+    username,
+    ip: req.ip,
+    reason: block.reason,
+    retryAfter: block.retryAfter
+  });
+
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(block.reason === 'locked' ? 423 : 429).json({
+    error: block.reason === 'locked'
+      ? 'Account temporarily locked after too many failed logins'
+      : 'Too many failed login attempts, please wait before retrying',
+    retryAfter: block.retryAfter
+  });
+  return true;
+}
+
+// Count a failed attempt and log it, including any lockout it triggered
+async function recordLoginFailure(req, type, username) {
+  const result = loginGuardService.recordFailure(req.ip, username);
+  await securityLogService.record(type, {
+    username,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  if (result.locked) {
+    console.warn(`Account ${username} locked until ${result.lockedUntil} after repeated failed logins`);
+    await securityLogService.record('account_locked', { username, ip: req.ip, lockedUntil: result.lockedUntil });
+  }
+}
+
+// Authentication routes (unprotected)
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+  const attemptedUsername = String(username || '').slice(0, 64);
+  let reserved = false;
+
+  try {
+    if (await rejectThrottledLogin(req, res, attemptedUsername)) {
+      return;
+    }
+    reserved = true;
+
+    const user = await userService.authenticate(username, password);
+
+    if (!user) {
+      await recordLoginFailure(req, 'login_failed', attemptedUsername);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return establishSession(req, res, user);
+    }
+
+    // Password accepted - hold the login until the second factor is verified
+    loginGuardService.release(req.ip, attemptedUsername);
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error('Session regeneration failed:', err);
+        return res.status(500).json({ error: 'Login failed' });
+      }
+
+      req.session.pending2fa = { userId: user.id, username: user.username, at: Date.now(), attempts: 0 };
+
+      res.json({
+        success: false,
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app'
+      });
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    if (reserved) {
+      loginGuardService.release(req.ip, attemptedUsername);
+    }
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Second login step - accepts a TOTP code or a single-use recovery code
+app.post('/api/auth/login/2fa', async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const pending = req.session?.pending2fa;
+
+  if (!pending || Date.now() - pending.at > PENDING_2FA_TTL || pending.attempts >= PENDING_2FA_MAX_ATTEMPTS) {
+    delete req.session.pending2fa;
+    return res.status(401).json({ error: 'Login expired, please sign in again' });
+  }
+
+  let reserved = false;
+
+  try {
+    if (await rejectThrottledLogin(req, res, pending.username)) {
+      return;
+    }
+    reserved = true;
+
+    const valid = await userService.verifySecondFactor(pending.userId, { code, recoveryCode });
+    if (!valid) {
+      pending.attempts += 1;
+      await recordLoginFailure(req, 'two_factor_failed', pending.username);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const user = await userService.getUserById(pending.userId);
+    if (!user || user.disabled) {
+      delete req.session.pending2fa;
+      loginGuardService.release(req.ip, pending.username);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (recoveryCode) {
+      console.log(`Recovery code used by ${user.username}`);
+    }
+
+    establishSession(req, res, userService.toPublicUser(user));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    if (reserved) {
+      loginGuardService.release(req.ip, pending.username);
+    }
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
 app.post('/api/auth/logout', (req, res) => {
+  const sessionId = req.sessionID;
   req.session.destroy((err) => {
+    socketService.disconnectWhere(data => data.sessionId === sessionId);
     if (err) {
       res.status(500).json({ error: 'Logout failed' });
     } else {
@@ -138,60 +291,44 @@ app.post('/api/auth/logout', (req, res) => {
   });
 });
 
-app.get('/api/auth/status', (req, res) => {
+app.get('/api/auth/status', async (req, res) => {
   console.log('Auth status check:', {
-    sessionId: req.sessionID,
     hasSession: !!req.session,
     authenticated: req.session?.authenticated,
     user: req.session?.user,
-    environment: NODE_ENV,
-    cookies: req.headers.cookie
+    environment: NODE_ENV
   });
 
-  if (req.session && req.session.authenticated) {
+  const user = await getSessionUser(req).catch(() => null);
+
+  if (user) {
     res.json({ 
       authenticated: true, 
-      user: req.session.user,
-      sessionId: req.sessionID,
+      user,
+      csrfToken: issueCsrfToken(req),
       environment: NODE_ENV
     });
   } else {
     res.json({ 
       authenticated: false,
-      sessionId: req.sessionID,
       environment: NODE_ENV,
       hasSession: !!req.session
     });
   }
 });
 
-// Diagnostic endpoint for troubleshooting
-app.get('/api/debug/session', (req, res) => {
-  res.json({
-    environment: NODE_ENV,
-    sessionId: req.sessionID,
-    hasSession: !!req.session,
-    sessionData: req.session ? {
-      authenticated: req.session.authenticated,
-      user: req.session.user,
-      cookie: req.session.cookie
-    } : null,
-    headers: {
-      origin: req.get('origin'),
-      userAgent: req.get('user-agent'),
-      cookie: req.get('cookie'),
-      host: req.get('host')
-    },
-    timestamp: new Date().toISOString()
-  });
-});
-
 // Protected API routes
 app.use('/api/domains', requireAuth, domainsRoutes);
 app.use('/api/ssl', requireAuth, sslRoutes);
 app.use('/api/nginx', requireAuth, nginxConfigRoutes);
 app.use('/api/autorenewal', requireAuth, autorenewalRoutes);
 app.use('/api/cloudns', requireAuth, cloudnsConfigRoutes);
+app.use('/api/users', requireAuth, requireRole('admin'), usersRoutes);
+app.use('/api/tokens', requireAuth, tokensRoutes);
+app.use('/api/auth/2fa', requireSession, twoFactorRoutes);
+app.use('/api/security', requireAuth, requireRole('admin'), securityRoutes);
+app.use('/api/audit', requireAuth, requireRole('admin'), auditRoutes);
+app.use('/api/sessions', requireAuth, sessionsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -203,9 +340,11 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Socket.io connection handling
+// Socket.io connection handling - handshakes need the same session or API token as the REST API
+socketService.attach(io, sessionMiddleware);
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id, 'from:', socket.handshake.address);
+  console.log('Client connected:', socket.id, 'user:', socket.data.user.username, 'from:', socket.handshake.address);
   
   // Handle test connection events
   socket.on('test_connection', (data) => {
@@ -236,6 +375,13 @@ app.use((err, req, res, next) => {
   });
 });
 
+userService.ensureBootstrapUser().catch((error) => {
+  console.error('Failed to create initial user:', error);
+});
+
+// Count new access log lines into the traffic analytics in the background
+analyticsService.start();
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`SSL Certificate Manager running on port ${PORT}`);
   console.log(`Environment: ${NODE_ENV}`);
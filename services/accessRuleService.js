@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+const { isValidAddress } = require('./validators');
+
+// Name of the managed section the rules are added in
+const SECTION = 'access rules';
+const SATISFY_MODES = ['all', 'any'];
+const DEFAULT_REALM = 'Restricted';
+const MAX_RULES = 50;
+const MAX_ADDRESSES = 200;
+const MAX_USERS = 100;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+const PATH_PATTERN = /^\/[^\s"';{}#$\\]*$/;
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+// Realms end up in a WWW-Authenticate header and a quoted nginx argument
+const REALM_PATTERN = /^[^"$\\\x00-\x1f\x7f]{1,64}$/;
+// Alphabet of crypt-style hashes, used for apr1 salts and output
+const ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Location-scoped access rules for a site: IP allow/deny lists and HTTP basic auth. A rule
+ * applies to the whole site (server level), to an existing location, or to a path that gets
+ * its own `location ^~` (see nginxService.buildPathLocation).
+ * Basic auth users are kept as apr1 hashes in data/access-rules.json and written to one
+ * htpasswd file per rule under HTPASSWD_ROOT, in the same change set as the vhost.
+ */
+class AccessRuleService {
+  constructor() {
+    // Owner-only permissions: the rules hold password hashes
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'access-rules.json'), {
+      defaults: () => ({ sites: {} }),
+      label: 'access rules',
+      mode: 0o600
+    });
+  }
+
+  /**
+   * Directory htpasswd files are written to
+   */
+  getHtpasswdRoot() {
+    return process.env.HTPASSWD_ROOT || path.join(nginxService.nginxPrefix, 'htpasswd');
+  }
+
+  /**
+   * Load access rules keyed by site file name
+   */
+  async loadRules() {
+    return (await this.store.read()).sites || {};
+  }
+
+  /**
+   * Hash a password the way `htpasswd -m` does (Apache MD5, "$apr1$"), which every nginx build understands
+   */
+  hashPassword(password, salt = null) {
+    const saltText = salt || Array.from(crypto.randomBytes(8), byte => ITOA64[byte % 64]).join('');
+    const secret = Buffer.from(password);
+    const saltBytes = Buffer.from(saltText);
+    const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+    let digest = md5(secret, saltBytes, secret);
+    const parts = [secret, Buffer.from('$apr1$'), saltBytes];
+    for (let length = secret.length; length > 0; length -= 16) {
+      parts.push(digest.subarray(0, Math.min(16, length)));
+    }
+    for (let bits = secret.length; bits; bits >>= 1) {
+      parts.push(bits & 1 ? Buffer.alloc(1) : secret.subarray(0, 1));
+    }
+    digest = md5(...parts);
+
+    for (let round = 0; round < 1000; round++) {
+      digest = md5(
+        round & 1 ? secret : digest,
+        round % 3 ? saltBytes : Buffer.alloc(0),
+        round % 7 ? secret : Buffer.alloc(0),
+        round & 1 ? digest : secret
+      );
+    }
+
+    const encode = (value, count) => {
+      let text = '';
+      for (let i = 0; i < count; i++, value >>= 6) {
+        text += ITOA64[value & 0x3f];
+      }
+      return text;
+    };
+    const groups = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]];
+    const encoded = groups.map(([a, b, c]) => encode((digest[a] << 16) | (digest[b] << 8) | digest[c], 4)).join('') +
+      encode(digest[11], 2);
+
+    return `$apr1$${saltText}$${encoded}`;
+  }
+
+  /**
+   * htpasswd file of a rule: the site file name plus a slug and short hash of the location
+   */
+  getHtpasswdPath(filename, location) {
+    if (!location) {
+      return path.join(this.getHtpasswdRoot(), `${filename}-site.htpasswd`);
+    }
+
+    const slug = location.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'root';
+    const hash = crypto.createHash('sha256').update(location).digest('hex').slice(0, 6);
+    return path.join(this.getHtpasswdRoot(), `${filename}-${slug}-${hash}.htpasswd`);
+  }
+
+  /**
+   * Split an address list given as an array or as text
+   */
+  parseAddresses(value, label, number) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const addresses = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+
+    const invalid = addresses.filter(address => !isValidAddress(address));
+    if (invalid.length > 0) {
+      throw httpError(`Rule ${number}: invalid ${label} entries: ${invalid.join(', ')}. Use IP addresses or CIDR ranges.`);
+    }
+    if (addresses.length > MAX_ADDRESSES) {
+      throw httpError(`Rule ${number}: at most ${MAX_ADDRESSES} ${label} entries are allowed`);
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Check rules against the site's locations; passwords are hashed here, and users sent
+   * without one keep the hash they had in the previous rules for the same location
+   */
+  validateRules(input, nodes, previous = []) {
+    if (!Array.isArray(input)) {
+      throw httpError('Rules must be a list');
+    }
+    if (input.length > MAX_RULES) {
+      throw httpError(`A site can have at most ${MAX_RULES} access rules`);
+    }
+
+    const existing = new Set(nodes.flatMap(node => nginxService.listLocations(node).map(location => location.args.join(' '))));
+    const seen = new Set();
+
+    return input.map((rule, index) => {
+      const number = index + 1;
+      const location = typeof rule.location === 'string' && rule.location.trim() ? rule.location.trim() : null;
+
+      if (location && !PATH_PATTERN.test(location) && !existing.has(location)) {
+        throw httpError(`Rule ${number}: the site has no location "${location}". Use an existing location or a plain path such as /admin/.`);
+      }
+      if (seen.has(location)) {
+        throw httpError(`Rule ${number}: ${location ? `location ${location}` : 'the whole site'} already has a rule`);
+      }
+      seen.add(location);
+
+      const deny = this.parseAddresses(rule.deny, 'deny', number);
+      const allow = this.parseAddresses(rule.allow, 'allow', number);
+      const satisfy = rule.satisfy || 'all';
+      if (!SATISFY_MODES.includes(satisfy)) {
+        throw httpError(`Rule ${number}: satisfy must be one of: ${SATISFY_MODES.join(', ')}`);
+      }
+
+      const realm = typeof rule.realm === 'string' && rule.realm.trim() ? rule.realm.trim() : DEFAULT_REALM;
+      if (!REALM_PATTERN.test(realm)) {
+        throw httpError(`Rule ${number}: the realm must be at most 64 characters without quotes, "$" or backslashes`);
+      }
+
+      const users = Array.isArray(rule.users) ? rule.users : [];
+      if (users.length > MAX_USERS) {
+        throw httpError(`Rule ${number}: at most ${MAX_USERS} users are allowed`);
+      }
+
+      const before = previous.find(item => item.location === location);
+      const now = new Date().toISOString();
+      const usernames = new Set();
+      const hashedUsers = users.map((user) => {
+        const username = String(user.username || '').trim();
+        if (!USERNAME_PATTERN.test(username)) {
+          throw httpError(`Rule ${number}: usernames use letters, digits, ".", "_", "@" and "-" (at most 64)`);
+        }
+        if (usernames.has(username)) {
+          throw httpError(`Rule ${number}: user ${username} is listed twice`);
+        }
+        usernames.add(username);
+
+        const existingUser = before?.users.find(item => item.username === username);
+        if (user.password === undefined || user.password === null || user.password === '') {
+          if (!existingUser) {
+            throw httpError(`Rule ${number}: set a password for ${username}`);
+          }
+          return existingUser;
+        }
+
+        if (typeof user.password !== 'string' || user.password.length < MIN_PASSWORD_LENGTH || user.password.length > MAX_PASSWORD_LENGTH) {
+          throw httpError(`Rule ${number}: the password for ${username} must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+        }
+
+        return {
+          username,
+          hash: this.hashPassword(user.password),
+          createdAt: existingUser ? existingUser.createdAt : now,
+          updatedAt: now
+        };
+      });
+
+      if (allow.length === 0 && deny.length === 0 && hashedUsers.length === 0) {
+        throw httpError(`Rule ${number}: add allowed or denied addresses, or basic auth users`);
+      }
+
+      return { location, allow, deny, satisfy, realm, users: hashedUsers };
+    });
+  }
+
+  /**
+   * Refuse rules that would repeat directives the block already sets itself (nginx rejects
+   * a second auth_basic or satisfy in the same block), or a second panel-added location for one path
+   */
+  checkConflicts(rules, nodes) {
+    for (const rule of rules) {
+      if (rule.location && PATH_PATTERN.test(rule.location)) {
+        const taken = nodes.some(node => !nginxService.listLocations(node).some(location => nginxService.matchesLocation(location, rule.location)) &&
+          nginxService.hasPanelLocation(node, rule.location));
+        if (taken) {
+          throw httpError(`Another panel feature already adds a location for ${rule.location}; add a location for it in the config editor so both can use it`, 409);
+        }
+      }
+
+      const blocks = rule.location ?
+        nodes.flatMap(node => nginxService.listLocations(node).filter(location => nginxService.matchesLocation(location, rule.location))) :
+        nodes;
+      const names = [...(rule.users.length ? ['auth_basic', 'auth_basic_user_file'] : []), ...(rule.satisfy === 'any' ? ['satisfy'] : [])];
+
+      for (const block of blocks) {
+        const conflict = names.find(name => nginxConfigParser.findDirectives(block.block, name).length > 0);
+        if (conflict) {
+          const where = rule.location ? `location ${rule.location}` : 'The server block';
+          throw httpError(`${where} (line ${block.line}) already sets ${conflict}; remove it in the config editor before adding a rule here`, 409);
+        }
+      }
+    }
+  }
+
+  /**
+   * Access directives of one rule: explicit denies, then allows (anything else is denied),
+   * then basic auth. With satisfy any, allowed addresses skip the password.
+   */
+  renderRuleLines(rule, htpasswdPath) {
+    const lines = [
+      ...rule.deny.map(address => `deny ${address};`),
+      ...rule.allow.map(address => `allow ${address};`)
+    ];
+    if (rule.allow.length) {
+      lines.push('deny all;');
+    }
+
+    if (rule.users.length) {
+      if (rule.allow.length && rule.satisfy === 'any') {
+        lines.push('satisfy any;');
+      }
+      lines.push(
+        `auth_basic ${nginxConfigParser.quoteArg(rule.realm)};`,
+        `auth_basic_user_file ${nginxConfigParser.quoteArg(htpasswdPath)};`
+      );
+    }
+
+    return lines;
+  }
+
+  /**
+   * Add the rules to the server and location blocks that serve the domain
+   */
+  buildAccessConfig(content, filename, domain, rules) {
+    const siteBlocks = nginxService.findSiteBlocks(nginxConfigParser.parse(content, filename), domain);
+    const lines = (rule) => this.renderRuleLines(rule, this.getHtpasswdPath(filename, rule.location));
+    const isSiteBlock = node => siteBlocks.some(block => block.line === node.line);
+
+    return nginxService.addManagedSection(content, filename, SECTION, {
+      server: (node) => {
+        if (!isSiteBlock(node)) {
+          return null;
+        }
+
+        const result = [];
+        const siteRule = rules.find(rule => !rule.location);
+        if (siteRule) {
+          result.push(...lines(siteRule));
+        }
+
+        // Paths without a location of their own get one that serves them as before
+        for (const rule of rules.filter(item => item.location && PATH_PATTERN.test(item.location))) {
+          if (!nginxService.listLocations(node).some(location => nginxService.matchesLocation(location, rule.location))) {
+            result.push(...nginxService.buildPathLocation(node, rule.location, lines(rule)));
+          }
+        }
+
+        return result;
+      },
+      location: (node, serverNode) => {
+        if (!isSiteBlock(serverNode)) {
+          return null;
+        }
+        const rule = rules.find(item => item.location && nginxService.matchesLocation(node, item.location));
+        return rule ? lines(rule) : null;
+      }
+    });
+  }
+
+  /**
+   * Cases where a rule doesn't protect what it looks like it does
+   */
+  findWarnings(rules, nodes, hasTls) {
+    const warnings = [];
+
+    if (!hasTls && rules.some(rule => rule.users.length)) {
+      warnings.push('The site has no HTTPS server block, so basic auth passwords are sent unencrypted');
+    }
+
+    const siteRule = rules.find(rule => !rule.location);
+    if (siteRule) {
+      for (const location of nodes.flatMap(node => nginxService.listLocations(node))) {
+        if (rules.some(rule => rule.location && nginxService.matchesLocation(location, rule.location))) {
+          continue;
+        }
+
+        const label = `location ${location.args.join(' ')} (line ${location.line})`;
+        const hasOwn = name => nginxConfigParser.findDirectives(location.block, name).length > 0;
+        if ((siteRule.allow.length || siteRule.deny.length) && (hasOwn('allow') || hasOwn('deny'))) {
+          warnings.push(`${label} has its own allow/deny rules, so the site-wide address list doesn't apply there`);
+        }
+        if (siteRule.users.length && hasOwn('auth_basic')) {
+          warnings.push(`${label} sets its own auth_basic, so the site-wide password doesn't apply there`);
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Access rules of a domain, without password hashes
+   */
+  async getAccessRules(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const entry = (await this.loadRules())[current.filename];
+    const applied = nginxService.hasManagedSection(current.content, SECTION);
+    const base = nginxService.removeManagedSection(current.content, SECTION);
+    const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain);
+    const hasTls = nodes.some(node => nginxService.describeServerBlock(node).ssl.enabled);
+    const rules = applied && entry ? entry.rules : [];
+
+    return {
+      domain: current.domain,
+      applied,
+      hasTls,
+      locations: [...new Set(nodes.flatMap(node => nginxService.listLocations(node).map(location => location.args.join(' '))))],
+      rules: rules.map(rule => ({
+        ...rule,
+        // Whether the panel adds a location for this rule rather than using one from the file
+        created: Boolean(rule.location) && !nodes.some(node => nginxService.listLocations(node).some(location => nginxService.matchesLocation(location, rule.location))),
+        users: rule.users.map(({ username, createdAt, updatedAt }) => ({ username, createdAt, updatedAt }))
+      })),
+      warnings: this.findWarnings(rules, nodes, hasTls),
+      updatedAt: applied && entry ? entry.updatedAt : null,
+      updatedBy: applied && entry ? entry.updatedBy : null
+    };
+  }
+
+  /**
+   * Replace a domain's access rules: render them into its site file and write the htpasswd
+   * files in one change set, so a failing nginx -t leaves everything as it was
+   */
+  async updateAccessRules(domain, input, author) {
+    const saved = await this.store.update(async (data) => {
+      let rules = null;
+      let files = null;
+
+      const written = await nginxService.updateSiteConfig(domain, async (current) => {
+        const entry = data.sites[current.filename];
+        const base = nginxService.removeManagedSection(current.content, SECTION);
+        const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain);
+
+        if (nodes.length === 0) {
+          throw httpError(`${current.filename} has no server block for ${current.domain}`);
+        }
+
+        rules = this.validateRules(input, nodes, entry ? entry.rules : []);
+        this.checkConflicts(rules, nodes);
+
+        const changes = [];
+        files = rules.filter(rule => rule.users.length).map(rule => ({
+          path: this.getHtpasswdPath(current.filename, rule.location),
+          content: rule.users.map(user => `${user.username}:${user.hash}\n`).join('')
+        }));
+        for (const file of files) {
+          const existing = await fs.readFile(file.path, 'utf8').catch(() => null);
+          if (existing !== file.content) {
+            changes.push({ action: 'write', path: file.path, content: file.content, config: false });
+          }
+        }
+        for (const stale of (entry?.files || []).filter(file => !files.some(item => item.path === file))) {
+          changes.push({ action: 'delete', path: stale });
+        }
+        if (changes.length > 0) {
+          await fs.mkdir(this.getHtpasswdRoot(), { recursive: true });
+        }
+
+        return {
+          content: rules.length ? this.buildAccessConfig(base, current.filename, current.domain, rules) : base,
+          changes,
+          reason: rules.length ? 'Access rules updated' : 'Access rules removed'
+        };
+      }, { author, source: 'access-rules' });
+
+      if (rules.length) {
+        data.sites[written.filename] = {
+          domain: written.domain,
+          rules,
+          files: files.map(file => file.path),
+          updatedAt: new Date().toISOString(),
+          updatedBy: author
+        };
+      } else {
+        delete data.sites[written.filename];
+      }
+
+      return written;
+    });
+
+    return { ...(await this.getAccessRules(domain)), changed: saved.changed, reloaded: saved.reloaded, version: saved.version };
+  }
+}
+
+module.exports = new AccessRuleService();
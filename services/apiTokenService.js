@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const path = require('path');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+
+const TOKEN_PREFIX = 'dcp';
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 3650;
+// Persist lastUsedAt at most once a minute per token to avoid a file write on every request
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+// API areas a token can be scoped to, matching the /api/<area> mounts in server.js
+const TOKEN_AREAS = ['domains', 'ssl', 'nginx', 'autorenewal', 'cloudns'];
+const TOKEN_SCOPES = TOKEN_AREAS.flatMap(area => [`${area}:read`, `${area}:write`]);
+
+class ApiTokenService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'api-tokens.json'), {
+      defaults: () => ({ tokens: [] }),
+      label: 'token store',
+      mode: 0o600,
+      cache: true
+    });
+  }
+
+  /**
+   * Load tokens from the JSON store (cached after first read)
+   */
+  async loadTokens() {
+    return (await this.store.read()).tokens || [];
+  }
+
+  /**
+   * Hash a token secret for storage; secrets are random so a fast hash is sufficient
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Strip the secret hash before returning a token to clients
+   */
+  toPublicToken(token) {
+    const { secretHash, ...publicToken } = token;
+    publicToken.expired = !!token.expiresAt && Date.parse(token.expiresAt) <= Date.now();
+    return publicToken;
+  }
+
+  /**
+   * Mint a new token for a user. The plaintext value is only returned here.
+   */
+  async createToken(user, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+      throw httpError('Token name is required (max 64 characters)');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw httpError('At least one scope is required');
+    }
+
+    const invalidScopes = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw httpError(`Invalid scopes: ${invalidScopes.join(', ')}. Valid scopes: ${TOKEN_SCOPES.join(', ')}`);
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw httpError(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const token = {
+      id,
+      name: name.trim(),
+      userId: user.id,
+      username: user.username,
+      scopes: [...new Set(scopes)],
+      secretHash: this.hashSecret(secret),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null
+    };
+
+    await this.store.update((data) => {
+      data.tokens.push(token);
+    });
+
+    return {
+      token: this.toPublicToken(token),
+      value: `${TOKEN_PREFIX}_${id}_${secret}`
+    };
+  }
+
+  /**
+   * List tokens, optionally only those belonging to one user
+   */
+  async listTokens(userId = null) {
+    const tokens = await this.loadTokens();
+    return tokens
+      .filter(token => !userId || token.userId === userId)
+      .map(token => this.toPublicToken(token));
+  }
+
+  /**
+   * Revoke a token; non-admins may only revoke their own
+   */
+  async revokeToken(id, user) {
+    return this.store.update((data) => {
+      const token = data.tokens.find(t => t.id === id);
+
+      if (!token || (user.role !== 'admin' && token.userId !== user.id)) {
+        throw httpError('Token not found', 404);
+      }
+
+      token.revokedAt = new Date().toISOString();
+      return this.toPublicToken(token);
+    });
+  }
+
+  /**
+   * Resolve a bearer token value to its stored record, or null if invalid, revoked or expired
+   */
+  async verifyToken(value, ip = null) {
+    const match = /^([a-z]+)_([a-f0-9]{12})_([A-Za-z0-9_-]+)$/.exec(value || '');
+    if (!match || match[1] !== TOKEN_PREFIX) {
+      return null;
+    }
+
+    const [, , id, secret] = match;
+    const tokens = await this.loadTokens();
+    const token = tokens.find(t => t.id === id);
+    if (!token || token.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(token.secretHash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    if (token.expiresAt && Date.parse(token.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    await this.recordUsage(token, ip);
+    return token;
+  }
+
+  /**
+   * Update last-used metadata, throttled to limit disk writes
+   */
+  async recordUsage(token, ip) {
+    const now = Date.now();
+    const lastUsed = token.lastUsedAt ? Date.parse(token.lastUsedAt) : 0;
+
+    if (now - lastUsed < LAST_USED_WRITE_INTERVAL) {
+      return;
+    }
+
+    await this.store.update((data) => {
+      const stored = data.tokens.find(t => t.id === token.id);
+      if (stored) {
+        stored.lastUsedAt = new Date(now).toISOString();
+        stored.lastUsedIp = ip;
+      }
+    });
+  }
+
+  /**
+   * Check a token's scopes against an API area and HTTP method
+   */
+  hasScope(token, area, method) {
+    const access = ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+    return token.scopes.includes(`${area}:${access}`) ||
+           (access === 'read' && token.scopes.includes(`${area}:write`));
+  }
+}
+
+module.exports = new ApiTokenService();
+module.exports.TOKEN_SCOPES = TOKEN_SCOPES;
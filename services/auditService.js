@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const jsonStore = require('./jsonStore');
+
+// Hash that precedes the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+// Request fields that are never written to the audit log
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'code', 'recoveryCode', 'token', 'secret', 'authPassword', 'apiKey'];
+// Key the chain head is signed with; it must not be stored next to the log
+const HEAD_SECRET = process.env.AUDIT_SECRET || process.env.SESSION_SECRET || null;
+
+/**
+ * Append-only audit trail. Each entry stores the hash of the previous entry and
+ * its own hash over both, so deleting or editing a line breaks the chain. The newest
+ * entry's seq and hash are also kept in data/audit-head.json with an HMAC, so removing
+ * entries from the end shows up too.
+ */
+class AuditService {
+  constructor() {
+    this.auditFile = path.join(__dirname, '..', 'data', 'audit-log.jsonl');
+    this.headStore = jsonStore(path.join(__dirname, '..', 'data', 'audit-head.json'), {
+      label: 'audit log head',
+      mode: 0o600
+    });
+    this.head = null; // { seq, hash } of the last written entry
+    this.headProblem = null; // Why the signed head couldn't be used, noted in the chain with the next write
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * HMAC of a chain head, or null when no secret is configured
+   */
+  signHead(seq, hash) {
+    if (!HEAD_SECRET) {
+      return null;
+    }
+
+    return crypto.createHmac('sha256', HEAD_SECRET).update(`audit-head:${seq}:${hash}`).digest('hex');
+  }
+
+  /**
+   * The recorded head as { seq, hash, trusted }, or null if none was recorded. It isn't
+   * trusted when its HMAC doesn't match, i.e. it was written without the secret.
+   */
+  async readSignedHead() {
+    const stored = await this.headStore.read();
+    if (!Number.isInteger(stored.seq) || typeof stored.hash !== 'string') {
+      return null;
+    }
+
+    const expected = this.signHead(stored.seq, stored.hash);
+    const trusted = expected === null ||
+      (typeof stored.mac === 'string' && stored.mac.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(stored.mac), Buffer.from(expected)));
+
+    return { seq: stored.seq, hash: stored.hash, trusted };
+  }
+
+  /**
+   * Hash an entry (without its own hash field) chained to the previous hash
+   */
+  hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * Replace secrets in request parameters before they are logged, including nested ones
+   * (e.g. the passwords in a list of basic auth users)
+   */
+  redact(params) {
+    if (Array.isArray(params)) {
+      return params.map(item => this.redact(item));
+    }
+    if (!params || typeof params !== 'object') {
+      return params;
+    }
+
+    return Object.fromEntries(Object.entries(params).map(([key, value]) => [
+      key,
+      REDACTED_FIELDS.includes(key) ? '[redacted]' : this.redact(value)
+    ]));
+  }
+
+  /**
+   * Read all entries in file order
+   */
+  async readEntries() {
+    let data;
+    try {
+      data = await fs.readFile(this.auditFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read audit log: ${error.message}`);
+    }
+
+    return data.split('\n').filter(Boolean).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { corrupt: true, line: index + 1 };
+      }
+    });
+  }
+
+  /**
+   * Load the chain head from the end of the log (once per process)
+   */
+  async loadHead() {
+    if (this.head) {
+      return this.head;
+    }
+
+    const entries = await this.readEntries();
+    const last = entries[entries.length - 1];
+    let head = last && !last.corrupt
+      ? { seq: last.seq, hash: last.hash }
+      : { seq: 0, hash: GENESIS_HASH };
+
+    const signed = await this.readSignedHead();
+    if (!signed && head.seq > 0) {
+      this.headProblem = `No signed head was found for entry ${head.seq}`;
+    } else if (signed && !signed.trusted) {
+      this.headProblem = 'The signed head did not match its HMAC (head file modified, or the secret changed)';
+    } else if (signed && (signed.seq !== head.seq || signed.hash !== head.hash)) {
+      // The log's end was changed outside the panel: chain on from the signed head instead,
+      // so the break stays visible to verify() rather than being signed over
+      console.error(`Audit log ends at entry ${head.seq} but its signed head is entry ${signed.seq}; continuing from the signed head`);
+      head = { seq: signed.seq, hash: signed.hash };
+    }
+
+    if (this.headProblem) {
+      console.error(`Audit log: ${this.headProblem}; a new signed head starts with the next entry`);
+    }
+
+    this.head = head;
+    return this.head;
+  }
+
+  /**
+   * Append an entry: { actor, ip, action, target, params, outcome, statusCode, error }
+   */
+  record(details) {
+    // Writes are serialized so every entry chains to the one before it
+    const write = this.writeQueue.then(async () => {
+      const head = await this.loadHead();
+
+      if (this.headProblem) {
+        // Sign the log from here on, keeping a record in the chain of why the old head was dropped
+        await this.appendEntry(head, { action: 'audit.head-reset', outcome: 'failure', error: this.headProblem });
+        this.headProblem = null;
+      }
+
+      return this.appendEntry(this.head, details);
+    });
+
+    // Keep the queue alive after a failed write; the caller still sees the error
+    this.writeQueue = write.catch((error) => {
+      console.error('Failed to write audit log:', error.message);
+    });
+
+    return write;
+  }
+
+  /**
+   * Write an entry after `head` and sign it as the new head; only call from inside the queue
+   */
+  async appendEntry(head, details) {
+    const entry = {
+      seq: head.seq + 1,
+      timestamp: new Date().toISOString(),
+      actor: details.actor || null,
+      ip: details.ip || null,
+      action: details.action,
+      target: details.target || null,
+      params: this.redact(details.params) || {},
+      outcome: details.outcome,
+      statusCode: details.statusCode || null,
+      error: details.error || null,
+      prevHash: head.hash
+    };
+    entry.hash = this.hashEntry(entry);
+
+    await fs.mkdir(path.dirname(this.auditFile), { recursive: true });
+    await fs.appendFile(this.auditFile, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    this.head = { seq: entry.seq, hash: entry.hash };
+    await this.headStore.write({ ...this.head, mac: this.signHead(entry.seq, entry.hash), updatedAt: entry.timestamp });
+
+    return entry;
+  }
+
+  /**
+   * Query entries, newest first
+   */
+  async query({ actor, action, target, outcome, since, until, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const entries = await this.readEntries();
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const max = Math.min(Math.max(parseInt(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const results = [];
+
+    for (let i = entries.length - 1; i >= 0 && results.length < max; i--) {
+      const entry = entries[i];
+      if (entry.corrupt) continue;
+
+      const time = Date.parse(entry.timestamp);
+      if (sinceTime && time < sinceTime) break;
+      if (untilTime && time > untilTime) continue;
+      if (actor && String(entry.actor?.username || '').toLowerCase() !== String(actor).toLowerCase()) continue;
+      // Action filters match a prefix, so "ssl" finds ssl.install, ssl.renew, ...
+      if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) continue;
+      if (target && String(entry.target || '').toLowerCase() !== String(target).toLowerCase()) continue;
+      if (outcome && entry.outcome !== outcome) continue;
+
+      results.push(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Walk the chain and report the first entry that doesn't link or hash correctly, then
+   * compare its end with the signed head
+   */
+  async verify() {
+    const entries = await this.readEntries();
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+
+    for (const entry of entries) {
+      if (entry.corrupt) {
+        return { valid: false, entries: entries.length, brokenAt: null, reason: `Unparseable line ${entry.line}` };
+      }
+
+      if (entry.seq !== expectedSeq) {
+        return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: `Expected entry ${expectedSeq}, found ${entry.seq} (entries missing)` };
+      }
+
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: 'Previous hash does not match (entry removed or reordered)' };
+      }
+
+      if (this.hashEntry(entry) !== entry.hash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.seq, reason: 'Entry hash does not match its contents (entry modified)' };
+      }
+
+      prevHash = entry.hash;
+      expectedSeq += 1;
+    }
+
+    const headSeq = expectedSeq - 1;
+    const signed = await this.readSignedHead();
+    const broken = (brokenAt, reason) => ({ valid: false, entries: entries.length, brokenAt, reason });
+
+    if (!signed) {
+      if (headSeq > 0) {
+        return broken(null, 'No signed head is recorded for this log (head file removed)');
+      }
+    } else if (!signed.trusted) {
+      return broken(null, 'The signed head does not match its HMAC (head file modified, or the secret changed)');
+    } else if (signed.seq > headSeq) {
+      return broken(headSeq + 1, `The log ends at entry ${headSeq} but the signed head is entry ${signed.seq} (newest entries removed)`);
+    } else if (signed.seq < headSeq) {
+      return broken(signed.seq + 1, `Entries after ${signed.seq} are not covered by the signed head (entries appended outside the panel)`);
+    } else if (signed.hash !== prevHash) {
+      return broken(headSeq, 'The newest entry does not match the signed head (entries replaced)');
+    }
+
+    return {
+      valid: true,
+      entries: entries.length,
+      headSeq,
+      headHash: prevHash,
+      signed: Boolean(HEAD_SECRET),
+      // Points where the signed head had to be restarted; entries before them may have been removed
+      resets: entries
+        .filter(entry => entry.action === 'audit.head-reset')
+        .map(entry => ({ seq: entry.seq, timestamp: entry.timestamp, reason: entry.error }))
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -664,8 +664,7 @@ class CertbotService {
    */
   async verifyNginxSSLConfig(domain, io = null) {
     try {
-      const nginxService = require('./nginxService');
-      const nginx = new nginxService();
+      const nginx = require('./nginxService');
 
       // Get domain configuration
       const config = await nginx.getDomainConfig(domain);
@@ -674,10 +673,12 @@ class CertbotService {
         throw new Error(`No nginx configuration found for ${domain}`);
       }
 
-      // Check if SSL directives were added
-      const hasSSLCertificate = config.sslCertificate && config.sslCertificate.includes(domain);
-      const hasSSLKey = config.sslCertificateKey && config.sslCertificateKey.includes(domain);
-      const hasPort443 = config.listen && config.listen.includes('443');
+      // Check the server block that serves this name over TLS, not just any block in the file
+      const serverBlock = (config.serverBlocks || []).find(block =>
+        block.serverNames.includes(domain) && block.ssl.enabled) || null;
+      const hasSSLCertificate = !!(serverBlock?.ssl.certificate && serverBlock.ssl.certificate.includes(domain));
+      const hasSSLKey = !!(serverBlock?.ssl.certificateKey && serverBlock.ssl.certificateKey.includes(domain));
+      const hasPort443 = !!serverBlock?.listen.some(listen => listen.port === 443);
 
       if (io) {
         if (hasSSLCertificate && hasSSLKey && hasPort443) {
@@ -3,6 +3,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
+const nginxService = require('./nginxService');
 const execAsync = promisify(exec);
 
 class CloudNSService {
@@ -318,12 +319,11 @@ fi
         (match) => match + sslConfig
       );
 
-      // Write updated config
-      await require('fs').promises.writeFile(nginxConfigPath, updatedConfig);
-      
-      // Test and reload nginx
-      await execAsync('sudo nginx -t');
-      await execAsync('sudo systemctl reload nginx');
+      // Write, test and reload as one change set; the previous config is restored on failure
+      await nginxService.applyChangeSet([{ action: 'write', path: nginxConfigPath, content: updatedConfig }], {
+        reason: 'SSL certificate installed (DNS challenge)',
+        source: 'ssl-install'
+      });
       
     } catch (error) {
       console.error('Error updating nginx SSL config:', error);
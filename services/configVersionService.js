@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const diffService = require('./diffService');
+const httpError = require('./httpError');
+
+// Versions kept per site file; the oldest are dropped beyond this
+const HISTORY_LIMIT = parseInt(process.env.CONFIG_HISTORY_LIMIT) || 50;
+
+// Recorded when a file no longer matches its latest version before the panel writes it
+const EXTERNAL_CHANGE = { author: null, reason: 'Changed outside the panel', source: 'external' };
+const BASELINE = { author: null, reason: 'Configuration before the first recorded change', source: 'baseline' };
+
+/**
+ * Snapshots of nginx site files. Every panel write records the new content with
+ * author, reason and source; edits made elsewhere (SSH, certbot) are picked up as
+ * "external" versions the next time the panel touches the file.
+ *
+ * History lives in data/config-versions/<site file>.jsonl, one version per line.
+ */
+class ConfigVersionService {
+  constructor() {
+    this.versionsDir = path.join(__dirname, '..', 'data', 'config-versions');
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * History file for a site file path (keyed by its name in sites-available)
+   */
+  getHistoryFile(filePath) {
+    const name = path.basename(filePath).replace(/[^A-Za-z0-9._-]/g, '_');
+    return path.join(this.versionsDir, `${name}.jsonl`);
+  }
+
+  /**
+   * Read every version of a file, oldest first
+   */
+  async readVersions(filePath) {
+    let data;
+    try {
+      data = await fs.readFile(this.getHistoryFile(filePath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read config history: ${error.message}`);
+    }
+
+    return data.split('\n').filter(Boolean).map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // A torn last line from a crash; the rest of the history is still usable
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Record the file's current content as a new version unless it matches the latest one.
+   * meta: { author, reason, source }. Returns the new version, or null if nothing changed.
+   */
+  snapshot(filePath, meta = {}) {
+    // Serialized so concurrent writers can't assign the same version number
+    const write = this.writeQueue.then(async () => {
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null; // Deleted or not created (e.g. simulated in development)
+        }
+        throw error;
+      }
+
+      const versions = await this.readVersions(filePath);
+      const latest = versions[versions.length - 1];
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+      if (latest && latest.hash === hash) {
+        return null;
+      }
+
+      // With no history yet, the file on disk is the baseline rather than an external edit
+      const details = !latest && meta === EXTERNAL_CHANGE ? BASELINE : meta;
+
+      const version = {
+        version: latest ? latest.version + 1 : 1,
+        timestamp: new Date().toISOString(),
+        author: details.author || null,
+        reason: details.reason || null,
+        source: details.source || null,
+        hash,
+        size: Buffer.byteLength(content),
+        content
+      };
+
+      const historyFile = this.getHistoryFile(filePath);
+      await fs.mkdir(this.versionsDir, { recursive: true });
+
+      if (versions.length >= HISTORY_LIMIT) {
+        // Rewrite without the oldest versions; version numbers keep counting up
+        const kept = [...versions.slice(versions.length - HISTORY_LIMIT + 1), version];
+        const tmpFile = `${historyFile}.tmp`;
+        await fs.writeFile(tmpFile, kept.map(entry => JSON.stringify(entry)).join('\n') + '\n', { mode: 0o600 });
+        await fs.rename(tmpFile, historyFile);
+      } else {
+        await fs.appendFile(historyFile, JSON.stringify(version) + '\n', { mode: 0o600 });
+      }
+
+      return version;
+    });
+
+    // Keep the queue alive after a failed snapshot; the caller still sees the error
+    this.writeQueue = write.catch((error) => {
+      console.error('Failed to snapshot nginx config:', error.message);
+    });
+
+    return write;
+  }
+
+  /**
+   * Run a change to one or more site files with snapshots on both sides: unrecorded
+   * external edits are captured first, then the result is recorded with `meta`.
+   * The after-snapshot runs even if the change throws, since it may have written partially.
+   */
+  async track(filePaths, meta, change) {
+    const files = (Array.isArray(filePaths) ? filePaths : [filePaths]).filter(Boolean);
+
+    for (const file of files) {
+      await this.snapshot(file, EXTERNAL_CHANGE).catch(() => {});
+    }
+
+    try {
+      return await change();
+    } finally {
+      for (const file of files) {
+        await this.snapshot(file, meta).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Version list without contents, newest first, with line counts changed from the previous version
+   */
+  async listVersions(filePath) {
+    const versions = await this.readVersions(filePath);
+
+    return versions.map((version, index) => {
+      const { content, ...summary } = version;
+      const previous = versions[index - 1];
+      const diff = previous ? diffService.unifiedDiff(previous.content, content) : null;
+
+      return {
+        ...summary,
+        additions: diff ? diff.additions : null,
+        deletions: diff ? diff.deletions : null
+      };
+    }).reverse();
+  }
+
+  /**
+   * One version including its content
+   */
+  async getVersion(filePath, versionNumber) {
+    const versions = await this.readVersions(filePath);
+    const version = versions.find(entry => entry.version === parseInt(versionNumber));
+
+    if (!version) {
+      throw httpError(`Version ${versionNumber} not found`, 404);
+    }
+
+    return version;
+  }
+}
+
+module.exports = new ConfigVersionService();
+module.exports.EXTERNAL_CHANGE = EXTERNAL_CHANGE;
@@ -0,0 +1,143 @@
+// Unchanged lines shown around each change, like `diff -u`
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Line-based unified diffs (Myers' algorithm) for previewing config changes
+ */
+class DiffService {
+  /**
+   * Split text into lines; a trailing newline doesn't produce an extra empty line
+   */
+  splitLines(text) {
+    if (!text) {
+      return [];
+    }
+
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Shortest edit script between two line arrays as [{ type: ' ' | '-' | '+', line }]
+   */
+  diffLines(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    // Forward pass: record the furthest-reaching path for each edit distance d
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x += 1;
+          y += 1;
+        }
+
+        v[offset + k] = x;
+        if (x >= a.length && y >= b.length) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    // Backtrack through the recorded paths to recover the edits
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      const vd = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : vd[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push({ type: ' ', line: a[x - 1] });
+        x -= 1;
+        y -= 1;
+      }
+
+      if (d > 0) {
+        if (x === prevX) {
+          edits.push({ type: '+', line: b[y - 1] });
+        } else {
+          edits.push({ type: '-', line: a[x - 1] });
+        }
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return edits.reverse();
+  }
+
+  /**
+   * Unified diff of two texts. Returns { diff, changed, additions, deletions }.
+   */
+  unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT } = {}) {
+    const edits = this.diffLines(this.splitLines(oldText), this.splitLines(newText));
+    const additions = edits.filter(edit => edit.type === '+').length;
+    const deletions = edits.filter(edit => edit.type === '-').length;
+
+    if (additions === 0 && deletions === 0) {
+      return { diff: '', changed: false, additions, deletions };
+    }
+
+    // Annotate each edit with its line numbers in both files
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = edits.map((edit) => {
+      const entry = { ...edit, oldLine, newLine };
+      if (edit.type !== '+') oldLine += 1;
+      if (edit.type !== '-') newLine += 1;
+      return entry;
+    });
+
+    // Group changes that are within 2 * context lines of each other into hunks
+    const hunks = [];
+    let current = null;
+    numbered.forEach((edit, index) => {
+      if (edit.type === ' ') return;
+
+      const start = Math.max(0, index - context);
+      const end = Math.min(numbered.length - 1, index + context);
+      if (current && start <= current.end + 1) {
+        current.end = end;
+      } else {
+        current = { start, end };
+        hunks.push(current);
+      }
+    });
+
+    const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const hunk of hunks) {
+      const slice = numbered.slice(hunk.start, hunk.end + 1);
+      const oldCount = slice.filter(edit => edit.type !== '+').length;
+      const newCount = slice.filter(edit => edit.type !== '-').length;
+      // diff -u reports the line before an empty range
+      const oldStart = oldCount ? slice[0].oldLine : slice[0].oldLine - 1;
+      const newStart = newCount ? slice[0].newLine : slice[0].newLine - 1;
+
+      lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      lines.push(...slice.map(edit => `${edit.type}${edit.line}`));
+    }
+
+    return { diff: lines.join('\n') + '\n', changed: true, additions, deletions };
+  }
+}
+
+module.exports = new DiffService();
@@ -0,0 +1,134 @@
+const path = require('path');
+const jsonStore = require('./jsonStore');
+
+class DomainAccessService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'domain-access.json'), {
+      defaults: () => ({ domains: {} }),
+      label: 'domain access store',
+      cache: true
+    });
+  }
+
+  /**
+   * Normalize a domain name for assignment lookups (lowercase, no www prefix)
+   */
+  normalizeDomain(domain) {
+    return String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Load domain assignments (cached after first read)
+   */
+  async loadAssignments() {
+    return (await this.store.read()).domains || {};
+  }
+
+  /**
+   * Get owners and groups assigned to a domain
+   */
+  async getAssignment(domain) {
+    const assignments = await this.loadAssignments();
+    return assignments[this.normalizeDomain(domain)] || { owners: [], groups: [] };
+  }
+
+  /**
+   * Replace the owners and groups of a domain
+   */
+  async setAssignment(domain, { owners = [], groups = [] }) {
+    const key = this.normalizeDomain(domain);
+    const cleanList = (list) => [...new Set((Array.isArray(list) ? list : [])
+      .map(item => String(item).trim())
+      .filter(Boolean))];
+
+    const assignment = {
+      owners: cleanList(owners),
+      groups: cleanList(groups),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.update((data) => {
+      data.domains = data.domains || {};
+      if (assignment.owners.length === 0 && assignment.groups.length === 0) {
+        delete data.domains[key];
+      } else {
+        data.domains[key] = assignment;
+      }
+    });
+
+    return assignment;
+  }
+
+  /**
+   * Drop a domain's assignment (used when the domain is deleted)
+   */
+  async removeAssignment(domain) {
+    const key = this.normalizeDomain(domain);
+
+    if ((await this.loadAssignments())[key]) {
+      await this.store.update((data) => {
+        delete data.domains[key];
+      });
+    }
+  }
+
+  /**
+   * Whether the user can see every domain (admins and unrestricted staff)
+   */
+  hasAllDomainAccess(user) {
+    if (!user) {
+      return false;
+    }
+
+    return user.role === 'admin' || user.domainScope !== 'assigned';
+  }
+
+  /**
+   * Check whether a user may see and act on a domain
+   */
+  async canAccessDomain(user, domain) {
+    if (!user) {
+      return false;
+    }
+
+    if (this.hasAllDomainAccess(user)) {
+      return true;
+    }
+
+    const assignment = await this.getAssignment(domain);
+    const username = user.username.toLowerCase();
+    const userGroups = user.groups || [];
+
+    return assignment.owners.some(owner => owner.toLowerCase() === username) ||
+           assignment.groups.some(group => userGroups.includes(group));
+  }
+
+  /**
+   * Domains assigned to a user directly or through one of their groups
+   */
+  async listAssignedDomains(user) {
+    const assignments = await this.loadAssignments();
+    const username = user.username.toLowerCase();
+    const userGroups = user.groups || [];
+
+    return Object.entries(assignments)
+      .filter(([, assignment]) =>
+        assignment.owners.some(owner => owner.toLowerCase() === username) ||
+        assignment.groups.some(group => userGroups.includes(group)))
+      .map(([domain]) => domain);
+  }
+
+  /**
+   * Filter a domain list (objects with a `domain` property) down to what the user may see
+   */
+  async filterDomains(user, domains) {
+    if (this.hasAllDomainAccess(user)) {
+      return domains;
+    }
+
+    const allowed = await Promise.all(domains.map(domain => this.canAccessDomain(user, domain.domain)));
+    return domains.filter((domain, index) => allowed[index]);
+  }
+}
+
+module.exports = new DomainAccessService();
@@ -0,0 +1,10 @@
+/**
+ * Error for bad input or a conflict, carrying the HTTP status the routes answer with
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = httpError;
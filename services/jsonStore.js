@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// One write queue per file, shared by every store opened on it
+const queues = new Map();
+let tmpCounter = 0;
+
+/**
+ * JSON file in data/ used by the panel services. Reads fall back to a default when the
+ * file doesn't exist; writes for the same file run one at a time, each through its own
+ * temporary file that is renamed into place, so concurrent saves neither fail nor lose updates.
+ */
+class JsonStore {
+  /**
+   * @param {string} filePath - store file
+   * @param {object} options - `defaults()` for a missing file, `label` for errors,
+   *   `mode` for the file, `cache` to keep the parsed data in memory, `indent` (0 for compact files)
+   */
+  constructor(filePath, { defaults = () => ({}), label = path.basename(filePath), mode = 0o644, cache = false, indent = 2 } = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.label = label;
+    this.mode = mode;
+    this.cache = cache;
+    this.indent = indent;
+    this.data = null;
+  }
+
+  /**
+   * Current contents; callers must not change the returned object, use update() instead
+   */
+  async read() {
+    if (this.cache && this.data) {
+      return this.data;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${this.label}: ${error.message}`);
+      }
+      data = this.defaults();
+    }
+
+    if (this.cache) {
+      this.data = data;
+    }
+    return data;
+  }
+
+  /**
+   * Queue a task behind earlier writes to the same file
+   */
+  enqueue(task) {
+    const previous = queues.get(this.filePath) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    queues.set(this.filePath, settled);
+    settled.then(() => {
+      if (queues.get(this.filePath) === settled) {
+        queues.delete(this.filePath);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Write the file; only call from inside the queue
+   */
+  async persist(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    tmpCounter += 1;
+    const tmpFile = `${this.filePath}.${process.pid}.${tmpCounter}.tmp`;
+
+    try {
+      await fs.writeFile(tmpFile, JSON.stringify(data, null, this.indent), { mode: this.mode });
+      await fs.rename(tmpFile, this.filePath);
+    } catch (error) {
+      await fs.rm(tmpFile, { force: true }).catch(() => {});
+      throw error;
+    }
+
+    if (this.cache) {
+      this.data = data;
+    }
+  }
+
+  /**
+   * Read, change and write the store as one queued step. The mutator changes a copy of the
+   * data in place and its return value is passed back; throwing leaves the file as it was.
+   */
+  update(mutator) {
+    return this.enqueue(async () => {
+      const data = structuredClone(await this.read());
+      const result = await mutator(data);
+      await this.persist(data);
+      return result;
+    });
+  }
+
+  /**
+   * Replace the whole store
+   */
+  write(data) {
+    return this.enqueue(() => this.persist(data));
+  }
+}
+
+module.exports = (filePath, options) => new JsonStore(filePath, options);
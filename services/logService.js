@@ -0,0 +1,534 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const httpError = require('./httpError');
+
+// Per-site logs are written here, and only files under it can be read through the panel
+const LOG_DIR = process.env.NGINX_LOG_DIR || '/var/log/nginx';
+
+const LOG_TYPES = ['access', 'error'];
+const DEFAULT_LINES = 200;
+const MAX_LINES = 1000;
+// Searches read the file backwards in chunks and give up after this much
+const CHUNK_SIZE = 64 * 1024;
+const MAX_SCAN_BYTES = 64 * 1024 * 1024;
+// Live tails poll the file; a burst larger than this only sends its end
+const TAIL_INTERVAL = 1000;
+const MAX_TAIL_BYTES = 256 * 1024;
+
+// nginx's "combined" format; anything appended to it is kept in `extra`
+const ACCESS_PATTERN = /^(\S+) \S+ (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) (\d+|-) "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)"\s*(.*)$/;
+const ERROR_PATTERN = /^(\d{4})\/(\d\d)\/(\d\d) (\d\d:\d\d:\d\d) \[(\w+)\] \d+#\d+: (?:\*\d+ )?(.*)$/;
+const ERROR_LEVELS = ['debug', 'info', 'notice', 'warn', 'error', 'crit', 'alert', 'emerg'];
+// Access log format new sites use: "combined" plus the upstream response time traffic analytics reads
+const ACCESS_FORMAT = 'panel_timed';
+const ACCESS_FORMAT_PATTERN = /\baccess_log\s+\S+\s+panel_timed\b/;
+const FORMAT_FILE_HEADER = [
+  '# Access log format managed by the control panel.',
+  '# This file is regenerated from the panel; edits made here are overwritten.',
+  ''
+].join('\n');
+
+const MONTHS = { Jan: '01', Feb: '02', Mar: '03', Apr: '04', May: '05', Jun: '06', Jul: '07', Aug: '08', Sep: '09', Oct: '10', Nov: '11', Dec: '12' };
+
+/**
+ * nginx access and error logs of a site: the paths its config writes to, parsed entries,
+ * backwards search with filters, and polling tails for the live view. Logs are found
+ * through the access_log / error_log directives of the site's server blocks.
+ */
+class LogService {
+  constructor() {
+    this.logDir = LOG_DIR;
+    this.tails = new Map();
+  }
+
+  /**
+   * Log files a new site gets, e.g. /var/log/nginx/example.com.access.log
+   */
+  getDefaultPaths(domain) {
+    return {
+      access: path.join(this.logDir, `${domain}.access.log`),
+      error: path.join(this.logDir, `${domain}.error.log`)
+    };
+  }
+
+  /**
+   * nginx file the panel's log_format is written to
+   */
+  getFormatFile() {
+    return process.env.NGINX_LOG_FORMAT_FILE || path.join(nginxService.nginxPrefix, 'conf.d', 'panel-log-format.conf');
+  }
+
+  /**
+   * Contents of the log_format file
+   */
+  renderFormatFile() {
+    return `${FORMAT_FILE_HEADER}log_format ${ACCESS_FORMAT} '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent '\n` +
+      `                 '"$http_referer" "$http_user_agent" urt=$upstream_response_time';\n`;
+  }
+
+  /**
+   * Access log format a new site gets: the panel's when nginx.conf includes its file, else combined
+   */
+  async getDefaultFormat() {
+    return await nginxService.isIncludedByNginxConf(this.getFormatFile()) ? ACCESS_FORMAT : 'combined';
+  }
+
+  /**
+   * Change that writes the log_format file, for the change set of a site file logging with it;
+   * empty when the site doesn't use it or the file is up to date
+   */
+  async getFormatChanges(content) {
+    if (!ACCESS_FORMAT_PATTERN.test(content)) {
+      return [];
+    }
+
+    const file = this.getFormatFile();
+    const formatFile = this.renderFormatFile();
+    if (await fs.readFile(file, 'utf8').catch(() => null) === formatFile) {
+      return [];
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    return [{ action: 'write', path: file, content: formatFile }];
+  }
+
+  /**
+   * Log file paths from the server blocks that serve a domain; null when the site
+   * logs to the global files, logging is off, or the path uses variables
+   */
+  findLogPaths(content, filename, domain) {
+    const apex = domain.toLowerCase().replace(/^www\./, '');
+    const blocks = nginxConfigParser.parse(content, filename)
+      .filter(node => node.directive === 'server' && node.block)
+      .filter(node => nginxService.describeServerBlock(node).serverNames.some(name => name === apex || name === `www.${apex}`));
+    const find = (directive) => {
+      const node = blocks
+        .flatMap(block => block.block.filter(child => child.directive === directive))
+        .find(child => child.args[0] && child.args[0] !== 'off' && !child.args[0].startsWith('syslog:'));
+      if (!node || node.args[0].includes('$')) {
+        return null;
+      }
+      return path.resolve(nginxService.nginxPrefix, node.args[0]);
+    };
+
+    return { access: find('access_log'), error: find('error_log') };
+  }
+
+  /**
+   * Whether a path is inside the log directory, so configs can't point the viewer at other files
+   */
+  isReadable(filePath) {
+    const relative = path.relative(this.logDir, filePath);
+    return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Log files of a domain with their size and last write
+   */
+  async getLogFiles(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const paths = this.findLogPaths(current.content, current.filename, current.domain);
+    const logs = {};
+
+    for (const type of LOG_TYPES) {
+      const filePath = paths[type];
+      logs[type] = { path: filePath, readable: Boolean(filePath) && this.isReadable(filePath), exists: false, size: 0, modifiedAt: null };
+      if (!logs[type].readable) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.stat(filePath);
+        Object.assign(logs[type], { exists: true, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return { domain: current.domain, logDir: this.logDir, logs };
+  }
+
+  /**
+   * Readable log file of a domain, or an error saying why there is none
+   */
+  async resolveLogFile(domain, type) {
+    if (!LOG_TYPES.includes(type)) {
+      throw httpError(`Unknown log type: ${type}. Use one of: ${LOG_TYPES.join(', ')}`);
+    }
+
+    const { domain: name, logs } = await this.getLogFiles(domain);
+    const log = logs[type];
+    if (!log.path) {
+      throw httpError(`${name} has no ${type} log of its own; add an ${type}_log directive in the config editor`, 404);
+    }
+    if (!log.readable) {
+      throw httpError(`${log.path} is outside ${this.logDir} and can't be read through the panel`, 403);
+    }
+
+    return { domain: name, ...log };
+  }
+
+  /**
+   * Time of an access log entry, from nginx's $time_local
+   */
+  parseAccessTime(text) {
+    const match = /^(\d\d)\/(\w{3})\/(\d{4}):(\d\d:\d\d:\d\d) ([+-]\d\d)(\d\d)$/.exec(text);
+    if (!match || !MONTHS[match[2]]) {
+      return null;
+    }
+
+    const date = new Date(`${match[3]}-${MONTHS[match[2]]}-${match[1]}T${match[4]}${match[5]}:${match[6]}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Parse one access log line; lines in another format only keep their text
+   */
+  parseAccessLine(line) {
+    const match = ACCESS_PATTERN.exec(line);
+    if (!match) {
+      return { time: null, raw: line };
+    }
+
+    const [method, requestPath, protocol] = match[4].split(' ');
+    const time = this.parseAccessTime(match[3]);
+
+    return {
+      time: time ? time.toISOString() : null,
+      remoteAddr: match[1],
+      remoteUser: match[2] === '-' ? null : match[2],
+      method: requestPath ? method : null,
+      path: requestPath || null,
+      protocol: protocol || null,
+      status: parseInt(match[5]),
+      bytes: match[6] === '-' ? 0 : parseInt(match[6]),
+      referer: match[7] === '-' ? null : match[7],
+      userAgent: match[8] === '-' ? null : match[8],
+      extra: match[9] || null,
+      raw: line
+    };
+  }
+
+  /**
+   * Parse one error log line; continuation lines only keep their text
+   */
+  parseErrorLine(line) {
+    const match = ERROR_PATTERN.exec(line);
+    if (!match) {
+      return { time: null, raw: line };
+    }
+
+    // The error log is written in the server's local time
+    const time = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}`);
+    const message = match[6];
+    const client = /, client: ([^,]+)/.exec(message);
+    const request = /, request: "\S+ (\S+)/.exec(message);
+
+    return {
+      time: Number.isNaN(time.getTime()) ? null : time.toISOString(),
+      level: match[5],
+      message: message.replace(/, client: .*$/, ''),
+      client: client ? client[1] : null,
+      path: request ? request[1] : null,
+      raw: line
+    };
+  }
+
+  /**
+   * Parse a line of either log type
+   */
+  parseLine(type, line) {
+    return type === 'access' ? this.parseAccessLine(line) : this.parseErrorLine(line);
+  }
+
+  /**
+   * Check query filters: lines, search, status (404, 4xx, or a list), path prefix, from/to, level
+   */
+  parseFilters(type, query = {}) {
+    const lines = query.lines === undefined || query.lines === '' ? DEFAULT_LINES : Number(query.lines);
+    if (!Number.isInteger(lines) || lines < 1 || lines > MAX_LINES) {
+      throw httpError(`lines must be a whole number between 1 and ${MAX_LINES}`);
+    }
+
+    const parseTime = (value, name) => {
+      if (!value) {
+        return null;
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw httpError(`${name} must be a date, e.g. 2024-05-01T12:00:00Z`);
+      }
+      return date;
+    };
+
+    let status = null;
+    if (query.status) {
+      if (type !== 'access') {
+        throw httpError('The status filter only applies to access logs');
+      }
+      const codes = String(query.status).split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+      const invalid = codes.filter(code => !/^[1-5](\d\d|xx)$/.test(code));
+      if (invalid.length > 0) {
+        throw httpError(`Invalid status filter: ${invalid.join(', ')}. Use codes such as 404 or classes such as 5xx`);
+      }
+      status = codes;
+    }
+
+    let level = null;
+    if (query.level) {
+      if (type !== 'error') {
+        throw httpError('The level filter only applies to error logs');
+      }
+      if (!ERROR_LEVELS.includes(query.level)) {
+        throw httpError(`Invalid level: ${query.level}. Use one of: ${ERROR_LEVELS.join(', ')}`);
+      }
+      level = query.level;
+    }
+
+    const filters = {
+      lines,
+      search: query.search ? String(query.search).toLowerCase() : null,
+      path: query.path ? String(query.path) : null,
+      from: parseTime(query.from, 'from'),
+      to: parseTime(query.to, 'to'),
+      status,
+      level
+    };
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw httpError('from must be before to');
+    }
+
+    return filters;
+  }
+
+  /**
+   * Whether an entry passes the filters
+   */
+  matches(entry, filters) {
+    if (filters.search && !entry.raw.toLowerCase().includes(filters.search)) {
+      return false;
+    }
+    if ((filters.from || filters.to) && !entry.time) {
+      return false;
+    }
+    if (filters.from && new Date(entry.time) < filters.from) {
+      return false;
+    }
+    if (filters.to && new Date(entry.time) > filters.to) {
+      return false;
+    }
+    if (filters.path && !(entry.path || '').startsWith(filters.path)) {
+      return false;
+    }
+    if (filters.status) {
+      const code = String(entry.status || '');
+      if (!filters.status.some(item => (item.endsWith('xx') ? code[0] === item[0] : code === item))) {
+        return false;
+      }
+    }
+    if (filters.level && ERROR_LEVELS.indexOf(entry.level) < ERROR_LEVELS.indexOf(filters.level)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Newest entries of a domain's log that match the filters, oldest first. The file is
+   * read from the end, so recent entries come back quickly even from large logs.
+   */
+  async readLog(domain, type, query = {}) {
+    const filters = this.parseFilters(type, query);
+    const log = await this.resolveLogFile(domain, type);
+    const entries = [];
+    let scanned = 0;
+    let complete = true;
+
+    let handle;
+    try {
+      handle = await fs.open(log.path, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { domain: log.domain, type, path: log.path, entries, scannedBytes: 0, truncated: false };
+      }
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      let position = size;
+      let leftover = Buffer.alloc(0);
+      let done = false;
+
+      const consider = (line) => {
+        if (!line) {
+          return;
+        }
+        const entry = this.parseLine(type, line);
+        // Logs are written in order, so nothing earlier can be in range
+        if (filters.from && entry.time && new Date(entry.time) < filters.from) {
+          done = true;
+          return;
+        }
+        if (this.matches(entry, filters)) {
+          entries.push(entry);
+          done = entries.length >= filters.lines;
+        }
+      };
+
+      while (position > 0 && !done) {
+        if (scanned >= MAX_SCAN_BYTES) {
+          complete = false;
+          break;
+        }
+
+        const length = Math.min(CHUNK_SIZE, position);
+        position -= length;
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, position);
+        scanned += length;
+
+        // The first line of a chunk may continue in the chunk before it
+        const data = Buffer.concat([buffer, leftover]);
+        const newline = data.indexOf(10);
+        if (newline === -1) {
+          leftover = data;
+          continue;
+        }
+        leftover = data.subarray(0, newline);
+        const lines = data.subarray(newline + 1).toString('utf8').split('\n');
+        for (let index = lines.length - 1; index >= 0 && !done; index--) {
+          consider(lines[index].replace(/\r$/, ''));
+        }
+      }
+
+      if (position === 0 && !done) {
+        consider(leftover.toString('utf8'));
+      }
+
+      return {
+        domain: log.domain,
+        type,
+        path: log.path,
+        entries: entries.reverse(),
+        scannedBytes: scanned,
+        truncated: entries.length >= filters.lines || !complete
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Follow a domain's log; the listener receives arrays of new entries.
+   * Returns a function that stops following. One poller is shared per file.
+   */
+  async follow(domain, type, listener) {
+    const log = await this.resolveLogFile(domain, type);
+    let tail = this.tails.get(log.path);
+
+    if (!tail) {
+      tail = { path: log.path, type, listeners: new Set(), offset: null, inode: null, partial: '', reading: false };
+      tail.timer = setInterval(() => this.pollTail(tail), TAIL_INTERVAL);
+      this.tails.set(log.path, tail);
+      await this.pollTail(tail);
+    }
+    tail.listeners.add(listener);
+
+    return {
+      domain: log.domain,
+      path: log.path,
+      stop: () => {
+        tail.listeners.delete(listener);
+        if (tail.listeners.size === 0) {
+          clearInterval(tail.timer);
+          this.tails.delete(tail.path);
+        }
+      }
+    };
+  }
+
+  /**
+   * Read what was appended since the last poll; starts over when the file was rotated or truncated
+   */
+  async pollTail(tail) {
+    if (tail.reading) {
+      return;
+    }
+    tail.reading = true;
+
+    try {
+      let stats;
+      try {
+        stats = await fs.stat(tail.path);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          tail.offset = 0;
+          tail.inode = null;
+          return;
+        }
+        throw error;
+      }
+
+      // The first poll only marks where the file ends
+      if (tail.offset === null) {
+        tail.offset = stats.size;
+        tail.inode = stats.ino;
+        return;
+      }
+      if (stats.ino !== tail.inode || stats.size < tail.offset) {
+        tail.offset = 0;
+        tail.inode = stats.ino;
+        tail.partial = '';
+      }
+      if (stats.size === tail.offset) {
+        return;
+      }
+
+      let start = tail.offset;
+      if (stats.size - start > MAX_TAIL_BYTES) {
+        start = stats.size - MAX_TAIL_BYTES;
+        tail.partial = null;
+      }
+
+      const handle = await fs.open(tail.path, 'r');
+      let text;
+      try {
+        const buffer = Buffer.alloc(stats.size - start);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        tail.offset = start + bytesRead;
+        text = buffer.subarray(0, bytesRead).toString('utf8');
+      } finally {
+        await handle.close();
+      }
+
+      // After skipping ahead the first line is cut off, so it is dropped
+      const skipped = tail.partial === null;
+      const lines = ((skipped ? '' : tail.partial) + text).split('\n');
+      if (skipped) {
+        lines.shift();
+      }
+      tail.partial = lines.pop();
+
+      const entries = lines.filter(Boolean).map(line => this.parseLine(tail.type, line.replace(/\r$/, '')));
+      if (entries.length > 0) {
+        for (const listener of tail.listeners) {
+          listener(entries);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to read ${tail.path}:`, error.message);
+    } finally {
+      tail.reading = false;
+    }
+  }
+}
+
+module.exports = new LogService();
+module.exports.LOG_TYPES = LOG_TYPES;
+module.exports.ERROR_LEVELS = ERROR_LEVELS;
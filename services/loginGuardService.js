@@ -0,0 +1,184 @@
+// Failures are forgotten after this long without another failure
+const FAILURE_WINDOW = 15 * 60 * 1000;
+// Failures allowed before exponential backoff starts (per IP / per username)
+const IP_FREE_ATTEMPTS = 10;
+const USERNAME_FREE_ATTEMPTS = 3;
+const MAX_BACKOFF = 15 * 60 * 1000;
+// Consecutive failures on one username that lock the account
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_DURATION = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+// Prune stale entries once the tables grow past this size
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Tracks failed logins per client IP and per username in memory, applying
+ * exponential backoff and temporary account lockout. Counters are deliberately
+ * kept for unknown usernames too, so responses don't reveal which accounts exist.
+ * An attempt counts as failed from the moment it is let through, so parallel
+ * attempts can't all pass before the first one is rejected.
+ */
+class LoginGuardService {
+  constructor() {
+    this.ipFailures = new Map();
+    this.usernameFailures = new Map();
+  }
+
+  normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  /**
+   * Get a live failure record, dropping it if the failure window has passed
+   */
+  getRecord(table, key, now = Date.now()) {
+    const record = table.get(key);
+    if (!record) {
+      return null;
+    }
+
+    const locked = record.lockedUntil && record.lockedUntil > now;
+    if (!locked && now - record.lastFailureAt > FAILURE_WINDOW) {
+      table.delete(key);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Delay imposed after a number of failures: 1s, 2s, 4s ... capped at MAX_BACKOFF
+   */
+  getBackoff(failures, freeAttempts) {
+    if (failures < freeAttempts) {
+      return 0;
+    }
+
+    return Math.min(1000 * 2 ** (failures - freeAttempts), MAX_BACKOFF);
+  }
+
+  /**
+   * Check whether a login attempt may proceed and, if so, count it as a failure until it is
+   * settled with recordFailure, recordSuccess or release.
+   * Returns null when allowed, otherwise { reason, retryAfter } (seconds).
+   */
+  reserve(ip, username) {
+    const now = Date.now();
+    const key = this.normalizeUsername(username);
+    const userRecord = this.getRecord(this.usernameFailures, key, now);
+
+    if (userRecord?.lockedUntil > now) {
+      return { reason: 'locked', retryAfter: Math.ceil((userRecord.lockedUntil - now) / 1000) };
+    }
+
+    const waits = [];
+    const ipRecord = this.getRecord(this.ipFailures, ip, now);
+    if (ipRecord) {
+      waits.push(ipRecord.lastFailureAt + this.getBackoff(ipRecord.failures, IP_FREE_ATTEMPTS) - now);
+    }
+    if (userRecord) {
+      waits.push(userRecord.lastFailureAt + this.getBackoff(userRecord.failures, USERNAME_FREE_ATTEMPTS) - now);
+    }
+
+    const wait = Math.max(0, ...waits);
+    if (wait > 0) {
+      return { reason: 'throttled', retryAfter: Math.ceil(wait / 1000) };
+    }
+
+    this.prune(now);
+    const bump = (table, recordKey) => {
+      const record = this.getRecord(table, recordKey, now) || { failures: 0, lockedUntil: null };
+      record.failures += 1;
+      record.lastFailureAt = now;
+      table.set(recordKey, record);
+    };
+    bump(this.ipFailures, ip);
+    bump(this.usernameFailures, key);
+
+    return null;
+  }
+
+  /**
+   * Settle a reserved attempt as failed. Returns { locked: true, lockedUntil } when this failure locked the account.
+   */
+  recordFailure(ip, username) {
+    const now = Date.now();
+    const userRecord = this.getRecord(this.usernameFailures, this.normalizeUsername(username), now);
+
+    if (!userRecord) {
+      return { locked: false, failures: 0 };
+    }
+    if (userRecord.failures >= LOCKOUT_THRESHOLD && !(userRecord.lockedUntil > now)) {
+      userRecord.lockedUntil = now + LOCKOUT_DURATION;
+      return { locked: true, lockedUntil: new Date(userRecord.lockedUntil).toISOString() };
+    }
+
+    return { locked: false, failures: userRecord.failures };
+  }
+
+  /**
+   * Give back a reserved attempt that neither failed nor completed a login (the password was
+   * right but a second factor is due, or the server failed)
+   */
+  release(ip, username) {
+    for (const [table, key] of [[this.ipFailures, ip], [this.usernameFailures, this.normalizeUsername(username)]]) {
+      const record = this.getRecord(table, key);
+      if (record && record.failures > 0) {
+        record.failures -= 1;
+      }
+    }
+  }
+
+  /**
+   * Clear counters after a successful login
+   */
+  recordSuccess(ip, username) {
+    this.ipFailures.delete(ip);
+    this.usernameFailures.delete(this.normalizeUsername(username));
+  }
+
+  /**
+   * Lock expiry for a username, or null if it isn't locked
+   */
+  getLockedUntil(username) {
+    const record = this.getRecord(this.usernameFailures, this.normalizeUsername(username));
+    return record?.lockedUntil > Date.now() ? new Date(record.lockedUntil).toISOString() : null;
+  }
+
+  /**
+   * Currently locked usernames with their failure counts
+   */
+  listLockouts() {
+    const now = Date.now();
+    return [...this.usernameFailures.entries()]
+      .filter(([, record]) => record.lockedUntil > now)
+      .map(([username, record]) => ({
+        username,
+        failures: record.failures,
+        lockedUntil: new Date(record.lockedUntil).toISOString()
+      }));
+  }
+
+  /**
+   * Admin unlock: clear a username's lockout and failure count. Returns whether it was locked.
+   */
+  unlock(username) {
+    const wasLocked = !!this.getLockedUntil(username);
+    this.usernameFailures.delete(this.normalizeUsername(username));
+    return wasLocked;
+  }
+
+  /**
+   * Drop expired records so a spray of random IPs/usernames can't grow memory unbounded
+   */
+  prune(now = Date.now()) {
+    for (const table of [this.ipFailures, this.usernameFailures]) {
+      if (table.size < MAX_TRACKED_KEYS) continue;
+
+      for (const key of [...table.keys()]) {
+        this.getRecord(table, key, now);
+      }
+    }
+  }
+}
+
+module.exports = new LoginGuardService();
@@ -0,0 +1,266 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+const { isValidAddress } = require('./validators');
+
+// Directory nginx serves holding pages from (one <site file>.html per domain)
+const MAINTENANCE_ROOT = process.env.MAINTENANCE_ROOT || '/var/www/maintenance';
+// Seconds clients are told to wait before retrying
+const DEFAULT_RETRY_AFTER = 600;
+const MAX_RETRY_AFTER = 7 * 24 * 60 * 60;
+const MAX_PAGE_SIZE = 256 * 1024;
+
+// Name of the managed section the directives are added in
+const SECTION = 'maintenance mode';
+
+const DEFAULT_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Down for maintenance</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #333; text-align: center; padding: 10% 1rem; }
+    h1 { font-weight: 500; }
+  </style>
+</head>
+<body>
+  <h1>We'll be back soon</h1>
+  <p>{{domain}} is down for scheduled maintenance. Please try again in a few minutes.</p>
+</body>
+</html>
+`;
+
+/**
+ * Per-domain maintenance mode. Every server block of the site file gets directives that
+ * answer 503 with a holding page, except for clients in an IP allowlist (a geo block),
+ * who still reach the real site. The file as it was before is kept in
+ * data/maintenance.json and written back unchanged when maintenance ends.
+ */
+class MaintenanceService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'maintenance.json'), {
+      defaults: () => ({ sites: {} }),
+      label: 'maintenance state',
+      mode: 0o600
+    });
+    this.maintenanceRoot = MAINTENANCE_ROOT;
+  }
+
+  /**
+   * Load maintenance state keyed by site file name
+   */
+  async loadState() {
+    return (await this.store.read()).sites || {};
+  }
+
+  /**
+   * Check maintenance settings; returns { html, retryAfter, allowlist }
+   */
+  validateOptions({ html, retryAfter, allowlist } = {}) {
+    const page = html === undefined || html === null || html === '' ? DEFAULT_PAGE : html;
+    if (typeof page !== 'string' || Buffer.byteLength(page) > MAX_PAGE_SIZE) {
+      throw httpError(`The maintenance page must be HTML text of at most ${MAX_PAGE_SIZE / 1024} KB`);
+    }
+
+    const seconds = retryAfter === undefined || retryAfter === null || retryAfter === '' ? DEFAULT_RETRY_AFTER : Number(retryAfter);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_RETRY_AFTER) {
+      throw httpError(`Retry-After must be a whole number of seconds between 0 and ${MAX_RETRY_AFTER}`);
+    }
+
+    const entries = Array.isArray(allowlist) ? allowlist : String(allowlist || '').split(/[\s,]+/);
+    const addresses = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+    const invalid = addresses.filter(address => !isValidAddress(address));
+    if (invalid.length > 0) {
+      throw httpError(`Invalid allowlist entries: ${invalid.join(', ')}. Use IP addresses or CIDR ranges.`);
+    }
+
+    return { html: page, retryAfter: seconds, allowlist: addresses };
+  }
+
+  /**
+   * Name of the geo variable that is 1 for clients who get the holding page
+   */
+  getVariableName(filename) {
+    return `$maintenance_${filename.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
+  }
+
+  /**
+   * Path of a site's holding page
+   */
+  getPagePath(filename) {
+    return path.join(this.maintenanceRoot, `${filename}.html`);
+  }
+
+  /**
+   * Add maintenance directives to site file content: a geo block at the top (the file is
+   * included in the http context) and a 503 + holding page at the start of every server block
+   */
+  buildMaintenanceConfig(content, filename, { retryAfter, allowlist }) {
+    const variable = this.getVariableName(filename);
+
+    return nginxService.addManagedSection(content, filename, SECTION, {
+      top: [
+        `geo ${variable} {`,
+        '    default 1;',
+        ...allowlist.map(address => `    ${address} 0;`),
+        '}'
+      ],
+      server: () => [
+        'error_page 503 @panel_maintenance;',
+        `if (${variable}) {`,
+        '    return 503;',
+        '}',
+        'location @panel_maintenance {',
+        `    root ${nginxConfigParser.quoteArg(this.maintenanceRoot)};`,
+        `    try_files ${nginxConfigParser.quoteArg(`/${filename}.html`)} =503;`,
+        `    add_header Retry-After ${retryAfter} always;`,
+        '    add_header Cache-Control "no-store" always;',
+        '}'
+      ]
+    });
+  }
+
+  /**
+   * Remove panel-added maintenance directives, leaving the rest of the file as it is
+   */
+  stripMaintenanceConfig(content) {
+    return nginxService.removeManagedSection(content, SECTION);
+  }
+
+  /**
+   * Whether site file content has panel-added maintenance directives
+   */
+  isInMaintenance(content) {
+    return nginxService.hasManagedSection(content, SECTION);
+  }
+
+  /**
+   * Write the holding page nginx serves for a site
+   */
+  async writePage(filename, html, domain) {
+    await fs.mkdir(this.maintenanceRoot, { recursive: true });
+    const pagePath = this.getPagePath(filename);
+    const tmpFile = `${pagePath}.tmp`;
+    await fs.writeFile(tmpFile, html.split('{{domain}}').join(domain));
+    await fs.chmod(tmpFile, 0o644);
+    await fs.rename(tmpFile, pagePath);
+  }
+
+  /**
+   * Maintenance status and settings of a domain (defaults when it isn't in maintenance)
+   */
+  async getStatus(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const entry = (await this.loadState())[current.filename];
+    const active = this.isInMaintenance(current.content);
+
+    return {
+      domain: current.domain,
+      active,
+      html: entry ? entry.html : DEFAULT_PAGE,
+      retryAfter: entry ? entry.retryAfter : DEFAULT_RETRY_AFTER,
+      allowlist: entry ? entry.allowlist : [],
+      enabledAt: active && entry ? entry.enabledAt : null,
+      enabledBy: active && entry ? entry.enabledBy : null,
+      // The file was edited while in maintenance; ending it strips the directives instead of restoring the saved copy
+      editedDuringMaintenance: Boolean(active && entry && entry.maintenanceHash !== current.hash)
+    };
+  }
+
+  /**
+   * Sites currently in maintenance, keyed by site file name
+   */
+  async listActive() {
+    const sites = await this.loadState();
+    const active = {};
+
+    for (const [filename, entry] of Object.entries(sites)) {
+      try {
+        const content = await fs.readFile(path.join(nginxService.sitesAvailablePath, filename), 'utf8');
+        if (this.isInMaintenance(content)) {
+          active[filename] = { enabledAt: entry.enabledAt, enabledBy: entry.enabledBy, retryAfter: entry.retryAfter };
+        }
+      } catch (error) {
+        // Site file removed; its entry is dropped the next time maintenance state is written
+      }
+    }
+
+    return active;
+  }
+
+  /**
+   * Put a domain into maintenance, or update the settings of one that already is
+   */
+  async enable(domain, options, author) {
+    const settings = this.validateOptions(options);
+
+    const saved = await this.store.update(async (data) => {
+      let entry = null;
+      let updating = false;
+      let original = null;
+
+      const written = await nginxService.updateSiteConfig(domain, async (current) => {
+        entry = data.sites[current.filename];
+        updating = Boolean(entry) && this.isInMaintenance(current.content);
+
+        // Start from the saved original when the file is exactly as maintenance mode left it
+        original = updating && entry.maintenanceHash === current.hash ?
+          entry.original :
+          this.stripMaintenanceConfig(current.content);
+
+        await this.writePage(current.filename, settings.html, current.domain);
+
+        return {
+          content: this.buildMaintenanceConfig(original, current.filename, settings),
+          reason: updating ? 'Maintenance settings updated' : 'Maintenance mode enabled'
+        };
+      }, { author, source: 'maintenance' });
+
+      data.sites[written.filename] = {
+        domain: written.domain,
+        ...settings,
+        enabledAt: updating ? entry.enabledAt : new Date().toISOString(),
+        enabledBy: updating ? entry.enabledBy : author,
+        original,
+        maintenanceHash: written.hash
+      };
+
+      return written;
+    });
+
+    return { ...(await this.getStatus(domain)), reloaded: saved.reloaded, version: saved.version };
+  }
+
+  /**
+   * End maintenance: write back the file as it was, or strip the directives if it was edited since
+   */
+  async disable(domain, author) {
+    const saved = await this.store.update(async (data) => {
+      const written = await nginxService.updateSiteConfig(domain, (current) => {
+        const entry = data.sites[current.filename];
+
+        if (!this.isInMaintenance(current.content)) {
+          throw httpError(`${current.domain} is not in maintenance mode`, 409);
+        }
+
+        return entry && entry.maintenanceHash === current.hash ?
+          entry.original :
+          this.stripMaintenanceConfig(current.content);
+      }, { author, reason: 'Maintenance mode disabled', source: 'maintenance' });
+
+      delete data.sites[written.filename];
+      await fs.rm(this.getPagePath(written.filename), { force: true }).catch(() => {});
+
+      return written;
+    });
+
+    return { ...(await this.getStatus(domain)), reloaded: saved.reloaded, version: saved.version };
+  }
+}
+
+module.exports = new MaintenanceService();
+module.exports.DEFAULT_PAGE = DEFAULT_PAGE;
@@ -0,0 +1,381 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// nginx resolves relative include paths against its prefix (the directory of nginx.conf)
+const DEFAULT_PREFIX = '/etc/nginx';
+// Deeper include chains than this are almost certainly a loop
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Tokenizer and parser for nginx configuration syntax.
+ *
+ * Files parse into a tree of directive nodes:
+ *   { directive, args, line, file, block? }
+ * where `block` holds the child nodes of block directives (server, location, if, ...).
+ * Comments are kept as { directive: '#', comment, line, file } so the tree describes
+ * the file faithfully.
+ */
+class NginxConfigParser {
+  /**
+   * Split configuration text into tokens: { type: 'word' | 'string' | '{' | '}' | ';' | 'comment', value, line }
+   */
+  tokenize(content, file = null) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (char === '\n') {
+        line += 1;
+        i += 1;
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        i += 1;
+        continue;
+      }
+
+      if (char === '#') {
+        const end = content.indexOf('\n', i);
+        const stop = end === -1 ? content.length : end;
+        tokens.push({ type: 'comment', value: content.slice(i + 1, stop).trim(), line });
+        i = stop;
+        continue;
+      }
+
+      if (char === '{' || char === '}' || char === ';') {
+        tokens.push({ type: char, value: char, line });
+        i += 1;
+        continue;
+      }
+
+      if (char === '"' || char === '\'') {
+        const startLine = line;
+        let value = '';
+        i += 1;
+
+        while (i < content.length && content[i] !== char) {
+          if (content[i] === '\\' && i + 1 < content.length) {
+            // nginx only unescapes the quote, backslash and \n \r \t; keep anything else verbatim
+            const next = content[i + 1];
+            value += { n: '\n', r: '\r', t: '\t' }[next] || (next === char || next === '\\' ? next : `\\${next}`);
+            i += 2;
+            continue;
+          }
+          if (content[i] === '\n') {
+            line += 1;
+          }
+          value += content[i];
+          i += 1;
+        }
+
+        if (i >= content.length) {
+          throw this.syntaxError('unexpected end of file, expecting closing quote', file, startLine);
+        }
+
+        tokens.push({ type: 'string', value, line: startLine });
+        i += 1;
+        continue;
+      }
+
+      // Bare word: runs until whitespace or a delimiter; "${var}" braces belong to the word
+      let value = '';
+      while (i < content.length && !/[\s;{}]/.test(content[i])) {
+        if (content[i] === '$' && content[i + 1] === '{') {
+          const close = content.indexOf('}', i);
+          if (close === -1) {
+            throw this.syntaxError('unexpected end of file, expecting "}" in variable', file, line);
+          }
+          value += content.slice(i, close + 1);
+          i = close + 1;
+          continue;
+        }
+        if (content[i] === '\\' && i + 1 < content.length) {
+          value += content.slice(i, i + 2);
+          i += 2;
+          continue;
+        }
+        value += content[i];
+        i += 1;
+      }
+
+      tokens.push({ type: 'word', value, line });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse configuration text into a directive tree (includes are left as directives)
+   */
+  parse(content, file = null) {
+    const tokens = this.tokenize(content, file);
+    let position = 0;
+
+    const parseBlock = (depth, openLine) => {
+      const nodes = [];
+
+      while (position < tokens.length) {
+        const token = tokens[position];
+
+        if (token.type === 'comment') {
+          nodes.push({ directive: '#', args: [], comment: token.value, line: token.line, file });
+          position += 1;
+          continue;
+        }
+
+        if (token.type === '}') {
+          if (depth === 0) {
+            throw this.syntaxError('unexpected "}"', file, token.line);
+          }
+          position += 1;
+          return nodes;
+        }
+
+        if (token.type === '{' || token.type === ';') {
+          throw this.syntaxError(`unexpected "${token.type}"`, file, token.line);
+        }
+
+        const node = { directive: token.value, args: [], line: token.line, file };
+        position += 1;
+
+        // Collect arguments up to the terminating ";" or the opening "{"
+        for (;;) {
+          const next = tokens[position];
+          if (!next) {
+            throw this.syntaxError(`unexpected end of file, expecting ";" or "}" after "${node.directive}"`, file, node.line);
+          }
+          position += 1;
+
+          if (next.type === ';') {
+            break;
+          }
+          if (next.type === '{') {
+            node.block = parseBlock(depth + 1, next.line);
+            break;
+          }
+          if (next.type === '}') {
+            throw this.syntaxError(`unexpected "}", directive "${node.directive}" is not terminated by ";"`, file, next.line);
+          }
+          if (next.type === 'comment') {
+            continue; // "listen 80; # comment" is common, "listen # comment\n 80;" is legal
+          }
+          node.args.push(next.value);
+        }
+
+        nodes.push(node);
+      }
+
+      if (depth > 0) {
+        throw this.syntaxError('unexpected end of file, expecting "}"', file, openLine);
+      }
+
+      return nodes;
+    };
+
+    return parseBlock(0, 1);
+  }
+
+  /**
+   * Read and parse a file, replacing `include` directives with the nodes of the files they name.
+   * Returns { file, nodes, includes: [{ file, line, pattern, files }], warnings: [] }.
+   */
+  async parseFile(filePath, { prefix = DEFAULT_PREFIX } = {}) {
+    const includes = [];
+    const warnings = [];
+
+    const load = async (file, stack) => {
+      if (stack.includes(file)) {
+        warnings.push(`Include loop: ${[...stack, file].join(' -> ')}`);
+        return [];
+      }
+      if (stack.length >= MAX_INCLUDE_DEPTH) {
+        warnings.push(`Includes nested more than ${MAX_INCLUDE_DEPTH} deep at ${file}`);
+        return [];
+      }
+
+      const content = await fs.readFile(file, 'utf8');
+      const nodes = this.parse(content, file);
+      return expand(nodes, [...stack, file]);
+    };
+
+    const expand = async (nodes, stack) => {
+      const result = [];
+
+      for (const node of nodes) {
+        if (node.directive === 'include' && node.args.length === 1) {
+          const pattern = node.args[0];
+          const files = await this.resolveInclude(pattern, prefix);
+          includes.push({ file: node.file, line: node.line, pattern, files });
+
+          if (files.length === 0 && !this.isGlob(pattern)) {
+            warnings.push(`Included file not found: ${pattern} (${node.file}:${node.line})`);
+          }
+
+          // Keep the include itself so the tree still shows where the nodes came from
+          result.push(node);
+          for (const included of files) {
+            try {
+              result.push(...await load(included, stack));
+            } catch (error) {
+              warnings.push(`Failed to include ${included}: ${error.message}`);
+            }
+          }
+          continue;
+        }
+
+        if (node.block) {
+          result.push({ ...node, block: await expand(node.block, stack) });
+        } else {
+          result.push(node);
+        }
+      }
+
+      return result;
+    };
+
+    const nodes = await load(path.resolve(filePath), []);
+    return { file: path.resolve(filePath), nodes, includes, warnings };
+  }
+
+  /**
+   * Files matched by an include argument, sorted like nginx's glob()
+   */
+  async resolveInclude(pattern, prefix) {
+    const fullPattern = path.isAbsolute(pattern) ? pattern : path.join(prefix, pattern);
+
+    if (!this.isGlob(fullPattern)) {
+      try {
+        await fs.access(fullPattern);
+        return [fullPattern];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    // Wildcards are supported in the last path component (e.g. conf.d/*.conf, sites-enabled/*)
+    const dir = path.dirname(fullPattern);
+    const matcher = this.globToRegExp(path.basename(fullPattern));
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    return entries
+      .filter(entry => !entry.isDirectory() && !entry.name.startsWith('.') && matcher.test(entry.name))
+      .map(entry => path.join(dir, entry.name))
+      .sort();
+  }
+
+  /**
+   * Whether an include argument contains glob wildcards
+   */
+  isGlob(pattern) {
+    return /[*?[]/.test(pattern);
+  }
+
+  /**
+   * Convert a glob(3) file name pattern (* ? [...]) to a RegExp
+   */
+  globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const close = pattern.indexOf(']', i + 1);
+        if (close === -1) {
+          source += '\\[';
+        } else {
+          source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+          i = close;
+        }
+      } else {
+        source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Write a directive tree back out as nginx configuration text
+   */
+  stringify(nodes, depth = 0) {
+    const indent = '    '.repeat(depth);
+
+    return nodes.map((node) => {
+      if (node.directive === '#') {
+        return `${indent}# ${node.comment}\n`;
+      }
+
+      const words = [node.directive, ...node.args.map(arg => this.quoteArg(arg))].join(' ');
+      if (!node.block) {
+        return `${indent}${words};\n`;
+      }
+
+      return `${indent}${words} {\n${this.stringify(node.block, depth + 1)}${indent}}\n`;
+    }).join('');
+  }
+
+  /**
+   * Quote an argument when it would not survive as a bare word
+   */
+  quoteArg(arg) {
+    if (arg !== '' && !/[\s;{}"'#]/.test(arg.replace(/\$\{\w+\}/g, ''))) {
+      return arg;
+    }
+
+    return `"${arg.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  }
+
+  /**
+   * Directive nodes with a given name among direct children (comments excluded)
+   */
+  findDirectives(nodes, name) {
+    return (nodes || []).filter(node => node.directive === name);
+  }
+
+  /**
+   * Arguments of the last occurrence of a directive among direct children (nginx: last one wins)
+   */
+  getDirective(nodes, name) {
+    const matches = this.findDirectives(nodes, name);
+    return matches.length ? matches[matches.length - 1].args : null;
+  }
+
+  /**
+   * Block directives with a given name at any depth, without descending into matches
+   */
+  findBlocks(nodes, name) {
+    const blocks = [];
+    for (const node of nodes || []) {
+      if (!node.block) continue;
+      if (node.directive === name) {
+        blocks.push(node);
+      } else {
+        blocks.push(...this.findBlocks(node.block, name));
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Error shaped like nginx's own messages: `unexpected "}" in /path/file:12`
+   */
+  syntaxError(message, file, line) {
+    const error = new Error(`${message} in ${file || 'configuration'}:${line}`);
+    error.file = file;
+    error.line = line;
+    return error;
+  }
+}
+
+module.exports = new NginxConfigParser();
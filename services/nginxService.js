@@ -1,14 +1,34 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
+const nginxConfigParser = require('./nginxConfigParser');
+const configVersionService = require('./configVersionService');
+const { EXTERNAL_CHANGE } = configVersionService;
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Give up on `nginx -t` runs that hang (e.g. on an unreachable resolver)
+const CONFIG_TEST_TIMEOUT = 30 * 1000;
+// Operations a change set can stage
+const CHANGE_ACTIONS = ['write', 'link', 'delete'];
+
+function changeSetError(message, statusCode, stage) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.stage = stage;
+  return error;
+}
 
 class NginxService {
   constructor() {
     this.sitesAvailablePath = '/etc/nginx/sites-available';
     this.sitesEnabledPath = '/etc/nginx/sites-enabled';
+    this.nginxPrefix = '/etc/nginx';
+    this.changeQueue = Promise.resolve();
   }
 
   /**
@@ -144,14 +164,13 @@ class NginxService {
   }
 
   /**
-   * Parse individual nginx configuration file
+   * Parse individual nginx configuration file (following includes)
    */
   async parseDomainConfig(filename) {
     const filePath = path.join(this.sitesAvailablePath, filename);
     
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const config = this.parseNginxConfig(content);
+      const parsed = await nginxConfigParser.parseFile(filePath, { prefix: this.nginxPrefix });
       
       // Check if site is enabled
       const enabledPath = path.join(this.sitesEnabledPath, filename);
@@ -165,18 +184,22 @@ class NginxService {
 
       // Extract domain name from filename (remove .conf extension)
       const domainFromFilename = filename.replace(/\.conf$/, '');
+      const config = this.describeConfig(parsed.nodes, domainFromFilename);
       
       return {
         filename,
         domain: config.serverName || domainFromFilename,
-        serverNames: config.serverNames || [],
+        serverNames: config.serverNames,
         documentRoot: config.documentRoot,
         sslCertificate: config.sslCertificate,
         sslCertificateKey: config.sslCertificateKey,
         enabled,
         hasSSLConfig: !!(config.sslCertificate && config.sslCertificateKey),
-        ports: config.ports || [],
-        status: 'active'
+        ports: config.ports,
+        serverBlocks: config.serverBlocks,
+        includes: parsed.includes.map(include => ({ pattern: include.pattern, files: include.files })),
+        warnings: parsed.warnings,
+        status: enabled ? 'active' : 'inactive'
       };
     } catch (error) {
       throw new Error(`Failed to parse ${filename}: ${error.message}`);
@@ -188,75 +211,887 @@ class NginxService {
    */
   async getDomainConfig(domain) {
     const domains = await this.scanDomains();
-    const domainConfig = domains.find(d => 
+    const domainConfig = this.findDomain(domains, domain);
+
+    if (!domainConfig) {
+      throw new Error(`Domain ${domain} not found`);
+    }
+
+    return domainConfig;
+  }
+
+  /**
+   * Find a domain in scanned configs by name, file name or server name
+   */
+  findDomain(domains, domain) {
+    return domains.find(d => 
       d.domain === domain || 
       d.filename === domain ||
       d.filename === `${domain}.conf` ||
       (d.serverNames && d.serverNames.includes(domain))
     );
+  }
 
-    if (!domainConfig) {
-      throw new Error(`Domain ${domain} not found`);
+  /**
+   * Enable or disable sites by adding or removing their sites-enabled symlinks. All sites
+   * change in one change set, so nginx is tested and reloaded once and a failure leaves every
+   * site as it was. Returns domain names as { changed, unchanged, notFound } and `reloaded`.
+   */
+  async setSitesEnabled(domains, enabled) {
+    const configs = await this.scanDomains();
+    const changes = [];
+    const result = { enabled, changed: [], unchanged: [], notFound: [], reloaded: false };
+    const seen = new Set();
+
+    for (const domain of domains) {
+      const config = this.findDomain(configs, domain);
+      const availablePath = config && path.join(this.sitesAvailablePath, config.filename);
+
+      // Demo domains (no nginx here) have no file to link
+      if (!config || !(await fs.access(availablePath).then(() => true, () => false))) {
+        result.notFound.push(domain);
+        continue;
+      }
+      if (seen.has(config.filename)) {
+        continue;
+      }
+      seen.add(config.filename);
+
+      if (config.enabled === enabled) {
+        result.unchanged.push(config.domain);
+        continue;
+      }
+
+      const enabledPath = path.join(this.sitesEnabledPath, config.filename);
+      changes.push(enabled ?
+        { action: 'link', path: enabledPath, target: availablePath } :
+        { action: 'delete', path: enabledPath });
+      result.changed.push(config.domain);
     }
 
-    return domainConfig;
+    if (changes.length > 0) {
+      const applied = await this.applyChangeSet(changes);
+      result.reloaded = applied.reloaded;
+    }
+
+    return result;
   }
 
   /**
-   * Parse nginx configuration content
+   * Parse nginx configuration content (includes are not followed)
    */
   parseNginxConfig(content) {
-    const config = {
-      serverNames: [],
-      ports: []
+    return this.describeConfig(nginxConfigParser.parse(content));
+  }
+
+  /**
+   * Summarize a parsed file: every server block separately, plus the site-level fields
+   * (primary name, all names and ports, document root, certificate) the domain list uses
+   */
+  describeConfig(nodes, preferredName = null) {
+    // "server" blocks inside stream {} are TCP/UDP proxies, not virtual hosts
+    const httpNodes = nodes.filter(node => node.directive !== 'stream');
+    const serverBlocks = nginxConfigParser.findBlocks(httpNodes, 'server').map(node => this.describeServerBlock(node));
+
+    const serverNames = [...new Set(serverBlocks.flatMap(block => block.serverNames))];
+    const ports = [...new Set(serverBlocks.flatMap(block => block.listen.map(listen => listen.port)))]
+      .filter(port => port !== null)
+      .sort((a, b) => a - b);
+
+    // The block that actually serves the site: prefer TLS, then anything that isn't just a redirect
+    const primary = serverBlocks.find(block => block.ssl.enabled && !block.redirect) ||
+      serverBlocks.find(block => !block.redirect) ||
+      serverBlocks[0] ||
+      null;
+    const sslBlock = serverBlocks.find(block => block.ssl.certificate && block.ssl.certificateKey);
+
+    let serverName = null;
+    if (preferredName && serverNames.includes(preferredName)) {
+      serverName = preferredName;
+    } else if (primary && primary.serverNames.length) {
+      serverName = primary.serverNames[0];
+    } else {
+      serverName = serverNames[0] || null;
+    }
+
+    return {
+      serverName,
+      serverNames,
+      ports,
+      documentRoot: primary?.root || serverBlocks.find(block => block.root)?.root || null,
+      sslCertificate: sslBlock?.ssl.certificate || null,
+      sslCertificateKey: sslBlock?.ssl.certificateKey || null,
+      serverBlocks
+    };
+  }
+
+  /**
+   * Describe one server block: listen sockets, names, root, TLS settings, redirect and locations
+   */
+  describeServerBlock(node) {
+    const children = node.block;
+    const listen = nginxConfigParser.findDirectives(children, 'listen').map(directive => this.parseListen(directive.args));
+    const certificates = nginxConfigParser.findDirectives(children, 'ssl_certificate').map(directive => directive.args[0]);
+    const keys = nginxConfigParser.findDirectives(children, 'ssl_certificate_key').map(directive => directive.args[0]);
+    const sslOn = (nginxConfigParser.getDirective(children, 'ssl') || [])[0] === 'on';
+    const hsts = nginxConfigParser.findDirectives(children, 'add_header')
+      .find(directive => (directive.args[0] || '').toLowerCase() === 'strict-transport-security');
+
+    // Directives from included snippets report their own file; the block itself starts here
+    return {
+      file: node.file,
+      line: node.line,
+      serverNames: nginxConfigParser.findDirectives(children, 'server_name')
+        .flatMap(directive => directive.args)
+        .filter(name => name && name !== '_'),
+      defaultServer: listen.some(item => item.defaultServer),
+      listen: listen.length ? listen : [this.parseListen(['80'])],
+      root: (nginxConfigParser.getDirective(children, 'root') || [])[0] || null,
+      index: nginxConfigParser.getDirective(children, 'index') || [],
+      ssl: {
+        enabled: sslOn || listen.some(item => item.ssl),
+        certificate: certificates[0] || null,
+        certificateKey: keys[0] || null,
+        certificates,
+        certificateKeys: keys,
+        protocols: nginxConfigParser.getDirective(children, 'ssl_protocols') || [],
+        ciphers: (nginxConfigParser.getDirective(children, 'ssl_ciphers') || [])[0] || null,
+        stapling: (nginxConfigParser.getDirective(children, 'ssl_stapling') || [])[0] === 'on',
+        hsts: hsts ? hsts.args[1] : null
+      },
+      redirect: this.findRedirect(children),
+      locations: nginxConfigParser.findDirectives(children, 'location').map(location => this.describeLocation(location))
+    };
+  }
+
+  /**
+   * Parse listen arguments: "443 ssl http2", "[::]:80 default_server", "127.0.0.1:8080", "unix:/run/x.sock"
+   */
+  parseListen(args) {
+    const [socket = '', ...params] = args;
+    const result = {
+      address: null,
+      port: null,
+      ipv6: false,
+      ssl: params.includes('ssl'),
+      http2: params.includes('http2'),
+      defaultServer: params.includes('default_server') || params.includes('default'),
+      raw: args.join(' ')
+    };
+
+    if (socket.startsWith('unix:')) {
+      result.address = socket;
+      return result;
+    }
+
+    const ipv6 = /^\[([^\]]+)\](?::(\d+))?$/.exec(socket);
+    if (ipv6) {
+      result.ipv6 = true;
+      result.address = ipv6[1];
+      result.port = parseInt(ipv6[2] || '80');
+    } else if (/^\d+$/.test(socket)) {
+      result.port = parseInt(socket);
+    } else {
+      // "address:port", or an address alone which listens on port 80
+      const [address, port] = socket.split(':');
+      result.address = address === '*' ? null : address;
+      result.port = parseInt(port || '80');
+    }
+
+    return result;
+  }
+
+  /**
+   * Describe a location block, including nested locations
+   */
+  describeLocation(node) {
+    // "location = /x", "location ~* \.php$", "location /", "location @fallback"
+    const [first, second] = node.args;
+    const hasModifier = node.args.length > 1 && ['=', '~', '~*', '^~'].includes(first);
+    const children = node.block || [];
+
+    return {
+      line: node.line,
+      modifier: hasModifier ? first : null,
+      path: hasModifier ? second : first,
+      root: (nginxConfigParser.getDirective(children, 'root') || [])[0] || null,
+      alias: (nginxConfigParser.getDirective(children, 'alias') || [])[0] || null,
+      proxyPass: (nginxConfigParser.getDirective(children, 'proxy_pass') || [])[0] || null,
+      tryFiles: nginxConfigParser.getDirective(children, 'try_files'),
+      return: nginxConfigParser.getDirective(children, 'return'),
+      locations: nginxConfigParser.findDirectives(children, 'location').map(location => this.describeLocation(location))
+    };
+  }
+
+  /**
+   * Redirect performed by a whole server block: a server-level "return 301 ...", or
+   * certbot's "if ($host = example.com) { return 301 https://... }" guards
+   */
+  findRedirect(children) {
+    const candidates = [
+      nginxConfigParser.getDirective(children, 'return'),
+      ...nginxConfigParser.findDirectives(children, 'if').map(node => nginxConfigParser.getDirective(node.block, 'return'))
+    ];
+
+    for (const args of candidates) {
+      if (args && /^30[1278]$/.test(args[0]) && args[1]) {
+        return { code: parseInt(args[0]), url: args[1] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Path of a domain's sites-available file, or null if it has none
+   */
+  async getSiteConfigPath(domain) {
+    try {
+      const domainConfig = await this.getDomainConfig(domain);
+      const filePath = path.join(this.sitesAvailablePath, domainConfig.filename);
+      await fs.access(filePath);
+      return filePath;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Paths of every site file in sites-available
+   */
+  async listSiteConfigPaths() {
+    try {
+      const files = await fs.readdir(this.sitesAvailablePath);
+      return files
+        .filter(file => !file.startsWith('.') && !file.endsWith('.tmp'))
+        .map(file => path.join(this.sitesAvailablePath, file));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Whether nginx.conf includes a file (directly or through a glob such as conf.d/*.conf),
+   * or null when there is no nginx.conf to check (development)
+   */
+  async isIncludedByNginxConf(filePath) {
+    const file = path.resolve(filePath);
+    // The file may not exist yet, so match include patterns rather than the files they found
+    const matches = (pattern) => {
+      const fullPattern = path.resolve(this.nginxPrefix, pattern);
+      return path.dirname(fullPattern) === path.dirname(file) &&
+        nginxConfigParser.globToRegExp(path.basename(fullPattern)).test(path.basename(file));
+    };
+
+    try {
+      const { includes } = await nginxConfigParser.parseFile(path.join(this.nginxPrefix, 'nginx.conf'), { prefix: this.nginxPrefix });
+      return includes.some(include => include.files.includes(file) || matches(include.pattern));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the sites-available file of a domain, with a hash clients send back to detect concurrent edits
+   */
+  async readSiteConfig(domain) {
+    const domainConfig = await this.getDomainConfig(domain);
+    const filePath = path.join(this.sitesAvailablePath, domainConfig.filename);
+
+    let content;
+    let stats;
+    try {
+      [content, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Domain ${domain} not found`);
+      }
+      throw error;
+    }
+
+    return {
+      domain: domainConfig.domain,
+      filename: domainConfig.filename,
+      path: filePath,
+      enabled: domainConfig.enabled,
+      content,
+      hash: this.hashContent(content),
+      modifiedAt: stats.mtime.toISOString()
+    };
+  }
+
+  /**
+   * Content hash used as the optimistic-concurrency token for config edits
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Comment lines around a panel-managed section of a site file
+   */
+  getSectionMarkers(name) {
+    return { begin: `# BEGIN ${name} - managed by the control panel`, end: `# END ${name}` };
+  }
+
+  /**
+   * Whether site file content contains a panel-managed section
+   */
+  hasManagedSection(content, name) {
+    return content.includes(this.getSectionMarkers(name).begin);
+  }
+
+  /**
+   * Top-level server blocks of parsed site content that serve a domain or its www twin
+   */
+  findSiteBlocks(nodes, domain) {
+    const apex = domain.toLowerCase().replace(/^www\./, '');
+
+    return nodes.filter(node => node.directive === 'server' && node.block).filter((node) => {
+      const { serverNames } = this.describeServerBlock(node);
+      return serverNames.some(name => name === apex || name === `www.${apex}`);
+    });
+  }
+
+  /**
+   * Add a panel-managed section to site file content, wrapped in BEGIN/END markers.
+   * `top` lines go at the start of the file (the http context, since site files are
+   * included there); `server(node)` returns the lines for the start of a top-level server
+   * block, or null to leave that block alone, and `location(node, serverNode)` does the
+   * same for the location blocks written inside them. Only text is inserted, so removing the
+   * section gives back the original file.
+   */
+  addManagedSection(content, filename, name, { top = null, server, location = null }) {
+    const { begin, end } = this.getSectionMarkers(name);
+    const nodes = nginxConfigParser.parse(content, filename);
+    const lines = content.split('\n');
+    const lineOffsets = [];
+    lines.reduce((offset, line) => {
+      lineOffsets.push(offset);
+      return offset + line.length + 1;
+    }, 0);
+
+    const targets = [];
+    // Locations other panel features added are left to them
+    const addLocations = (children, serverNode) => {
+      const managed = this.findManagedNodes(children);
+      for (const child of children.filter(item => item.directive === 'location' && item.block && !managed.has(item))) {
+        targets.push({ node: child, directives: location(child, serverNode) });
+        addLocations(child.block, serverNode);
+      }
+    };
+    for (const node of nodes.filter(item => item.directive === 'server' && item.block)) {
+      targets.push({ node, directives: server(node) });
+      if (location) {
+        addLocations(node.block, node);
+      }
+    }
+
+    // Insert from the last block up so earlier offsets stay valid
+    let result = content;
+    let added = 0;
+    for (const { node, directives } of targets.sort((a, b) => b.node.line - a.node.line)) {
+      if (!directives || directives.length === 0) {
+        continue;
+      }
+
+      const brace = result.indexOf('{', lineOffsets[node.line - 1]);
+      const indent = `${lines[node.line - 1].match(/^\s*/)[0]}    `;
+      // Directives that share the line with "{" (one-line blocks) move to their own line after ours
+      const rest = result.slice(brace + 1);
+      const separator = /^[ \t]*(#[^\n]*)?(\n|$)/.test(rest) ? '' : `\n${indent}`;
+      const section = [begin, ...directives, end].map(line => indent + line).join('\n');
+      result = `${result.slice(0, brace + 1)}\n${section}${separator}${rest}`;
+      added += 1;
+    }
+
+    if (added === 0) {
+      const error = new Error(`${filename} has no server block to add ${name} to`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return top ? `${[begin, ...top, end].join('\n')}\n${result}` : result;
+  }
+
+  /**
+   * Nodes among a block's children that sit inside a panel-managed section, i.e. were added
+   * by a panel feature rather than written in the file
+   */
+  findManagedNodes(children) {
+    const managed = new Set();
+    let section = null;
+
+    for (const child of children) {
+      if (child.directive === '#') {
+        const begin = /^BEGIN (.+) - managed by the control panel$/.exec(child.comment);
+        if (!section && begin) {
+          section = begin[1];
+        } else if (section && child.comment === `END ${section}`) {
+          section = null;
+        }
+      } else if (section) {
+        managed.add(child);
+      }
+    }
+
+    return managed;
+  }
+
+  /**
+   * Location blocks written in a server block, at any depth (named locations and ones a
+   * panel feature added are left out)
+   */
+  listLocations(serverNode) {
+    const locations = [];
+    const visit = (children) => {
+      const managed = this.findManagedNodes(children);
+      for (const child of children.filter(item => item.directive === 'location' && item.block && !managed.has(item))) {
+        if (!child.args[0]?.startsWith('@')) {
+          locations.push(child);
+        }
+        visit(child.block);
+      }
     };
+    visit(serverNode.block);
+    return locations;
+  }
+
+  /**
+   * Whether a location block is the one a target names: "= /login", "~ \.php$", or a plain
+   * path, which also matches the same path with ^~ since nginx rejects two locations for one path
+   */
+  matchesLocation(node, target) {
+    if (target.startsWith('/')) {
+      return (node.args.length === 1 && node.args[0] === target) ||
+        (node.args.length === 2 && node.args[0] === '^~' && node.args[1] === target);
+    }
+    return node.args.join(' ') === target;
+  }
+
+  /**
+   * Whether a panel feature already added a location for a path to a server block
+   */
+  hasPanelLocation(serverNode, target) {
+    const managed = this.findManagedNodes(serverNode.block);
+    return [...managed].some(node => node.directive === 'location' && node.block && this.matchesLocation(node, target));
+  }
+
+  /**
+   * Lines for a new `location ^~ <path>` that starts with `lines` and then repeats the
+   * directives of the prefix location that serves the path today (longest match), so the
+   * path keeps being proxied or served as before
+   */
+  buildPathLocation(serverNode, target, lines) {
+    const managed = this.findManagedNodes(serverNode.block);
+    const serving = serverNode.block
+      .filter(node => node.directive === 'location' && node.block && !managed.has(node))
+      .map(node => ({ node, prefix: node.args.length === 1 ? node.args[0] : node.args[0] === '^~' ? node.args[1] : null }))
+      .filter(({ prefix }) => prefix && !prefix.startsWith('@') && target.startsWith(prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0]?.node;
+
+    // Comments are dropped so markers of managed sections never get duplicated
+    const withoutComments = nodes => nodes
+      .filter(node => node.directive !== '#')
+      .map(node => (node.block ? { ...node, block: withoutComments(node.block) } : node));
+    const copied = serving ? nginxConfigParser.stringify(withoutComments(serving.block), 1).split('\n').filter(Boolean) : [];
 
-    const lines = content.split('\n').map(line => line.trim());
+    return [
+      `location ^~ ${nginxConfigParser.quoteArg(target)} {`,
+      ...lines.map(line => `    ${line}`),
+      ...copied,
+      '}'
+    ];
+  }
+
+  /**
+   * Remove a panel-managed section, leaving the rest of the file as it is
+   */
+  removeManagedSection(content, name) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const { begin, end } = this.getSectionMarkers(name);
 
-    for (const line of lines) {
-      // Parse server_name directive
-      if (line.startsWith('server_name')) {
-        const match = line.match(/server_name\s+([^;]+);/);
-        if (match) {
-          const names = match[1].split(/\s+/).filter(name => name && name !== '_');
-          config.serverNames = names;
-          config.serverName = names[0]; // Primary server name
+    return content
+      .replace(new RegExp(`^${escape(begin)}\\n[\\s\\S]*?${escape(end)}\\n`), '')
+      .replace(new RegExp(`\\n[ \\t]*${escape(begin)}\\n[\\s\\S]*?${escape(end)}(?=\\n|$)`, 'g'), '');
+  }
+
+  /**
+   * Check candidate content for a site file without touching the live configuration:
+   * nginx -t runs against a temporary copy of nginx.conf in which this one file is
+   * swapped for the candidate. Falls back to a syntax check when nginx isn't installed.
+   */
+  async testSiteConfig(filename, content) {
+    try {
+      nginxConfigParser.parse(content, filename);
+    } catch (error) {
+      return { success: false, syntaxOnly: true, output: error.message, line: error.line };
+    }
+
+    const mainConfig = path.join(this.nginxPrefix, 'nginx.conf');
+    try {
+      await fs.access(mainConfig);
+    } catch (error) {
+      return {
+        success: true,
+        simulated: true,
+        output: 'Syntax OK. nginx is not installed here, so directives were not checked with nginx -t.'
+      };
+    }
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nginx-test-'));
+    try {
+      const candidatePath = path.join(tmpDir, 'candidate', filename);
+      await fs.mkdir(path.dirname(candidatePath));
+      await fs.writeFile(candidatePath, content);
+
+      // Relative includes resolve against the directory of the -c file, so mirror the prefix
+      for (const entry of await fs.readdir(this.nginxPrefix)) {
+        if (entry !== 'nginx.conf') {
+          await fs.symlink(path.join(this.nginxPrefix, entry), path.join(tmpDir, entry));
+        }
+      }
+
+      const sitePath = await fs.realpath(path.join(this.sitesAvailablePath, filename)).catch(() => null);
+      const nodes = nginxConfigParser.parse(await fs.readFile(mainConfig, 'utf8'), mainConfig);
+      const replaced = await this.swapIncludedFile(nodes, sitePath, candidatePath);
+
+      // A disabled site isn't included anywhere; test it as if it were enabled
+      if (!replaced) {
+        const http = nodes.find(node => node.directive === 'http' && node.block);
+        if (http) {
+          http.block.push({ directive: 'include', args: [candidatePath] });
         }
       }
 
-      // Parse listen directive
-      if (line.startsWith('listen')) {
-        const match = line.match(/listen\s+(\d+)/);
-        if (match) {
-          config.ports.push(parseInt(match[1]));
+      const testConfig = path.join(tmpDir, 'nginx.conf');
+      await fs.writeFile(testConfig, nginxConfigParser.stringify(nodes));
+
+      try {
+        const { stdout, stderr } = await execFileAsync('nginx', ['-t', '-c', testConfig], { timeout: CONFIG_TEST_TIMEOUT });
+        return { success: true, output: this.cleanTestOutput(stdout || stderr, tmpDir, candidatePath, filename) };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return {
+            success: true,
+            simulated: true,
+            output: 'Syntax OK. The nginx binary was not found, so directives were not checked with nginx -t.'
+          };
+        }
+        return {
+          success: false,
+          output: this.cleanTestOutput(error.stderr || error.stdout || error.message, tmpDir, candidatePath, filename)
+        };
+      }
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Replace the include that pulls in `sitePath` with explicit includes in which
+   * that file is the candidate instead. Returns whether the site was found.
+   */
+  async swapIncludedFile(nodes, sitePath, candidatePath) {
+    let replaced = false;
+
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+
+      if (node.block) {
+        replaced = (await this.swapIncludedFile(node.block, sitePath, candidatePath)) || replaced;
+        continue;
+      }
+
+      if (node.directive !== 'include' || node.args.length !== 1 || !sitePath) {
+        continue;
+      }
+
+      const files = await nginxConfigParser.resolveInclude(node.args[0], this.nginxPrefix);
+      const realFiles = await Promise.all(files.map(file => fs.realpath(file).catch(() => file)));
+      if (!realFiles.includes(sitePath)) {
+        continue;
+      }
+
+      const includes = realFiles.map((file, index) => ({
+        directive: 'include',
+        args: [file === sitePath ? candidatePath : files[index]]
+      }));
+      nodes.splice(i, 1, ...includes);
+      i += includes.length - 1;
+      replaced = true;
+    }
+
+    return replaced;
+  }
+
+  /**
+   * Point nginx -t messages at the real file names instead of the temporary copies
+   */
+  cleanTestOutput(output, tmpDir, candidatePath, filename) {
+    return String(output)
+      .split(candidatePath).join(path.join(this.sitesAvailablePath, filename))
+      .split(path.join(tmpDir, 'nginx.conf')).join(path.join(this.nginxPrefix, 'nginx.conf'))
+      .trim();
+  }
+
+  /**
+   * Replace a site file after it passed testSiteConfig; when the site is live, test
+   * and reload nginx, and put the previous content back if either step fails.
+   * The new content is recorded in the config history with author, reason and source.
+   */
+  writeSiteConfig(domain, content, { baseHash, author = null, reason = null, source = 'editor' } = {}) {
+    // baseHash is compared inside the queued step, so two saves from the same version can't both pass
+    return this.updateSiteConfig(domain, (current) => {
+      if (baseHash && baseHash !== current.hash) {
+        const error = new Error('The configuration was changed by someone else since you opened it. Reload it and reapply your changes.');
+        error.statusCode = 409;
+        throw error;
+      }
+      return content;
+    }, { author, reason, source });
+  }
+
+  /**
+   * Read a site file, change it and write it back as one step of the change queue, so
+   * changes made to the file at the same time can't overwrite each other. `transform(current)`
+   * gets the readSiteConfig result and returns the new content, or { content, changes, reason }
+   * with more changes for the same change set (files the site uses) and a history reason that
+   * depends on what was found; throwing leaves everything as it was.
+   */
+  updateSiteConfig(domain, transform, { author = null, reason = null, source = 'editor' } = {}) {
+    return this.enqueueChange(async () => {
+      const current = await this.readSiteConfig(domain);
+      const result = await transform(current);
+      const { content, changes = [], reason: changeReason = reason } = typeof result === 'string' ? { content: result } : result;
+
+      if (content === current.content && changes.length === 0) {
+        return { ...current, changed: false, reloaded: false, version: null };
+      }
+
+      const siteChange = content === current.content ? [] : [{ action: 'write', path: current.path, content }];
+      // A disabled site isn't loaded by nginx, so there is nothing to test or reload
+      const applied = await this.runChangeSet([...changes, ...siteChange], {
+        test: current.enabled,
+        reload: current.enabled,
+        author,
+        reason: changeReason,
+        source
+      });
+
+      return {
+        ...(await this.readSiteConfig(domain)),
+        changed: true,
+        reloaded: applied.reloaded,
+        version: applied.versions.find(version => version.path === current.path)?.version || null
+      };
+    });
+  }
+
+  /**
+   * Apply changes to several nginx files as one transaction. Each change is one of
+   *   { action: 'write', path, content }  create or replace a file (config: false skips
+   *                                       the syntax check for files that aren't nginx config)
+   *   { action: 'link', path, target }    create or replace a symlink (sites-enabled)
+   *   { action: 'delete', path }          remove a file or symlink
+   * Everything is staged next to its target first, then moved into place, tested with
+   * nginx -t and reloaded. If any step fails, every touched path is put back as it was and
+   * the error carries `stage`, `reverted` and `revertErrors`. With `source`, written
+   * sites-available files are recorded in the config history.
+   */
+  applyChangeSet(changes, { test = true, reload = true, author = null, reason = null, source = null } = {}) {
+    return this.enqueueChange(() => this.runChangeSet(changes, { test, reload, author, reason, source }));
+  }
+
+  /**
+   * Run a task after every change set queued before it. One change set at a time, so
+   * nginx -t never sees another set's half-applied files; tasks must not queue further changes.
+   */
+  enqueueChange(task) {
+    const run = this.changeQueue.then(task);
+    this.changeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async runChangeSet(changes, { test, reload, author, reason, source }) {
+    for (const change of changes) {
+      if (!CHANGE_ACTIONS.includes(change.action) || !change.path) {
+        throw changeSetError(`Invalid change: ${change.action || 'no action'} ${change.path || ''}`.trim(), 400, 'validate');
+      }
+      if (change.action === 'write' && change.config !== false) {
+        try {
+          nginxConfigParser.parse(change.content, change.path);
+        } catch (error) {
+          throw changeSetError(error.message, 422, 'validate');
         }
       }
+    }
+
+    const tracked = source ?
+      changes.filter(change => change.action === 'write' && path.dirname(change.path) === this.sitesAvailablePath) : [];
+    for (const change of tracked) {
+      await configVersionService.snapshot(change.path, EXTERNAL_CHANGE).catch(() => {});
+    }
+
+    // Stage: remember what each path holds now and put the new content beside it
+    const staged = [];
+    try {
+      for (const change of changes) {
+        const entry = { ...change, previous: await this.captureFileState(change.path), stagedPath: null };
+        staged.push(entry);
 
-      // Parse document root
-      if (line.startsWith('root')) {
-        const match = line.match(/root\s+([^;]+);/);
-        if (match) {
-          config.documentRoot = match[1].trim();
+        if (change.action === 'write') {
+          entry.stagedPath = this.stagingPath(change.path, 'staged');
+          await fs.writeFile(entry.stagedPath, change.content);
+          await fs.chmod(entry.stagedPath, entry.previous.type === 'file' ? entry.previous.mode : 0o644);
+        } else if (change.action === 'link') {
+          entry.stagedPath = this.stagingPath(change.path, 'staged');
+          await fs.rm(entry.stagedPath, { force: true });
+          await fs.symlink(change.target, entry.stagedPath);
         }
       }
+    } catch (error) {
+      await this.discardStaged(staged);
+      throw changeSetError(`Failed to stage nginx changes: ${error.message}`, 500, 'stage');
+    }
 
-      // Parse SSL certificate paths
-      if (line.startsWith('ssl_certificate ') && !line.includes('ssl_certificate_key')) {
-        const match = line.match(/ssl_certificate\s+([^;]+);/);
-        if (match) {
-          config.sslCertificate = match[1].trim();
+    const applied = [];
+    const rollBack = async (stage, message, statusCode, output) => {
+      const { reverted, revertErrors } = await this.revertChanges(applied);
+      await this.discardStaged(staged);
+
+      const summary = revertErrors.length ?
+        `Could not restore ${revertErrors.map(failure => failure.path).join(', ')}; check these files by hand.` :
+        `Reverted ${reverted.length ? reverted.map(entry => entry.path).join(', ') : 'nothing (no files had been changed)'}.`;
+      const error = changeSetError(`${message.trim()}. ${summary}`, statusCode, stage);
+      error.reverted = reverted;
+      error.revertErrors = revertErrors;
+      error.output = output || null;
+      return error;
+    };
+
+    // Commit: renames are atomic, so each path holds either its old or its new content
+    try {
+      for (const entry of staged) {
+        applied.push(entry);
+        if (entry.action === 'delete') {
+          await fs.rm(entry.path, { force: true });
+        } else {
+          await fs.rename(entry.stagedPath, entry.path);
         }
       }
+    } catch (error) {
+      throw await rollBack('commit', `Failed to apply nginx changes: ${error.message}`, 500);
+    }
+
+    let testResult = null;
+    if (test) {
+      testResult = await this.testConfig();
+      if (!testResult.success) {
+        const output = (testResult.output || testResult.error || '').trim();
+        throw await rollBack('test', `nginx -t failed: ${output}`, 422, output);
+      }
+    }
 
-      if (line.startsWith('ssl_certificate_key')) {
-        const match = line.match(/ssl_certificate_key\s+([^;]+);/);
-        if (match) {
-          config.sslCertificateKey = match[1].trim();
+    let reloaded = false;
+    if (reload) {
+      try {
+        await this.reloadConfig();
+        reloaded = true;
+      } catch (error) {
+        throw await rollBack('reload', error.message, 500);
+      }
+    }
+
+    const versions = [];
+    for (const change of tracked) {
+      const version = await configVersionService.snapshot(change.path, { author, reason, source }).catch(() => null);
+      if (version) {
+        versions.push({ path: change.path, version: version.version });
+      }
+    }
+
+    return {
+      applied: applied.map(entry => ({ action: entry.action, path: entry.path })),
+      tested: Boolean(testResult),
+      reloaded,
+      output: testResult ? testResult.output : null,
+      versions
+    };
+  }
+
+  /**
+   * What a path holds now, so a change set can put it back: a file, a symlink or nothing
+   */
+  async captureFileState(filePath) {
+    try {
+      const stats = await fs.lstat(filePath);
+      if (stats.isSymbolicLink()) {
+        return { type: 'link', target: await fs.readlink(filePath) };
+      }
+      return { type: 'file', content: await fs.readFile(filePath), mode: stats.mode & 0o777 };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { type: 'missing' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put applied changes back in reverse order. Returns { reverted, revertErrors }.
+   */
+  async revertChanges(applied) {
+    const reverted = [];
+    const revertErrors = [];
+
+    for (const entry of [...applied].reverse()) {
+      try {
+        const { previous } = entry;
+
+        if (previous.type === 'missing') {
+          await fs.rm(entry.path, { force: true });
+        } else {
+          const restorePath = this.stagingPath(entry.path, 'restore');
+          await fs.rm(restorePath, { force: true });
+          if (previous.type === 'link') {
+            await fs.symlink(previous.target, restorePath);
+          } else {
+            await fs.writeFile(restorePath, previous.content);
+            await fs.chmod(restorePath, previous.mode);
+          }
+          await fs.rename(restorePath, entry.path);
         }
+
+        reverted.push({
+          action: entry.action,
+          path: entry.path,
+          restored: previous.type === 'missing' ? 'removed' : previous.type
+        });
+      } catch (error) {
+        revertErrors.push({ action: entry.action, path: entry.path, error: error.message });
+      }
+    }
+
+    return { reverted, revertErrors };
+  }
+
+  /**
+   * Remove staged files that were never moved into place
+   */
+  async discardStaged(staged) {
+    for (const entry of staged) {
+      if (entry.stagedPath) {
+        await fs.rm(entry.stagedPath, { force: true }).catch(() => {});
       }
     }
+  }
 
-    return config;
+  /**
+   * Temporary name beside a target; dot files are skipped by include globs like sites-enabled/*
+   */
+  stagingPath(filePath, label) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${label}`);
   }
 
   /**
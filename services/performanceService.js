@@ -0,0 +1,458 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+const { parseInteger } = require('./validators');
+
+// Name of the managed section the settings are added in
+const SECTION = 'performance';
+// Each site's proxy cache lives in <CACHE_ROOT>/<site file>, so it can be purged on its own
+const CACHE_ROOT = process.env.CACHE_ROOT || '/var/cache/nginx/panel';
+
+const DEFAULT_GZIP_TYPES = [
+  'text/plain', 'text/css', 'text/xml', 'text/javascript', 'application/javascript', 'application/json',
+  'application/xml', 'application/rss+xml', 'application/atom+xml', 'application/manifest+json',
+  'image/svg+xml', 'font/ttf', 'font/otf', 'application/vnd.ms-fontobject'
+];
+const DEFAULT_EXTENSIONS = [
+  'css', 'js', 'mjs', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'ico', 'woff', 'woff2', 'ttf', 'otf', 'eot', 'mp4', 'webm'
+];
+
+const OFF = {
+  gzip: { enabled: false, level: 5, minLength: 256, types: DEFAULT_GZIP_TYPES },
+  expires: { enabled: false, duration: '30d', extensions: DEFAULT_EXTENSIONS },
+  cache: {
+    enabled: false, validity: '10m', inactive: '60m', maxSize: '1g', statusHeader: true,
+    bypassPaths: [], bypassCookies: []
+  }
+};
+
+const PRESETS = {
+  none: {
+    label: 'None',
+    description: 'No compression or caching from the panel',
+    settings: OFF
+  },
+  static: {
+    label: 'Static site',
+    description: 'gzip for text assets and a 30 day browser cache for images, scripts, styles and fonts',
+    settings: { ...OFF, gzip: { ...OFF.gzip, enabled: true }, expires: { ...OFF.expires, enabled: true } }
+  },
+  proxy: {
+    label: 'Reverse proxy',
+    description: 'gzip plus a 10 minute proxy cache that skips logged-in users, with an X-Cache-Status header',
+    settings: {
+      gzip: { ...OFF.gzip, enabled: true },
+      expires: { ...OFF.expires, enabled: false },
+      cache: { ...OFF.cache, enabled: true, bypassCookies: ['session', 'sessionid', 'wordpress_logged_in'] }
+    }
+  },
+  'proxy-assets': {
+    label: 'Reverse proxy with asset expiry',
+    description: 'The reverse proxy preset plus a 30 day browser cache for static assets',
+    settings: {
+      gzip: { ...OFF.gzip, enabled: true },
+      expires: { ...OFF.expires, enabled: true },
+      cache: { ...OFF.cache, enabled: true, bypassCookies: ['session', 'sessionid', 'wordpress_logged_in'] }
+    }
+  }
+};
+
+const MIME_PATTERN = /^[a-z]+\/[a-z0-9.+-]+$/;
+const EXTENSION_PATTERN = /^[a-z0-9]{1,10}$/;
+// nginx time and size values: 30d, 10m, 1g
+const DURATION_PATTERN = /^[1-9]\d{0,4}[smhdwMy]$/;
+const SIZE_PATTERN = /^[1-9]\d{0,5}[kmg]$/;
+const PATH_PATTERN = /^\/[^\s"';{}#$\\()|*+?[\]^]*$/;
+const COOKIE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_LIST = 50;
+
+// Directives nginx refuses to see twice in one block
+const GZIP_DIRECTIVES = ['gzip', 'gzip_comp_level', 'gzip_min_length', 'gzip_types', 'gzip_proxied', 'gzip_vary'];
+const CACHE_DIRECTIVES = ['proxy_cache', 'proxy_cache_lock', 'proxy_cache_use_stale'];
+
+/**
+ * Per-domain compression and caching: gzip with a MIME list, `expires` for static file
+ * extensions (through a map on $uri, so no location is added and proxied assets get it too),
+ * and a proxy cache with its own keys zone and directory per site, bypass rules and an
+ * X-Cache-Status header. Settings are kept in data/performance.json; the vhost holds the
+ * rendered directives.
+ */
+class PerformanceService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'performance.json'), {
+      defaults: () => ({ sites: {} }),
+      label: 'performance settings'
+    });
+    this.cacheRoot = CACHE_ROOT;
+  }
+
+  /**
+   * Load performance settings keyed by site file name
+   */
+  async loadSettings() {
+    return (await this.store.read()).sites || {};
+  }
+
+  /**
+   * Presets for the UI
+   */
+  listPresets() {
+    return Object.entries(PRESETS).map(([name, preset]) => ({ name, ...preset }));
+  }
+
+  /**
+   * Name of the preset the settings are exactly, or 'custom'
+   */
+  matchPreset(settings) {
+    const name = Object.keys(PRESETS).find(key => JSON.stringify(this.normalize(PRESETS[key].settings)) === JSON.stringify(this.normalize(settings)));
+    return name || 'custom';
+  }
+
+  /**
+   * Settings with the options of disabled features reset, so two settings that render the same compare equal
+   */
+  normalize(settings) {
+    return Object.fromEntries(Object.keys(OFF).map(key => [key, settings[key].enabled ? settings[key] : OFF[key]]));
+  }
+
+  /**
+   * Split a list given as an array or as text
+   */
+  parseList(value) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Check one list against a pattern
+   */
+  validateList(value, pattern, label, fallback, transform = item => item) {
+    if (value === undefined || value === null) {
+      return fallback;
+    }
+
+    const items = this.parseList(value).map(transform);
+    const invalid = items.filter(item => !pattern.test(item));
+    if (invalid.length > 0) {
+      throw httpError(`Invalid ${label}: ${invalid.join(', ')}`);
+    }
+    if (items.length > MAX_LIST) {
+      throw httpError(`At most ${MAX_LIST} ${label} are allowed`);
+    }
+    return items;
+  }
+
+  /**
+   * Check a duration or size value against its pattern
+   */
+  validateValue(value, fallback, pattern, label, example) {
+    const text = value === undefined || value === null || value === '' ? fallback : String(value).trim();
+    if (!pattern.test(text)) {
+      throw httpError(`${label} must look like ${example}`);
+    }
+    return text;
+  }
+
+  /**
+   * Check settings; missing options take the preset's values (or the defaults)
+   */
+  validateSettings(input = {}) {
+    const presetName = input.preset && input.preset !== 'custom' ? input.preset : null;
+    if (presetName && !PRESETS[presetName]) {
+      throw httpError(`Unknown preset: ${presetName}. Use one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    const base = presetName ? PRESETS[presetName].settings : OFF;
+    const gzip = { ...base.gzip, ...(input.gzip || {}) };
+    const expires = { ...base.expires, ...(input.expires || {}) };
+    const cache = { ...base.cache, ...(input.cache || {}) };
+
+    return {
+      gzip: {
+        enabled: Boolean(gzip.enabled),
+        level: parseInteger(gzip.level, 5, 1, 9, 'gzip level'),
+        minLength: parseInteger(gzip.minLength, 256, 0, 1048576, 'gzip minimum length'),
+        // nginx always compresses text/html and warns when it is listed
+        types: this.validateList(gzip.types, MIME_PATTERN, 'MIME types', DEFAULT_GZIP_TYPES, type => type.toLowerCase())
+          .filter(type => type !== 'text/html')
+      },
+      expires: {
+        enabled: Boolean(expires.enabled),
+        duration: this.validateValue(expires.duration, '30d', DURATION_PATTERN, 'The expiry', '30d, 12h or 1y'),
+        extensions: this.validateList(expires.extensions, EXTENSION_PATTERN, 'file extensions', DEFAULT_EXTENSIONS, ext => ext.toLowerCase().replace(/^\./, ''))
+      },
+      cache: {
+        enabled: Boolean(cache.enabled),
+        validity: this.validateValue(cache.validity, '10m', DURATION_PATTERN, 'Cache validity', '10m or 1h'),
+        inactive: this.validateValue(cache.inactive, '60m', DURATION_PATTERN, 'The inactive time', '60m or 1d'),
+        maxSize: this.validateValue(cache.maxSize, '1g', SIZE_PATTERN, 'The cache size', '500m or 1g'),
+        statusHeader: cache.statusHeader !== false,
+        bypassPaths: this.validateList(cache.bypassPaths, PATH_PATTERN, 'bypass paths', []),
+        bypassCookies: this.validateList(cache.bypassCookies, COOKIE_PATTERN, 'bypass cookie names', [])
+      }
+    };
+  }
+
+  /**
+   * Whether settings add anything to the vhost
+   */
+  isEmpty(settings) {
+    return !settings.gzip.enabled && !settings.expires.enabled && !settings.cache.enabled;
+  }
+
+  /**
+   * Suffix for the variables and cache zone of a site file
+   */
+  getIdentifier(filename) {
+    return filename.toLowerCase().replace(/[^a-z0-9]/g, '_');
+  }
+
+  /**
+   * Cache directory of a site
+   */
+  getCachePath(filename) {
+    return path.join(this.cacheRoot, filename);
+  }
+
+  /**
+   * Refuse settings that would repeat directives a server block sets itself
+   */
+  checkConflicts(settings, nodes) {
+    const names = [
+      ...(settings.gzip.enabled ? GZIP_DIRECTIVES : []),
+      ...(settings.expires.enabled ? ['expires'] : []),
+      ...(settings.cache.enabled ? CACHE_DIRECTIVES : [])
+    ];
+
+    for (const node of nodes) {
+      const conflict = names.find(name => nginxConfigParser.findDirectives(node.block, name).length > 0);
+      if (conflict) {
+        throw httpError(`The server block (line ${node.line}) already sets ${conflict}; remove it in the config editor or turn that feature off here`, 409);
+      }
+    }
+  }
+
+  /**
+   * Add the settings to the site file: maps and the cache path at the top (http context),
+   * directives at the start of each server block that serves the domain
+   */
+  buildPerformanceConfig(content, filename, domain, settings) {
+    const id = this.getIdentifier(filename);
+    const { gzip, expires, cache } = settings;
+    const siteBlocks = nginxService.findSiteBlocks(nginxConfigParser.parse(content, filename), domain);
+    const top = [];
+    const lines = [];
+
+    if (gzip.enabled) {
+      lines.push(
+        'gzip on;',
+        `gzip_comp_level ${gzip.level};`,
+        `gzip_min_length ${gzip.minLength};`,
+        'gzip_proxied any;',
+        'gzip_vary on;',
+        ...(gzip.types.length ? [`gzip_types ${gzip.types.join(' ')};`] : [])
+      );
+    }
+
+    if (expires.enabled && expires.extensions.length) {
+      top.push(
+        `map $uri $panel_expires_${id} {`,
+        '    default off;',
+        `    "~*\\.(${expires.extensions.join('|')})$" ${expires.duration};`,
+        '}'
+      );
+      lines.push(`expires $panel_expires_${id};`);
+    }
+
+    if (cache.enabled) {
+      top.push(
+        `proxy_cache_path ${nginxConfigParser.quoteArg(this.getCachePath(filename))} levels=1:2 keys_zone=panel_cache_${id}:10m max_size=${cache.maxSize} inactive=${cache.inactive} use_temp_path=off;`
+      );
+
+      const bypass = ['$http_authorization', '$arg_nocache'];
+      if (cache.bypassPaths.length) {
+        top.push(
+          `map $uri $panel_cache_path_bypass_${id} {`,
+          '    default 0;',
+          ...cache.bypassPaths.map(prefix => `    ${nginxConfigParser.quoteArg(`~^${prefix.replace(/\./g, '\\.')}`)} 1;`),
+          '}'
+        );
+        bypass.push(`$panel_cache_path_bypass_${id}`);
+      }
+      if (cache.bypassCookies.length) {
+        // Cookie names are prefixes, e.g. wordpress_logged_in matches wordpress_logged_in_<hash>
+        top.push(
+          `map $http_cookie $panel_cache_cookie_bypass_${id} {`,
+          '    default 0;',
+          `    "~(^|;\\s*)(${cache.bypassCookies.join('|')})[^=]*=" 1;`,
+          '}'
+        );
+        bypass.push(`$panel_cache_cookie_bypass_${id}`);
+      }
+
+      lines.push(
+        `proxy_cache panel_cache_${id};`,
+        `proxy_cache_valid 200 301 302 ${cache.validity};`,
+        'proxy_cache_valid 404 1m;',
+        'proxy_cache_use_stale error timeout updating http_500 http_502 http_503 http_504;',
+        'proxy_cache_lock on;',
+        `proxy_cache_bypass ${bypass.join(' ')};`,
+        `proxy_no_cache ${bypass.join(' ')};`,
+        ...(cache.statusHeader ? ['add_header X-Cache-Status $upstream_cache_status always;'] : [])
+      );
+    }
+
+    return nginxService.addManagedSection(content, filename, SECTION, {
+      top: top.length ? top : null,
+      server: node => (siteBlocks.some(block => block.line === node.line) ? lines : null)
+    });
+  }
+
+  /**
+   * Cases where a setting doesn't do what it looks like it does
+   */
+  findWarnings(settings, nodes) {
+    const warnings = [];
+    const locations = nodes.flatMap(node => nginxService.listLocations(node));
+    const label = location => `location ${location.args.join(' ')} (line ${location.line})`;
+
+    if (settings.cache.enabled) {
+      if (!locations.some(location => nginxConfigParser.findDirectives(location.block, 'proxy_pass').length)) {
+        warnings.push('No location proxies to a backend, so the proxy cache stores nothing');
+      }
+      if (settings.cache.statusHeader) {
+        for (const location of locations.filter(item => nginxConfigParser.findDirectives(item.block, 'add_header').length)) {
+          warnings.push(`${label(location)} sets its own add_header, so X-Cache-Status is not sent from it`);
+        }
+      }
+      for (const location of locations.filter(item => nginxConfigParser.findDirectives(item.block, 'proxy_cache').length)) {
+        warnings.push(`${label(location)} sets its own proxy_cache`);
+      }
+    }
+    if (settings.expires.enabled) {
+      for (const location of locations.filter(item => nginxConfigParser.findDirectives(item.block, 'expires').length)) {
+        warnings.push(`${label(location)} sets its own expires, so the asset expiry doesn't apply there`);
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Performance settings of a domain
+   */
+  async getSettings(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const entry = (await this.loadSettings())[current.filename];
+    const applied = nginxService.hasManagedSection(current.content, SECTION);
+    const base = nginxService.removeManagedSection(current.content, SECTION);
+    const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain);
+    const settings = applied && entry ? { gzip: entry.gzip, expires: entry.expires, cache: entry.cache } : OFF;
+
+    return {
+      domain: current.domain,
+      applied,
+      preset: this.matchPreset(settings),
+      ...settings,
+      cachePath: settings.cache.enabled ? this.getCachePath(current.filename) : null,
+      proxied: nodes.some(node => nginxService.listLocations(node).some(location => nginxConfigParser.findDirectives(location.block, 'proxy_pass').length)),
+      presets: this.listPresets(),
+      warnings: this.findWarnings(settings, nodes),
+      updatedAt: applied && entry ? entry.updatedAt : null,
+      updatedBy: applied && entry ? entry.updatedBy : null
+    };
+  }
+
+  /**
+   * Replace a domain's settings and render them into its site file
+   */
+  async updateSettings(domain, input, author) {
+    const settings = this.validateSettings(input || {});
+
+    const empty = this.isEmpty(settings);
+
+    const saved = await this.store.update(async (data) => {
+      const written = await nginxService.updateSiteConfig(domain, async (current) => {
+        const base = nginxService.removeManagedSection(current.content, SECTION);
+        const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain);
+
+        if (nodes.length === 0) {
+          throw httpError(`${current.filename} has no server block for ${current.domain}`);
+        }
+
+        this.checkConflicts(settings, nodes);
+
+        if (settings.cache.enabled) {
+          // nginx creates the directory too, but only with the permissions of its master process
+          await fs.mkdir(this.getCachePath(current.filename), { recursive: true }).catch(() => {});
+        }
+
+        return empty ? base : this.buildPerformanceConfig(base, current.filename, current.domain, settings);
+      }, {
+        author,
+        reason: empty ? 'Performance settings removed' : 'Performance settings updated',
+        source: 'performance'
+      });
+
+      const previous = data.sites[written.filename];
+      if (previous && previous.cache.enabled && !settings.cache.enabled) {
+        // Nothing reads the old cache any more; leftovers would only take up disk space
+        await fs.rm(this.getCachePath(written.filename), { recursive: true, force: true }).catch(() => {});
+      }
+      if (empty) {
+        delete data.sites[written.filename];
+      } else {
+        data.sites[written.filename] = {
+          domain: written.domain,
+          ...settings,
+          updatedAt: new Date().toISOString(),
+          updatedBy: author
+        };
+      }
+
+      return written;
+    });
+
+    return { ...(await this.getSettings(domain)), changed: saved.changed, reloaded: saved.reloaded, version: saved.version };
+  }
+
+  /**
+   * Empty a domain's cache directory. nginx treats missing cache files as misses, so no
+   * reload is needed; returns how many cached responses were removed.
+   */
+  async purgeCache(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    if (!nginxService.hasManagedSection(current.content, SECTION) || !(await this.getSettings(domain)).cache.enabled) {
+      throw httpError(`${current.domain} has no proxy cache to purge`, 409);
+    }
+
+    const cachePath = this.getCachePath(current.filename);
+    let removed = 0;
+    const countFiles = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          await countFiles(path.join(dir, entry.name));
+        } else {
+          removed += 1;
+        }
+      }
+    };
+
+    try {
+      await countFiles(cachePath);
+      for (const entry of await fs.readdir(cachePath)) {
+        await fs.rm(path.join(cachePath, entry), { recursive: true, force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to purge ${cachePath}: ${error.message}`);
+      }
+    }
+
+    return { domain: current.domain, cachePath, removed };
+  }
+}
+
+module.exports = new PerformanceService();
@@ -0,0 +1,487 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+const { isValidAddress, parseInteger } = require('./validators');
+
+// Name of the managed section site limits are added in
+const SECTION = 'rate limits';
+const ZONE_TYPES = ['req', 'conn'];
+// What a zone counts by: each client address, or each virtual host as a whole
+const ZONE_KEYS = { client: '$binary_remote_addr', server: '$server_name' };
+const RATE_UNITS = ['s', 'm'];
+// Zone names end up in nginx variable names, so no "-"
+const ZONE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const PATH_PATTERN = /^\/[^\s"';{}#$\\]*$/;
+const DEFAULT_STATUS = 429;
+const MAX_ZONE_SIZE = 512;
+const MAX_EXEMPT = 200;
+const MAX_RULES = 50;
+const MAX_LIMIT = 100000;
+
+const FILE_HEADER = [
+  '# Rate limiting zones managed by the control panel.',
+  '# This file is regenerated from the panel; edits made here are overwritten.',
+  ''
+].join('\n');
+
+/**
+ * Request and connection limiting. Zones (limit_req_zone / limit_conn_zone) are shared by
+ * every site, so they live in one panel-owned file in the http context, like upstream pools;
+ * clients on a zone's exempt list get an empty key, which nginx doesn't count. Each site's
+ * limits (zone, burst, nodelay, connections, status code) go into a managed section of its
+ * site file, for the whole site or per location.
+ */
+class RateLimitService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'rate-limits.json'), {
+      defaults: () => ({ zones: {}, sites: {} }),
+      label: 'rate limits'
+    });
+  }
+
+  /**
+   * nginx file the zones are written to
+   */
+  getZonesFile() {
+    return process.env.NGINX_RATE_LIMIT_FILE || path.join(nginxService.nginxPrefix, 'conf.d', 'panel-rate-limits.conf');
+  }
+
+  /**
+   * Load zones and per-site limits
+   */
+  async loadStore() {
+    const data = await this.store.read();
+    return { zones: data.zones || {}, sites: data.sites || {} };
+  }
+
+  /**
+   * Run a read-modify-write of the store one at a time; `task` changes the data in place
+   */
+  update(task) {
+    return this.store.update(async (data) => {
+      data.zones = data.zones || {};
+      data.sites = data.sites || {};
+      return task(data);
+    });
+  }
+
+  /**
+   * Check a zone definition; returns { type, key, rate, per, size, exempt }
+   */
+  validateZone({ type, key, rate, per, size, exempt } = {}) {
+    if (!ZONE_TYPES.includes(type)) {
+      throw httpError(`Zone type must be one of: ${ZONE_TYPES.join(', ')}`);
+    }
+
+    const zoneKey = key || 'client';
+    if (!ZONE_KEYS[zoneKey]) {
+      throw httpError(`Zone key must be one of: ${Object.keys(ZONE_KEYS).join(', ')}`);
+    }
+
+    const entries = Array.isArray(exempt) ? exempt : String(exempt || '').split(/[\s,]+/);
+    const addresses = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+    const invalid = addresses.filter(address => !isValidAddress(address));
+    if (invalid.length > 0) {
+      throw httpError(`Invalid exempt entries: ${invalid.join(', ')}. Use IP addresses or CIDR ranges.`);
+    }
+    if (addresses.length > MAX_EXEMPT) {
+      throw httpError(`A zone can exempt at most ${MAX_EXEMPT} entries`);
+    }
+
+    const zone = {
+      type,
+      key: zoneKey,
+      size: parseInteger(size, 10, 1, MAX_ZONE_SIZE, 'Zone size (MB)'),
+      exempt: addresses
+    };
+
+    if (type === 'req') {
+      zone.rate = parseInteger(rate, 10, 1, MAX_LIMIT, 'Rate');
+      zone.per = per || 's';
+      if (!RATE_UNITS.includes(zone.per)) {
+        throw httpError('Rate is counted per second (s) or per minute (m)');
+      }
+    }
+
+    return zone;
+  }
+
+  /**
+   * Declarations of one zone; exempt clients get an empty key through a geo + map pair
+   */
+  renderZone(name, zone) {
+    const lines = [`# ${name}: ${zone.type === 'req' ? `${zone.rate} requests/${zone.per === 's' ? 'second' : 'minute'}` : 'connections'} per ${zone.key}`];
+    let key = ZONE_KEYS[zone.key];
+
+    if (zone.exempt.length) {
+      lines.push(
+        `geo $panel_limit_exempt_${name} {`,
+        '    default 0;',
+        ...zone.exempt.map(address => `    ${address} 1;`),
+        '}',
+        `map $panel_limit_exempt_${name} $panel_limit_key_${name} {`,
+        `    0 ${key};`,
+        '    1 "";',
+        '}'
+      );
+      key = `$panel_limit_key_${name}`;
+    }
+
+    lines.push(zone.type === 'req' ?
+      `limit_req_zone ${key} zone=${name}:${zone.size}m rate=${zone.rate}r/${zone.per};` :
+      `limit_conn_zone ${key} zone=${name}:${zone.size}m;`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Full content of the zones file
+   */
+  renderFile(zones) {
+    const blocks = Object.keys(zones).sort().map(name => this.renderZone(name, zones[name]));
+    return `${FILE_HEADER}${blocks.length ? `\n${blocks.join('\n\n')}\n` : ''}`;
+  }
+
+  /**
+   * Write the zones file through a change set (nginx -t, reload, rollback)
+   */
+  async applyZones(zones, history) {
+    await fs.mkdir(path.dirname(this.getZonesFile()), { recursive: true });
+    await nginxService.applyChangeSet([
+      { action: 'write', path: this.getZonesFile(), content: this.renderFile(zones) }
+    ], history);
+  }
+
+  /**
+   * Every limit_req / limit_conn in every site file that uses a zone: { [zone]: [{ domain, filename }] }
+   */
+  async findUsage(zones) {
+    const usage = Object.fromEntries(Object.keys(zones).map(name => [name, []]));
+
+    for (const filePath of await nginxService.listSiteConfigPaths()) {
+      let nodes;
+      try {
+        nodes = nginxConfigParser.parse(await fs.readFile(filePath, 'utf8'), filePath);
+      } catch (error) {
+        continue;
+      }
+
+      const domain = nginxService.describeConfig(nodes).serverName;
+      const visit = (children) => {
+        for (const node of children) {
+          const zone = node.directive === 'limit_req' ?
+            (node.args.find(arg => arg.startsWith('zone=')) || '').slice(5) :
+            node.directive === 'limit_conn' ? node.args[0] : null;
+          if (zone && usage[zone] && !usage[zone].some(item => item.filename === path.basename(filePath))) {
+            usage[zone].push({ domain, filename: path.basename(filePath) });
+          }
+          if (node.block) {
+            visit(node.block);
+          }
+        }
+      };
+      visit(nodes);
+    }
+
+    return usage;
+  }
+
+  /**
+   * All zones with the sites that use them, plus whether nginx loads the zones file
+   */
+  async listZones() {
+    const { zones } = await this.loadStore();
+    const usage = await this.findUsage(zones);
+
+    return {
+      file: this.getZonesFile(),
+      included: await nginxService.isIncludedByNginxConf(this.getZonesFile()),
+      types: ZONE_TYPES,
+      keys: Object.keys(ZONE_KEYS),
+      zones: Object.keys(zones).sort().map(name => ({ name, ...zones[name], usedBy: usage[name] }))
+    };
+  }
+
+  /**
+   * Create or replace a zone. A zone that sites use keeps its type, since their limit_req
+   * or limit_conn lines would stop matching it.
+   */
+  saveZone(name, input, author) {
+    return this.update(async (store) => {
+      if (!ZONE_NAME_PATTERN.test(name || '')) {
+        throw httpError('Zone names use lower-case letters, digits and "_", starting with a letter (at most 32)');
+      }
+
+      const existing = store.zones[name];
+      const zone = this.validateZone(input);
+
+      if (existing && existing.type !== zone.type) {
+        const usedBy = (await this.findUsage({ [name]: existing }))[name];
+        if (usedBy.length) {
+          throw httpError(`Zone ${name} is used by ${usedBy.map(item => item.domain).join(', ')}, so its type can't change`, 409);
+        }
+      }
+
+      const now = new Date().toISOString();
+      const zones = {
+        ...store.zones,
+        [name]: { ...zone, createdAt: existing ? existing.createdAt : now, updatedAt: now, updatedBy: author }
+      };
+
+      await this.applyZones(zones, { author, reason: `Rate limit zone ${name} ${existing ? 'updated' : 'created'}`, source: 'rate-limits' });
+      store.zones = zones;
+
+      return {
+        name,
+        ...zones[name],
+        created: !existing,
+        // nginx keeps a shared memory zone's size until it restarts
+        restartRequired: Boolean(existing && existing.size !== zone.size)
+      };
+    });
+  }
+
+  /**
+   * Delete a zone no site uses any more
+   */
+  deleteZone(name, author) {
+    return this.update(async (store) => {
+      if (!store.zones[name]) {
+        throw httpError(`Rate limit zone ${name} not found`, 404);
+      }
+
+      const usedBy = (await this.findUsage({ [name]: store.zones[name] }))[name];
+      if (usedBy.length) {
+        throw httpError(`Rate limit zone ${name} is used by ${usedBy.map(item => item.domain).join(', ')}`, 409);
+      }
+
+      const { [name]: removed, ...zones } = store.zones;
+      await this.applyZones(zones, { author, reason: `Rate limit zone ${name} deleted`, source: 'rate-limits' });
+      store.zones = zones;
+
+      return { name };
+    });
+  }
+
+  /**
+   * Check a site's limits against its locations and the defined zones; returns { status, rules }
+   */
+  validateLimits({ status, rules } = {}, nodes, zones) {
+    const code = parseInteger(status, DEFAULT_STATUS, 400, 599, 'Status code');
+
+    if (!Array.isArray(rules)) {
+      throw httpError('Rules must be a list');
+    }
+    if (rules.length > MAX_RULES) {
+      throw httpError(`A site can have at most ${MAX_RULES} limits`);
+    }
+
+    const existing = new Set(nodes.flatMap(node => nginxService.listLocations(node).map(location => location.args.join(' '))));
+    const seen = new Set();
+
+    const result = rules.map((rule, index) => {
+      const number = index + 1;
+      const location = typeof rule.location === 'string' && rule.location.trim() ? rule.location.trim() : null;
+      const zone = zones[rule.zone];
+
+      if (location && !PATH_PATTERN.test(location) && !existing.has(location)) {
+        throw httpError(`Limit ${number}: the site has no location "${location}". Use an existing location or a plain path such as /login.`);
+      }
+      if (!zone) {
+        throw httpError(`Limit ${number}: zone ${rule.zone || '(none)'} does not exist`);
+      }
+      const id = `${location || ''} ${rule.zone}`;
+      if (seen.has(id)) {
+        throw httpError(`Limit ${number}: ${location ? `location ${location}` : 'the whole site'} already uses zone ${rule.zone}`);
+      }
+      seen.add(id);
+
+      if (zone.type === 'conn') {
+        return { location, zone: rule.zone, connections: parseInteger(rule.connections, 10, 1, MAX_LIMIT, `Limit ${number}: connections`) };
+      }
+      return {
+        location,
+        zone: rule.zone,
+        burst: parseInteger(rule.burst, 0, 0, MAX_LIMIT, `Limit ${number}: burst`),
+        nodelay: Boolean(rule.nodelay)
+      };
+    });
+
+    return { status: code, rules: result };
+  }
+
+  /**
+   * Refuse limits that would repeat a status directive the block sets itself, or add a
+   * second panel-added location for one path
+   */
+  checkConflicts(settings, nodes) {
+    for (const node of nodes) {
+      for (const name of ['limit_req_status', 'limit_conn_status']) {
+        if (nginxConfigParser.findDirectives(node.block, name).length) {
+          throw httpError(`The server block (line ${node.line}) already sets ${name}; remove it in the config editor before adding limits`, 409);
+        }
+      }
+
+      for (const rule of settings.rules.filter(item => item.location && PATH_PATTERN.test(item.location))) {
+        const hasOwn = nginxService.listLocations(node).some(location => nginxService.matchesLocation(location, rule.location));
+        if (!hasOwn && nginxService.hasPanelLocation(node, rule.location)) {
+          throw httpError(`Another panel feature already adds a location for ${rule.location}; add a location for it in the config editor so both can use it`, 409);
+        }
+      }
+    }
+  }
+
+  /**
+   * limit_req / limit_conn line of one rule
+   */
+  renderRuleLine(rule) {
+    if (rule.connections !== undefined) {
+      return `limit_conn ${rule.zone} ${rule.connections};`;
+    }
+    return `limit_req zone=${rule.zone}${rule.burst ? ` burst=${rule.burst}` : ''}${rule.nodelay ? ' nodelay' : ''};`;
+  }
+
+  /**
+   * Add the limits to the blocks that serve the domain. nginx doesn't inherit limit_req or
+   * limit_conn into a location that has its own, so site-wide limits are repeated in the
+   * locations that get limits of their own (unless the location limits the same zone itself;
+   * nginx allows each zone once per block).
+   */
+  buildLimitConfig(content, filename, domain, settings) {
+    const siteBlocks = nginxService.findSiteBlocks(nginxConfigParser.parse(content, filename), domain);
+    const isSiteBlock = node => siteBlocks.some(block => block.line === node.line);
+    const siteRules = settings.rules.filter(rule => !rule.location);
+    const locationLines = (location) => {
+      const own = settings.rules.filter(rule => rule.location === location);
+      return [
+        ...siteRules.filter(rule => !own.some(item => item.zone === rule.zone)),
+        ...own
+      ].map(rule => this.renderRuleLine(rule));
+    };
+
+    return nginxService.addManagedSection(content, filename, SECTION, {
+      server: (node) => {
+        if (!isSiteBlock(node)) {
+          return null;
+        }
+
+        const lines = [
+          `limit_req_status ${settings.status};`,
+          `limit_conn_status ${settings.status};`,
+          ...siteRules.map(rule => this.renderRuleLine(rule))
+        ];
+
+        // Paths without a location of their own get one that serves them as before
+        const paths = [...new Set(settings.rules.filter(rule => rule.location && PATH_PATTERN.test(rule.location)).map(rule => rule.location))];
+        for (const location of paths) {
+          if (!nginxService.listLocations(node).some(item => nginxService.matchesLocation(item, location))) {
+            lines.push(...nginxService.buildPathLocation(node, location, locationLines(location)));
+          }
+        }
+
+        return lines;
+      },
+      location: (node, serverNode) => {
+        if (!isSiteBlock(serverNode)) {
+          return null;
+        }
+        const rule = settings.rules.find(item => item.location && nginxService.matchesLocation(node, item.location));
+        return rule ? locationLines(rule.location) : null;
+      }
+    });
+  }
+
+  /**
+   * Locations where site-wide limits don't apply because they set their own
+   */
+  findWarnings(settings, nodes) {
+    const warnings = [];
+    const siteDirectives = new Set(settings.rules.filter(rule => !rule.location).map(rule => (rule.connections !== undefined ? 'limit_conn' : 'limit_req')));
+
+    for (const location of nodes.flatMap(node => nginxService.listLocations(node))) {
+      if (settings.rules.some(rule => rule.location && nginxService.matchesLocation(location, rule.location))) {
+        continue;
+      }
+      for (const name of siteDirectives) {
+        if (nginxConfigParser.findDirectives(location.block, name).length) {
+          warnings.push(`location ${location.args.join(' ')} (line ${location.line}) sets its own ${name}, so the site-wide ${name} doesn't apply there`);
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Limits of a domain, with the zones it can use
+   */
+  async getLimits(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const { zones, sites } = await this.loadStore();
+    const entry = sites[current.filename];
+    const applied = nginxService.hasManagedSection(current.content, SECTION);
+    const base = nginxService.removeManagedSection(current.content, SECTION);
+    const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain);
+    const settings = applied && entry ? { status: entry.status, rules: entry.rules } : { status: DEFAULT_STATUS, rules: [] };
+
+    return {
+      domain: current.domain,
+      applied,
+      ...settings,
+      locations: [...new Set(nodes.flatMap(node => nginxService.listLocations(node).map(location => location.args.join(' '))))],
+      zones: Object.keys(zones).sort().map(name => ({ name, type: zones[name].type, key: zones[name].key, rate: zones[name].rate, per: zones[name].per })),
+      warnings: this.findWarnings(settings, nodes),
+      updatedAt: applied && entry ? entry.updatedAt : null,
+      updatedBy: applied && entry ? entry.updatedBy : null
+    };
+  }
+
+  /**
+   * Replace a domain's limits and render them into its site file
+   */
+  async updateLimits(domain, input, author) {
+    const saved = await this.update(async (store) => {
+      let settings = null;
+
+      const written = await nginxService.updateSiteConfig(domain, (current) => {
+        const base = nginxService.removeManagedSection(current.content, SECTION);
+        const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain);
+
+        if (nodes.length === 0) {
+          throw httpError(`${current.filename} has no server block for ${current.domain}`);
+        }
+
+        settings = this.validateLimits(input, nodes, store.zones);
+        const empty = settings.rules.length === 0;
+        if (!empty) {
+          this.checkConflicts(settings, nodes);
+        }
+
+        return {
+          content: empty ? base : this.buildLimitConfig(base, current.filename, current.domain, settings),
+          reason: empty ? 'Rate limits removed' : 'Rate limits updated'
+        };
+      }, { author, source: 'rate-limits' });
+
+      if (settings.rules.length === 0) {
+        delete store.sites[written.filename];
+      } else {
+        store.sites[written.filename] = {
+          domain: written.domain,
+          ...settings,
+          updatedAt: new Date().toISOString(),
+          updatedBy: author
+        };
+      }
+
+      return written;
+    });
+
+    return { ...(await this.getLimits(domain)), changed: saved.changed, reloaded: saved.reloaded, version: saved.version };
+  }
+}
+
+module.exports = new RateLimitService();
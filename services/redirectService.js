@@ -0,0 +1,313 @@
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+
+// Name of the managed section redirects are added in
+const SECTION = 'redirects';
+const REDIRECT_CODES = [301, 302, 307, 308];
+const CANONICAL_HOSTS = ['none', 'apex', 'www'];
+const MAX_RULES = 200;
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const PATH_PATTERN = /^\/[^\s"';{}#$\\]*$/;
+const URL_PATTERN = /^https?:\/\/[A-Za-z0-9.-]+(:\d{1,5})?(\/[^\s"';{}#\\]*)?$/;
+// Variables a redirect target may use: regex captures and a few request variables
+const TARGET_VARIABLES = /\$(\d|request_uri|uri|args|is_args|host|scheme)(?![A-Za-z0-9_])/g;
+
+/**
+ * Per-domain redirect settings rendered into the site file: force HTTPS, a canonical
+ * host (apex or www), and a table of host and path redirects. Settings are kept in
+ * data/redirects.json so they can be edited again; the vhost holds the rendered directives.
+ */
+class RedirectService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'redirects.json'), {
+      defaults: () => ({ sites: {} }),
+      label: 'redirect settings'
+    });
+  }
+
+  /**
+   * Load redirect settings keyed by site file name
+   */
+  async loadSettings() {
+    return (await this.store.read()).sites || {};
+  }
+
+  /**
+   * Apex and www names of a domain
+   */
+  getHostPair(domain) {
+    const apex = domain.toLowerCase().replace(/^www\./, '');
+    return { apex, www: `www.${apex}` };
+  }
+
+  /**
+   * Top-level server blocks of site file content (without the panel's own redirects) that serve the domain
+   */
+  describeSiteBlocks(content, filename, domain) {
+    const { apex, www } = this.getHostPair(domain);
+    const nodes = nginxConfigParser.parse(nginxService.removeManagedSection(content, SECTION), filename);
+
+    return nodes
+      .filter(node => node.directive === 'server' && node.block)
+      .map(node => nginxService.describeServerBlock(node))
+      .filter(block => block.serverNames.some(name => name === apex || name === www));
+  }
+
+  /**
+   * Check submitted settings against the site; returns { forceHttps, canonicalHost, rules }
+   */
+  validateSettings(input, blocks, domain) {
+    const { apex, www } = this.getHostPair(domain);
+    const serverNames = [...new Set(blocks.flatMap(block => block.serverNames))];
+    const forceHttps = input.forceHttps === true || input.forceHttps === 'true';
+    const canonicalHost = input.canonicalHost || 'none';
+
+    if (forceHttps && !blocks.some(block => block.ssl.enabled)) {
+      throw httpError(`${domain} has no HTTPS server block yet. Install an SSL certificate before forcing HTTPS.`);
+    }
+
+    if (!CANONICAL_HOSTS.includes(canonicalHost)) {
+      throw httpError(`Canonical host must be one of: ${CANONICAL_HOSTS.join(', ')}`);
+    }
+    if (canonicalHost !== 'none' && !(serverNames.includes(apex) && serverNames.includes(www))) {
+      throw httpError(`A canonical host needs both ${apex} and ${www} in server_name`);
+    }
+
+    const rules = Array.isArray(input.rules) ? input.rules : [];
+    if (rules.length > MAX_RULES) {
+      throw httpError(`At most ${MAX_RULES} redirect rules are allowed`);
+    }
+
+    return {
+      forceHttps,
+      canonicalHost,
+      rules: rules.map((rule, index) => this.validateRule(rule, index + 1, serverNames))
+    };
+  }
+
+  /**
+   * Check one redirect rule: { type: 'path' | 'host', source, target, code, regex }
+   */
+  validateRule(rule, number, serverNames) {
+    const type = rule.type === 'host' ? 'host' : 'path';
+    const source = String(rule.source || '').trim();
+    const target = String(rule.target || '').trim();
+    const code = parseInt(rule.code || 301);
+    const regex = type === 'path' && (rule.regex === true || rule.regex === 'true');
+
+    if (!REDIRECT_CODES.includes(code)) {
+      throw httpError(`Rule ${number}: code must be one of ${REDIRECT_CODES.join(', ')}`);
+    }
+
+    if (type === 'host') {
+      if (!HOSTNAME_PATTERN.test(source)) {
+        throw httpError(`Rule ${number}: "${source}" is not a host name`);
+      }
+      if (!serverNames.includes(source.toLowerCase())) {
+        throw httpError(`Rule ${number}: ${source} is not in this site's server_name, so its requests never reach it`);
+      }
+      if (!URL_PATTERN.test(target) || target.includes('$')) {
+        throw httpError(`Rule ${number}: a host redirect target must be a URL such as https://example.com`);
+      }
+      return { type, source: source.toLowerCase(), target: target.replace(/\/+$/, ''), code, regex: false };
+    }
+
+    if (regex) {
+      if (!source || /[\r\n]/.test(source)) {
+        throw httpError(`Rule ${number}: a regular expression is required`);
+      }
+      try {
+        new RegExp(source);
+      } catch (error) {
+        throw httpError(`Rule ${number}: ${error.message}`);
+      }
+    } else if (!PATH_PATTERN.test(source)) {
+      throw httpError(`Rule ${number}: source must be a path starting with "/"`);
+    }
+
+    const withoutVariables = target.replace(TARGET_VARIABLES, '');
+    if (withoutVariables.includes('$') || !(PATH_PATTERN.test(withoutVariables) || URL_PATTERN.test(withoutVariables))) {
+      throw httpError(`Rule ${number}: target must be a path or URL; it may use $1-$9 captures, $request_uri, $uri, $args, $is_args, $host and $scheme`);
+    }
+    if (!regex && /\$\d/.test(target)) {
+      throw httpError(`Rule ${number}: $1-$9 captures need a regular expression source`);
+    }
+
+    return { type, source, target, code, regex };
+  }
+
+  /**
+   * Whether a server block accepts plain HTTP ("ssl on;" makes every listen socket TLS)
+   */
+  hasPlainListen(block) {
+    const sslOn = block.ssl.enabled && !block.listen.some(listen => listen.ssl);
+    return !sslOn && block.listen.some(listen => !listen.ssl);
+  }
+
+  /**
+   * Whether settings add anything to the vhost
+   */
+  isEmpty(settings) {
+    return !settings.forceHttps && settings.canonicalHost === 'none' && settings.rules.length === 0;
+  }
+
+  /**
+   * Add redirect directives to the server blocks that serve the domain. Plain-HTTP listeners
+   * redirect to HTTPS (except ACME challenges, so renewals keep working); the other directives
+   * go into blocks that serve the site.
+   */
+  buildRedirectConfig(content, filename, domain, settings) {
+    const { apex, www } = this.getHostPair(domain);
+    const canonical = { apex, www }[settings.canonicalHost] || null;
+
+    return nginxService.addManagedSection(content, filename, SECTION, {
+      server: (node) => {
+        const block = nginxService.describeServerBlock(node);
+        if (!block.serverNames.some(name => name === apex || name === www)) {
+          return null;
+        }
+
+        const lines = [];
+        if (settings.forceHttps && this.hasPlainListen(block)) {
+          // Redirect straight to the canonical host when this block only serves the apex/www pair
+          const onlyPair = block.serverNames.every(name => name === apex || name === www);
+          const host = canonical && onlyPair ? canonical : '$host';
+          lines.push(
+            'set $panel_https_redirect $scheme;',
+            'if ($request_uri ~ "^/\\.well-known/acme-challenge/") {',
+            '    set $panel_https_redirect https;',
+            '}',
+            'if ($panel_https_redirect = http) {',
+            `    return 301 https://${host}$request_uri;`,
+            '}'
+          );
+
+          // Nothing but redirects is served over plain HTTP here
+          if (!block.ssl.enabled) {
+            return lines;
+          }
+        }
+
+        // Host rules come first: they are more specific than the canonical host redirect
+        for (const rule of settings.rules.filter(item => item.type === 'host')) {
+          lines.push(
+            `if ($host = ${rule.source}) {`,
+            `    return ${rule.code} ${rule.target}$request_uri;`,
+            '}'
+          );
+        }
+
+        if (canonical) {
+          lines.push(
+            `if ($host = ${canonical === apex ? www : apex}) {`,
+            `    return 301 $scheme://${canonical}$request_uri;`,
+            '}'
+          );
+        }
+
+        for (const rule of settings.rules.filter(item => item.type === 'path')) {
+          lines.push(
+            `location ${rule.regex ? '~' : '='} ${nginxConfigParser.quoteArg(rule.source)} {`,
+            `    return ${rule.code} ${nginxConfigParser.quoteArg(rule.target)};`,
+            '}'
+          );
+        }
+
+        return lines;
+      }
+    });
+  }
+
+  /**
+   * How plain-HTTP requests for the site are handled: 'panel' (forced here), 'config'
+   * (the vhost already redirects, e.g. certbot's redirect), 'none', or 'no-tls'
+   */
+  describeHttpsRedirect(blocks, content, settings) {
+    if (!blocks.some(block => block.ssl.enabled)) {
+      return 'no-tls';
+    }
+    if (settings?.forceHttps && nginxService.hasManagedSection(content, SECTION)) {
+      return 'panel';
+    }
+
+    // Blocks that also serve the site over TLS can't be redirecting everything to HTTPS
+    const redirected = blocks
+      .filter(block => this.hasPlainListen(block))
+      .every(block => !block.ssl.enabled && block.redirect && /^https:\/\//.test(block.redirect.url));
+
+    return redirected ? 'config' : 'none';
+  }
+
+  /**
+   * Redirect settings and HTTPS status of a domain
+   */
+  async getRedirects(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const entry = (await this.loadSettings())[current.filename];
+    const blocks = this.describeSiteBlocks(current.content, current.filename, current.domain);
+    const { apex, www } = this.getHostPair(current.domain);
+    const applied = nginxService.hasManagedSection(current.content, SECTION);
+
+    return {
+      domain: current.domain,
+      apex,
+      www,
+      serverNames: [...new Set(blocks.flatMap(block => block.serverNames))],
+      hasTls: blocks.some(block => block.ssl.enabled),
+      httpsRedirect: this.describeHttpsRedirect(blocks, current.content, applied ? entry : null),
+      applied,
+      settings: entry && applied ?
+        { forceHttps: entry.forceHttps, canonicalHost: entry.canonicalHost, rules: entry.rules } :
+        { forceHttps: false, canonicalHost: 'none', rules: [] },
+      updatedAt: entry && applied ? entry.updatedAt : null,
+      updatedBy: entry && applied ? entry.updatedBy : null
+    };
+  }
+
+  /**
+   * Replace a domain's redirect settings and render them into its site file
+   */
+  async updateRedirects(domain, input, author) {
+    const saved = await this.store.update(async (data) => {
+      let settings = null;
+
+      const written = await nginxService.updateSiteConfig(domain, (current) => {
+        const blocks = this.describeSiteBlocks(current.content, current.filename, current.domain);
+
+        if (blocks.length === 0) {
+          throw httpError(`${current.filename} has no server block for ${current.domain}`);
+        }
+
+        settings = this.validateSettings(input || {}, blocks, current.domain);
+        const base = nginxService.removeManagedSection(current.content, SECTION);
+
+        return {
+          content: this.isEmpty(settings) ? base : this.buildRedirectConfig(base, current.filename, current.domain, settings),
+          reason: this.isEmpty(settings) ? 'Redirects removed' : 'Redirect settings updated'
+        };
+      }, { author, source: 'redirects' });
+
+      if (this.isEmpty(settings)) {
+        delete data.sites[written.filename];
+      } else {
+        data.sites[written.filename] = {
+          domain: written.domain,
+          ...settings,
+          updatedAt: new Date().toISOString(),
+          updatedBy: author
+        };
+      }
+
+      return written;
+    });
+
+    return { ...(await this.getRedirects(domain)), changed: saved.changed, reloaded: saved.reloaded, version: saved.version };
+  }
+}
+
+module.exports = new RedirectService();
+module.exports.REDIRECT_CODES = REDIRECT_CODES;
@@ -0,0 +1,446 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const redirectService = require('./redirectService');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+
+// Name of the managed section the headers are added in
+const SECTION = 'security headers';
+const CHECK_TIMEOUT = 10000;
+const MAX_VALUE_LENGTH = 4096;
+// hstspreload.org requires at least a year
+const PRELOAD_MIN_AGE = 31536000;
+
+const REFERRER_POLICIES = [
+  'no-referrer', 'no-referrer-when-downgrade', 'origin', 'origin-when-cross-origin',
+  'same-origin', 'strict-origin', 'strict-origin-when-cross-origin', 'unsafe-url'
+];
+
+/**
+ * Headers the policy editor manages, in the order they are written. `values` limits a
+ * header to known tokens; `tlsOnly` headers are only sent from HTTPS server blocks.
+ */
+const HEADERS = {
+  'Strict-Transport-Security': { tlsOnly: true, pattern: /^max-age=\d+(;\s*includeSubDomains)?(;\s*preload)?$/i },
+  'Content-Security-Policy': {},
+  'X-Frame-Options': { values: ['DENY', 'SAMEORIGIN'] },
+  'X-Content-Type-Options': { values: ['nosniff'] },
+  'Referrer-Policy': { values: REFERRER_POLICIES },
+  'Permissions-Policy': {},
+  'Cross-Origin-Opener-Policy': { values: ['same-origin', 'same-origin-allow-popups', 'unsafe-none'] },
+  'Cross-Origin-Resource-Policy': { values: ['same-origin', 'same-site', 'cross-origin'] },
+  'X-XSS-Protection': { values: ['0', '1', '1; mode=block'] }
+};
+
+const BASIC_HEADERS = {
+  'X-Frame-Options': 'SAMEORIGIN',
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin'
+};
+
+const PRESETS = {
+  none: {
+    label: 'None',
+    description: 'No headers from the panel; only the overrides below are sent',
+    headers: {}
+  },
+  basic: {
+    label: 'Basic',
+    description: 'Clickjacking and MIME-sniffing protection and a safe referrer policy; safe for almost any site',
+    headers: BASIC_HEADERS
+  },
+  strict: {
+    label: 'Strict',
+    description: 'Basic plus HSTS, a same-origin Content-Security-Policy and locked-down browser features; test before enabling',
+    headers: {
+      'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+      'Content-Security-Policy': "default-src 'self'; object-src 'none'; base-uri 'self'; frame-ancestors 'self'; upgrade-insecure-requests",
+      ...BASIC_HEADERS,
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Resource-Policy': 'same-origin'
+    }
+  },
+  'hsts-preload': {
+    label: 'HSTS preload-ready',
+    description: 'Basic plus a two-year HSTS policy that meets the hstspreload.org requirements',
+    headers: {
+      'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
+      ...BASIC_HEADERS
+    }
+  }
+};
+
+/**
+ * Security header policies per domain: a named preset plus overrides (a value replaces
+ * the preset's, null drops the header). Headers are added to every server block serving
+ * the domain inside a managed section; new sites from the built-in templates start with
+ * the basic preset. The policy can be checked against what the live site actually sends.
+ */
+class SecurityHeaderService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'security-headers.json'), {
+      defaults: () => ({ sites: {} }),
+      label: 'security header policies'
+    });
+  }
+
+  /**
+   * Load header policies keyed by site file name
+   */
+  async loadPolicies() {
+    return (await this.store.read()).sites || {};
+  }
+
+  /**
+   * Presets as listed in the editor
+   */
+  listPresets() {
+    return Object.entries(PRESETS).map(([name, preset]) => ({ name, ...preset }));
+  }
+
+  /**
+   * Check a preset name and overrides; returns { preset, overrides }
+   */
+  validatePolicy({ preset, overrides } = {}) {
+    const presetName = preset || 'basic';
+    if (!PRESETS[presetName]) {
+      throw httpError(`Unknown preset: ${presetName}. Use one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+
+    const result = {};
+    for (const [name, value] of Object.entries(overrides || {})) {
+      const header = Object.keys(HEADERS).find(known => known.toLowerCase() === name.toLowerCase());
+      if (!header) {
+        throw httpError(`${name} is not a header the policy editor manages. Use one of: ${Object.keys(HEADERS).join(', ')}`);
+      }
+      result[header] = value === null ? null : this.validateValue(header, String(value).trim());
+    }
+
+    return { preset: presetName, overrides: result };
+  }
+
+  /**
+   * Check one header value
+   */
+  validateValue(header, value) {
+    const rules = HEADERS[header];
+
+    if (!value || value.length > MAX_VALUE_LENGTH || /[\x00-\x1f\x7f"$\\]/.test(value)) {
+      throw httpError(`${header} needs a value of at most ${MAX_VALUE_LENGTH} characters without quotes, "$", backslashes or line breaks`);
+    }
+    if (rules.values && !rules.values.includes(value)) {
+      throw httpError(`${header} must be one of: ${rules.values.join(', ')}`);
+    }
+    if (rules.pattern && !rules.pattern.test(value)) {
+      throw httpError(`${header} must look like "max-age=31536000; includeSubDomains"`);
+    }
+    if (header === 'Strict-Transport-Security' && /preload/i.test(value) &&
+        (parseInt(value.match(/max-age=(\d+)/i)[1]) < PRELOAD_MIN_AGE || !/includeSubDomains/i.test(value))) {
+      throw httpError(`HSTS preload needs max-age of at least ${PRELOAD_MIN_AGE} and includeSubDomains`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Headers a policy sends, in the editor's order: [{ name, value, tlsOnly }]
+   */
+  resolveHeaders({ preset, overrides }) {
+    const values = { ...PRESETS[preset].headers, ...overrides };
+
+    return Object.keys(HEADERS)
+      .filter(name => values[name])
+      .map(name => ({ name, value: values[name], tlsOnly: Boolean(HEADERS[name].tlsOnly) }));
+  }
+
+  /**
+   * add_header lines for a server block
+   */
+  renderLines(headers, tls) {
+    return headers
+      .filter(header => tls || !header.tlsOnly)
+      .map(header => `add_header ${header.name} ${nginxConfigParser.quoteArg(header.value)} always;`);
+  }
+
+  /**
+   * The managed section as it appears in a new site from a built-in template
+   */
+  renderTemplateSection(preset = 'basic') {
+    const { begin, end } = nginxService.getSectionMarkers(SECTION);
+    const lines = this.renderLines(this.resolveHeaders({ preset, overrides: {} }), false);
+    return [begin, ...lines, end].map(line => `    ${line}`).join('\n');
+  }
+
+  /**
+   * Headers the managed sections of the site's blocks set, or null if none has one
+   */
+  readAppliedHeaders(nodes) {
+    const begin = nginxService.getSectionMarkers(SECTION).begin.replace(/^#\s*/, '');
+    const end = nginxService.getSectionMarkers(SECTION).end.replace(/^#\s*/, '');
+    let headers = null;
+
+    for (const node of nodes) {
+      const start = node.block.findIndex(child => child.directive === '#' && child.comment === begin);
+      if (start === -1) continue;
+
+      headers = headers || {};
+      for (const child of node.block.slice(start + 1)) {
+        if (child.directive === '#' && child.comment === end) break;
+        if (child.directive === 'add_header' && HEADERS[child.args[0]]) {
+          headers[child.args[0]] = child.args[1];
+        }
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Whether a policy accounts for the headers in a file (TLS-only headers are absent without HTTPS)
+   */
+  matchesApplied(policy, applied, hasTls) {
+    const expected = this.resolveHeaders(policy).filter(header => hasTls || !header.tlsOnly);
+    return expected.length === Object.keys(applied).length &&
+      expected.every(header => applied[header.name] === header.value);
+  }
+
+  /**
+   * Policy that produces a set of headers: a preset that matches exactly, or the
+   * closest preset with overrides (used for files whose policy the panel didn't record)
+   */
+  inferPolicy(headers) {
+    let best = null;
+
+    for (const name of Object.keys(PRESETS)) {
+      const overrides = {};
+      for (const header of Object.keys(HEADERS)) {
+        const expected = PRESETS[name].headers[header] || null;
+        const actual = headers[header] || null;
+        if (expected !== actual) {
+          overrides[header] = actual;
+        }
+      }
+      if (!best || Object.keys(overrides).length < Object.keys(best.overrides).length) {
+        best = { preset: name, overrides };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Problems that keep headers from reaching clients as configured. nginx only inherits
+   * add_header into a location (or if) that sets none of its own, and headers set outside
+   * the section are sent in addition to the panel's.
+   */
+  findWarnings(nodes, headers) {
+    const warnings = [];
+    const managed = new Set(headers.map(header => header.name.toLowerCase()));
+    const { begin, end } = nginxService.getSectionMarkers(SECTION);
+    const markers = [begin, end].map(marker => marker.replace(/^#\s*/, ''));
+
+    const visit = (children) => {
+      for (const child of children) {
+        if (!child.block) continue;
+        if (['location', 'if'].includes(child.directive) && nginxConfigParser.findDirectives(child.block, 'add_header').length) {
+          warnings.push(`${child.directive} ${child.args.join(' ')} (line ${child.line}) sets its own add_header, so the policy headers are not sent from it`);
+        } else {
+          visit(child.block);
+        }
+      }
+    };
+
+    for (const node of nodes) {
+      let inSection = false;
+      for (const child of node.block) {
+        if (child.directive === '#' && markers.includes(child.comment)) {
+          inSection = child.comment === markers[0];
+        } else if (!inSection && child.directive === 'add_header' && managed.has((child.args[0] || '').toLowerCase())) {
+          warnings.push(`${child.args[0]} is also set on line ${child.line}, outside the policy; responses carry it twice`);
+        }
+      }
+      // Blocks the panel adds (maintenance holding page) set their own headers on purpose
+      visit(node.block.filter(child => !(child.directive === 'location' && child.args[0] === '@panel_maintenance')));
+    }
+
+    return [...new Set(warnings)];
+  }
+
+  /**
+   * Header policy of a domain, what its file applies, and warnings
+   */
+  async getPolicy(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const entry = (await this.loadPolicies())[current.filename];
+    const nodes = nginxService.findSiteBlocks(nginxConfigParser.parse(current.content, current.filename), current.domain);
+    const appliedHeaders = this.readAppliedHeaders(nodes);
+    const hasTls = nodes.some(node => nginxService.describeServerBlock(node).ssl.enabled);
+
+    // The recorded policy only counts while the file still sends exactly its headers
+    let policy = { preset: 'none', overrides: {} };
+    if (appliedHeaders) {
+      const recorded = entry ? { preset: entry.preset, overrides: entry.overrides } : null;
+      policy = recorded && this.matchesApplied(recorded, appliedHeaders, hasTls) ? recorded : this.inferPolicy(appliedHeaders);
+    }
+
+    const headers = this.resolveHeaders(policy);
+    const warnings = appliedHeaders ? this.findWarnings(nodes, headers) : [];
+    if (headers.some(header => /preload/i.test(header.value)) && (await redirectService.getRedirects(domain)).httpsRedirect === 'none') {
+      warnings.push('HSTS preload lists also require plain HTTP to redirect to HTTPS; turn on Force HTTPS under Redirects');
+    }
+    if (headers.some(header => header.tlsOnly) && !hasTls) {
+      warnings.push('The site has no HTTPS server block yet, so Strict-Transport-Security is not sent');
+    }
+
+    return {
+      domain: current.domain,
+      applied: Boolean(appliedHeaders),
+      preset: policy.preset,
+      overrides: policy.overrides,
+      headers,
+      hasTls,
+      warnings,
+      presets: this.listPresets(),
+      managedHeaders: Object.keys(HEADERS),
+      updatedAt: appliedHeaders && entry ? entry.updatedAt : null,
+      updatedBy: appliedHeaders && entry ? entry.updatedBy : null
+    };
+  }
+
+  /**
+   * Set a domain's header policy and render it into its site file
+   */
+  async updatePolicy(domain, input, author) {
+    const policy = this.validatePolicy(input);
+    const headers = this.resolveHeaders(policy);
+
+    const saved = await this.store.update(async (data) => {
+      const written = await nginxService.updateSiteConfig(domain, (current) => {
+        const base = nginxService.removeManagedSection(current.content, SECTION);
+
+        if (nginxService.findSiteBlocks(nginxConfigParser.parse(base, current.filename), current.domain).length === 0) {
+          throw httpError(`${current.filename} has no server block for ${current.domain}`);
+        }
+
+        return headers.length === 0 ? base : nginxService.addManagedSection(base, current.filename, SECTION, {
+          server: (node) => {
+            const block = nginxService.describeServerBlock(node);
+            const apex = current.domain.toLowerCase().replace(/^www\./, '');
+            if (!block.serverNames.some(name => name === apex || name === `www.${apex}`)) {
+              return null;
+            }
+            // HSTS only goes into HTTPS blocks; browsers ignore it over plain HTTP
+            return this.renderLines(headers, block.ssl.enabled);
+          }
+        });
+      }, {
+        author,
+        reason: `Security headers: ${PRESETS[policy.preset].label} preset${Object.keys(policy.overrides).length ? ' with overrides' : ''}`,
+        source: 'security-headers'
+      });
+
+      if (headers.length === 0) {
+        delete data.sites[written.filename];
+      } else {
+        data.sites[written.filename] = {
+          domain: written.domain,
+          ...policy,
+          updatedAt: new Date().toISOString(),
+          updatedBy: author
+        };
+      }
+
+      return written;
+    });
+
+    return { ...(await this.getPolicy(domain)), changed: saved.changed, reloaded: saved.reloaded, version: saved.version };
+  }
+
+  /**
+   * Request a URL without following redirects; resolves { statusCode, headers } where
+   * headers maps lower-case names to every value sent
+   */
+  fetchHeaders(url) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      // Certificate problems are reported by the SSL checks; here only the headers matter
+      const request = client.request(url, { method: 'GET', rejectUnauthorized: false, timeout: CHECK_TIMEOUT }, (res) => {
+        const headers = {};
+        for (let i = 0; i < res.rawHeaders.length; i += 2) {
+          const name = res.rawHeaders[i].toLowerCase();
+          (headers[name] = headers[name] || []).push(res.rawHeaders[i + 1]);
+        }
+        res.destroy();
+        resolve({ statusCode: res.statusCode, headers });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`No response within ${CHECK_TIMEOUT / 1000} seconds`)));
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  /**
+   * Compare the headers a response carries with the headers a policy should send
+   */
+  compareHeaders(expected, received) {
+    const results = Object.keys(HEADERS).map((name) => {
+      const policy = expected.find(header => header.name === name);
+      const values = received[name.toLowerCase()] || [];
+      const actual = values.length ? values.join(', ') : null;
+
+      let status;
+      if (!policy) {
+        status = values.length ? 'unmanaged' : 'absent';
+      } else if (values.length === 0) {
+        status = 'missing';
+      } else if (values.length > 1) {
+        status = 'duplicate';
+      } else {
+        status = values[0].trim() === policy.value ? 'ok' : 'mismatch';
+      }
+
+      return { name, expected: policy ? policy.value : null, actual, status };
+    });
+
+    return results.filter(result => result.status !== 'absent');
+  }
+
+  /**
+   * Request the live site and compare the headers it returns with the domain's policy
+   */
+  async checkLiveHeaders(domain, requestPath = '/') {
+    if (typeof requestPath !== 'string' || !/^\/[^\s#]*$/.test(requestPath)) {
+      throw httpError('Path must start with "/"');
+    }
+
+    const policy = await this.getPolicy(domain);
+    const scheme = policy.hasTls ? 'https' : 'http';
+    const url = `${scheme}://${policy.domain}${requestPath}`;
+    const expected = policy.headers.filter(header => scheme === 'https' || !header.tlsOnly);
+
+    let response;
+    try {
+      response = await this.fetchHeaders(url);
+    } catch (error) {
+      throw httpError(`Could not reach ${url}: ${error.message}`, 502);
+    }
+
+    const results = this.compareHeaders(expected, response.headers);
+    return {
+      domain: policy.domain,
+      url,
+      statusCode: response.statusCode,
+      checkedAt: new Date().toISOString(),
+      passed: results.every(result => ['ok', 'unmanaged'].includes(result.status)),
+      results
+    };
+  }
+}
+
+module.exports = new SecurityHeaderService();
+module.exports.PRESETS = PRESETS;
@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Event types written by the login flow
+const SECURITY_EVENTS = [
+  'login_succeeded',
+  'login_failed',
+  'login_throttled',
+  'two_factor_failed',
+  'account_locked',
+  'account_unlocked'
+];
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+class SecurityLogService {
+  constructor() {
+    this.logFile = path.join(__dirname, '..', 'data', 'security-log.jsonl');
+  }
+
+  /**
+   * Append an event to the security log (one JSON object per line)
+   */
+  async record(type, details = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      type,
+      ...details
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (error) {
+      // Never fail a login because the log could not be written
+      console.error('Failed to write security log:', error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Read events, newest first, filtered by type, username, ip and start time
+   */
+  async query({ type, username, ip, since, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    let data;
+    try {
+      data = await fs.readFile(this.logFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read security log: ${error.message}`);
+    }
+
+    const sinceTime = since ? Date.parse(since) : null;
+    const normalizedUsername = username ? String(username).toLowerCase() : null;
+    const max = Math.min(Math.max(parseInt(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const results = [];
+
+    const lines = data.split('\n');
+    for (let i = lines.length - 1; i >= 0 && results.length < max; i--) {
+      if (!lines[i]) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        continue; // Skip a partially written line
+      }
+
+      if (type && entry.type !== type) continue;
+      if (normalizedUsername && String(entry.username || '').toLowerCase() !== normalizedUsername) continue;
+      if (ip && entry.ip !== ip) continue;
+      if (sinceTime && Date.parse(entry.timestamp) < sinceTime) break;
+
+      results.push(entry);
+    }
+
+    return results;
+  }
+}
+
+module.exports = new SecurityLogService();
+module.exports.SECURITY_EVENTS = SECURITY_EVENTS;
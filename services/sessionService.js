@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+// Persist lastActivityAt at most once a minute to avoid a session write on every request
+const ACTIVITY_WRITE_INTERVAL = 60 * 1000;
+// Remember revoked session ids long enough to outlive any in-flight request that could re-save them
+const REVOKED_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists and revokes login sessions in the express-session store (memory in
+ * development, session-file-store in production)
+ */
+class SessionService {
+  constructor() {
+    this.store = null;
+    this.revoked = new Map(); // sid -> revokedAt
+  }
+
+  /**
+   * Use the store the session middleware was configured with
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Stable public identifier for a session; the raw session id is a bearer credential and never leaves the server
+   */
+  getPublicId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Stamp login metadata on a freshly regenerated session
+   */
+  initSession(req) {
+    req.session.ip = req.ip;
+    req.session.userAgent = req.get('user-agent') || null;
+    req.session.lastActivityAt = Date.now();
+  }
+
+  /**
+   * Record activity on an authenticated request (throttled)
+   */
+  touch(req) {
+    const now = Date.now();
+    if (now - (req.session.lastActivityAt || 0) >= ACTIVITY_WRITE_INTERVAL) {
+      req.session.lastActivityAt = now;
+      req.session.lastIp = req.ip;
+    }
+  }
+
+  /**
+   * Whether a session id was revoked in this process
+   */
+  isRevoked(sid) {
+    const revokedAt = this.revoked.get(sid);
+    if (revokedAt && Date.now() - revokedAt > REVOKED_TTL) {
+      this.revoked.delete(sid);
+      return false;
+    }
+
+    return !!revokedAt;
+  }
+
+  /**
+   * Read every session from the store as [{ sid, session }]
+   */
+  async getAllSessions() {
+    if (!this.store) {
+      return [];
+    }
+
+    // MemoryStore (and most stores) implement all(); session-file-store only lists files
+    if (typeof this.store.all === 'function') {
+      const sessions = await new Promise((resolve, reject) => {
+        this.store.all((err, result) => (err ? reject(err) : resolve(result || {})));
+      });
+
+      return Array.isArray(sessions)
+        ? sessions.map(session => ({ sid: session.id, session }))
+        : Object.entries(sessions).map(([sid, session]) => ({ sid, session }));
+    }
+
+    const files = await new Promise((resolve, reject) => {
+      this.store.list((err, result) => (err ? reject(err) : resolve(result || [])));
+    });
+
+    const entries = await Promise.all(files.map(async (file) => {
+      const sid = file.replace(/\.json$/, '');
+      const session = await new Promise((resolve) => {
+        this.store.get(sid, (err, result) => resolve(err ? null : result));
+      });
+      return { sid, session };
+    }));
+
+    return entries.filter(entry => entry.session);
+  }
+
+  /**
+   * Shape a stored session for clients
+   */
+  toPublicSession(sid, session, currentSid = null) {
+    return {
+      id: this.getPublicId(sid),
+      userId: session.userId,
+      username: session.user,
+      ip: session.lastIp || session.ip || null,
+      loginIp: session.ip || null,
+      userAgent: session.userAgent || null,
+      createdAt: session.loginAt ? new Date(session.loginAt).toISOString() : null,
+      lastActivityAt: session.lastActivityAt ? new Date(session.lastActivityAt).toISOString() : null,
+      expiresAt: session.cookie?.expires ? new Date(session.cookie.expires).toISOString() : null,
+      current: sid === currentSid
+    };
+  }
+
+  /**
+   * Authenticated sessions, optionally for one user, most recently active first
+   */
+  async listSessions({ userId = null, currentSid = null } = {}) {
+    const sessions = await this.getAllSessions();
+
+    return sessions
+      .filter(({ sid, session }) => session.authenticated && session.userId && !this.isRevoked(sid))
+      .filter(({ session }) => !userId || session.userId === userId)
+      .map(({ sid, session }) => this.toPublicSession(sid, session, currentSid))
+      .sort((a, b) => (b.lastActivityAt || '').localeCompare(a.lastActivityAt || ''));
+  }
+
+  /**
+   * Destroy sessions by raw id; returns the ids that were revoked
+   */
+  async destroySessions(sids) {
+    for (const sid of sids) {
+      this.revoked.set(sid, Date.now());
+      await new Promise((resolve) => {
+        this.store.destroy(sid, (err) => {
+          if (err) {
+            console.error('Failed to destroy session:', err.message);
+          }
+          resolve();
+        });
+      });
+    }
+
+    return sids;
+  }
+
+  /**
+   * Revoke one session by public id. Pass userId to restrict to that user's sessions.
+   * Returns the revoked raw session id, or null if no such session.
+   */
+  async revokeSession(publicId, { userId = null } = {}) {
+    const sessions = await this.getAllSessions();
+    const match = sessions.find(({ sid, session }) =>
+      this.getPublicId(sid) === publicId &&
+      session.authenticated &&
+      (!userId || session.userId === userId));
+
+    if (!match) {
+      return null;
+    }
+
+    await this.destroySessions([match.sid]);
+    return match.sid;
+  }
+
+  /**
+   * Revoke every session of a user; returns the revoked raw session ids
+   */
+  async revokeUserSessions(userId) {
+    const sessions = await this.getAllSessions();
+    const sids = sessions
+      .filter(({ session }) => session.authenticated && session.userId === userId)
+      .map(({ sid }) => sid);
+
+    return this.destroySessions(sids);
+  }
+}
+
+module.exports = new SessionService();
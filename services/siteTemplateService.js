@@ -0,0 +1,450 @@
+const path = require('path');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+const nginxConfigParser = require('./nginxConfigParser');
+const securityHeaderService = require('./securityHeaderService');
+const logService = require('./logService');
+
+// Template used when a domain is added without choosing one
+const DEFAULT_TEMPLATE = 'reverse-proxy';
+
+/**
+ * Allowed shapes for template variables. Values are pasted into nginx configs, so
+ * none of them may contain whitespace, quotes, ";", braces, "#" or "$".
+ */
+const VARIABLE_TYPES = {
+  string: /^[^\s;{}'"\\#$]+$/,
+  path: /^\/[A-Za-z0-9._\-/]*$/,
+  url: /^https?:\/\/[A-Za-z0-9.\-]+(:\d{1,5})?(\/[A-Za-z0-9._~\-/%]*)?$/,
+  upstream: /^(unix:\/[A-Za-z0-9._\-/]+|[A-Za-z0-9.\-]+:\d{1,5})$/,
+  integer: /^\d+$/,
+  enum: null
+};
+
+// Placeholder values used to check that a custom template renders to valid nginx syntax
+const SAMPLE_VALUES = {
+  string: 'sample',
+  path: '/var/www/sample',
+  url: 'http://127.0.0.1:8080',
+  upstream: '127.0.0.1:9000',
+  integer: '1'
+};
+
+// Variables every template receives without declaring them
+const CONTEXT_VARIABLES = ['domain', 'serverNames', 'accessLog', 'accessLogFormat', 'errorLog'];
+
+// Every site logs to files of its own, which the log viewer reads
+const SITE_LOGS = `    access_log {{accessLog}} {{accessLogFormat}};
+    error_log {{errorLog}};`;
+
+// New sites start on the basic header preset, in a section the header policy editor manages
+const SECURITY_HEADERS = securityHeaderService.renderTemplateSection('basic');
+
+const HIDDEN_FILES = `    location ~ /\\.(?!well-known).* {
+        deny all;
+    }`;
+
+const BUILTIN_TEMPLATES = [
+  {
+    name: 'reverse-proxy',
+    label: 'Reverse proxy',
+    description: 'Forward all requests to an application server (Node.js, Python, ...)',
+    variables: [
+      { name: 'upstream', label: 'Upstream URL', type: 'url', default: 'http://localhost:3000', required: true },
+      { name: 'timeout', label: 'Proxy timeout (seconds)', type: 'integer', default: '60', min: 1, max: 3600 }
+    ],
+    content: `server {
+    listen 80;
+    listen [::]:80;
+    server_name {{serverNames}};
+${SITE_LOGS}
+${SECURITY_HEADERS}
+    charset utf-8;
+    location / {
+        proxy_read_timeout {{timeout}};
+        proxy_connect_timeout {{timeout}};
+        proxy_redirect off;
+        proxy_http_version 1.1;
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection 'upgrade';
+        proxy_cache_bypass $http_upgrade;
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_pass {{upstream}};
+    }
+${HIDDEN_FILES}
+}
+`
+  },
+  {
+    name: 'static',
+    label: 'Static site',
+    description: 'Serve files from a document root',
+    variables: [
+      { name: 'root', label: 'Document root', type: 'path', default: '/var/www/{{domain}}', required: true }
+    ],
+    content: `server {
+    listen 80;
+    listen [::]:80;
+    server_name {{serverNames}};
+${SITE_LOGS}
+    root {{root}};
+    index index.html index.htm;
+${SECURITY_HEADERS}
+    charset utf-8;
+    location / {
+        try_files $uri $uri/ =404;
+    }
+    location = /favicon.ico {
+        access_log off;
+        log_not_found off;
+    }
+    location = /robots.txt {
+        access_log off;
+        log_not_found off;
+    }
+${HIDDEN_FILES}
+}
+`
+  },
+  {
+    name: 'php-fpm',
+    label: 'PHP-FPM',
+    description: 'PHP application served through PHP-FPM (WordPress, Laravel, ...)',
+    variables: [
+      { name: 'root', label: 'Document root', type: 'path', default: '/var/www/{{domain}}', required: true },
+      { name: 'fastcgi', label: 'PHP-FPM socket or address', type: 'upstream', default: 'unix:/var/run/php-fpm/www.sock', required: true }
+    ],
+    content: `server {
+    listen 80;
+    listen [::]:80;
+    server_name {{serverNames}};
+${SITE_LOGS}
+    root {{root}};
+    index index.php index.html index.htm;
+${SECURITY_HEADERS}
+    charset utf-8;
+    location / {
+        try_files $uri $uri/ /index.php?$query_string;
+    }
+    location = /favicon.ico {
+        access_log off;
+        log_not_found off;
+    }
+    location = /robots.txt {
+        access_log off;
+        log_not_found off;
+    }
+    error_page 404 /index.php;
+    location ~ \\.php$ {
+        fastcgi_pass {{fastcgi}};
+        fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;
+        include fastcgi_params;
+    }
+${HIDDEN_FILES}
+}
+`
+  },
+  {
+    name: 'spa',
+    label: 'Single-page app',
+    description: 'Static build of a client-side routed app (React, Vue, ...); unknown paths serve index.html',
+    variables: [
+      { name: 'root', label: 'Build directory', type: 'path', default: '/var/www/{{domain}}', required: true },
+      { name: 'assetCacheDays', label: 'Asset cache (days)', type: 'integer', default: '30', min: 0, max: 365 }
+    ],
+    content: `server {
+    listen 80;
+    listen [::]:80;
+    server_name {{serverNames}};
+${SITE_LOGS}
+    root {{root}};
+    index index.html;
+${SECURITY_HEADERS}
+    charset utf-8;
+    location / {
+        try_files $uri $uri/ /index.html;
+    }
+    location = /index.html {
+        # "Cache-Control: no-cache" without add_header, which would drop the security headers here
+        expires -1;
+    }
+    location ~* \\.(?:js|css|png|jpg|jpeg|gif|svg|ico|woff2?)$ {
+        expires {{assetCacheDays}}d;
+        access_log off;
+    }
+${HIDDEN_FILES}
+}
+`
+  },
+  {
+    name: 'redirect',
+    label: 'Redirect only',
+    description: 'Send every request to another URL, keeping the path',
+    variables: [
+      { name: 'target', label: 'Target URL', type: 'url', required: true },
+      { name: 'code', label: 'Status code', type: 'enum', options: ['301', '302', '307', '308'], default: '301' }
+    ],
+    content: `server {
+    listen 80;
+    listen [::]:80;
+    server_name {{serverNames}};
+${SITE_LOGS}
+    return {{code}} {{target}}$request_uri;
+}
+`
+  }
+];
+
+/**
+ * Library of nginx site templates: built-in presets plus custom templates
+ * stored in data/site-templates.json. Templates use {{variable}} placeholders.
+ */
+class SiteTemplateService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'site-templates.json'), {
+      defaults: () => ({ templates: [] }),
+      label: 'site template store',
+      cache: true
+    });
+  }
+
+  /**
+   * Load custom templates (cached after first read)
+   */
+  async loadCustomTemplates() {
+    return (await this.store.read()).templates || [];
+  }
+
+  /**
+   * All templates, built-in first
+   */
+  async listTemplates() {
+    const custom = await this.loadCustomTemplates();
+    return [
+      ...BUILTIN_TEMPLATES.map(template => ({ ...template, builtin: true })),
+      ...custom.map(template => ({ ...template, builtin: false }))
+    ];
+  }
+
+  /**
+   * Find a template by name
+   */
+  async getTemplate(name) {
+    const templates = await this.listTemplates();
+    const template = templates.find(item => item.name === name);
+
+    if (!template) {
+      throw httpError(`Unknown site template: ${name}`, 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Validate and fill in a template's variables; returns the resolved values
+   */
+  resolveVariables(template, domain, values = {}, accessLogFormat = 'combined') {
+    const logs = logService.getDefaultPaths(domain);
+    const resolved = {
+      domain,
+      serverNames: `${domain} www.${domain}`,
+      accessLog: logs.access,
+      accessLogFormat,
+      errorLog: logs.error
+    };
+
+    for (const variable of template.variables) {
+      let value = values[variable.name];
+      if (value === undefined || value === null || value === '') {
+        value = variable.default !== undefined ? variable.default.replace(/\{\{domain\}\}/g, domain) : '';
+      }
+      value = String(value).trim();
+
+      if (!value) {
+        if (variable.required) {
+          throw httpError(`${variable.label || variable.name} is required`);
+        }
+        resolved[variable.name] = '';
+        continue;
+      }
+
+      if (variable.type === 'enum') {
+        if (!variable.options.includes(value)) {
+          throw httpError(`${variable.label || variable.name} must be one of: ${variable.options.join(', ')}`);
+        }
+      } else if (!VARIABLE_TYPES[variable.type].test(value) || value.includes('..')) {
+        throw httpError(`${variable.label || variable.name} is not a valid ${variable.type}: ${value}`);
+      }
+
+      if (variable.type === 'integer') {
+        const number = parseInt(value);
+        if ((variable.min !== undefined && number < variable.min) || (variable.max !== undefined && number > variable.max)) {
+          throw httpError(`${variable.label || variable.name} must be between ${variable.min} and ${variable.max}`);
+        }
+      }
+
+      resolved[variable.name] = value;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Substitute {{placeholders}} and check the result is a parseable server block
+   */
+  renderContent(content, variables) {
+    const config = content.replace(/\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g, (match, name) => {
+      if (!(name in variables)) {
+        throw httpError(`Template uses undefined variable {{${name}}}`);
+      }
+      return variables[name];
+    });
+
+    let nodes;
+    try {
+      nodes = nginxConfigParser.parse(config, 'template');
+    } catch (error) {
+      throw httpError(`Template does not produce valid nginx syntax: ${error.message}`);
+    }
+
+    if (nginxConfigParser.findBlocks(nodes, 'server').length === 0) {
+      throw httpError('Template must contain a server block');
+    }
+
+    return config;
+  }
+
+  /**
+   * Render the nginx config for a domain from a template (default: reverse proxy)
+   */
+  async render(domain, templateName = DEFAULT_TEMPLATE, values = {}) {
+    const template = await this.getTemplate(templateName || DEFAULT_TEMPLATE);
+    const variables = this.resolveVariables(template, domain, values, await logService.getDefaultFormat());
+
+    return {
+      template: template.name,
+      variables,
+      content: this.renderContent(template.content, variables)
+    };
+  }
+
+  /**
+   * Check a custom template definition and return its normalized form
+   */
+  validateDefinition({ name, label, description, variables = [], content }) {
+    name = String(name || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{1,39}$/.test(name)) {
+      throw httpError('Template name must be 2-40 lowercase letters, digits or dashes');
+    }
+
+    if (!content || typeof content !== 'string') {
+      throw httpError('Template content is required');
+    }
+
+    if (!Array.isArray(variables)) {
+      throw httpError('Variables must be an array');
+    }
+
+    const normalized = variables.map((variable) => {
+      const variableName = String(variable?.name || '').trim();
+      if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(variableName) || CONTEXT_VARIABLES.includes(variableName)) {
+        throw httpError(`Invalid variable name: ${variableName || '(empty)'}`);
+      }
+      if (!(variable.type in VARIABLE_TYPES)) {
+        throw httpError(`Variable ${variableName} has unknown type ${variable.type}. Valid types: ${Object.keys(VARIABLE_TYPES).join(', ')}`);
+      }
+      if (variable.type === 'enum' && (!Array.isArray(variable.options) || variable.options.length === 0)) {
+        throw httpError(`Variable ${variableName} needs a list of options`);
+      }
+
+      return {
+        name: variableName,
+        label: variable.label ? String(variable.label) : variableName,
+        type: variable.type,
+        ...(variable.default !== undefined && { default: String(variable.default) }),
+        ...(variable.required && { required: true }),
+        ...(variable.type === 'enum' && { options: variable.options.map(String) }),
+        ...(variable.min !== undefined && { min: Number(variable.min) }),
+        ...(variable.max !== undefined && { max: Number(variable.max) })
+      };
+    });
+
+    if (new Set(normalized.map(variable => variable.name)).size !== normalized.length) {
+      throw httpError('Variable names must be unique');
+    }
+
+    const definition = {
+      name,
+      label: label ? String(label) : name,
+      description: description ? String(description) : '',
+      variables: normalized,
+      content
+    };
+
+    // Render once with sample values so broken templates are rejected up front
+    const samples = Object.fromEntries(normalized.map(variable => [
+      variable.name,
+      variable.type === 'enum' ? variable.options[0] : SAMPLE_VALUES[variable.type]
+    ]));
+    this.renderContent(content, this.resolveVariables(definition, 'example.com', samples));
+
+    return definition;
+  }
+
+  /**
+   * Add or replace a custom template (built-in names are reserved)
+   */
+  async saveTemplate(definition, user) {
+    const template = this.validateDefinition(definition);
+
+    if (BUILTIN_TEMPLATES.some(builtin => builtin.name === template.name)) {
+      throw httpError(`${template.name} is a built-in template and cannot be changed`, 409);
+    }
+
+    const saved = await this.store.update((data) => {
+      const index = data.templates.findIndex(item => item.name === template.name);
+      const now = new Date().toISOString();
+      const entry = {
+        ...template,
+        createdBy: index === -1 ? user.username : data.templates[index].createdBy,
+        createdAt: index === -1 ? now : data.templates[index].createdAt,
+        updatedAt: now
+      };
+
+      if (index === -1) {
+        data.templates.push(entry);
+      } else {
+        data.templates[index] = entry;
+      }
+      return entry;
+    });
+
+    return { ...saved, builtin: false };
+  }
+
+  /**
+   * Delete a custom template
+   */
+  async deleteTemplate(name) {
+    if (BUILTIN_TEMPLATES.some(builtin => builtin.name === name)) {
+      throw httpError(`${name} is a built-in template and cannot be deleted`, 409);
+    }
+
+    return this.store.update((data) => {
+      const template = data.templates.find(item => item.name === name);
+      if (!template) {
+        throw httpError(`Unknown site template: ${name}`, 404);
+      }
+
+      data.templates = data.templates.filter(item => item.name !== name);
+      return template;
+    });
+  }
+}
+
+module.exports = new SiteTemplateService();
+module.exports.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+module.exports.VARIABLE_TYPES = Object.keys(VARIABLE_TYPES);
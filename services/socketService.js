@@ -0,0 +1,287 @@
+const userService = require('./userService');
+const domainAccessService = require('./domainAccessService');
+const apiTokenService = require('./apiTokenService');
+const logService = require('./logService');
+const { getSessionUser } = require('../middleware/auth');
+
+// Sockets of users who may see every domain
+const ALL_DOMAINS_ROOM = 'domains:all';
+// Live log tails one socket may have open at once
+const MAX_LOG_TAILS = 4;
+
+/**
+ * Authenticates Socket.IO connections with the REST session or API token and
+ * delivers events only to sockets allowed to see the domain they concern.
+ *
+ * Rooms:
+ *   domains:all      - users with access to every domain
+ *   domain:<name>    - scoped users assigned to that domain
+ *   user:<id>        - every socket of one user
+ *
+ * Live log tails are per socket: `log_tail_start` / `log_tail_stop` with `{ domain, type }`,
+ * entries arrive as `log_lines` events.
+ */
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Wire authentication and room membership into a Socket.IO server
+   */
+  attach(io, sessionMiddleware) {
+    this.io = io;
+
+    // Run express-session on the handshake so socket.request.session is the REST session
+    io.engine.use(sessionMiddleware);
+
+    io.use((socket, next) => {
+      this.authenticateSocket(socket)
+        .then((user) => {
+          if (!user) {
+            return next(new Error('Authentication required'));
+          }
+
+          socket.data.user = user;
+          next();
+        })
+        .catch((error) => {
+          console.error('Socket authentication error:', error);
+          next(new Error('Authentication failed'));
+        });
+    });
+
+    io.on('connection', async (socket) => {
+      socket.data.logTails = new Map();
+      socket.on('log_tail_start', (data, ack) => this.respond(this.startLogTail(socket, data || {}), ack));
+      socket.on('log_tail_stop', (data, ack) => this.respond(this.stopLogTail(socket, data || {}), ack));
+      socket.on('disconnect', () => this.stopLogTails(socket));
+
+      try {
+        await this.joinRooms(socket);
+      } catch (error) {
+        console.error('Failed to join socket rooms:', socket.id, error);
+      }
+    });
+  }
+
+  /**
+   * Resolve the user for a handshake: session cookie, or an API token passed as
+   * `auth: { token }` or an Authorization header
+   */
+  async authenticateSocket(socket) {
+    const header = socket.handshake.headers.authorization || '';
+    const tokenValue = socket.handshake.auth?.token || (/^Bearer\s+(\S+)$/i.exec(header) || [])[1];
+
+    if (tokenValue) {
+      // Real-time events describe domains, so tokens need domains:read (or write)
+      const token = await apiTokenService.verifyToken(tokenValue, socket.handshake.address);
+      if (!token || !apiTokenService.hasScope(token, 'domains', 'GET')) {
+        return null;
+      }
+
+      const user = await userService.getUserById(token.userId);
+      if (!user || user.disabled) {
+        return null;
+      }
+
+      socket.data.apiTokenId = token.id;
+      return userService.toPublicUser(user);
+    }
+
+    const user = await getSessionUser(socket.request);
+    if (!user || (user.twoFactorRequired && !user.twoFactorEnabled)) {
+      return null;
+    }
+
+    socket.data.sessionId = socket.request.sessionID;
+    return user;
+  }
+
+  /**
+   * (Re)compute a socket's rooms from its user's current domain access
+   */
+  async joinRooms(socket) {
+    const user = socket.data.user;
+
+    // Tails of domains the user can no longer see end with their rooms
+    for (const [key, tail] of socket.data.logTails || []) {
+      if (!(await domainAccessService.canAccessDomain(user, tail.domain))) {
+        tail.stop();
+        socket.data.logTails.delete(key);
+        socket.emit('log_tail_stopped', { domain: tail.domain, type: tail.type, reason: 'Access removed' });
+      }
+    }
+
+    for (const room of socket.rooms) {
+      if (room !== socket.id) {
+        socket.leave(room);
+      }
+    }
+
+    socket.join(`user:${user.id}`);
+
+    if (domainAccessService.hasAllDomainAccess(user)) {
+      socket.join(ALL_DOMAINS_ROOM);
+      return;
+    }
+
+    const domains = await domainAccessService.listAssignedDomains(user);
+    for (const domain of domains) {
+      socket.join(`domain:${domain}`);
+    }
+  }
+
+  /**
+   * Start streaming a domain's access or error log to one socket
+   */
+  async startLogTail(socket, { domain, type }) {
+    if (typeof domain !== 'string' || !domain || !(await domainAccessService.canAccessDomain(socket.data.user, domain))) {
+      throw new Error('Domain not found');
+    }
+
+    const key = `${domainAccessService.normalizeDomain(domain)}:${type}`;
+    if (socket.data.logTails.has(key)) {
+      return { domain, type, path: socket.data.logTails.get(key).path };
+    }
+    if (socket.data.logTails.size >= MAX_LOG_TAILS) {
+      throw new Error(`At most ${MAX_LOG_TAILS} logs can be followed at once`);
+    }
+
+    const tail = await logService.follow(domain, type, (entries) => {
+      socket.emit('log_lines', { domain: tail.domain, type, entries });
+    });
+    // The socket may have gone while the log was being opened
+    if (socket.disconnected) {
+      tail.stop();
+      return { domain: tail.domain, type, path: tail.path };
+    }
+
+    socket.data.logTails.set(key, { ...tail, type });
+    return { domain: tail.domain, type, path: tail.path };
+  }
+
+  /**
+   * Stop one of a socket's log tails
+   */
+  async stopLogTail(socket, { domain, type }) {
+    const key = `${domainAccessService.normalizeDomain(String(domain || ''))}:${type}`;
+    const tail = socket.data.logTails.get(key);
+
+    if (tail) {
+      tail.stop();
+      socket.data.logTails.delete(key);
+    }
+    return { domain, type };
+  }
+
+  /**
+   * Stop every log tail of a socket
+   */
+  stopLogTails(socket) {
+    for (const tail of socket.data.logTails.values()) {
+      tail.stop();
+    }
+    socket.data.logTails.clear();
+  }
+
+  /**
+   * Answer a client event through its acknowledgement callback, when it passed one
+   */
+  respond(promise, ack) {
+    promise
+      .then((result) => {
+        if (typeof ack === 'function') ack({ success: true, ...result });
+      })
+      .catch((error) => {
+        if (typeof ack === 'function') ack({ success: false, error: error.message });
+      });
+  }
+
+  /**
+   * Emitter for events about one domain. Services receive this in place of `io`.
+   */
+  toDomain(domain) {
+    return this.emitterFor([ALL_DOMAINS_ROOM, `domain:${domainAccessService.normalizeDomain(domain)}`]);
+  }
+
+  /**
+   * Emitter for events that span every domain (bulk renewals, global settings)
+   */
+  toAllDomains() {
+    return this.emitterFor([ALL_DOMAINS_ROOM]);
+  }
+
+  /**
+   * Emitter for events only meaningful to one user (e.g. their own refresh)
+   */
+  toUser(userId) {
+    return this.emitterFor([`user:${userId}`]);
+  }
+
+  /**
+   * Build an `{ emit }` object targeting rooms; a no-op before attach() so callers need no guards
+   */
+  emitterFor(rooms) {
+    return {
+      emit: (event, data) => {
+        if (this.io) {
+          this.io.to(rooms).emit(event, data);
+        }
+      }
+    };
+  }
+
+  /**
+   * Re-check a user's sockets after their account or access changed:
+   * disconnect them if the account is gone or disabled, otherwise recompute rooms
+   */
+  async refreshUser(userId) {
+    if (!this.io) {
+      return;
+    }
+
+    const user = await userService.getUserById(userId);
+    const sockets = [...this.io.sockets.sockets.values()].filter(socket => socket.data.user?.id === userId);
+
+    for (const socket of sockets) {
+      if (!user || user.disabled) {
+        socket.disconnect(true);
+        continue;
+      }
+
+      socket.data.user = userService.toPublicUser(user);
+      await this.joinRooms(socket);
+    }
+  }
+
+  /**
+   * Recompute rooms for every connected socket (after domain assignments change)
+   */
+  async refreshAll() {
+    if (!this.io) {
+      return;
+    }
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      await this.joinRooms(socket);
+    }
+  }
+
+  /**
+   * Disconnect sockets opened with a given session or API token
+   */
+  disconnectWhere(predicate) {
+    if (!this.io) {
+      return;
+    }
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (predicate(socket.data)) {
+        socket.disconnect(true);
+      }
+    }
+  }
+}
+
+module.exports = new SocketService();
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by all authenticator apps
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'SSL Manager';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+class TOTPService {
+  /**
+   * Encode a buffer as RFC 4648 base32 without padding
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+   */
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random 160-bit shared secret (base32)
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Compute the HOTP value (RFC 4226) for a counter
+   */
+  generateHOTP(secret, counter) {
+    const key = this.base32Decode(secret);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Time step counter for a timestamp
+   */
+  getCounter(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+  }
+
+  /**
+   * Verify a TOTP code allowing one step of clock drift either way.
+   * Returns the matched counter (so callers can reject replays) or null.
+   */
+  verifyCode(secret, code, timestamp = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.getCounter(timestamp);
+    for (let counter = current - 1; counter <= current + 1; counter++) {
+      const expected = Buffer.from(this.generateHOTP(secret, counter));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// provisioning URI used by authenticator apps (and QR codes)
+   */
+  buildProvisioningUri(username, secret) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate single-use recovery codes (formatted xxxxx-xxxxx)
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TOTPService();
@@ -0,0 +1,471 @@
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const nginxService = require('./nginxService');
+const nginxConfigParser = require('./nginxConfigParser');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+
+const BALANCING_METHODS = ['round-robin', 'least_conn', 'ip_hash'];
+// active: in rotation; draining: marked down but kept in the block (ip_hash keeps its
+// client mapping); disabled: left out of the block entirely
+const BACKEND_STATES = ['active', 'draining', 'disabled'];
+const POOL_NAME_PATTERN = /^[a-z][a-z0-9-]{0,62}$/;
+const HOST_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+const MAX_BACKENDS = 64;
+
+const FILE_HEADER = [
+  '# Upstream pools managed by the control panel.',
+  '# This file is regenerated from the panel; edits made here are overwritten.',
+  ''
+].join('\n');
+
+/**
+ * Named upstream pools for reverse-proxied sites. Pools live in data/upstreams.json and
+ * are rendered into one panel-owned file in the http context (conf.d by default), which
+ * goes through the usual test-and-reload change set. Sites use a pool by pointing a
+ * location's proxy_pass at http://<pool>.
+ */
+class UpstreamService {
+  constructor() {
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'upstreams.json'), {
+      defaults: () => ({ pools: {}, assignments: {} }),
+      label: 'upstream pools'
+    });
+  }
+
+  /**
+   * nginx file the pools are written to
+   */
+  getUpstreamsFile() {
+    return process.env.NGINX_UPSTREAMS_FILE || path.join(nginxService.nginxPrefix, 'conf.d', 'panel-upstreams.conf');
+  }
+
+  /**
+   * Load pools and the proxy_pass targets assignments replaced
+   */
+  async loadStore() {
+    const data = await this.store.read();
+    return { pools: data.pools || {}, assignments: data.assignments || {} };
+  }
+
+  /**
+   * Run a read-modify-write of the store one at a time; `task` changes the data in place
+   */
+  update(task) {
+    return this.store.update(async (data) => {
+      data.pools = data.pools || {};
+      data.assignments = data.assignments || {};
+      return task(data);
+    });
+  }
+
+  /**
+   * Check a backend address: host:port, IPv4:port, [IPv6]:port or unix:/path
+   */
+  isValidAddress(address) {
+    if (address.startsWith('unix:')) {
+      return /^unix:\/[A-Za-z0-9._\-/]+$/.test(address);
+    }
+
+    const match = /^(\[([0-9a-f:.]+)\]|[^:[\]]+):(\d{1,5})$/i.exec(address);
+    if (!match || Number(match[3]) < 1 || Number(match[3]) > 65535) {
+      return false;
+    }
+
+    return match[2] ? net.isIPv6(match[2]) : (net.isIPv4(match[1]) || HOST_PATTERN.test(match[1]));
+  }
+
+  /**
+   * Check a pool definition; returns { method, backends }
+   */
+  validatePool({ method, backends } = {}) {
+    const balancing = method || 'round-robin';
+    if (!BALANCING_METHODS.includes(balancing)) {
+      throw httpError(`Balancing method must be one of: ${BALANCING_METHODS.join(', ')}`);
+    }
+
+    if (!Array.isArray(backends) || backends.length === 0) {
+      throw httpError('A pool needs at least one backend');
+    }
+    if (backends.length > MAX_BACKENDS) {
+      throw httpError(`A pool can have at most ${MAX_BACKENDS} backends`);
+    }
+
+    const result = backends.map((backend, index) => {
+      const number = index + 1;
+      const address = String(backend.address || '').trim();
+      const weight = backend.weight === undefined || backend.weight === '' ? 1 : Number(backend.weight);
+      const maxFails = backend.maxFails === undefined || backend.maxFails === '' ? 1 : Number(backend.maxFails);
+      const failTimeout = backend.failTimeout === undefined || backend.failTimeout === '' ? 10 : Number(backend.failTimeout);
+      const state = backend.state || 'active';
+
+      if (!this.isValidAddress(address)) {
+        throw httpError(`Backend ${number}: "${address}" is not host:port, [IPv6]:port or unix:/path`);
+      }
+      if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+        throw httpError(`Backend ${number}: weight must be a whole number from 1 to 100`);
+      }
+      if (!Number.isInteger(maxFails) || maxFails < 0 || maxFails > 100) {
+        throw httpError(`Backend ${number}: max_fails must be a whole number from 0 to 100`);
+      }
+      if (!Number.isInteger(failTimeout) || failTimeout < 1 || failTimeout > 3600) {
+        throw httpError(`Backend ${number}: fail_timeout must be 1 to 3600 seconds`);
+      }
+      if (!BACKEND_STATES.includes(state)) {
+        throw httpError(`Backend ${number}: state must be one of: ${BACKEND_STATES.join(', ')}`);
+      }
+      if (backend.backup && balancing === 'ip_hash') {
+        throw httpError(`Backend ${number}: nginx does not allow backup servers with ip_hash`);
+      }
+
+      return { address, weight, maxFails, failTimeout, backup: Boolean(backend.backup), state };
+    });
+
+    const addresses = result.map(backend => backend.address);
+    const duplicate = addresses.find((address, index) => addresses.indexOf(address) !== index);
+    if (duplicate) {
+      throw httpError(`Backend ${duplicate} is listed twice`);
+    }
+
+    this.checkServing(result);
+    return { method: balancing, backends: result };
+  }
+
+  /**
+   * A pool must keep at least one active primary backend, or every request gets a 502
+   */
+  checkServing(backends) {
+    if (!backends.some(backend => backend.state === 'active' && !backend.backup)) {
+      throw httpError('At least one backend has to stay active (and not be a backup)', 409);
+    }
+  }
+
+  /**
+   * nginx upstream block for a pool
+   */
+  renderPool(name, pool) {
+    const lines = [`upstream ${name} {`];
+
+    if (pool.method !== 'round-robin') {
+      lines.push(`    ${pool.method};`);
+    }
+
+    for (const backend of pool.backends) {
+      if (backend.state === 'disabled') {
+        lines.push(`    # ${backend.address} disabled in the panel`);
+        continue;
+      }
+
+      const params = [
+        backend.weight !== 1 ? `weight=${backend.weight}` : null,
+        `max_fails=${backend.maxFails}`,
+        `fail_timeout=${backend.failTimeout}s`,
+        backend.backup ? 'backup' : null,
+        backend.state === 'draining' ? 'down' : null
+      ].filter(Boolean);
+      lines.push(`    server ${backend.address} ${params.join(' ')};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Content of the upstreams file for a set of pools
+   */
+  renderFile(pools) {
+    const blocks = Object.keys(pools).sort().map(name => this.renderPool(name, pools[name]));
+    return `${FILE_HEADER}${blocks.length ? `\n${blocks.join('\n\n')}\n` : ''}`;
+  }
+
+  /**
+   * Write the upstreams file for new pools through a change set (nginx -t, reload, rollback)
+   */
+  async applyPools(pools, history) {
+    await fs.mkdir(path.dirname(this.getUpstreamsFile()), { recursive: true });
+    await nginxService.applyChangeSet([
+      { action: 'write', path: this.getUpstreamsFile(), content: this.renderFile(pools) }
+    ], history);
+  }
+
+  /**
+   * Whether nginx.conf includes the upstreams file (through conf.d/*.conf or directly)
+   */
+  isIncluded() {
+    return nginxService.isIncludedByNginxConf(this.getUpstreamsFile());
+  }
+
+  /**
+   * Pool a proxy_pass target points at, e.g. "http://app-pool/api" -> app-pool
+   */
+  getPoolName(target) {
+    const match = /^https?:\/\/([^/:$]+)(\/.*)?$/.exec(target || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Every location in every site file that proxies to a pool: { [pool]: [{ domain, filename, location }] }
+   */
+  async findUsage(pools) {
+    const usage = Object.fromEntries(Object.keys(pools).map(name => [name, []]));
+
+    for (const filePath of await nginxService.listSiteConfigPaths()) {
+      let nodes;
+      try {
+        nodes = nginxConfigParser.parse(await fs.readFile(filePath, 'utf8'), filePath);
+      } catch (error) {
+        continue;
+      }
+
+      const config = nginxService.describeConfig(nodes);
+      const visit = (locations) => {
+        for (const location of locations) {
+          const pool = this.getPoolName(location.proxyPass);
+          if (pool && usage[pool]) {
+            const entry = { domain: config.serverName, filename: path.basename(filePath), location: this.formatLocation(location) };
+            if (!usage[pool].some(item => item.filename === entry.filename && item.location === entry.location)) {
+              usage[pool].push(entry);
+            }
+          }
+          visit(location.locations);
+        }
+      };
+      config.serverBlocks.forEach(block => visit(block.locations));
+    }
+
+    return usage;
+  }
+
+  /**
+   * Location as written after "location", e.g. "/", "= /health", "~ ^/api"
+   */
+  formatLocation(location) {
+    return location.modifier ? `${location.modifier} ${location.path}` : location.path;
+  }
+
+  /**
+   * All pools with their usage, plus whether nginx loads the upstreams file
+   */
+  async listPools() {
+    const { pools } = await this.loadStore();
+    const usage = await this.findUsage(pools);
+
+    return {
+      file: this.getUpstreamsFile(),
+      included: await this.isIncluded(),
+      methods: BALANCING_METHODS,
+      states: BACKEND_STATES,
+      pools: Object.keys(pools).sort().map(name => ({ name, ...pools[name], usedBy: usage[name] }))
+    };
+  }
+
+  /**
+   * Create or replace a pool
+   */
+  savePool(name, input, author) {
+    return this.update(async (store) => {
+      if (!POOL_NAME_PATTERN.test(name || '')) {
+        throw httpError('Pool names use lower-case letters, digits and "-", starting with a letter');
+      }
+
+      const definition = this.validatePool(input);
+      const existing = store.pools[name];
+      const pools = {
+        ...store.pools,
+        [name]: {
+          ...definition,
+          createdAt: existing ? existing.createdAt : new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          updatedBy: author
+        }
+      };
+
+      await this.applyPools(pools, { author, reason: `Upstream pool ${name} ${existing ? 'updated' : 'created'}`, source: 'upstreams' });
+      store.pools = pools;
+
+      return { name, ...pools[name], created: !existing };
+    });
+  }
+
+  /**
+   * Delete a pool no site uses any more
+   */
+  deletePool(name, author) {
+    return this.update(async (store) => {
+      if (!store.pools[name]) {
+        throw httpError(`Upstream pool ${name} not found`, 404);
+      }
+
+      const usedBy = (await this.findUsage({ [name]: store.pools[name] }))[name];
+      if (usedBy.length) {
+        throw httpError(`Upstream pool ${name} is used by ${usedBy.map(item => `${item.domain} (${item.location})`).join(', ')}`, 409);
+      }
+
+      const { [name]: removed, ...pools } = store.pools;
+      await this.applyPools(pools, { author, reason: `Upstream pool ${name} deleted`, source: 'upstreams' });
+      store.pools = pools;
+
+      return { name };
+    });
+  }
+
+  /**
+   * Put one backend of a pool into rotation, drain it or disable it
+   */
+  setBackendState(name, address, state, author) {
+    return this.update(async (store) => {
+      if (!BACKEND_STATES.includes(state)) {
+        throw httpError(`State must be one of: ${BACKEND_STATES.join(', ')}`);
+      }
+
+      const pool = store.pools[name];
+      if (!pool) {
+        throw httpError(`Upstream pool ${name} not found`, 404);
+      }
+      const backend = pool.backends.find(item => item.address === address);
+      if (!backend) {
+        throw httpError(`Backend ${address} not found in ${name}`, 404);
+      }
+      if (backend.state === state) {
+        return { name, ...pool, changed: false };
+      }
+
+      const backends = pool.backends.map(item => (item === backend ? { ...item, state } : item));
+      this.checkServing(backends);
+
+      const pools = { ...store.pools, [name]: { ...pool, backends, updatedAt: new Date().toISOString(), updatedBy: author } };
+      await this.applyPools(pools, { author, reason: `Backend ${address} of ${name} set to ${state}`, source: 'upstreams' });
+      store.pools = pools;
+
+      return { name, ...pools[name], changed: true };
+    });
+  }
+
+  /**
+   * proxy_pass directives of a site's locations (nested ones included), keyed by location
+   */
+  findProxyLocations(content, filename, domain) {
+    const locations = new Map();
+
+    const visit = (children) => {
+      for (const node of nginxConfigParser.findDirectives(children, 'location')) {
+        const location = node.args.join(' ');
+        for (const directive of nginxConfigParser.findDirectives(node.block, 'proxy_pass')) {
+          if (!locations.has(location)) {
+            locations.set(location, { location, proxyPass: directive.args[0], directives: [] });
+          }
+          locations.get(location).directives.push(directive);
+        }
+        visit(node.block);
+      }
+    };
+
+    nginxService.findSiteBlocks(nginxConfigParser.parse(content, filename), domain).forEach(node => visit(node.block));
+    return locations;
+  }
+
+  /**
+   * A domain's proxied locations, the pool each one uses, and the pools it could use
+   */
+  async getDomainUpstreams(domain) {
+    const current = await nginxService.readSiteConfig(domain);
+    const store = await this.loadStore();
+    const assignments = store.assignments[current.filename] || {};
+    const locations = [...this.findProxyLocations(current.content, current.filename, current.domain).values()];
+
+    return {
+      domain: current.domain,
+      locations: locations.map((item) => {
+        const pool = this.getPoolName(item.proxyPass);
+        return {
+          location: item.location,
+          proxyPass: item.proxyPass,
+          pool: store.pools[pool] ? pool : null,
+          // Target restored when the pool is unassigned
+          previous: assignments[item.location] || null
+        };
+      }),
+      pools: Object.keys(store.pools).sort().map(name => ({
+        name,
+        method: store.pools[name].method,
+        backends: store.pools[name].backends
+      }))
+    };
+  }
+
+  /**
+   * Point a location's proxy_pass at a pool (keeping its scheme and URI part), or back at
+   * the target it had before with pool = null
+   */
+  async assignPool(domain, location, pool, author) {
+    const saved = await this.update(async (store) => {
+      let proxied = null;
+      let assignments = null;
+      let previous = null;
+
+      const written = await nginxService.updateSiteConfig(domain, (current) => {
+        proxied = this.findProxyLocations(current.content, current.filename, current.domain).get(location);
+
+        if (!proxied) {
+          throw httpError(`${current.domain} has no location ${location} with proxy_pass`, 404);
+        }
+        if (pool && !store.pools[pool]) {
+          throw httpError(`Upstream pool ${pool} not found`, 404);
+        }
+
+        assignments = { ...(store.assignments[current.filename] || {}) };
+        previous = assignments[location];
+        if (!pool && !previous) {
+          throw httpError(`${location} was not assigned to a pool in the panel, so there is no earlier target to restore`, 409);
+        }
+
+        const rewrite = (target) => {
+          if (!pool) {
+            return previous;
+          }
+          const match = /^(https?:\/\/)[^/]+(\/.*)?$/.exec(target);
+          if (!match || target.includes('$')) {
+            throw httpError(`proxy_pass ${target} in ${location} can't be pointed at a pool; edit the config instead`);
+          }
+          return `${match[1]}${pool}${match[2] || ''}`;
+        };
+
+        // Rewrite each proxy_pass argument in place so the rest of the file stays as it is
+        const lines = current.content.split('\n');
+        for (const directive of proxied.directives) {
+          const index = directive.line - 1;
+          const target = rewrite(directive.args[0]);
+          lines[index] = lines[index].replace(/(proxy_pass\s+)("[^"]*"|'[^']*'|[^\s;]+)/, (match, prefix) => `${prefix}${nginxConfigParser.quoteArg(target)}`);
+        }
+        return lines.join('\n');
+      }, {
+        author,
+        reason: pool ? `${location} proxied to upstream pool ${pool}` : `${location} no longer uses an upstream pool`,
+        source: 'upstreams'
+      });
+
+      if (pool) {
+        // Keep the first target the panel replaced, so unassigning goes back to the original
+        const wasPool = store.pools[this.getPoolName(proxied.proxyPass)];
+        if (!previous && !wasPool) {
+          assignments[location] = proxied.proxyPass;
+        }
+      } else {
+        delete assignments[location];
+      }
+      store.assignments[written.filename] = assignments;
+      if (Object.keys(assignments).length === 0) {
+        delete store.assignments[written.filename];
+      }
+
+      return written;
+    });
+
+    return { ...(await this.getDomainUpstreams(domain)), changed: saved.changed, reloaded: saved.reloaded, version: saved.version };
+  }
+}
+
+module.exports = new UpstreamService();
+module.exports.BALANCING_METHODS = BALANCING_METHODS;
+module.exports.BACKEND_STATES = BACKEND_STATES;
@@ -0,0 +1,572 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const totpService = require('./totpService');
+const jsonStore = require('./jsonStore');
+const httpError = require('./httpError');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N = 2^15) - stored alongside each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_REGEX = /^[a-zA-Z0-9._-]{3,32}$/;
+
+// Roles in ascending order of privilege; each role includes the ones before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// 'all' sees every domain; 'assigned' only sees domains owned by the user or their groups
+const DOMAIN_SCOPES = ['all', 'assigned'];
+const GROUP_REGEX = /^[a-zA-Z0-9._-]{1,64}$/;
+
+// Roles that must enroll in two-factor authentication, e.g. REQUIRE_2FA_ROLES=admin
+const REQUIRE_2FA_ROLES = (process.env.REQUIRE_2FA_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Thrown inside a queued update to reject a second factor without writing anything
+function secondFactorRejected() {
+  const error = new Error('Invalid second factor');
+  error.secondFactorRejected = true;
+  return error;
+}
+
+class UserService {
+  constructor() {
+    // Owner-only permissions: the file holds password hashes and TOTP secrets
+    this.store = jsonStore(path.join(__dirname, '..', 'data', 'users.json'), {
+      defaults: () => ({ users: [] }),
+      label: 'user store',
+      mode: 0o600,
+      cache: true
+    });
+    this.dummyHash = null;
+  }
+
+  /**
+   * Load users from the JSON store (cached after first read)
+   */
+  async loadUsers() {
+    return (await this.store.read()).users || [];
+  }
+
+  /**
+   * Hash checked for unknown and disabled users, so they take as long as a wrong password
+   */
+  getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = this.hashPassword(crypto.randomBytes(16).toString('base64'));
+    }
+    return this.dummyHash;
+  }
+
+  /**
+   * Hash a password with a random salt using scrypt
+   */
+  async hashPassword(password) {
+    const { N, r, p, keylen } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = await scryptAsync(password, salt, keylen, { N, r, p, maxmem: 128 * N * r * 2 });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * Verify a password against a stored scrypt hash in constant time
+   */
+  async verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+      return false;
+    }
+
+    const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const cost = { N: Number(N), r: Number(r), p: Number(p) };
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+      ...cost,
+      maxmem: 128 * cost.N * cost.r * 2
+    });
+
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Validate username format
+   */
+  validateUsername(username) {
+    if (!username || typeof username !== 'string' || !USERNAME_REGEX.test(username)) {
+      return { valid: false, error: 'Username must be 3-32 characters (letters, numbers, dot, dash, underscore)' };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Validate password strength
+   */
+  validatePassword(password) {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { valid: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Validate role name
+   */
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      return { valid: false, error: `Role must be one of: ${ROLES.join(', ')}` };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Validate domain scope and group names
+   */
+  validateAccess({ domainScope, groups }) {
+    if (domainScope !== undefined && !DOMAIN_SCOPES.includes(domainScope)) {
+      return { valid: false, error: `Domain scope must be one of: ${DOMAIN_SCOPES.join(', ')}` };
+    }
+
+    if (groups !== undefined && (!Array.isArray(groups) || !groups.every(group => GROUP_REGEX.test(group)))) {
+      return { valid: false, error: 'Groups must be a list of names (letters, numbers, dot, dash, underscore)' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Strip secrets from a user record before returning it to clients
+   */
+  toPublicUser(user) {
+    if (!user) {
+      return null;
+    }
+
+    const { passwordHash, totp, ...publicUser } = user;
+    // Accounts created before roles existed keep full access
+    publicUser.role = user.role || 'admin';
+    publicUser.domainScope = user.domainScope || 'all';
+    publicUser.groups = user.groups || [];
+    publicUser.twoFactorEnabled = !!totp?.enabled;
+    publicUser.twoFactorRequired = REQUIRE_2FA_ROLES.includes(publicUser.role);
+    publicUser.recoveryCodesRemaining = totp?.enabled ? totp.recoveryCodeHashes.length : 0;
+    return publicUser;
+  }
+
+  /**
+   * Create the first admin account when the user store is empty.
+   * Credentials come from ADMIN_USERNAME/ADMIN_PASSWORD, otherwise a random
+   * password is generated and printed once to the server log.
+   */
+  async ensureBootstrapUser() {
+    const users = await this.loadUsers();
+    if (users.length > 0) {
+      return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    const generated = !password;
+    if (generated) {
+      password = crypto.randomBytes(12).toString('base64url');
+    }
+
+    const user = await this.createUser({ username, password, role: 'admin' });
+
+    console.log(`Created initial panel user "${username}"`);
+    if (generated) {
+      console.log(`Initial password (change it after first login): ${password}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * List all users without password hashes
+   */
+  async listUsers() {
+    const users = await this.loadUsers();
+    return users.map(user => this.toPublicUser(user));
+  }
+
+  /**
+   * Find a user record by id
+   */
+  async getUserById(id) {
+    const users = await this.loadUsers();
+    return users.find(user => user.id === id) || null;
+  }
+
+  /**
+   * Find a user record by username (case-insensitive)
+   */
+  async getUserByUsername(username) {
+    if (!username || typeof username !== 'string') {
+      return null;
+    }
+
+    const users = await this.loadUsers();
+    const lookup = username.toLowerCase();
+    return users.find(user => user.username.toLowerCase() === lookup) || null;
+  }
+
+  /**
+   * Check credentials and return the public user on success.
+   * Callers complete any second factor before calling recordLogin().
+   */
+  async authenticate(username, password) {
+    const user = await this.getUserByUsername(username);
+
+    // Still run scrypt, so response times don't reveal which usernames exist
+    if (!user || user.disabled) {
+      await this.verifyPassword(password, await this.getDummyHash());
+      return null;
+    }
+
+    const valid = await this.verifyPassword(password, user.passwordHash);
+    if (!valid) {
+      return null;
+    }
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Stamp a completed login
+   */
+  async recordLogin(id) {
+    return this.updateUser(id, { lastLoginAt: new Date().toISOString() });
+  }
+
+  /**
+   * Start TOTP enrollment: store a pending secret and return its provisioning URI
+   */
+  async startTwoFactorSetup(id) {
+    const user = await this.getUserById(id);
+    if (!user) {
+      throw httpError('User not found', 404);
+    }
+
+    if (user.totp?.enabled) {
+      throw httpError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = totpService.generateSecret();
+    await this.updateUser(id, { totp: { enabled: false, pendingSecret: secret } });
+
+    return {
+      secret,
+      otpauthUri: totpService.buildProvisioningUri(user.username, secret)
+    };
+  }
+
+  /**
+   * Confirm TOTP enrollment with a code from the app; returns plaintext recovery codes once
+   */
+  async enableTwoFactor(id, code) {
+    const user = await this.getUserById(id);
+    if (!user) {
+      throw httpError('User not found', 404);
+    }
+
+    const pendingSecret = user.totp?.pendingSecret;
+    if (!pendingSecret) {
+      throw httpError('Start two-factor setup first');
+    }
+
+    const counter = totpService.verifyCode(pendingSecret, code);
+    if (counter === null) {
+      throw httpError('Invalid authentication code');
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    await this.updateUser(id, {
+      totp: {
+        enabled: true,
+        secret: pendingSecret,
+        lastUsedCounter: counter,
+        recoveryCodeHashes: recoveryCodes.map(c => totpService.hashRecoveryCode(c)),
+        enabledAt: new Date().toISOString()
+      }
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off two-factor authentication for a user
+   */
+  async disableTwoFactor(id) {
+    return this.updateUser(id, { totp: null });
+  }
+
+  /**
+   * Replace a user's recovery codes; returns the new plaintext codes once
+   */
+  async regenerateRecoveryCodes(id) {
+    const user = await this.getUserById(id);
+    if (!user?.totp?.enabled) {
+      throw httpError('Two-factor authentication is not enabled');
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    await this.updateUser(id, current => ({
+      totp: {
+        ...current.totp,
+        recoveryCodeHashes: recoveryCodes.map(c => totpService.hashRecoveryCode(c))
+      }
+    }));
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code (rejecting replays) or consume a recovery code. The check and the
+   * write run as one queued update, so concurrent requests can't use the same code twice.
+   */
+  async verifySecondFactor(id, { code, recoveryCode }) {
+    try {
+      await this.updateUser(id, (user) => {
+        if (!user.totp?.enabled) {
+          throw secondFactorRejected();
+        }
+
+        if (recoveryCode) {
+          const hash = totpService.hashRecoveryCode(recoveryCode);
+          if (!user.totp.recoveryCodeHashes.includes(hash)) {
+            throw secondFactorRejected();
+          }
+
+          return {
+            totp: {
+              ...user.totp,
+              recoveryCodeHashes: user.totp.recoveryCodeHashes.filter(h => h !== hash)
+            }
+          };
+        }
+
+        const counter = totpService.verifyCode(user.totp.secret, code);
+        if (counter === null || counter <= (user.totp.lastUsedCounter ?? -1)) {
+          throw secondFactorRejected();
+        }
+
+        return { totp: { ...user.totp, lastUsedCounter: counter } };
+      });
+    } catch (error) {
+      if (error.secondFactorRejected || error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Create a new user
+   */
+  async createUser({ username, password, role = 'viewer', domainScope = 'all', groups = [] }) {
+    const usernameCheck = this.validateUsername(username);
+    if (!usernameCheck.valid) {
+      throw httpError(usernameCheck.error);
+    }
+
+    const passwordCheck = this.validatePassword(password);
+    if (!passwordCheck.valid) {
+      throw httpError(passwordCheck.error);
+    }
+
+    const roleCheck = this.validateRole(role);
+    if (!roleCheck.valid) {
+      throw httpError(roleCheck.error);
+    }
+
+    const accessCheck = this.validateAccess({ domainScope, groups });
+    if (!accessCheck.valid) {
+      throw httpError(accessCheck.error);
+    }
+
+    if (await this.getUserByUsername(username)) {
+      throw httpError(`User ${username} already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash: await this.hashPassword(password),
+      role,
+      domainScope,
+      groups: [...new Set(groups)],
+      disabled: false,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+
+    return this.store.update((data) => {
+      // Checked again in the queue, in case the same name was created meanwhile
+      if (data.users.some(existing => existing.username.toLowerCase() === user.username.toLowerCase())) {
+        throw httpError(`User ${username} already exists`, 409);
+      }
+
+      data.users.push(user);
+      return this.toPublicUser(user);
+    });
+  }
+
+  /**
+   * Apply a partial update to a user record. `changes` may be a function of the current
+   * record, for updates that depend on it.
+   */
+  async updateUser(id, changes) {
+    return this.store.update((data) => {
+      const index = data.users.findIndex(user => user.id === id);
+
+      if (index === -1) {
+        throw httpError('User not found', 404);
+      }
+
+      data.users[index] = {
+        ...data.users[index],
+        ...(typeof changes === 'function' ? changes(data.users[index]) : changes),
+        updatedAt: new Date().toISOString()
+      };
+
+      return this.toPublicUser(data.users[index]);
+    });
+  }
+
+  /**
+   * Enable or disable a user; disabled users cannot log in and lose active sessions
+   */
+  async setDisabled(username, disabled) {
+    const user = await this.getUserByUsername(username);
+    if (!user) {
+      throw httpError(`User ${username} not found`, 404);
+    }
+
+    if (disabled && !user.disabled) {
+      await this.assertOtherActiveAdmin(user);
+    }
+
+    return this.updateUser(user.id, { disabled: !!disabled });
+  }
+
+  /**
+   * Change a user's role
+   */
+  async setRole(username, role) {
+    const user = await this.getUserByUsername(username);
+    if (!user) {
+      throw httpError(`User ${username} not found`, 404);
+    }
+
+    const roleCheck = this.validateRole(role);
+    if (!roleCheck.valid) {
+      throw httpError(roleCheck.error);
+    }
+
+    if (role !== 'admin' && !user.disabled) {
+      await this.assertOtherActiveAdmin(user);
+    }
+
+    return this.updateUser(user.id, { role });
+  }
+
+  /**
+   * Change which domains a user can see
+   */
+  async setAccess(username, { domainScope, groups }) {
+    const user = await this.getUserByUsername(username);
+    if (!user) {
+      throw httpError(`User ${username} not found`, 404);
+    }
+
+    const accessCheck = this.validateAccess({ domainScope, groups });
+    if (!accessCheck.valid) {
+      throw httpError(accessCheck.error);
+    }
+
+    const changes = {};
+    if (domainScope !== undefined) changes.domainScope = domainScope;
+    if (groups !== undefined) changes.groups = [...new Set(groups)];
+
+    return this.updateUser(user.id, changes);
+  }
+
+  /**
+   * Set a new password for a user
+   */
+  async resetPassword(username, password) {
+    const user = await this.getUserByUsername(username);
+    if (!user) {
+      throw httpError(`User ${username} not found`, 404);
+    }
+
+    const passwordCheck = this.validatePassword(password);
+    if (!passwordCheck.valid) {
+      throw httpError(passwordCheck.error);
+    }
+
+    return this.updateUser(user.id, {
+      passwordHash: await this.hashPassword(password),
+      passwordChangedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Admin reset of a user's two-factor enrollment (e.g. lost device)
+   */
+  async resetTwoFactor(username) {
+    const user = await this.getUserByUsername(username);
+    if (!user) {
+      throw httpError(`User ${username} not found`, 404);
+    }
+
+    return this.disableTwoFactor(user.id);
+  }
+
+  /**
+   * Permanently remove a user
+   */
+  async deleteUser(username) {
+    const user = await this.getUserByUsername(username);
+    if (!user) {
+      throw httpError(`User ${username} not found`, 404);
+    }
+
+    if (!user.disabled) {
+      await this.assertOtherActiveAdmin(user);
+    }
+
+    await this.store.update((data) => {
+      data.users = data.users.filter(u => u.id !== user.id);
+    });
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Refuse changes that would leave the panel without any active admin
+   */
+  async assertOtherActiveAdmin(user) {
+    const users = await this.loadUsers();
+    const othersActive = users.some(u =>
+      u.id !== user.id && !u.disabled && this.toPublicUser(u).role === 'admin'
+    );
+
+    if (!othersActive && this.toPublicUser(user).role === 'admin') {
+      throw httpError('Cannot remove the last active admin', 409);
+    }
+  }
+}
+
+module.exports = new UserService();
+module.exports.ROLES = ROLES;
+module.exports.DOMAIN_SCOPES = DOMAIN_SCOPES;
@@ -0,0 +1,32 @@
+const net = require('net');
+const httpError = require('./httpError');
+
+/**
+ * Whether a value is an IPv4/IPv6 address or CIDR range, as nginx allow/deny and geo take them
+ */
+function isValidAddress(address) {
+  const [ip, prefix, extra] = address.split('/');
+  const version = net.isIP(ip);
+
+  if (!version || extra !== undefined) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+
+  return /^\d{1,3}$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+}
+
+/**
+ * Whole number within bounds, or the default when the value is missing
+ */
+function parseInteger(value, fallback, min, max, label) {
+  const number = value === undefined || value === null || value === '' ? fallback : Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw httpError(`${label} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+module.exports = { isValidAddress, parseInteger };
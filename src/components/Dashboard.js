@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import DomainList from './DomainList';
 import SSLStatus from './SSLStatus';
 import CertificateActions from './CertificateActions';
+import TrafficAnalytics from './TrafficAnalytics';
 import api from '../services/api';
 
 function Dashboard({ socket }) {
@@ -268,6 +269,7 @@ function Dashboard({ socket }) {
                 domain={selectedDomain}
                 onSSLAction={handleSSLAction}
               />
+              <TrafficAnalytics key={selectedDomain.domain} domain={selectedDomain} />
             </>
           ) : (
             <div className="card">
@@ -275,7 +277,7 @@ function Dashboard({ socket }) {
                 <i className="fas fa-mouse-pointer fa-3x text-muted mb-3"></i>
                 <h5 className="text-muted">Select a Domain</h5>
                 <p className="text-muted">
-                  Click on a domain from the list to view SSL status and perform actions.
+                  Click on a domain from the list to view SSL status, traffic and perform actions.
                 </p>
               </div>
             </div>
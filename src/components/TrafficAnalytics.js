@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const RANGES = ['24h', '7d', '30d'];
+const STATUS_COLORS = { '2xx': 'bg-success', '3xx': 'bg-info', '4xx': 'bg-warning', '5xx': 'bg-danger' };
+
+function TrafficAnalytics({ domain }) {
+  const [range, setRange] = useState('24h');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.getTrafficAnalytics(domain.domain, range);
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error loading traffic analytics:', err);
+      setReport(null);
+      setError(err.message || 'Failed to load traffic analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [domain.domain, range]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const formatNumber = (value) => new Intl.NumberFormat().format(value);
+
+  const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit += 1;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  };
+
+  const formatSeconds = (seconds) => {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    return seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds.toFixed(2)} s`;
+  };
+
+  // Requests per minute as an SVG column chart; 5xx responses are drawn on top in red
+  const renderChart = () => {
+    const points = report.series;
+    if (points.length === 0) {
+      return <p className="text-muted small mb-0">No requests in this range.</p>;
+    }
+
+    const width = 300;
+    const height = 80;
+    const start = new Date(report.from).getTime();
+    const span = new Date(report.to).getTime() - start;
+    const step = (report.interval === 'minute' ? 60 : 3600) * 1000;
+    const barWidth = Math.max((step / span) * width, 1);
+    const max = Math.max(...points.map(point => point.requestsPerMinute), 1);
+    const scale = (point, value) => (value / point.requests) * (point.requestsPerMinute / max) * height;
+
+    return (
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-100" style={{ height: '80px' }} preserveAspectRatio="none">
+        {points.map((point) => {
+          const x = ((new Date(point.time).getTime() - start) / span) * width;
+          const total = scale(point, point.requests);
+          const errors = scale(point, point.status['5xx'] || 0);
+          return (
+            <g key={point.time}>
+              <title>{`${new Date(point.time).toLocaleString()}: ${point.requestsPerMinute} req/min`}</title>
+              <rect x={x} y={height - total} width={barWidth} height={total} fill="#0d6efd" />
+              {errors > 0 && <rect x={x} y={height - total} width={barWidth} height={errors} fill="#dc3545" />}
+            </g>
+          );
+        })}
+      </svg>
+    );
+  };
+
+  const renderStatusBar = () => {
+    const total = Object.values(report.statusClasses).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+
+    return (
+      <div className="progress mb-1" style={{ height: '8px' }}>
+        {Object.entries(report.statusClasses).sort().map(([statusClass, count]) => (
+          <div
+            key={statusClass}
+            className={`progress-bar ${STATUS_COLORS[statusClass] || 'bg-secondary'}`}
+            style={{ width: `${(count / total) * 100}%` }}
+            title={`${statusClass}: ${formatNumber(count)}`}
+          ></div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderTopList = (title, items, key) => (
+    <div className="col-sm-6">
+      <h6 className="small fw-bold mb-1">{title}</h6>
+      {items.length === 0 ? (
+        <p className="text-muted small mb-0">None</p>
+      ) : (
+        <table className="table table-sm small mb-0">
+          <tbody>
+            {items.map(item => (
+              <tr key={item[key]}>
+                <td className="font-monospace text-truncate" style={{ maxWidth: '140px' }} title={item[key]}>{item[key]}</td>
+                <td className="text-end">{formatNumber(item.requests)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          <i className="fas fa-chart-bar me-2"></i>
+          Traffic
+        </h6>
+        <div className="btn-group btn-group-sm">
+          {RANGES.map(item => (
+            <button
+              key={item}
+              className={`btn ${range === item ? 'btn-secondary' : 'btn-outline-secondary'}`}
+              onClick={() => setRange(item)}
+              disabled={loading}
+            >
+              {item}
+            </button>
+          ))}
+          <button className="btn btn-outline-secondary" onClick={loadAnalytics} disabled={loading} title="Refresh">
+            <i className={`fas fa-sync-alt ${loading ? 'fa-spin' : ''}`}></i>
+          </button>
+        </div>
+      </div>
+      <div className="card-body">
+        {error ? (
+          <div className="alert alert-secondary small mb-0" role="alert">
+            <i className="fas fa-info-circle me-2"></i>
+            {error}
+          </div>
+        ) : !report ? (
+          <div className="text-center text-muted py-3">
+            <i className="fas fa-spinner fa-spin me-2"></i>
+            Loading traffic...
+          </div>
+        ) : (
+          <>
+            <div className="row g-2 mb-3 text-center">
+              <div className="col-3">
+                <div className="small text-muted">Requests</div>
+                <div className="fw-bold">{formatNumber(report.totals.requests)}</div>
+              </div>
+              <div className="col-3">
+                <div className="small text-muted">Per minute</div>
+                <div className="fw-bold">{report.totals.requestsPerMinute}</div>
+              </div>
+              <div className="col-3">
+                <div className="small text-muted">Served</div>
+                <div className="fw-bold">{formatBytes(report.totals.bytes)}</div>
+              </div>
+              <div className="col-3">
+                <div className="small text-muted">5xx</div>
+                <div className={`fw-bold ${report.totals.errorRate > 1 ? 'text-danger' : ''}`}>{report.totals.errorRate}%</div>
+              </div>
+            </div>
+
+            {renderChart()}
+            <div className="d-flex justify-content-between small text-muted mb-3">
+              <span>{new Date(report.from).toLocaleString()}</span>
+              <span>{report.interval === 'minute' ? 'per minute' : 'per hour'}</span>
+            </div>
+
+            {renderStatusBar()}
+            <div className="small text-muted mb-3">
+              {Object.entries(report.statusCodes).sort((a, b) => b[1] - a[1]).slice(0, 6).map(([code, count]) => (
+                <span key={code} className="me-2">{code}: {formatNumber(count)}</span>
+              ))}
+            </div>
+
+            <div className="row g-2 mb-3">
+              <div className="col-6">
+                <div className="small text-muted">Upstream p50</div>
+                <div className="fw-bold">{formatSeconds(report.upstreamTime.p50)}</div>
+              </div>
+              <div className="col-6">
+                <div className="small text-muted">Upstream p95</div>
+                <div className="fw-bold">{formatSeconds(report.upstreamTime.p95)}</div>
+              </div>
+            </div>
+
+            <div className="row g-3">
+              {renderTopList('Top paths', report.topPaths, 'path')}
+              {renderTopList('Top clients', report.topClients, 'address')}
+            </div>
+
+            {report.updatedAt && (
+              <div className="small text-muted mt-2">Updated {new Date(report.updatedAt).toLocaleString()}</div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TrafficAnalytics;
@@ -75,6 +75,10 @@ const apiMethods = {
   renewAllSSL: () => api.post('/ssl/renew-all'),
   configureAutoRenew: (domain, enabled) => api.post('/ssl/auto-renew', { domain, enabled }),
 
+  // Traffic analytics (range: 24h, 7d or 30d)
+  getTrafficAnalytics: (domain, range = '24h') => api.get(`/domains/analytics/${encodeURIComponent(domain)}`, { params: { range } }),
+  getTrafficSummaries: (range = '24h') => api.get('/domains/analytics', { params: { range } }),
+
   // Utility methods
   testConnection: async () => {
     try {
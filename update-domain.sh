@@ -38,9 +38,7 @@ if [ ! -z "$PID" ]; then
     echo "📝 Logs: tail -f ssl-manager.log"
     echo "🌐 Access: https://cpanel.webeezix.in"
     echo ""
-    echo "Login credentials:"
-    echo "Username: adminssl"
-    echo "Password: SSL@dm1n2025!#"
+    echo "Login with your panel user (initial password is printed in ssl-manager.log on first start)"
 else
     echo "❌ Failed to start SSL Manager"
     echo "Check logs: cat ssl-manager.log"